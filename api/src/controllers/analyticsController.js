@@ -0,0 +1,158 @@
+const asyncHandler = require('express-async-handler');
+const crypto = require('crypto');
+const analytics = require('../services/analytics');
+const redisOps = require('../services/redis-failsafe-ops');
+
+// How long analytics results are cached, in seconds
+const ANALYTICS_CACHE_TTL = parseInt(process.env.ANALYTICS_CACHE_TTL, 10) || 60;
+
+/**
+ * Build the cache key of an analytics query
+ * @private
+ * @param {string} type - Query type
+ * @param {Object} options - Query options as received
+ * @returns {string} - Cache key
+ */
+function cacheKey(type, options) {
+  const hash = crypto
+    .createHash('md5')
+    .update(JSON.stringify(options))
+    .digest('hex');
+
+  return `analytics:${type}:${hash}`;
+}
+
+/**
+ * Get event counts or a property aggregate bucketed over time
+ * Accepts ?interval=, ?metric=, ?property=, ?groupBy=, ?limit= (groups), ?from=, ?to=
+ * and a JSON ?filter= in the event query DSL; ?refresh=true bypasses the cache
+ * @route GET /api/analytics/timeseries
+ */
+const getTimeseries = asyncHandler(async (req, res) => {
+  let filter;
+  if (req.query.filter !== undefined) {
+    try {
+      filter = JSON.parse(req.query.filter);
+    } catch (error) {
+      res.status(400);
+      throw new Error('Query parameter "filter" must be valid JSON');
+    }
+  }
+
+  const options = {
+    interval: req.query.interval,
+    metric: req.query.metric,
+    property: req.query.property,
+    groupBy: req.query.groupBy,
+    groupLimit: req.query.limit,
+    filter,
+    from: req.query.from,
+    to: req.query.to
+  };
+
+  let query;
+  try {
+    query = analytics.buildTimeseriesQuery(options);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Invalid timeseries query - ${error.message}`);
+  }
+
+  // Keyed on the options as given, so open-ended ranges are cached for the TTL too
+  const data = await redisOps.getWithFallback(
+    cacheKey('timeseries', options),
+    () => analytics.runTimeseries(query),
+    { ttl: ANALYTICS_CACHE_TTL, forceRefresh: req.query.refresh === 'true' }
+  );
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * Compute a conversion funnel over stored events
+ * Takes { steps, conversionWindowSeconds, filter, groupBy, groupLimit, from, to };
+ * ?refresh=true bypasses the cache
+ * @route POST /api/analytics/funnels
+ */
+const getFunnel = asyncHandler(async (req, res) => {
+  let query;
+  try {
+    query = analytics.buildFunnelQuery(req.body);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Invalid funnel query - ${error.message}`);
+  }
+
+  const data = await redisOps.getWithFallback(
+    cacheKey('funnels', req.body),
+    () => analytics.runFunnel(query),
+    { ttl: ANALYTICS_CACHE_TTL, forceRefresh: req.query.refresh === 'true' }
+  );
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+/**
+ * Format a retention result as CSV, one row per cohort
+ * @private
+ * @param {Object} result - Result of analytics.runRetention()
+ * @returns {string} - CSV document
+ */
+function retentionToCsv(result) {
+  const header = ['cohort', 'users'];
+  for (let period = 1; period <= result.periods; period++) {
+    header.push(`${result.granularity}_${period}`);
+  }
+
+  const rows = result.cohorts.map(cohort => [
+    cohort.cohort,
+    cohort.users,
+    ...cohort.retained.map(count => (count === null ? '' : count))
+  ]);
+
+  return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Compute retention cohorts over stored events
+ * Takes { startEvent, returnEvent, filter, granularity, periods, from, to };
+ * ?format=csv returns the cohort matrix as CSV and ?refresh=true bypasses the cache
+ * @route POST /api/analytics/retention
+ */
+const getRetention = asyncHandler(async (req, res) => {
+  let query;
+  try {
+    query = analytics.buildRetentionQuery(req.body);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Invalid retention query - ${error.message}`);
+  }
+
+  const data = await redisOps.getWithFallback(
+    cacheKey('retention', req.body),
+    () => analytics.runRetention(query),
+    { ttl: ANALYTICS_CACHE_TTL, forceRefresh: req.query.refresh === 'true' }
+  );
+
+  if (req.query.format === 'csv') {
+    res.set('Content-Disposition', 'attachment; filename="retention.csv"');
+    return res.type('text/csv').send(retentionToCsv(data));
+  }
+
+  res.json({
+    success: true,
+    data
+  });
+});
+
+module.exports = {
+  getTimeseries,
+  getFunnel,
+  getRetention
+};
@@ -0,0 +1,97 @@
+const asyncHandler = require('express-async-handler');
+const { Op } = require('sequelize');
+const CatalogEvent = require('../models/CatalogEvent');
+const CatalogProperty = require('../models/CatalogProperty');
+const { sequelize } = require('../db/connection');
+
+/**
+ * Get catalogued event names with pagination and search
+ * @route GET /api/catalog/events
+ */
+const getCatalogEvents = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const offset = (page - 1) * limit;
+
+  const whereClause = {};
+
+  if (req.query.search) {
+    whereClause.eventName = { [Op.iLike]: `%${req.query.search}%` };
+  }
+
+  const { count, rows } = await CatalogEvent.findAndCountAll({
+    where: whereClause,
+    attributes: {
+      include: [
+        [
+          sequelize.literal('(SELECT COUNT(*) FROM catalog_properties p WHERE p."eventName" = "CatalogEvent"."eventName")'),
+          'propertyCount'
+        ]
+      ]
+    },
+    limit,
+    offset,
+    order: [['lastSeen', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page,
+    data: rows.map(row => ({
+      eventName: row.eventName,
+      eventCount: Number(row.eventCount),
+      propertyCount: Number(row.get('propertyCount')),
+      firstSeen: row.firstSeen,
+      lastSeen: row.lastSeen
+    }))
+  });
+});
+
+/**
+ * Get the catalogued properties of an event name
+ * @route GET /api/catalog/events/:eventName
+ */
+const getCatalogEvent = asyncHandler(async (req, res) => {
+  const catalogEvent = await CatalogEvent.findOne({
+    where: { eventName: req.params.eventName }
+  });
+
+  if (!catalogEvent) {
+    res.status(404);
+    throw new Error('Event not found in catalog');
+  }
+
+  const properties = await CatalogProperty.findAll({
+    where: { eventName: catalogEvent.eventName },
+    order: [['path', 'ASC']]
+  });
+
+  const eventCount = Number(catalogEvent.eventCount);
+
+  res.json({
+    success: true,
+    data: {
+      eventName: catalogEvent.eventName,
+      eventCount,
+      firstSeen: catalogEvent.firstSeen,
+      lastSeen: catalogEvent.lastSeen,
+      properties: properties.map(property => ({
+        path: property.path,
+        types: property.types,
+        occurrenceCount: Number(property.occurrenceCount),
+        // Share of events with this name that contained the path
+        frequency: eventCount > 0 ? Number(property.occurrenceCount) / eventCount : 0,
+        sampleValues: property.sampleValues,
+        firstSeen: property.firstSeen,
+        lastSeen: property.lastSeen
+      }))
+    }
+  });
+});
+
+module.exports = {
+  getCatalogEvents,
+  getCatalogEvent
+};
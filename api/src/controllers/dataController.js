@@ -4,6 +4,7 @@ const logger = require('../utils/logger');
 const { sequelize } = require('../db/connection');
 const redisService = require('../services/redis');
 const redisOps = require('../services/redis-failsafe-ops');
+const { paginate } = require('../utils/pagination');
 
 /**
  * Create a new data record
@@ -15,7 +16,7 @@ const createData = asyncHandler(async (req, res) => {
   logger.info(`Created new data record with ID: ${data.id}`);
   
   // Invalidate relevant cache keys using the pattern-based approach
-  await redisOps.invalidatePatterns(['api:/api/data']);
+  await redisOps.invalidatePatterns(['api:/api/data*']);
   
   res.status(201).json({
     success: true,
@@ -43,7 +44,7 @@ const createBatchData = asyncHandler(async (req, res) => {
   logger.info(`Created ${result.length} data records in batch`);
   
   // Invalidate relevant cache keys
-  await redisOps.invalidatePatterns(['api:/api/data']);
+  await redisOps.invalidatePatterns(['api:/api/data*']);
   
   res.status(201).json({
     success: true,
@@ -57,9 +58,7 @@ const createBatchData = asyncHandler(async (req, res) => {
  * @route GET /api/data
  */
 const getAllData = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const offset = (page - 1) * limit;
+  const { mode, page, limit, withCount } = req.pagination;
   const status = req.query.status;
   
   // Build query conditions
@@ -69,26 +68,23 @@ const getAllData = asyncHandler(async (req, res) => {
   }
   
   // Create cache key based on query parameters
-  const cacheKey = `api:/api/data?page=${page}&limit=${limit}${status ? `&status=${status}` : ''}`;
+  const position = mode === 'cursor' ? `cursor=${req.query.cursor || ''}` : `page=${page}`;
+  const cacheKey = `api:/api/data?${position}&limit=${limit}${status ? `&status=${status}` : ''}${withCount ? '' : '&count=false'}`;
   
   // Use getWithFallback for reliable caching
   const result = await redisOps.getWithFallback(
     cacheKey,
     async () => {
-      // Query with pagination
-      const { count, rows } = await Data.findAndCountAll({
+      // Query with page-number or cursor pagination
+      const listing = await paginate(Data, {
         where: whereClause,
-        limit,
-        offset,
-        order: [['createdAt', 'DESC']]
+        orderColumn: 'createdAt',
+        pagination: req.pagination
       });
       
       return {
         success: true,
-        count,
-        totalPages: Math.ceil(count / limit),
-        currentPage: page,
-        data: rows
+        ...listing
       };
     },
     { ttl: 60 } // Cache for 1 minute
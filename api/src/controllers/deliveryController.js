@@ -0,0 +1,200 @@
+const asyncHandler = require('express-async-handler');
+const { Op } = require('sequelize');
+const DeadLetter = require('../models/DeadLetter');
+const Destination = require('../models/Destination');
+const deliveryQueue = require('../services/deliveryQueue');
+const logger = require('../utils/logger');
+
+/**
+ * Build the where clause shared by dead-letter listing and bulk replay
+ * @private
+ * @param {Object} filters - Filter values
+ * @returns {Object} - Sequelize where clause
+ */
+function buildDeadLetterWhere({ status, destinationId, eventName, from, to }) {
+  const whereClause = {};
+
+  if (status) {
+    whereClause.status = status;
+  }
+
+  if (destinationId) {
+    whereClause.destinationId = destinationId;
+  }
+
+  if (eventName) {
+    whereClause.eventName = eventName;
+  }
+
+  if (from || to) {
+    whereClause.failedAt = {};
+    if (from) whereClause.failedAt[Op.gte] = new Date(from);
+    if (to) whereClause.failedAt[Op.lte] = new Date(to);
+  }
+
+  return whereClause;
+}
+
+/**
+ * Get dead-lettered deliveries with pagination and filtering
+ * @route GET /api/deliveries/dead
+ */
+const getDeadLetters = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const offset = (page - 1) * limit;
+
+  const whereClause = buildDeadLetterWhere({
+    status: req.query.status || 'dead',
+    destinationId: req.query.destinationId,
+    eventName: req.query.eventName,
+    from: req.query.from,
+    to: req.query.to
+  });
+
+  const { count, rows } = await DeadLetter.findAndCountAll({
+    where: whereClause,
+    include: [
+      {
+        model: Destination,
+        as: 'destination',
+        attributes: ['id', 'name', 'type', 'url', 'enabled']
+      }
+    ],
+    limit,
+    offset,
+    order: [['failedAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page,
+    data: rows
+  });
+});
+
+/**
+ * Get a dead-lettered delivery by ID
+ * @route GET /api/deliveries/dead/:id
+ */
+const getDeadLetterById = asyncHandler(async (req, res) => {
+  const deadLetter = await DeadLetter.findByPk(req.params.id, {
+    include: [
+      {
+        model: Destination,
+        as: 'destination',
+        attributes: ['id', 'name', 'type', 'url', 'enabled']
+      }
+    ]
+  });
+
+  if (!deadLetter) {
+    res.status(404);
+    throw new Error('Dead letter not found');
+  }
+
+  res.json({
+    success: true,
+    data: deadLetter
+  });
+});
+
+/**
+ * Replay a single dead-lettered delivery immediately
+ * @route POST /api/deliveries/dead/:id/replay
+ */
+const replayDeadLetter = asyncHandler(async (req, res) => {
+  const deadLetter = await DeadLetter.findByPk(req.params.id);
+
+  if (!deadLetter) {
+    res.status(404);
+    throw new Error('Dead letter not found');
+  }
+
+  try {
+    const result = await deliveryQueue.replayDeadLetter(deadLetter, { immediate: true });
+
+    res.json({
+      success: true,
+      message: result.success
+        ? 'Delivery replayed successfully'
+        : 'Delivery replayed but the destination rejected it',
+      result
+    });
+  } catch (error) {
+    logger.error(`Error replaying dead letter:`, {
+      error: error.message,
+      deadLetterId: deadLetter.id
+    });
+
+    res.status(400).json({
+      success: false,
+      message: 'Error replaying delivery',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Queue replays for dead-lettered deliveries matching a destination and/or time range
+ * @route POST /api/deliveries/dead/replay
+ */
+const bulkReplayDeadLetters = asyncHandler(async (req, res) => {
+  const { destinationId, eventName, from, to } = req.body;
+  const limit = parseInt(req.body.limit, 10) || 100;
+
+  const deadLetters = await DeadLetter.findAll({
+    where: buildDeadLetterWhere({
+      status: 'dead',
+      destinationId,
+      eventName,
+      from,
+      to
+    }),
+    order: [['failedAt', 'ASC']],
+    limit
+  });
+
+  const results = [];
+
+  for (const deadLetter of deadLetters) {
+    try {
+      const result = await deliveryQueue.replayDeadLetter(deadLetter);
+
+      results.push({
+        id: deadLetter.id,
+        success: true,
+        deliveryId: result.deliveryId
+      });
+    } catch (error) {
+      results.push({
+        id: deadLetter.id,
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  logger.info(`Queued ${results.filter(r => r.success).length} dead-lettered deliveries for replay`, {
+    destinationId,
+    from,
+    to
+  });
+
+  res.json({
+    success: true,
+    message: `Queued ${results.filter(r => r.success).length} deliveries for replay`,
+    successCount: results.filter(r => r.success).length,
+    failureCount: results.filter(r => !r.success).length,
+    results
+  });
+});
+
+module.exports = {
+  getDeadLetters,
+  getDeadLetterById,
+  replayDeadLetter,
+  bulkReplayDeadLetters
+};
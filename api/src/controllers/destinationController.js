@@ -1,7 +1,11 @@
 const asyncHandler = require('express-async-handler');
+const { Op } = require('sequelize');
+const { sequelize } = require('../db/connection');
 const Destination = require('../models/Destination');
 const logger = require('../utils/logger');
 const webhookForwarder = require('../services/webhookForwarder');
+const deliveryLog = require('../services/deliveryLog');
+const circuitBreaker = require('../services/circuitBreaker');
 
 /**
  * Create a new webhook destination
@@ -98,7 +102,10 @@ const getDestinationById = asyncHandler(async (req, res) => {
   
   res.json({
     success: true,
-    data: sanitizeDestination(destination)
+    data: {
+      ...sanitizeDestination(destination),
+      circuitBreaker: circuitBreaker.getState(destination)
+    }
   });
 });
 
@@ -129,6 +136,9 @@ const updateDestination = asyncHandler(async (req, res) => {
   // Update destination
   await destination.update(req.body);
   
+  // Start with a fresh circuit - the URL or breaker settings may have changed
+  circuitBreaker.reset(destination.id);
+  
   logger.info(`Updated webhook destination: ${destination.name}`, {
     destinationId: destination.id
   });
@@ -187,6 +197,7 @@ const deleteDestination = asyncHandler(async (req, res) => {
   
   // Then delete from database
   await destination.destroy();
+  circuitBreaker.reset(destination.id);
   
   logger.info(`Deleted webhook destination: ${destination.name}`, {
     destinationId: destination.id
@@ -302,6 +313,11 @@ const testDestination = asyncHandler(async (req, res) => {
       }
     }
     
+    // Request details carry the destination's headers - don't echo them back
+    if (testResult) {
+      delete testResult.request;
+    }
+    
     res.json({
       success: true,
       message: 'Test event sent',
@@ -331,6 +347,28 @@ const testDestination = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get the delivery attempts made to a destination
+ * @route GET /api/destinations/:id/deliveries
+ */
+const getDestinationDeliveries = asyncHandler(async (req, res) => {
+  const destination = await Destination.findByPk(req.params.id, {
+    attributes: ['id']
+  });
+  
+  if (!destination) {
+    res.status(404);
+    throw new Error('Destination not found');
+  }
+  
+  const result = await deliveryLog.searchAttempts(
+    { destinationId: destination.id },
+    req.query
+  );
+  
+  res.json(result);
+});
+
 /**
  * Get destination statistics
  * @route GET /api/destinations/stats
@@ -362,7 +400,7 @@ const getDestinationStats = asyncHandler(async (req, res) => {
   const recentFailures = await Destination.findAll({
     where: {
       lastError: {
-        [sequelize.Op.not]: null
+        [Op.not]: null
       }
     },
     order: [['updatedAt', 'DESC']],
@@ -375,6 +413,18 @@ const getDestinationStats = asyncHandler(async (req, res) => {
     limit: 5
   });
   
+  // Get circuit breaker states for enabled destinations
+  const enabledDestinations = await Destination.findAll({
+    where: { enabled: true },
+    attributes: ['id', 'name', 'config']
+  });
+  
+  const circuitStates = enabledDestinations.map(destination => ({
+    destinationId: destination.id,
+    name: destination.name,
+    ...circuitBreaker.getState(destination)
+  }));
+  
   res.json({
     success: true,
     stats: {
@@ -383,7 +433,12 @@ const getDestinationStats = asyncHandler(async (req, res) => {
       totalSuccesses: totalSuccesses || 0,
       totalFailures: totalFailures || 0,
       recentFailures: recentFailures.map(sanitizeDestination),
-      mostActive: mostActive.map(sanitizeDestination)
+      mostActive: mostActive.map(sanitizeDestination),
+      circuitBreakers: {
+        open: circuitStates.filter(c => c.state === 'open').length,
+        halfOpen: circuitStates.filter(c => c.state === 'half-open').length,
+        destinations: circuitStates.filter(c => c.state !== 'closed')
+      }
     }
   });
 });
@@ -402,13 +457,14 @@ async function registerWithForwarder(destination, forceEnable = false) {
   }
   
   // Get the decrypted secret if it exists
-  const secret = destination.getDecryptedSecret();
+  const secret = await destination.getDecryptedSecret();
   
   // Create the transform configuration
   let transform;
   
   // Register with webhook forwarder
   return webhookForwarder.registerDestination(destination.name, {
+    id: destination.id,
     url: destination.url,
     method: destination.method || 'POST',
     eventTypes: destination.eventTypes,
@@ -483,6 +539,7 @@ module.exports = {
   deleteDestination,
   toggleDestination,
   testDestination,
+  getDestinationDeliveries,
   getDestinationStats,
   loadDestinationsFromDatabase
 };
\ No newline at end of file
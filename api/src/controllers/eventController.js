@@ -1,103 +1,483 @@
 const asyncHandler = require('express-async-handler');
+const { Op } = require('sequelize');
 const Event = require('../models/Event');
 const logger = require('../utils/logger');
 const { getRedisClient } = require('../services/redis');
 const { sequelize } = require('../db/connection');
-const webhookForwarder = require('../services/webhookForwarder');
+const eventRouter = require('../services/eventRouter');
+const deliveryLog = require('../services/deliveryLog');
+const DeliveryJob = require('../models/DeliveryJob');
+const eventIngestion = require('../services/eventIngestion');
+const schemaRegistry = require('../services/schemaRegistry');
+const identityGraph = require('../services/identityGraph');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const LineSplitter = require('../utils/lineSplitter');
+const { sanitizeObject } = require('../middleware/sanitization');
+const { compileEventQuery } = require('../utils/eventFilter');
+const { paginate, buildPage } = require('../utils/pagination');
+
+// Content types accepted by the streaming endpoint
+const NDJSON_CONTENT_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+// Line-level errors beyond this are counted but not listed in the response
+const MAX_REPORTED_LINE_ERRORS = 1000;
 
 /**
  * Log a new event
+ * In async ingestion mode the event is queued for the ingestion worker and
+ * 202 is returned as soon as it is stored
  * @route POST /api/events
  */
 const logEvent = asyncHandler(async (req, res) => {
-  const { eventName, timestamp, properties } = req.body;
+  const { eventName, timestamp, properties, messageId } = req.body;
+  const isAsync = req.ingestionMode === 'async';
+  
+  // Validate properties against the event name's registered schema
+  const violation = schemaRegistry.check(req.body);
+  
+  if (violation && violation.mode === 'block') {
+    await schemaRegistry.recordViolation(violation, { properties });
+    
+    return res.status(400).json({
+      error: true,
+      message: `Event does not match schema for "${eventName}" (version ${violation.schemaVersion})`,
+      details: violation.errors
+    });
+  }
   
+  // Stored, enriched and routed like batch and Segment events, so a messageId
+  // already ingested through any endpoint is not stored again
+  let result;
   try {
-    // Start a transaction to ensure atomic event logging
-    const transaction = await sequelize.transaction();
+    [result] = await eventIngestion.ingest(
+      [{ eventName, timestamp, properties, messageId: messageId || null }],
+      { async: isAsync }
+    );
+  } catch (error) {
+    logger.error(`Error logging event: ${error.message}`, { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Error logging event',
+      error: error.message
+    });
+  }
+  
+  if (result.status === 'duplicate') {
+    logger.info(`Skipped event ${eventName} with already ingested messageId ${messageId}`);
+    
+    return res.status(200).json({
+      success: true,
+      duplicate: true,
+      eventId: result.eventId
+    });
+  }
+  
+  const { event, routing } = result;
+  logger.info(`Logged new event: ${eventName}, ID: ${event.id}`);
+  
+  // Invalidate relevant cache keys
+  try {
+    const redisClient = getRedisClient();
+    if (redisClient?.isOpen) {
+      await redisClient.del('api:/api/events');
+    }
+  } catch (error) {
+    logger.error(`Error invalidating event cache: ${error.message}`);
+  }
+  
+  if (isAsync) {
+    // Routing happens in the ingestion worker
+    return res.status(202).json({
+      success: true,
+      eventId: event.id,
+      routingStatus: event.routingStatus,
+      statusUrl: `/api/events/${event.id}/status`
+    });
+  }
+  
+  if (routing.length > 0) {
+    logger.debug(`Event routed to ${routing.length} destinations`, {
+      eventId: event.id,
+      eventName,
+      successCount: routing.filter(r => r.success).length,
+      failureCount: routing.filter(r => !r.success).length
+    });
+  }
+  
+  const response = {
+    success: true,
+    data: event
+  };
+  
+  // Routing results are only returned when explicitly requested
+  if (req.query.includeRouting === 'true') {
+    response.routing = routing;
+  }
+  
+  res.status(201).json(response);
+});
+
+/**
+ * Log a batch of events
+ * Valid events are inserted together and routed in bulk; invalid events are
+ * rejected individually with their validation errors
+ * @route POST /api/events/batch
+ */
+const logEventBatch = asyncHandler(async (req, res) => {
+  const { events } = req.body;
+  const isAsync = req.ingestionMode === 'async';
+  
+  const results = new Array(events.length);
+  const accepted = [];
+  
+  for (const [index, item] of events.entries()) {
+    const errors = await eventIngestion.validate(item);
+    
+    if (errors.length > 0) {
+      results[index] = { index, status: 'rejected', errors };
+    } else {
+      accepted.push({ index, item });
+    }
+  }
+  
+  if (accepted.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No valid events in batch',
+      acceptedCount: 0,
+      rejectedCount: events.length,
+      results
+    });
+  }
+  
+  let ingested;
+  try {
+    ingested = await eventIngestion.ingest(
+      accepted.map(({ item }) => item),
+      { async: isAsync }
+    );
+  } catch (error) {
+    logger.error(`Error logging event batch: ${error.message}`, { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Error logging event batch',
+      error: error.message
+    });
+  }
+  
+  const acceptedCount = ingested.filter(result => result.status === 'accepted').length;
+  const duplicateCount = ingested.length - acceptedCount;
+  
+  logger.info(`Logged ${acceptedCount} events in batch`, {
+    duplicateCount,
+    rejectedCount: events.length - ingested.length,
+    ingestionMode: req.ingestionMode
+  });
+  
+  // Invalidate relevant cache keys
+  try {
+    const redisClient = getRedisClient();
+    if (redisClient?.isOpen) {
+      await redisClient.del('api:/api/events');
+    }
+  } catch (error) {
+    logger.error(`Error invalidating event cache: ${error.message}`);
+  }
+  
+  ingested.forEach((result, i) => {
+    const { index } = accepted[i];
+    results[index] = result.status === 'accepted'
+      ? { index, status: 'accepted', eventId: result.event.id, routingStatus: result.event.routingStatus }
+      : { index, status: 'duplicate', eventId: result.eventId };
+  });
+  
+  res.status(isAsync ? 202 : 201).json({
+    success: true,
+    acceptedCount,
+    duplicateCount,
+    rejectedCount: events.length - ingested.length,
+    results
+  });
+});
+
+/**
+ * Log events from a newline-delimited JSON stream
+ * The body is read line by line (optionally gzip/deflate-encoded) and inserted in
+ * chunks; reading pauses while each chunk is stored, so memory use stays bounded
+ * @route POST /api/events/stream
+ */
+const streamEvents = asyncHandler(async (req, res) => {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  
+  if (!NDJSON_CONTENT_TYPES.includes(contentType)) {
+    return res.status(415).json({
+      success: false,
+      message: `Unsupported content type; expected one of: ${NDJSON_CONTENT_TYPES.join(', ')}`
+    });
+  }
+  
+  const contentEncoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+  const decompressors = {
+    gzip: () => zlib.createGunzip(),
+    deflate: () => zlib.createInflate(),
+    identity: null
+  };
+  
+  if (!(contentEncoding in decompressors)) {
+    return res.status(415).json({
+      success: false,
+      message: `Unsupported content encoding "${contentEncoding}"; expected gzip, deflate or identity`
+    });
+  }
+  
+  const isAsync = req.ingestionMode === 'async';
+  const chunkSize = parseInt(process.env.EVENT_STREAM_CHUNK_SIZE, 10) || 500;
+  
+  const splitter = new LineSplitter();
+  const streams = [req];
+  if (decompressors[contentEncoding]) {
+    streams.push(decompressors[contentEncoding]());
+  }
+  streams.push(splitter);
+  
+  // Errors (corrupt compression, aborted upload) surface through the iteration below
+  const lines = pipeline(...streams, () => {});
+  
+  let acceptedCount = 0;
+  let duplicateCount = 0;
+  let rejectedCount = 0;
+  const lineErrors = [];
+  let chunk = [];
+  
+  const reject = (line, errors) => {
+    rejectedCount += 1;
+    if (lineErrors.length < MAX_REPORTED_LINE_ERRORS) {
+      lineErrors.push({ line, errors });
+    }
+  };
+  
+  const flushChunk = async () => {
+    const pending = chunk;
+    chunk = [];
     
     try {
-      // Create event entry
-      const event = await Event.create({
-        eventName,
-        timestamp: new Date(timestamp),
-        properties
-      }, { transaction });
-      
-      logger.info(`Logged new event: ${eventName}, ID: ${event.id}`);
+      const ingested = await eventIngestion.ingest(pending.map(({ item }) => item), { async: isAsync });
+      const chunkAccepted = ingested.filter(result => result.status === 'accepted').length;
+      acceptedCount += chunkAccepted;
+      duplicateCount += ingested.length - chunkAccepted;
+    } catch (error) {
+      logger.error(`Error storing streamed events: ${error.message}`, { error });
+      pending.forEach(({ lineNumber }) => reject(lineNumber, [{ message: `Insert failed: ${error.message}` }]));
+    }
+  };
+  
+  let streamError = null;
+  
+  try {
+    for await (const line of lines) {
+      if (line.error) {
+        reject(line.lineNumber, [{ message: line.error }]);
+        continue;
+      }
       
-      // Commit the transaction first to ensure the event is saved
-      await transaction.commit();
+      // Blank lines (e.g. a trailing newline) are ignored
+      if (!line.text.trim()) {
+        continue;
+      }
       
-      // After the event is safely saved, forward it to any configured destinations
-      // This is intentionally done after the transaction commits
-      // to ensure the event is recorded regardless of forwarding success
+      let item;
       try {
-        // Check if webhookForwarder is properly initialized
-        if (webhookForwarder && typeof webhookForwarder.processEvent === 'function') {
-          // Process the event through the webhook forwarder
-          const forwardResults = await webhookForwarder.processEvent(event);
-          
-          if (forwardResults && forwardResults.length > 0) {
-            logger.debug(`Event forwarded to ${forwardResults.length} destinations`, {
-              eventId: event.id,
-              eventName,
-              successCount: forwardResults.filter(r => r.success).length,
-              failureCount: forwardResults.filter(r => !r.success).length
-            });
-          }
-        } else {
-          logger.warn('Event forwarding skipped - webhookForwarder not properly initialized', {
-            eventId: event.id,
-            eventName,
-            webhookForwarderType: typeof webhookForwarder
-          });
-        }
-      } catch (forwardError) {
-        // Log but don't fail the request if forwarding fails
-        logger.error(`Error forwarding event: ${forwardError.message}`, {
-          error: forwardError,
-          eventId: event.id,
-          eventName
-        });
+        item = JSON.parse(line.text);
+      } catch (parseError) {
+        reject(line.lineNumber, [{ message: `Invalid JSON: ${parseError.message}` }]);
+        continue;
       }
       
-      // Invalidate relevant cache keys
+      item = sanitizeObject(item);
+      const errors = await eventIngestion.validate(item);
+      
+      if (errors.length > 0) {
+        reject(line.lineNumber, errors);
+        continue;
+      }
+      
+      chunk.push({ lineNumber: line.lineNumber, item });
+      
+      if (chunk.length >= chunkSize) {
+        await flushChunk();
+      }
+    }
+  } catch (error) {
+    streamError = error;
+  }
+  
+  // Store whatever was read before the end (or failure) of the stream
+  if (chunk.length > 0) {
+    await flushChunk();
+  }
+  
+  logger.info(`Logged ${acceptedCount} events from stream`, {
+    linesRead: splitter.lineNumber,
+    duplicateCount,
+    rejectedCount,
+    ingestionMode: req.ingestionMode,
+    error: streamError ? streamError.message : undefined
+  });
+  
+  if (acceptedCount > 0) {
+    // Invalidate relevant cache keys
+    try {
       const redisClient = getRedisClient();
       if (redisClient?.isOpen) {
         await redisClient.del('api:/api/events');
       }
-      
-      res.status(201).json({
-        success: true,
-        data: event
-      });
     } catch (error) {
-      // Rollback the transaction on error
-      await transaction.rollback();
-      throw error;
+      logger.error(`Error invalidating event cache: ${error.message}`);
     }
-  } catch (error) {
-    logger.error(`Error logging event: ${error.message}`, { error });
-    res.status(500).json({
+  }
+  
+  const summary = {
+    linesRead: splitter.lineNumber,
+    acceptedCount,
+    duplicateCount,
+    rejectedCount,
+    errors: lineErrors,
+    errorsTruncated: rejectedCount > lineErrors.length
+  };
+  
+  if (streamError) {
+    return res.status(400).json({
       success: false,
-      message: 'Error logging event',
-      error: error.message
+      message: 'Error reading event stream',
+      error: streamError.message,
+      ...summary
     });
   }
+  
+  if (acceptedCount + duplicateCount === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No valid events in stream',
+      ...summary
+    });
+  }
+  
+  res.status(isAsync ? 202 : 201).json({
+    success: true,
+    ...summary
+  });
 });
 
+/**
+ * Run a query from the event filter DSL
+ * @private
+ * @param {Object} query - { filter, from, to, orderBy }
+ * @param {Object} pagination - Parsed pagination (req.pagination)
+ * @param {Object} res - Express response (status is set to 400 for invalid queries)
+ * @returns {Promise<Object>} - Response fields from buildPage()
+ */
+async function runEventQuery(query, pagination, res) {
+  if (pagination.mode === 'cursor' && query.orderBy !== undefined) {
+    res.status(400);
+    throw new Error('Cursor pagination only supports the default order (timestamp, newest first)');
+  }
+  
+  let compiled;
+  try {
+    compiled = compileEventQuery(query);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Invalid event query - ${error.message}`);
+  }
+  
+  const { where, bind, whereBind } = compiled;
+  const rowBind = [...bind];
+  let rowWhere = where;
+  let orderBy = compiled.orderBy;
+  
+  if (pagination.mode === 'cursor') {
+    const { cursor } = pagination;
+    const direction = cursor && cursor.direction === 'prev' ? 'ASC' : 'DESC';
+    
+    if (cursor) {
+      rowBind.push(cursor.value.toISOString(), cursor.id);
+      const comparison = cursor.direction === 'prev' ? '>' : '<';
+      rowWhere = `(${where}) AND ("timestamp", "id") ${comparison} ($${rowBind.length - 1}::timestamptz, $${rowBind.length}::uuid)`;
+    }
+    
+    orderBy = `"timestamp" ${direction}, "id" ${direction}`;
+  }
+  
+  rowBind.push(pagination.limit + 1, pagination.mode === 'page' ? pagination.offset : 0);
+  
+  const [rows, countRows] = await Promise.all([
+    sequelize.query(
+      `SELECT * FROM events WHERE ${rowWhere} ORDER BY ${orderBy} LIMIT $${rowBind.length - 1} OFFSET $${rowBind.length}`,
+      { bind: rowBind, model: Event, mapToModel: true }
+    ),
+    pagination.withCount
+      // Postgres rejects bind values the statement does not use, so the sort order's are left out
+      ? sequelize.query(`SELECT COUNT(*) AS count FROM events WHERE ${where}`, { bind: whereBind, type: sequelize.QueryTypes.SELECT })
+      : null
+  ]);
+  
+  return buildPage(rows, countRows ? parseInt(countRows[0].count, 10) : null, pagination, 'timestamp');
+}
+
+/**
+ * Parse a JSON-encoded query string parameter
+ * @private
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (status is set to 400 for invalid JSON)
+ * @param {string} name - Parameter name
+ * @returns {*} - Parsed value, or undefined if the parameter is absent
+ */
+function parseJsonParam(req, res, name) {
+  if (req.query[name] === undefined) {
+    return undefined;
+  }
+  
+  try {
+    return JSON.parse(req.query[name]);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Query parameter "${name}" must be valid JSON`);
+  }
+}
+
 /**
  * Get events with pagination and filtering
+ * Accepts a JSON filter (?filter=, ?orderBy=, ?from=, ?to=) in the event query DSL;
+ * ?eventName= and ?userId= are shortcuts for equality conditions
  * @route GET /api/events
  */
 const getEvents = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const offset = (page - 1) * limit;
   const eventName = req.query.eventName;
   const userId = req.query.userId;
   
+  const filter = parseJsonParam(req, res, 'filter');
+  const orderBy = parseJsonParam(req, res, 'orderBy');
+  
+  if (filter !== undefined || orderBy !== undefined || req.query.from || req.query.to) {
+    const conditions = [];
+    if (filter !== undefined) conditions.push(filter);
+    if (eventName) conditions.push({ property: 'eventName', operator: 'equals', value: eventName });
+    if (userId) conditions.push({ property: 'properties.userId', operator: 'equals', value: userId });
+    
+    const result = await runEventQuery({
+      filter: conditions.length > 1 ? { and: conditions } : conditions[0],
+      orderBy,
+      from: req.query.from,
+      to: req.query.to
+    }, req.pagination, res);
+    
+    return res.json({
+      success: true,
+      ...result
+    });
+  }
+  
   // Build query conditions
   const whereClause = {};
   if (eventName) {
@@ -106,27 +486,37 @@ const getEvents = asyncHandler(async (req, res) => {
   
   // Add userId filter if provided - using parameterized query
   if (userId) {
-    whereClause[sequelize.Op.and] = sequelize.where(
+    whereClause[Op.and] = sequelize.where(
       sequelize.json('properties.userId'),
       '=',
       userId
     );
   }
   
-  // Query with pagination
-  const { count, rows } = await Event.findAndCountAll({
+  // Query with page-number or cursor pagination
+  const result = await paginate(Event, {
     where: whereClause,
-    limit,
-    offset,
-    order: [['timestamp', 'DESC']]
+    orderColumn: 'timestamp',
+    pagination: req.pagination
   });
   
   res.json({
     success: true,
-    count,
-    totalPages: Math.ceil(count / limit),
-    currentPage: page,
-    data: rows
+    ...result
+  });
+});
+
+/**
+ * Query events with a JSON filter in the request body
+ * Same DSL as GET /api/events?filter=, for filters too large for a URL
+ * @route POST /api/events/query
+ */
+const queryEvents = asyncHandler(async (req, res) => {
+  const result = await runEventQuery(req.body, req.pagination, res);
+  
+  res.json({
+    success: true,
+    ...result
   });
 });
 
@@ -148,34 +538,135 @@ const getEventById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the delivery attempts made for an event
+ * @route GET /api/events/:id/deliveries
+ */
+const getEventDeliveries = asyncHandler(async (req, res) => {
+  const event = await Event.findByPk(req.params.id, {
+    attributes: ['id']
+  });
+  
+  if (!event) {
+    res.status(404);
+    throw new Error('Event not found');
+  }
+  
+  const result = await deliveryLog.searchAttempts(
+    { eventId: event.id },
+    req.query
+  );
+  
+  res.json(result);
+});
+
+/**
+ * Get the routing progress of an event
+ * Reports whether the event has been routed yet and the state of its deliveries
+ * @route GET /api/events/:id/status
+ */
+const getEventStatus = asyncHandler(async (req, res) => {
+  const event = await Event.findByPk(req.params.id, {
+    attributes: ['id', 'eventName', 'routingStatus', 'routingResults', 'routedAt', 'createdAt']
+  });
+  
+  if (!event) {
+    res.status(404);
+    throw new Error('Event not found');
+  }
+  
+  const jobCounts = await DeliveryJob.count({
+    where: { eventId: event.id },
+    group: ['status']
+  });
+  
+  const deliveries = { total: 0, pending: 0, processing: 0, succeeded: 0, failed: 0 };
+  for (const { status, count } of jobCounts) {
+    deliveries[status] = count;
+    deliveries.total += count;
+  }
+  
+  const routingFinished = ['routed', 'failed'].includes(event.routingStatus);
+  
+  res.json({
+    success: true,
+    data: {
+      eventId: event.id,
+      eventName: event.eventName,
+      routingStatus: event.routingStatus,
+      acceptedAt: event.createdAt,
+      routedAt: event.routedAt,
+      // Complete once routing has run and no delivery is waiting for a retry
+      complete: routingFinished && deliveries.pending === 0 && deliveries.processing === 0,
+      deliveries,
+      results: event.routingResults || []
+    }
+  });
+});
+
+// Event property expressions holding each identifier type, as read by identityGraph.extractFromEvent.
+// The graph stores emails lowercased, so emails are compared lowercased
+const STITCHED_IDENTIFIER_EXPRESSIONS = {
+  userId: ["properties->>'userId'"],
+  anonymousId: ["properties->>'anonymousId'"],
+  email: ["lower(properties->>'email')", "lower(properties#>>'{traits,email}')"],
+  stripeCustomerId: ["properties->>'stripeCustomerId'"]
+};
+
+/**
+ * Build the where clause matching events by any identifier in a cluster
+ * @private
+ * @param {Array<Object>} identities - Resolved identities ({ type, value })
+ * @returns {Object} - Sequelize where clause
+ */
+function buildStitchedWhere(identities) {
+  const conditions = [];
+  
+  for (const [type, expressions] of Object.entries(STITCHED_IDENTIFIER_EXPRESSIONS)) {
+    const values = identities.filter(identity => identity.type === type).map(identity => identity.value);
+    
+    if (values.length > 0) {
+      expressions.forEach(expression => {
+        conditions.push(sequelize.where(sequelize.literal(expression), { [Op.in]: values }));
+      });
+    }
+  }
+  
+  return { [Op.or]: conditions };
+}
+
 /**
  * Get all events for a specific user
+ * Events are stitched across every identifier resolved to the user (anonymous IDs
+ * before login, emails, aliased user IDs) unless ?stitched=false
  * @route GET /api/events/user/:userId
  */
 const getEventsByUserId = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const offset = (page - 1) * limit;
   const userId = req.params.userId;
   
-  // Using parameterized query instead of literal SQL
-  const { count, rows } = await Event.findAndCountAll({
-    where: sequelize.where(
+  const identities = req.query.stitched !== 'false'
+    ? await identityGraph.resolve('userId', userId)
+    : [];
+  
+  // Users missing from the identity graph fall back to an exact userId match
+  const whereClause = identities.length > 0
+    ? buildStitchedWhere(identities)
+    : sequelize.where(
       sequelize.json('properties.userId'),
       '=',
       userId
-    ),
-    limit,
-    offset,
-    order: [['timestamp', 'DESC']]
+    );
+  
+  const result = await paginate(Event, {
+    where: whereClause,
+    orderColumn: 'timestamp',
+    pagination: req.pagination
   });
   
   res.json({
     success: true,
-    count,
-    totalPages: Math.ceil(count / limit),
-    currentPage: page,
-    data: rows
+    identities: identities.map(({ type, value }) => ({ type, value })),
+    ...result
   });
 });
 
@@ -184,9 +675,6 @@ const getEventsByUserId = asyncHandler(async (req, res) => {
  * @route GET /api/events/search
  */
 const searchEvents = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const offset = (page - 1) * limit;
   const { key, value } = req.query;
   
   if (!key || !value) {
@@ -195,28 +683,24 @@ const searchEvents = asyncHandler(async (req, res) => {
   }
   
   // Using parameterized JSONB query instead of literal SQL
-  const { count, rows } = await Event.findAndCountAll({
+  const result = await paginate(Event, {
     where: sequelize.where(
       sequelize.json(`properties.${key}`),
       '=',
       value
     ),
-    limit,
-    offset,
-    order: [['timestamp', 'DESC']]
+    orderColumn: 'timestamp',
+    pagination: req.pagination
   });
   
   res.json({
     success: true,
-    count,
-    totalPages: Math.ceil(count / limit),
-    currentPage: page,
-    data: rows
+    ...result
   });
 });
 
 /**
- * Replay an event through webhook forwarder
+ * Replay an event through the event router
  * @route POST /api/events/:id/forward
  */
 const forwardEvent = asyncHandler(async (req, res) => {
@@ -231,13 +715,10 @@ const forwardEvent = asyncHandler(async (req, res) => {
   const destinationNames = req.body.destinations;
   
   try {
-    // Process the event through webhook forwarder
-    const forwardResults = await webhookForwarder.processEvent(event);
-    
-    // Filter results to requested destinations if specified
-    const results = destinationNames
-      ? forwardResults.filter(r => destinationNames.includes(r.destination))
-      : forwardResults;
+    // Dispatch the event through the router (routes and legacy destinations)
+    const results = await eventRouter.dispatch(event, {
+      destinations: destinationNames
+    });
     
     logger.info(`Manually forwarded event: ${event.eventName}`, {
       eventId: event.id,
@@ -269,8 +750,13 @@ const forwardEvent = asyncHandler(async (req, res) => {
 
 module.exports = {
   logEvent,
+  logEventBatch,
+  streamEvents,
   getEvents,
+  queryEvents,
   getEventById,
+  getEventDeliveries,
+  getEventStatus,
   getEventsByUserId,
   searchEvents,
   forwardEvent
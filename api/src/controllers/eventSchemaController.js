@@ -0,0 +1,260 @@
+const asyncHandler = require('express-async-handler');
+const { Op } = require('sequelize');
+const EventSchema = require('../models/EventSchema');
+const SchemaViolation = require('../models/SchemaViolation');
+const logger = require('../utils/logger');
+const schemaRegistry = require('../services/schemaRegistry');
+const { sequelize } = require('../db/connection');
+
+/**
+ * Build the where clause for violation queries
+ * @private
+ * @param {Object} filters - Query filters
+ * @returns {Object} - Sequelize where clause
+ */
+function buildViolationWhere({ eventName, schemaId, action, from, to }) {
+  const whereClause = {};
+
+  if (eventName) {
+    whereClause.eventName = eventName;
+  }
+
+  if (schemaId) {
+    whereClause.schemaId = schemaId;
+  }
+
+  if (action) {
+    whereClause.action = action;
+  }
+
+  if (from || to) {
+    whereClause.createdAt = {};
+    if (from) whereClause.createdAt[Op.gte] = new Date(from);
+    if (to) whereClause.createdAt[Op.lte] = new Date(to);
+  }
+
+  return whereClause;
+}
+
+/**
+ * Register a new schema version for an event name
+ * @route POST /api/event-schemas
+ */
+const createEventSchema = asyncHandler(async (req, res) => {
+  const { eventName, description, schema } = req.body;
+  const mode = req.body.mode || 'warn';
+  const active = req.body.active !== undefined ? req.body.active : true;
+
+  // Reject schemas Ajv cannot compile before storing them
+  try {
+    schemaRegistry.compile(schema);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Invalid JSON Schema: ${error.message}`);
+  }
+
+  const eventSchema = await sequelize.transaction(async (transaction) => {
+    const latestVersion = await EventSchema.max('version', {
+      where: { eventName },
+      transaction
+    });
+
+    return EventSchema.create({
+      eventName,
+      version: (latestVersion || 0) + 1,
+      description,
+      schema,
+      mode,
+      active
+    }, { transaction });
+  });
+
+  logger.info(`Registered schema for ${eventName} v${eventSchema.version}`, {
+    schemaId: eventSchema.id,
+    mode
+  });
+
+  // Refresh the registry cache
+  await schemaRegistry.refreshSchemas();
+
+  res.status(201).json({
+    success: true,
+    data: eventSchema
+  });
+});
+
+/**
+ * Get registered schemas with pagination and filtering
+ * @route GET /api/event-schemas
+ */
+const getEventSchemas = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const offset = (page - 1) * limit;
+
+  const whereClause = {};
+
+  if (req.query.eventName) {
+    whereClause.eventName = req.query.eventName;
+  }
+
+  if (req.query.active !== undefined) {
+    whereClause.active = req.query.active === 'true';
+  }
+
+  const { count, rows } = await EventSchema.findAndCountAll({
+    where: whereClause,
+    limit,
+    offset,
+    order: [['eventName', 'ASC'], ['version', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page,
+    data: rows
+  });
+});
+
+/**
+ * Get a schema version by ID
+ * @route GET /api/event-schemas/:id
+ */
+const getEventSchemaById = asyncHandler(async (req, res) => {
+  const eventSchema = await EventSchema.findByPk(req.params.id);
+
+  if (!eventSchema) {
+    res.status(404);
+    throw new Error('Event schema not found');
+  }
+
+  res.json({
+    success: true,
+    data: eventSchema
+  });
+});
+
+/**
+ * Update how a schema version is enforced
+ * @route PUT /api/event-schemas/:id
+ */
+const updateEventSchema = asyncHandler(async (req, res) => {
+  const eventSchema = await EventSchema.findByPk(req.params.id);
+
+  if (!eventSchema) {
+    res.status(404);
+    throw new Error('Event schema not found');
+  }
+
+  // Only description, mode and active pass validation
+  await eventSchema.update(req.body);
+
+  logger.info(`Updated schema for ${eventSchema.eventName} v${eventSchema.version}`, {
+    schemaId: eventSchema.id,
+    mode: eventSchema.mode,
+    active: eventSchema.active
+  });
+
+  // Refresh the registry cache
+  await schemaRegistry.refreshSchemas();
+
+  res.json({
+    success: true,
+    data: eventSchema
+  });
+});
+
+/**
+ * Delete a schema version
+ * @route DELETE /api/event-schemas/:id
+ */
+const deleteEventSchema = asyncHandler(async (req, res) => {
+  const eventSchema = await EventSchema.findByPk(req.params.id);
+
+  if (!eventSchema) {
+    res.status(404);
+    throw new Error('Event schema not found');
+  }
+
+  await eventSchema.destroy();
+
+  logger.info(`Deleted schema for ${eventSchema.eventName} v${eventSchema.version}`, {
+    schemaId: eventSchema.id
+  });
+
+  // Refresh the registry cache
+  await schemaRegistry.refreshSchemas();
+
+  res.json({
+    success: true,
+    message: 'Event schema deleted successfully'
+  });
+});
+
+/**
+ * Get recorded schema violations with pagination and filtering
+ * @route GET /api/event-schemas/violations
+ */
+const getSchemaViolations = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const offset = (page - 1) * limit;
+
+  const { count, rows } = await SchemaViolation.findAndCountAll({
+    where: buildViolationWhere(req.query),
+    limit,
+    offset,
+    order: [['createdAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page,
+    data: rows
+  });
+});
+
+/**
+ * Get violation counts grouped by event name, schema version and action
+ * @route GET /api/event-schemas/violations/stats
+ */
+const getSchemaViolationStats = asyncHandler(async (req, res) => {
+  const rows = await SchemaViolation.findAll({
+    attributes: [
+      'eventName',
+      'schemaVersion',
+      'action',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+      [sequelize.fn('MAX', sequelize.col('createdAt')), 'lastViolationAt']
+    ],
+    where: buildViolationWhere(req.query),
+    group: ['eventName', 'schemaVersion', 'action'],
+    order: [['eventName', 'ASC'], ['schemaVersion', 'DESC']],
+    raw: true
+  });
+
+  const data = rows.map(row => ({
+    ...row,
+    count: parseInt(row.count, 10)
+  }));
+
+  res.json({
+    success: true,
+    total: data.reduce((sum, row) => sum + row.count, 0),
+    data
+  });
+});
+
+module.exports = {
+  createEventSchema,
+  getEventSchemas,
+  getEventSchemaById,
+  updateEventSchema,
+  deleteEventSchema,
+  getSchemaViolations,
+  getSchemaViolationStats
+};
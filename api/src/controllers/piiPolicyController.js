@@ -0,0 +1,205 @@
+const asyncHandler = require('express-async-handler');
+const { Op } = require('sequelize');
+const PiiPolicy = require('../models/PiiPolicy');
+const Destination = require('../models/Destination');
+const piiPolicies = require('../services/piiPolicies');
+const logger = require('../utils/logger');
+
+/**
+ * Reject a policy that cannot be applied
+ * Names are unique, custom patterns must compile and destinations must exist
+ * @private
+ * @param {Object} data - Policy fields
+ * @param {Object} res - Express response (status is set to 400 on a problem)
+ * @param {string} [excludeId] - ID of the policy being updated
+ */
+async function checkPolicy(data, res, excludeId) {
+  const sameName = await PiiPolicy.findOne({
+    where: {
+      ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}),
+      name: data.name
+    }
+  });
+
+  if (sameName) {
+    res.status(400);
+    throw new Error(`PII policy with name "${data.name}" already exists`);
+  }
+
+  try {
+    piiPolicies.compile(data);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Invalid PII policy: ${error.message}`);
+  }
+
+  if (data.destinationIds) {
+    const found = await Destination.count({ where: { id: data.destinationIds } });
+
+    if (found !== data.destinationIds.length) {
+      res.status(400);
+      throw new Error('One or more destinationIds do not exist');
+    }
+  }
+}
+
+/**
+ * Create a PII policy
+ * @route POST /api/privacy/policies
+ */
+const createPolicy = asyncHandler(async (req, res) => {
+  await checkPolicy(req.body, res);
+
+  const policy = await PiiPolicy.create({
+    ...req.body,
+    destinationIds: req.body.destinationIds || null
+  });
+
+  logger.info(`Created PII policy: ${policy.name}`, {
+    policyId: policy.id,
+    scope: policy.scope
+  });
+
+  // Refresh the policy cache
+  await piiPolicies.refreshPolicies();
+
+  res.status(201).json({
+    success: true,
+    data: policy
+  });
+});
+
+/**
+ * Get all PII policies
+ * @route GET /api/privacy/policies
+ */
+const getPolicies = asyncHandler(async (req, res) => {
+  const whereClause = {};
+
+  if (req.query.scope) {
+    whereClause.scope = req.query.scope;
+  }
+
+  if (req.query.enabled !== undefined) {
+    whereClause.enabled = req.query.enabled === 'true';
+  }
+
+  const policies = await PiiPolicy.findAll({
+    where: whereClause,
+    order: [['scope', 'ASC'], ['priority', 'ASC'], ['name', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    count: policies.length,
+    data: policies
+  });
+});
+
+/**
+ * Get a PII policy by ID
+ * @route GET /api/privacy/policies/:id
+ */
+const getPolicyById = asyncHandler(async (req, res) => {
+  const policy = await PiiPolicy.findByPk(req.params.id);
+
+  if (!policy) {
+    res.status(404);
+    throw new Error('PII policy not found');
+  }
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+/**
+ * Update a PII policy
+ * @route PUT /api/privacy/policies/:id
+ */
+const updatePolicy = asyncHandler(async (req, res) => {
+  const policy = await PiiPolicy.findByPk(req.params.id);
+
+  if (!policy) {
+    res.status(404);
+    throw new Error('PII policy not found');
+  }
+
+  await checkPolicy(req.body, res, policy.id);
+
+  await policy.update({
+    ...req.body,
+    destinationIds: req.body.destinationIds || null
+  });
+
+  logger.info(`Updated PII policy: ${policy.name}`, {
+    policyId: policy.id
+  });
+
+  // Refresh the policy cache
+  await piiPolicies.refreshPolicies();
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+/**
+ * Delete a PII policy
+ * @route DELETE /api/privacy/policies/:id
+ */
+const deletePolicy = asyncHandler(async (req, res) => {
+  const policy = await PiiPolicy.findByPk(req.params.id);
+
+  if (!policy) {
+    res.status(404);
+    throw new Error('PII policy not found');
+  }
+
+  await policy.destroy();
+
+  logger.info(`Deleted PII policy: ${policy.name}`, {
+    policyId: policy.id
+  });
+
+  // Refresh the policy cache
+  await piiPolicies.refreshPolicies();
+
+  res.json({
+    success: true,
+    message: 'PII policy deleted successfully'
+  });
+});
+
+/**
+ * Show what the enabled policies do to sample properties: the stored version
+ * and the version forwarded to a destination, which is the stored version with
+ * the forwarding policies on top (without a destination, only the forwarding
+ * policies that apply to every destination are used)
+ * @route POST /api/privacy/policies/preview
+ */
+const previewPolicies = asyncHandler(async (req, res) => {
+  const { properties, destinationId } = req.body;
+
+  const stored = piiPolicies.applyStorage(properties);
+  const forwarded = piiPolicies.applyForwarding({ properties: stored }, destinationId ? { id: destinationId } : null);
+
+  res.json({
+    success: true,
+    data: {
+      stored,
+      forwarded: forwarded.properties
+    }
+  });
+});
+
+module.exports = {
+  createPolicy,
+  getPolicies,
+  getPolicyById,
+  updatePolicy,
+  deletePolicy,
+  previewPolicies
+};
@@ -0,0 +1,166 @@
+const asyncHandler = require('express-async-handler');
+const crypto = require('crypto');
+const fs = require('fs');
+const PrivacyRequest = require('../models/PrivacyRequest');
+const PrivacyAuditLog = require('../models/PrivacyAuditLog');
+const Destination = require('../models/Destination');
+const privacy = require('../services/privacy');
+const logger = require('../utils/logger');
+
+/**
+ * Identify the caller in the audit trail without storing the API key
+ * @private
+ * @param {Object} req - Express request
+ * @returns {string} - Actor
+ */
+function actorOf(req) {
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(req.apiKey || '')
+    .digest('hex')
+    .slice(0, 12);
+
+  return `api-key:${fingerprint}`;
+}
+
+/**
+ * Create a data subject export or erasure request
+ * The request is processed in the background; poll it for its status
+ * @route POST /api/privacy/requests
+ */
+const createRequest = asyncHandler(async (req, res) => {
+  const { type, userId, email, anonymousId, destinationIds } = req.body;
+
+  if (destinationIds) {
+    const found = await Destination.findAll({ where: { id: destinationIds } });
+
+    if (found.length !== destinationIds.length) {
+      res.status(400);
+      throw new Error('One or more destinationIds do not exist');
+    }
+
+    // Deletion webhooks carry (hashed) identifiers, so they only go to destinations that opted in
+    const notOptedIn = found.filter(destination => !(destination.config && destination.config.privacyWebhooks === true));
+    if (notOptedIn.length > 0) {
+      res.status(400);
+      throw new Error(`Destinations must set config.privacyWebhooks to receive deletion webhooks: ${notOptedIn.map(destination => destination.name).join(', ')}`);
+    }
+  }
+
+  const request = await PrivacyRequest.create({
+    type,
+    subject: { userId, email, anonymousId },
+    includeLinked: req.body.includeLinked !== false,
+    erasureMode: type === 'erasure' ? req.body.erasureMode || 'delete' : null,
+    propagate: type === 'erasure' && req.body.propagate === true,
+    destinationIds: destinationIds || null,
+    requestedBy: req.body.requestedBy || null,
+    reason: req.body.reason || null
+  });
+
+  await privacy.audit(request.id, 'created', actorOf(req), {
+    type,
+    erasureMode: request.erasureMode,
+    propagate: request.propagate,
+    requestedBy: request.requestedBy
+  });
+
+  logger.info(`Created privacy ${type} request ${request.id}`, {
+    requestedBy: request.requestedBy
+  });
+
+  res.status(202).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * Get privacy requests with pagination and filtering
+ * @route GET /api/privacy/requests
+ */
+const getRequests = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const offset = (page - 1) * limit;
+
+  const whereClause = {};
+
+  if (req.query.type) {
+    whereClause.type = req.query.type;
+  }
+
+  if (req.query.status) {
+    whereClause.status = req.query.status;
+  }
+
+  const { count, rows } = await PrivacyRequest.findAndCountAll({
+    where: whereClause,
+    limit,
+    offset,
+    order: [['createdAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page,
+    data: rows
+  });
+});
+
+/**
+ * Get a privacy request with its audit trail
+ * @route GET /api/privacy/requests/:id
+ */
+const getRequestById = asyncHandler(async (req, res) => {
+  const request = await PrivacyRequest.findByPk(req.params.id, {
+    include: [{ model: PrivacyAuditLog, as: 'auditLogs' }],
+    order: [[{ model: PrivacyAuditLog, as: 'auditLogs' }, 'createdAt', 'ASC']]
+  });
+
+  if (!request) {
+    res.status(404);
+    throw new Error('Privacy request not found');
+  }
+
+  res.json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * Download the JSON bundle of a completed export request
+ * @route GET /api/privacy/requests/:id/download
+ */
+const downloadBundle = asyncHandler(async (req, res) => {
+  const request = await PrivacyRequest.findByPk(req.params.id);
+
+  if (!request || request.type !== 'export') {
+    res.status(404);
+    throw new Error('Privacy export request not found');
+  }
+
+  if (request.status !== 'completed') {
+    res.status(409);
+    throw new Error(`Privacy export request is ${request.status}`);
+  }
+
+  if (!request.bundlePath || !fs.existsSync(request.bundlePath)) {
+    res.status(410);
+    throw new Error('Export bundle has expired');
+  }
+
+  await privacy.audit(request.id, 'downloaded', actorOf(req), { ip: req.ip });
+
+  res.download(request.bundlePath, `privacy-export-${request.id}.json`);
+});
+
+module.exports = {
+  createRequest,
+  getRequests,
+  getRequestById,
+  downloadBundle
+};
@@ -0,0 +1,183 @@
+const asyncHandler = require('express-async-handler');
+const { Op } = require('sequelize');
+const RetentionPolicy = require('../models/RetentionPolicy');
+const retention = require('../services/retention');
+const logger = require('../utils/logger');
+
+/**
+ * Reject a policy that clashes with an existing one
+ * Names are unique, and a table can only have one policy per pattern (and one catch-all)
+ * @private
+ * @param {Object} data - Policy fields
+ * @param {Object} res - Express response (status is set to 400 on a clash)
+ * @param {string} [excludeId] - ID of the policy being updated
+ */
+async function checkConflicts(data, res, excludeId) {
+  const others = excludeId ? { id: { [Op.ne]: excludeId } } : {};
+
+  const sameName = await RetentionPolicy.findOne({
+    where: { ...others, name: data.name }
+  });
+
+  if (sameName) {
+    res.status(400);
+    throw new Error(`Retention policy with name "${data.name}" already exists`);
+  }
+
+  const samePattern = await RetentionPolicy.findOne({
+    where: { ...others, targetTable: data.targetTable, pattern: data.pattern || null }
+  });
+
+  if (samePattern) {
+    res.status(400);
+    throw new Error(data.pattern
+      ? `Retention policy "${samePattern.name}" already covers pattern "${data.pattern}" on ${data.targetTable}`
+      : `Retention policy "${samePattern.name}" is already the catch-all policy for ${data.targetTable}`);
+  }
+}
+
+/**
+ * Create a retention policy
+ * @route POST /api/retention/policies
+ */
+const createPolicy = asyncHandler(async (req, res) => {
+  await checkConflicts(req.body, res);
+
+  const policy = await RetentionPolicy.create({
+    ...req.body,
+    pattern: req.body.pattern || null
+  });
+
+  logger.info(`Created retention policy: ${policy.name}`, {
+    policyId: policy.id,
+    targetTable: policy.targetTable,
+    retentionDays: policy.retentionDays
+  });
+
+  res.status(201).json({
+    success: true,
+    data: policy
+  });
+});
+
+/**
+ * Get all retention policies
+ * @route GET /api/retention/policies
+ */
+const getPolicies = asyncHandler(async (req, res) => {
+  const whereClause = {};
+
+  if (req.query.targetTable) {
+    whereClause.targetTable = req.query.targetTable;
+  }
+
+  if (req.query.enabled !== undefined) {
+    whereClause.enabled = req.query.enabled === 'true';
+  }
+
+  const policies = await RetentionPolicy.findAll({
+    where: whereClause,
+    order: [['targetTable', 'ASC'], ['name', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    count: policies.length,
+    data: policies
+  });
+});
+
+/**
+ * Get a retention policy by ID
+ * @route GET /api/retention/policies/:id
+ */
+const getPolicyById = asyncHandler(async (req, res) => {
+  const policy = await RetentionPolicy.findByPk(req.params.id);
+
+  if (!policy) {
+    res.status(404);
+    throw new Error('Retention policy not found');
+  }
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+/**
+ * Update a retention policy
+ * @route PUT /api/retention/policies/:id
+ */
+const updatePolicy = asyncHandler(async (req, res) => {
+  const policy = await RetentionPolicy.findByPk(req.params.id);
+
+  if (!policy) {
+    res.status(404);
+    throw new Error('Retention policy not found');
+  }
+
+  await checkConflicts(req.body, res, policy.id);
+
+  await policy.update({
+    ...req.body,
+    pattern: req.body.pattern || null
+  });
+
+  logger.info(`Updated retention policy: ${policy.name}`, {
+    policyId: policy.id
+  });
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+/**
+ * Delete a retention policy
+ * @route DELETE /api/retention/policies/:id
+ */
+const deletePolicy = asyncHandler(async (req, res) => {
+  const policy = await RetentionPolicy.findByPk(req.params.id);
+
+  if (!policy) {
+    res.status(404);
+    throw new Error('Retention policy not found');
+  }
+
+  await policy.destroy();
+
+  logger.info(`Deleted retention policy: ${policy.name}`, {
+    policyId: policy.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Retention policy deleted successfully'
+  });
+});
+
+/**
+ * Report what the enabled policies would purge now (dry run - nothing is deleted)
+ * @route GET /api/retention/report
+ */
+const getRetentionReport = asyncHandler(async (req, res) => {
+  const report = await retention.report();
+
+  res.json({
+    success: true,
+    generatedAt: new Date(),
+    totalRows: report.reduce((sum, entry) => sum + entry.rowCount, 0),
+    data: report
+  });
+});
+
+module.exports = {
+  createPolicy,
+  getPolicies,
+  getPolicyById,
+  updatePolicy,
+  deletePolicy,
+  getRetentionReport
+};
@@ -0,0 +1,261 @@
+const asyncHandler = require('express-async-handler');
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../services/redis');
+const eventIngestion = require('../services/eventIngestion');
+const { segmentSchemas } = require('../middleware/segmentValidation');
+
+// Event names stored for call types other than track
+const CALL_EVENT_NAMES = {
+  identify: 'identify',
+  page: 'page',
+  screen: 'screen',
+  group: 'group',
+  alias: 'alias'
+};
+
+/**
+ * Work out when a Segment message happened
+ * Follows Segment's rules: an explicit timestamp wins; otherwise the client's
+ * originalTimestamp is corrected for clock skew using sentAt
+ * @private
+ * @param {Object} message - Segment message
+ * @param {Date} receivedAt - When the request arrived
+ * @returns {Date} - Event time
+ */
+function resolveTimestamp(message, receivedAt) {
+  if (message.timestamp) {
+    return new Date(message.timestamp);
+  }
+
+  if (message.originalTimestamp && message.sentAt) {
+    const skew = new Date(message.sentAt).getTime() - new Date(message.originalTimestamp).getTime();
+    return new Date(receivedAt.getTime() - skew);
+  }
+
+  if (message.originalTimestamp) {
+    return new Date(message.originalTimestamp);
+  }
+
+  return receivedAt;
+}
+
+/**
+ * Map a Segment message to an event
+ * Identity fields are stored alongside the call's own data so existing
+ * userId lookups and route conditions work on Segment events too
+ * @private
+ * @param {string} type - Call type
+ * @param {Object} message - Validated Segment message
+ * @param {Object} req - Express request
+ * @param {Date} receivedAt - When the request arrived
+ * @returns {Object} - Event ({ eventName, timestamp, properties, messageId, callType })
+ */
+function toEvent(type, message, req, receivedAt) {
+  const context = { ...(message.context || {}) };
+
+  // Segment records the client IP when the library does not send one
+  if (!context.ip) {
+    context.ip = req.ip;
+  }
+
+  const identity = {
+    userId: message.userId !== undefined ? String(message.userId) : undefined,
+    anonymousId: message.anonymousId !== undefined ? String(message.anonymousId) : undefined
+  };
+
+  let properties;
+
+  switch (type) {
+    case 'track':
+      properties = { ...(message.properties || {}), ...identity };
+      break;
+
+    case 'page':
+    case 'screen':
+      properties = {
+        ...(message.properties || {}),
+        name: message.name,
+        category: message.category,
+        ...identity
+      };
+      break;
+
+    case 'identify':
+      properties = { traits: message.traits || {}, ...identity };
+      break;
+
+    case 'group':
+      properties = { groupId: String(message.groupId), traits: message.traits || {}, ...identity };
+      break;
+
+    case 'alias':
+      properties = { previousId: String(message.previousId), ...identity };
+      break;
+  }
+
+  properties.context = context;
+  if (message.integrations) {
+    properties.integrations = message.integrations;
+  }
+
+  // Drop identity fields the message did not carry
+  Object.keys(properties).forEach(key => properties[key] === undefined && delete properties[key]);
+
+  return {
+    eventName: type === 'track' ? message.event : CALL_EVENT_NAMES[type],
+    timestamp: resolveTimestamp(message, receivedAt).toISOString(),
+    properties,
+    messageId: message.messageId || null,
+    callType: type
+  };
+}
+
+/**
+ * Invalidate cached event listings after new events are stored
+ * Never throws - the events are already stored, so the call must not fail
+ * (Segment libraries retry on errors)
+ * @private
+ * @returns {Promise<void>}
+ */
+async function invalidateEventCache() {
+  try {
+    const redisClient = getRedisClient();
+    if (redisClient?.isOpen) {
+      await redisClient.del('api:/api/events');
+    }
+  } catch (error) {
+    logger.error(`Error invalidating event cache: ${error.message}`);
+  }
+}
+
+/**
+ * Create the handler for a single Segment call type
+ * @param {string} type - Call type (track, identify, page, screen, group, alias)
+ * @returns {Function} - Express handler
+ * @route POST /api/v1/{type}
+ */
+const handleCall = (type) => asyncHandler(async (req, res) => {
+  const event = toEvent(type, req.body, req, new Date());
+
+  const schemaErrors = await eventIngestion.checkBlockingSchema(event);
+  if (schemaErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Event does not match schema for "${event.eventName}"`,
+      errors: schemaErrors
+    });
+  }
+
+  try {
+    await eventIngestion.ingest([event], { async: req.ingestionMode === 'async' });
+  } catch (error) {
+    logger.error(`Error logging Segment ${type} call: ${error.message}`, { error });
+    return res.status(500).json({
+      success: false,
+      message: `Error logging ${type} call`,
+      error: error.message
+    });
+  }
+
+  await invalidateEventCache();
+
+  res.json({ success: true });
+});
+
+/**
+ * Handle a Segment batch call
+ * Messages are validated individually; valid ones are stored and routed together
+ * @route POST /api/v1/batch
+ */
+const handleBatch = asyncHandler(async (req, res) => {
+  const { batch, context, integrations } = req.body;
+  const receivedAt = new Date();
+
+  const accepted = [];
+  const errors = [];
+
+  for (const [index, rawMessage] of batch.entries()) {
+    // Batch-level context and integrations apply to every message
+    const message = {
+      ...rawMessage,
+      context: { ...(context || {}), ...(rawMessage.context || {}) },
+      integrations: rawMessage.integrations || integrations,
+      sentAt: rawMessage.sentAt || req.body.sentAt
+    };
+
+    const schema = segmentSchemas[message.type];
+    if (!schema) {
+      errors.push({ index, errors: [{ message: `Unsupported call type "${message.type}"`, path: 'type' }] });
+      continue;
+    }
+
+    const { error } = schema.validate(message, { abortEarly: false });
+    if (error) {
+      errors.push({
+        index,
+        errors: error.details.map(detail => ({ message: detail.message, path: detail.path.join('.') }))
+      });
+      continue;
+    }
+
+    const event = toEvent(message.type, message, req, receivedAt);
+    const schemaErrors = await eventIngestion.checkBlockingSchema(event);
+    if (schemaErrors.length > 0) {
+      errors.push({ index, errors: schemaErrors });
+      continue;
+    }
+
+    accepted.push(event);
+  }
+
+  if (accepted.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No valid messages in batch',
+      acceptedCount: 0,
+      rejectedCount: errors.length,
+      errors
+    });
+  }
+
+  let ingested;
+  try {
+    ingested = await eventIngestion.ingest(accepted, { async: req.ingestionMode === 'async' });
+  } catch (error) {
+    logger.error(`Error logging Segment batch: ${error.message}`, { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Error logging batch',
+      error: error.message
+    });
+  }
+
+  // Messages whose messageId was already ingested are acknowledged but not stored again
+  const duplicateCount = ingested.filter(result => result.status === 'duplicate').length;
+
+  logger.info(`Logged ${accepted.length - duplicateCount} Segment messages in batch`, {
+    duplicateCount,
+    rejectedCount: errors.length,
+    ingestionMode: req.ingestionMode
+  });
+
+  await invalidateEventCache();
+
+  res.json({
+    success: true,
+    acceptedCount: accepted.length - duplicateCount,
+    duplicateCount,
+    rejectedCount: errors.length,
+    errors
+  });
+});
+
+module.exports = {
+  track: handleCall('track'),
+  identify: handleCall('identify'),
+  page: handleCall('page'),
+  screen: handleCall('screen'),
+  group: handleCall('group'),
+  alias: handleCall('alias'),
+  batch: handleBatch
+};
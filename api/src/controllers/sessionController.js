@@ -0,0 +1,120 @@
+const asyncHandler = require('express-async-handler');
+const { Op } = require('sequelize');
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+
+/**
+ * Get sessions with pagination and filtering
+ * @route GET /api/sessions
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const offset = (page - 1) * limit;
+
+  const whereClause = {};
+
+  if (req.query.userId) {
+    whereClause.userId = req.query.userId;
+  }
+
+  if (req.query.anonymousId) {
+    whereClause.anonymousId = req.query.anonymousId;
+  }
+
+  if (req.query.status) {
+    whereClause.status = req.query.status;
+  }
+
+  if (req.query.entryEventName) {
+    whereClause.entryEventName = req.query.entryEventName;
+  }
+
+  if (req.query.from || req.query.to) {
+    whereClause.startedAt = {};
+    if (req.query.from) whereClause.startedAt[Op.gte] = new Date(req.query.from);
+    if (req.query.to) whereClause.startedAt[Op.lte] = new Date(req.query.to);
+  }
+
+  if (req.query.minDuration) {
+    whereClause.durationSeconds = { [Op.gte]: parseInt(req.query.minDuration, 10) };
+  }
+
+  const { count, rows } = await Session.findAndCountAll({
+    where: whereClause,
+    limit,
+    offset,
+    order: [['startedAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page,
+    data: rows
+  });
+});
+
+/**
+ * Get a session by ID
+ * @route GET /api/sessions/:id
+ */
+const getSessionById = asyncHandler(async (req, res) => {
+  const session = await Session.findByPk(req.params.id);
+
+  if (!session) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  res.json({
+    success: true,
+    data: session
+  });
+});
+
+/**
+ * Get the events of a session in the order they happened
+ * @route GET /api/sessions/:id/events
+ */
+const getSessionEvents = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const offset = (page - 1) * limit;
+
+  const session = await Session.findByPk(req.params.id);
+
+  if (!session) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  const whereClause = { sessionId: session.id };
+
+  // Synthetic session.started/session.ended events are left out unless requested
+  if (req.query.includeSessionEvents !== 'true') {
+    whereClause.callType = { [Op.or]: [{ [Op.ne]: 'session' }, { [Op.is]: null }] };
+  }
+
+  const { count, rows } = await Event.findAndCountAll({
+    where: whereClause,
+    limit,
+    offset,
+    order: [['timestamp', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page,
+    data: rows
+  });
+});
+
+module.exports = {
+  getSessions,
+  getSessionById,
+  getSessionEvents
+};
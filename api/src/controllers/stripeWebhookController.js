@@ -2,6 +2,7 @@ const asyncHandler = require('express-async-handler');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const StripeEvent = require('../models/StripeEvent');
 const logger = require('../utils/logger');
+const identityGraph = require('../services/identityGraph');
 const { sequelize } = require('../db/connection');
 
 /**
@@ -113,6 +114,9 @@ const handleStripeWebhook = asyncHandler(async (req, res) => {
       // Commit the transaction
       await transaction.commit();
       
+      // Link the Stripe customer to known users by email and metadata
+      await identityGraph.recordStripeEvent(event);
+      
       // Log success or processing error
       if (processingError) {
         logger.warn(`Stripe event ${event.id} stored but had processing errors`);
@@ -0,0 +1,135 @@
+const asyncHandler = require('express-async-handler');
+const { Op } = require('sequelize');
+const UserProfile = require('../models/UserProfile');
+const userProfiles = require('../services/userProfiles');
+const identityGraph = require('../services/identityGraph');
+const { sequelize } = require('../db/connection');
+
+// Trait names accepted in trait filters
+const TRAIT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Format a profile for responses
+ * @private
+ * @param {Object} profile - UserProfile instance
+ * @returns {Object} - Profile data
+ */
+function formatProfile(profile) {
+  return {
+    userId: profile.userId,
+    traits: profile.traits,
+    firstSeen: profile.firstSeen,
+    lastSeen: profile.lastSeen,
+    eventCount: Number(profile.eventCount),
+    lastEventName: profile.lastEventName
+  };
+}
+
+/**
+ * Search user profiles with pagination
+ * Supports ?search= (user ID or email), ?traits[name]=value and ?seenAfter/?seenBefore
+ * @route GET /api/users
+ */
+const getUserProfiles = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const offset = (page - 1) * limit;
+
+  const conditions = [];
+
+  if (req.query.search) {
+    conditions.push({
+      [Op.or]: [
+        { userId: { [Op.iLike]: `%${req.query.search}%` } },
+        sequelize.where(sequelize.json('traits.email'), { [Op.iLike]: `%${req.query.search}%` })
+      ]
+    });
+  }
+
+  // Trait values are compared as text, so ?traits[plan]=pro and ?traits[age]=42 both work
+  if (req.query.traits && typeof req.query.traits === 'object') {
+    for (const [trait, value] of Object.entries(req.query.traits)) {
+      if (!TRAIT_NAME_PATTERN.test(trait) || typeof value !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid trait filter "${trait}"`
+        });
+      }
+
+      conditions.push(sequelize.where(sequelize.json(`traits.${trait}`), value));
+    }
+  }
+
+  if (req.query.seenAfter || req.query.seenBefore) {
+    const lastSeen = {};
+    if (req.query.seenAfter) lastSeen[Op.gte] = new Date(req.query.seenAfter);
+    if (req.query.seenBefore) lastSeen[Op.lte] = new Date(req.query.seenBefore);
+    conditions.push({ lastSeen });
+  }
+
+  const { count, rows } = await UserProfile.findAndCountAll({
+    where: { [Op.and]: conditions },
+    limit,
+    offset,
+    order: [['lastSeen', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page,
+    data: rows.map(formatProfile)
+  });
+});
+
+/**
+ * Get a user's profile
+ * @route GET /api/users/:userId
+ */
+const getUserProfile = asyncHandler(async (req, res) => {
+  const profile = await userProfiles.getProfile(req.params.userId);
+
+  if (!profile) {
+    res.status(404);
+    throw new Error('User profile not found');
+  }
+
+  res.json({
+    success: true,
+    data: formatProfile(profile)
+  });
+});
+
+/**
+ * Get the identifiers resolved to a user by the identity graph
+ * @route GET /api/users/:userId/identities
+ */
+const getUserIdentities = asyncHandler(async (req, res) => {
+  const identities = await identityGraph.resolve('userId', req.params.userId);
+
+  if (identities.length === 0) {
+    res.status(404);
+    throw new Error('User not found in identity graph');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      clusterId: identities[0].clusterId,
+      identities: identities.map(identity => ({
+        type: identity.type,
+        value: identity.value,
+        source: identity.source,
+        firstSeen: identity.firstSeen,
+        lastSeen: identity.lastSeen
+      }))
+    }
+  });
+});
+
+module.exports = {
+  getUserProfiles,
+  getUserProfile,
+  getUserIdentities
+};
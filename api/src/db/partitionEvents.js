@@ -0,0 +1,33 @@
+require('dotenv').config();
+const logger = require('../utils/logger');
+const { sequelize } = require('./connection');
+const eventPartitions = require('../services/eventPartitions');
+
+/**
+ * Migrate the events table to monthly range partitions
+ * Usage: node src/db/partitionEvents.js
+ * Safe to run while the API is up, and to re-run after an interruption
+ */
+async function run() {
+  try {
+    await sequelize.authenticate();
+
+    const result = await eventPartitions.migrate();
+    logger.info('Events partitioning migration finished', result);
+
+    await sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Events partitioning migration failed:', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = run;
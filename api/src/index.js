@@ -12,6 +12,15 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { defaultRateLimiter } = require('./middleware/rateLimit');
 const eventRouter = require('./services/eventRouter');
 const webhookForwarder = require('./services/webhookForwarder');
+const deliveryQueue = require('./services/deliveryQueue');
+const ingestionWorker = require('./services/ingestionWorker');
+const schemaRegistry = require('./services/schemaRegistry');
+const piiPolicies = require('./services/piiPolicies');
+const eventCatalog = require('./services/eventCatalog');
+const sessionizer = require('./services/sessionizer');
+const retention = require('./services/retention');
+const eventPartitions = require('./services/eventPartitions');
+const privacy = require('./services/privacy');
 const { loadDestinationsFromDatabase } = require('./controllers/destinationController');
 // Load transformerService to ensure it's initialized first
 const transformerService = require('./services/transformerService');
@@ -33,6 +42,9 @@ app.use((req, res, next) => {
   // This preserves the raw body for signature verification
   if (req.originalUrl === '/api/integrations/stripe/webhook') {
     next();
+  } else if (req.path === '/api/events/stream') {
+    // Streamed NDJSON is read incrementally by the controller, without a size limit
+    next();
   } else {
     express.json({ limit: '10mb' })(req, res, next);
   }
@@ -111,6 +123,44 @@ async function startServer() {
       // Continue starting the server even if Event Router fails
     }
     
+    // 4. Load the event schema registry (validates properties at ingestion)
+    try {
+      await schemaRegistry.initialize();
+    } catch (error) {
+      logger.error('Failed to initialize Schema Registry:', error);
+      // Continue starting the server; events are accepted without schema checks
+    }
+    
+    // 5. Load the PII policies (redact personal data before storage and forwarding)
+    try {
+      await piiPolicies.initialize();
+    } catch (error) {
+      logger.error('Failed to initialize PII policies:', error);
+      // Continue starting the server; events are stored and forwarded unredacted
+    }
+    
+    // 6. Start the delivery queue worker (retries pending deliveries, including
+    // any left over from before a restart)
+    deliveryQueue.start();
+    
+    // 7. Start the ingestion worker (routes events accepted in async mode)
+    ingestionWorker.start();
+    
+    // 8. Start flushing property catalog observations
+    eventCatalog.start();
+    
+    // 9. Start ending inactive sessions (emits session.ended events)
+    sessionizer.start();
+    
+    // 10. Start purging rows past their retention policies
+    retention.start();
+    
+    // 11. Start maintaining monthly events partitions (when EVENT_PARTITIONING is on)
+    eventPartitions.start();
+    
+    // 12. Start processing data subject export and erasure requests
+    privacy.start();
+    
     // Start listening
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -128,6 +178,55 @@ process.on('SIGINT', gracefulShutdown);
 async function gracefulShutdown() {
   logger.info('Received shutdown signal, closing connections gracefully...');
   
+  // Let in-flight routing finish; queued events stay in the database
+  try {
+    await ingestionWorker.stop();
+  } catch (error) {
+    logger.error('Error stopping ingestion worker:', error);
+  }
+  
+  // Let an in-flight session sweep finish; active sessions are ended after restart
+  try {
+    await sessionizer.stop();
+  } catch (error) {
+    logger.error('Error stopping sessionizer:', error);
+  }
+  
+  // Let an in-flight purge batch finish (it commits or rolls back with its archive)
+  try {
+    await retention.stop();
+  } catch (error) {
+    logger.error('Error stopping retention purge job:', error);
+  }
+  
+  // Let in-flight partition maintenance finish (each partition is created in its own transaction)
+  try {
+    await eventPartitions.stop();
+  } catch (error) {
+    logger.error('Error stopping event partition maintenance:', error);
+  }
+  
+  // Let an in-flight privacy request batch finish; the request resumes after restart
+  try {
+    await privacy.stop();
+  } catch (error) {
+    logger.error('Error stopping privacy request worker:', error);
+  }
+  
+  // Let in-flight deliveries finish; unfinished jobs stay queued in the database
+  try {
+    await deliveryQueue.stop();
+  } catch (error) {
+    logger.error('Error stopping delivery queue:', error);
+  }
+  
+  // Write any catalog observations not yet flushed
+  try {
+    await eventCatalog.stop();
+  } catch (error) {
+    logger.error('Error stopping event catalog:', error);
+  }
+  
   // Close server and connections (implement actual cleanup as needed)
   process.exit(0);
 }
@@ -0,0 +1,40 @@
+const Joi = require('joi');
+
+// Dates are ISO strings or epoch milliseconds, as in event queries
+const dateSchema = Joi.alternatives().try(Joi.string(), Joi.number());
+
+// Funnel query schema (filters are checked when the query is compiled)
+const funnelSchema = Joi.object({
+  steps: Joi.array().items(Joi.object({
+    eventName: Joi.string().required(),
+    filter: Joi.object()
+  })).min(2).max(10).required(),
+  conversionWindowSeconds: Joi.number().integer().min(1).max(365 * 24 * 60 * 60),
+  filter: Joi.object(),
+  groupBy: Joi.string(),
+  groupLimit: Joi.number().integer().min(1).max(100),
+  from: dateSchema,
+  to: dateSchema
+});
+
+// Event that starts or continues a retention cohort
+const retentionEventSchema = Joi.object({
+  eventName: Joi.string().required(),
+  filter: Joi.object()
+});
+
+// Retention query schema
+const retentionSchema = Joi.object({
+  startEvent: retentionEventSchema.required(),
+  returnEvent: retentionEventSchema.required(),
+  filter: Joi.object(),
+  granularity: Joi.string().valid('day', 'week', 'month'),
+  periods: Joi.number().integer().min(1).max(90),
+  from: dateSchema,
+  to: dateSchema
+});
+
+module.exports = {
+  funnelSchema,
+  retentionSchema
+};
@@ -1,5 +1,23 @@
 const logger = require('../utils/logger');
 
+/**
+ * Get the list of accepted API keys
+ * API_KEY holds the primary key; API_KEYS may add more as a comma-separated list
+ * @returns {Array<string>} - Accepted API keys
+ */
+const getAcceptedApiKeys = () => {
+  const keys = (process.env.API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+  
+  if (process.env.API_KEY) {
+    keys.push(process.env.API_KEY);
+  }
+  
+  return keys;
+};
+
 /**
  * Simple API key authentication middleware
  */
@@ -7,7 +25,7 @@ const apiKeyAuth = (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
   
   // Check if API key exists and matches
-  if (!apiKey || apiKey !== process.env.API_KEY) {
+  if (!apiKey || !getAcceptedApiKeys().includes(apiKey)) {
     logger.warn('API key authentication failed', {
       ip: req.ip,
       path: req.path
@@ -24,6 +42,9 @@ const apiKeyAuth = (req, res, next) => {
     path: req.path
   });
   
+  // Expose the key so handlers can apply per-key settings
+  req.apiKey = apiKey;
+  
   next();
 };
 
@@ -0,0 +1,16 @@
+const Joi = require('joi');
+
+// Bulk dead-letter replay schema
+// At least a destination or a time range is required so a bare request
+// cannot replay the whole dead-letter store
+const bulkReplaySchema = Joi.object({
+  destinationId: Joi.string().guid(),
+  eventName: Joi.string(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+}).or('destinationId', 'from', 'to');
+
+module.exports = {
+  bulkReplaySchema
+};
@@ -95,6 +95,13 @@ const retryStrategySchema = Joi.object({
   ).default([408, 429, 500, 502, 503, 504])
 });
 
+// Circuit breaker schema (stored in config.circuitBreaker)
+const circuitBreakerSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  failureThreshold: Joi.number().integer().min(1).max(100).default(5),
+  resetTimeout: Joi.number().integer().min(1000).max(3600000).default(30000)
+});
+
 // Main destination validation schema
 const destinationSchema = Joi.object({
   name: Joi.string()
@@ -145,7 +152,11 @@ const destinationSchema = Joi.object({
       otherwise: Joi.optional()
     }),
     format: Joi.string().valid('json', 'form', 'text').default('json'),
-    contentType: Joi.string()
+    contentType: Joi.string(),
+    circuitBreaker: circuitBreakerSchema,
+    maxConcurrency: Joi.number().integer().min(1).max(100),
+    orderedDelivery: Joi.boolean().default(false),
+    privacyWebhooks: Joi.boolean().default(false)
   }).default({}),
   transform: transformSchema,
   secretKey: Joi.string().allow('', null),
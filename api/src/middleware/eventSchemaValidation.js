@@ -0,0 +1,24 @@
+const Joi = require('joi');
+
+// Schema registry entry validation schema
+// The JSON Schema itself is checked by compiling it in the controller
+const eventSchemaDefinitionSchema = Joi.object({
+  eventName: Joi.string().required().max(255),
+  description: Joi.string().allow('', null),
+  schema: Joi.object().required(),
+  mode: Joi.string().valid('block', 'warn', 'tag').default('warn'),
+  active: Joi.boolean().default(true)
+});
+
+// Existing versions are immutable apart from how they are enforced;
+// changing the schema itself means registering a new version
+const eventSchemaUpdateSchema = Joi.object({
+  description: Joi.string().allow('', null),
+  mode: Joi.string().valid('block', 'warn', 'tag'),
+  active: Joi.boolean()
+}).min(1);
+
+module.exports = {
+  eventSchemaDefinitionSchema,
+  eventSchemaUpdateSchema
+};
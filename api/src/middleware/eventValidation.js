@@ -4,9 +4,34 @@ const Joi = require('joi');
 const eventSchema = Joi.object({
   eventName: Joi.string().required(),
   timestamp: Joi.string().required(),
-  properties: Joi.object().required()
+  properties: Joi.object().required(),
+  // Client-generated ID used to deduplicate retries (see middleware/idempotency.js)
+  messageId: Joi.string().max(255)
+});
+
+// Maximum number of events accepted in one batch request
+const MAX_BATCH_EVENTS = 5000;
+
+// Batch envelope schema - items are validated individually by the controller
+// so that one invalid event does not reject the whole batch
+const batchEventSchema = Joi.object({
+  events: Joi.array().items(Joi.any()).min(1).max(MAX_BATCH_EVENTS).required()
+});
+
+// Event query schema - the filter tree itself is checked by utils/eventFilter.js,
+// which reports the location of any invalid condition
+const eventQuerySchema = Joi.object({
+  filter: Joi.object(),
+  from: Joi.alternatives().try(Joi.string(), Joi.number()),
+  to: Joi.alternatives().try(Joi.string(), Joi.number()),
+  orderBy: Joi.alternatives().try(
+    Joi.object({ property: Joi.string().required(), direction: Joi.string().valid('asc', 'desc') }),
+    Joi.array().items(Joi.object({ property: Joi.string().required(), direction: Joi.string().valid('asc', 'desc') })).max(5)
+  )
 });
 
 module.exports = {
-  eventSchema
+  eventSchema,
+  batchEventSchema,
+  eventQuerySchema
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const idempotencyStore = require('../services/idempotencyStore');
+
+// Longest accepted Idempotency-Key header
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency middleware
+ * Requests carrying an Idempotency-Key header are processed once per
+ * deduplication window; repeats receive the original response
+ * with an Idempotent-Replayed header. Server errors (5xx) are not stored, so a
+ * failed request can be retried with the same key. Event messageIds are
+ * deduplicated separately by eventIngestion.ingest.
+ * Must run after body validation
+ * @param {string} scope - Namespace for keys (e.g. "events")
+ * @returns {Function} Express middleware function
+ */
+const idempotency = (scope) => {
+  return async (req, res, next) => {
+    const clientKey = req.headers['idempotency-key'];
+
+    if (!clientKey) {
+      return next();
+    }
+
+    if (typeof clientKey !== 'string' || clientKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: true,
+        message: `Idempotency key must be a string of at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const key = `${scope}:${clientKey}`;
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(JSON.stringify(req.body || {}))
+      .digest('hex');
+
+    try {
+      const existing = await idempotencyStore.find(key);
+
+      if (existing && existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error: true,
+          message: 'Idempotency key was already used for a different request'
+        });
+      }
+
+      if (existing && existing.status === 'completed') {
+        logger.debug(`Replaying response for idempotency key ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.responseBody);
+      }
+
+      if (!await idempotencyStore.claim(key, fingerprint)) {
+        return res.status(409).json({
+          error: true,
+          message: 'A request with this idempotency key is already in progress'
+        });
+      }
+    } catch (error) {
+      logger.error(`Idempotency check failed for key ${key}:`, error);
+      return next(error);
+    }
+
+    // Store the response once the handler sends it
+    const originalJson = res.json;
+    res.json = function(data) {
+      const statusCode = res.statusCode;
+      const settle = statusCode >= 500
+        ? idempotencyStore.release(key)
+        : idempotencyStore.complete(key, fingerprint, statusCode, data);
+
+      settle.catch(err => {
+        logger.error(`Failed to store response for idempotency key ${key}:`, err);
+      });
+
+      return originalJson.call(this, data);
+    };
+
+    next();
+  };
+};
+
+module.exports = idempotency;
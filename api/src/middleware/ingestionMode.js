@@ -0,0 +1,33 @@
+/**
+ * Get the API keys (or Segment write keys) whose events are ingested asynchronously by default
+ * @returns {Array<string>} - Keys from ASYNC_INGESTION_API_KEYS
+ */
+const getAsyncApiKeys = () => {
+  return (process.env.ASYNC_INGESTION_API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Resolve whether events in this request are routed synchronously or asynchronously
+ * The ?async=true|false query flag wins; otherwise the API key's default applies.
+ * Sets req.ingestionMode to "sync" or "async"
+ * Must run after apiKeyAuth or writeKeyAuth
+ */
+const resolveIngestionMode = (req, res, next) => {
+  const flag = req.query.async;
+
+  if (flag === 'true' || flag === 'false') {
+    req.ingestionMode = flag === 'true' ? 'async' : 'sync';
+  } else {
+    const key = req.apiKey || req.writeKey;
+    req.ingestionMode = getAsyncApiKeys().includes(key) ? 'async' : 'sync';
+  }
+
+  next();
+};
+
+module.exports = {
+  resolveIngestionMode
+};
@@ -0,0 +1,24 @@
+const { parsePagination } = require('../utils/pagination');
+
+/**
+ * Parse page-number or cursor pagination parameters into req.pagination
+ * Responds 400 for a malformed cursor
+ * @param {Object} [options] - { defaultLimit }
+ * @returns {Function} Express middleware function
+ */
+const pagination = (options = {}) => {
+  return (req, res, next) => {
+    try {
+      req.pagination = parsePagination(req.query, options);
+    } catch (error) {
+      return res.status(400).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = pagination;
@@ -0,0 +1,66 @@
+const Joi = require('joi');
+
+// A rule selects values by path and/or detector and says what to do with them
+const piiRuleSchema = Joi.object({
+  path: Joi.string()
+    .pattern(/^(properties|user)(\.[^.\s]+)*$/)
+    .messages({
+      'string.pattern.base': 'Path must be a dot path under "properties" or "user" ("*" matches any key)'
+    }),
+  detector: Joi.string().valid('email', 'phone', 'card', 'ipAddress', 'ssn'),
+  pattern: Joi.string().max(500),
+  action: Joi.string()
+    .required()
+    .valid('drop', 'mask', 'hash')
+}).or('path', 'detector', 'pattern')
+  .oxor('detector', 'pattern');
+
+// Storage policies only see event properties; "user" paths apply to forwarded payloads
+const storageRuleSchema = piiRuleSchema.keys({
+  path: Joi.string()
+    .pattern(/^properties(\.[^.\s]+)*$/)
+    .messages({
+      'string.pattern.base': 'Path must be a dot path under "properties" ("*" matches any key); "user" paths are only available to forwarding policies'
+    })
+});
+
+// PII policy validation schema
+const piiPolicySchema = Joi.object({
+  name: Joi.string()
+    .required()
+    .pattern(/^[a-zA-Z0-9_-]+$/)
+    .max(100)
+    .messages({
+      'string.pattern.base': 'Name must only contain alphanumeric characters, underscores, and dashes'
+    }),
+  description: Joi.string().allow('', null),
+  scope: Joi.string()
+    .required()
+    .valid('storage', 'forwarding'),
+  destinationIds: Joi.array()
+    .items(Joi.string().uuid())
+    .min(1)
+    .allow(null)
+    .when('scope', { is: 'forwarding', otherwise: Joi.forbidden() }),
+  rules: Joi.array()
+    .min(1)
+    .required()
+    .when('scope', {
+      is: 'forwarding',
+      then: Joi.array().items(piiRuleSchema),
+      otherwise: Joi.array().items(storageRuleSchema)
+    }),
+  priority: Joi.number().integer(),
+  enabled: Joi.boolean()
+});
+
+// Sample event for previewing the effect of the current policies
+const piiPreviewSchema = Joi.object({
+  properties: Joi.object().required(),
+  destinationId: Joi.string().uuid()
+});
+
+module.exports = {
+  piiPolicySchema,
+  piiPreviewSchema
+};
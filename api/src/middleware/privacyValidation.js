@@ -0,0 +1,30 @@
+const Joi = require('joi');
+
+// Privacy request validation schema
+const privacyRequestSchema = Joi.object({
+  type: Joi.string()
+    .required()
+    .valid('export', 'erasure'),
+  userId: Joi.string().max(255),
+  email: Joi.string().email().max(255),
+  anonymousId: Joi.string().max(255),
+  includeLinked: Joi.boolean(),
+  erasureMode: Joi.string()
+    .valid('delete', 'anonymize')
+    .when('type', { is: 'erasure', otherwise: Joi.forbidden() }),
+  propagate: Joi.boolean()
+    .when('type', { is: 'erasure', otherwise: Joi.forbidden() }),
+  destinationIds: Joi.array()
+    .items(Joi.string().uuid())
+    .min(1)
+    .when('propagate', { is: true, otherwise: Joi.forbidden() }),
+  requestedBy: Joi.string().max(255).allow(null),
+  reason: Joi.string().allow('', null)
+}).or('userId', 'email', 'anonymousId')
+  .messages({
+    'object.missing': 'At least one of userId, email or anonymousId is required'
+  });
+
+module.exports = {
+  privacyRequestSchema
+};
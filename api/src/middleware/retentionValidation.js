@@ -0,0 +1,24 @@
+const Joi = require('joi');
+
+// Retention policy validation schema
+const retentionPolicySchema = Joi.object({
+  name: Joi.string()
+    .required()
+    .pattern(/^[a-zA-Z0-9_-]+$/)
+    .max(100)
+    .messages({
+      'string.pattern.base': 'Name must only contain alphanumeric characters, underscores, and dashes'
+    }),
+  description: Joi.string().allow('', null),
+  targetTable: Joi.string()
+    .required()
+    .valid('events', 'stripe_events', 'data_entries'),
+  pattern: Joi.string().max(255).allow(null),
+  retentionDays: Joi.number().integer().min(1).required(),
+  archive: Joi.boolean(),
+  enabled: Joi.boolean()
+});
+
+module.exports = {
+  retentionPolicySchema
+};
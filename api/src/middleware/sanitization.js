@@ -1,39 +1,44 @@
 const xss = require('xss');
 const logger = require('../utils/logger');
 
+/**
+ * Recursively sanitize strings in a value
+ * Used for payloads that bypass body parsing (e.g. streamed events)
+ * @param {*} obj - Value to sanitize
+ * @returns {*} - Sanitized copy
+ */
+const sanitizeObject = (obj) => {
+  if (!obj) return obj;
+  
+  if (typeof obj === 'string') {
+    return xss(obj, {
+      whiteList: {}, // No tags allowed
+      stripIgnoreTag: true, // Strip ignored tags
+      stripIgnoreTagBody: ['script'] // Remove script tag contents
+    });
+  }
+  
+  if (Array.isArray(obj)) {
+    return obj.map(item => sanitizeObject(item));
+  }
+  
+  if (typeof obj === 'object') {
+    const sanitized = {};
+    for (const [key, value] of Object.entries(obj)) {
+      sanitized[key] = sanitizeObject(value);
+    }
+    return sanitized;
+  }
+  
+  return obj; // Return as is for numbers, booleans, etc.
+};
+
 /**
  * Sanitizes request body, query parameters, and URL parameters to prevent XSS attacks
  * This middleware should be applied before validation to ensure clean data is validated
  */
 const sanitizeMiddleware = (req, res, next) => {
   try {
-    // Function to recursively sanitize objects
-    const sanitizeObject = (obj) => {
-      if (!obj) return obj;
-      
-      if (typeof obj === 'string') {
-        return xss(obj, {
-          whiteList: {}, // No tags allowed
-          stripIgnoreTag: true, // Strip ignored tags
-          stripIgnoreTagBody: ['script'] // Remove script tag contents
-        });
-      }
-      
-      if (Array.isArray(obj)) {
-        return obj.map(item => sanitizeObject(item));
-      }
-      
-      if (typeof obj === 'object') {
-        const sanitized = {};
-        for (const [key, value] of Object.entries(obj)) {
-          sanitized[key] = sanitizeObject(value);
-        }
-        return sanitized;
-      }
-      
-      return obj; // Return as is for numbers, booleans, etc.
-    };
-    
     // Sanitize request body
     if (req.body) {
       req.body = sanitizeObject(req.body);
@@ -137,5 +142,6 @@ const sanitizeJsonPaths = (paths = []) => {
 
 module.exports = {
   sanitizeMiddleware,
-  sanitizeJsonPaths
+  sanitizeJsonPaths,
+  sanitizeObject
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+const Joi = require('joi');
+
+// Maximum number of messages accepted in one batch call
+const MAX_BATCH_MESSAGES = 2500;
+
+// Fields shared by every Segment call. Unknown fields are allowed because
+// Segment libraries add their own metadata (e.g. _metadata, channel)
+const commonFields = {
+  type: Joi.string(),
+  userId: Joi.alternatives().try(Joi.string(), Joi.number()),
+  anonymousId: Joi.alternatives().try(Joi.string(), Joi.number()),
+  messageId: Joi.string().max(255),
+  timestamp: Joi.date().iso(),
+  originalTimestamp: Joi.date().iso(),
+  sentAt: Joi.date().iso(),
+  context: Joi.object(),
+  integrations: Joi.object(),
+  writeKey: Joi.string()
+};
+
+// Schemas per call type, following the Segment HTTP Tracking API spec
+const segmentSchemas = {
+  track: Joi.object({
+    ...commonFields,
+    event: Joi.string().required().max(255),
+    properties: Joi.object()
+  }).or('userId', 'anonymousId').unknown(true),
+
+  identify: Joi.object({
+    ...commonFields,
+    traits: Joi.object()
+  }).or('userId', 'anonymousId').unknown(true),
+
+  page: Joi.object({
+    ...commonFields,
+    name: Joi.string().allow(''),
+    category: Joi.string().allow(''),
+    properties: Joi.object()
+  }).or('userId', 'anonymousId').unknown(true),
+
+  screen: Joi.object({
+    ...commonFields,
+    name: Joi.string().allow(''),
+    category: Joi.string().allow(''),
+    properties: Joi.object()
+  }).or('userId', 'anonymousId').unknown(true),
+
+  group: Joi.object({
+    ...commonFields,
+    groupId: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+    traits: Joi.object()
+  }).or('userId', 'anonymousId').unknown(true),
+
+  alias: Joi.object({
+    ...commonFields,
+    previousId: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+    userId: Joi.alternatives().try(Joi.string(), Joi.number()).required()
+  }).unknown(true)
+};
+
+// Batch envelope schema - messages are validated individually by the controller
+const segmentBatchSchema = Joi.object({
+  batch: Joi.array().items(Joi.object()).min(1).max(MAX_BATCH_MESSAGES).required(),
+  context: Joi.object(),
+  integrations: Joi.object(),
+  sentAt: Joi.date().iso(),
+  writeKey: Joi.string()
+}).unknown(true);
+
+module.exports = {
+  segmentSchemas,
+  segmentBatchSchema
+};
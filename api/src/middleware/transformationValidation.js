@@ -77,7 +77,8 @@ const transformationSchema = Joi.object({
       { is: 'mixpanel', then: mixpanelTransformSchema.required() },
       { is: 'identity', then: Joi.object().default({}) }
     ]),
-  enabled: Joi.boolean().default(true)
+  enabled: Joi.boolean().default(true),
+  includeUserProfile: Joi.boolean().default(false)
 });
 
 module.exports = {
@@ -0,0 +1,56 @@
+const logger = require('../utils/logger');
+
+/**
+ * Get the accepted Segment write keys
+ * @returns {Array<string>} - Write keys from SEGMENT_WRITE_KEYS (comma-separated)
+ */
+const getWriteKeys = () => {
+  return (process.env.SEGMENT_WRITE_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Extract the write key from a request
+ * Segment libraries send it as the basic auth username (empty password);
+ * some send it as a writeKey body field instead
+ * @param {Object} req - Express request
+ * @returns {string|null} - The write key
+ */
+const getRequestWriteKey = (req) => {
+  const authorization = req.headers.authorization || '';
+
+  if (authorization.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    return separator === -1 ? decoded : decoded.slice(0, separator);
+  }
+
+  return req.body?.writeKey || null;
+};
+
+/**
+ * Write key authentication middleware for the Segment-compatible API
+ * Sets req.writeKey for per-key settings
+ */
+const writeKeyAuth = (req, res, next) => {
+  const writeKey = getRequestWriteKey(req);
+
+  if (!writeKey || !getWriteKeys().includes(writeKey)) {
+    logger.warn('Write key authentication failed', {
+      ip: req.ip,
+      path: req.path
+    });
+
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid or missing write key'
+    });
+  }
+
+  req.writeKey = writeKey;
+  next();
+};
+
+module.exports = writeKeyAuth;
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * CatalogEvent model
+ * One row per event name observed at ingestion, maintained by the event catalog service
+ */
+const CatalogEvent = sequelize.define('CatalogEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  eventCount: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of events observed with this name'
+  },
+  firstSeen: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastSeen: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'catalog_events',
+  timestamps: true
+});
+
+module.exports = CatalogEvent;
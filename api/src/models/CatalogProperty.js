@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * CatalogProperty model
+ * One row per property path observed for an event name
+ */
+const CatalogProperty = sequelize.define('CatalogProperty', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.STRING(512),
+    allowNull: false,
+    comment: 'Dot-notation path within properties ("[]" marks array elements)'
+  },
+  types: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'JSON types observed at this path'
+  },
+  occurrenceCount: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of events that contained this path'
+  },
+  sampleValues: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'A few distinct scalar values seen at this path'
+  },
+  firstSeen: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastSeen: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'catalog_properties',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'catalog_properties_event_name_path_idx',
+      unique: true,
+      fields: ['eventName', 'path']
+    }
+  ]
+});
+
+module.exports = CatalogProperty;
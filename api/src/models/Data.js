@@ -49,6 +49,11 @@ const Data = sequelize.define('DataEntry', {
     {
       name: 'data_entries_status_idx',
       fields: ['status']
+    },
+    {
+      // Keyset pagination walks (createdAt, id)
+      name: 'data_entries_created_at_id_idx',
+      fields: ['createdAt', 'id']
     }
   ]
 });
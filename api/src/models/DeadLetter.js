@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+const Destination = require('./Destination');
+
+/**
+ * DeadLetter model for deliveries that exhausted their retries
+ * Keeps everything needed to inspect and replay the delivery later
+ */
+const DeadLetter = sequelize.define('DeadLetter', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  deliveryJobId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Reference to the delivery job that failed'
+  },
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Reference to the event that could not be delivered'
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Name of the event that could not be delivered'
+  },
+  routeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Reference to the route that produced the delivery'
+  },
+  destinationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Reference to the destination that rejected the delivery'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Transformed payload that was sent'
+  },
+  attempts: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Status, response body and error of every attempt'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error message of the final attempt'
+  },
+  failedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'When the delivery permanently failed'
+  },
+  status: {
+    type: DataTypes.ENUM('dead', 'replayed'),
+    allowNull: false,
+    defaultValue: 'dead',
+    comment: 'Whether this delivery has been replayed'
+  },
+  replayCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'How many times this delivery has been replayed'
+  },
+  replayedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When this delivery was last replayed'
+  },
+  replayDeliveryJobId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Delivery job created by the last replay'
+  }
+}, {
+  tableName: 'dead_letters',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'dead_letters_status_idx',
+      fields: ['status']
+    },
+    {
+      name: 'dead_letters_destination_failed_at_idx',
+      fields: ['destinationId', 'failedAt']
+    },
+    {
+      name: 'dead_letters_event_id_idx',
+      fields: ['eventId']
+    }
+  ]
+});
+
+// Set up associations
+DeadLetter.belongsTo(Destination, {
+  foreignKey: 'destinationId',
+  as: 'destination',
+  onDelete: 'CASCADE'
+});
+
+module.exports = DeadLetter;
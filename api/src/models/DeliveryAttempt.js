@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * DeliveryAttempt model recording every request RunL sends to a destination
+ * Request headers and URLs are stored with secrets redacted
+ */
+const DeliveryAttempt = sequelize.define('DeliveryAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Reference to the event that was delivered'
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Name of the event that was delivered'
+  },
+  routeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Reference to the route (null for legacy forwarder destinations)'
+  },
+  destinationId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Reference to the destination (null for legacy forwarder destinations)'
+  },
+  destinationName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Name of the destination at the time of the attempt'
+  },
+  deliveryJobId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Reference to the delivery queue job, if any'
+  },
+  attempt: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Attempt number within the delivery job'
+  },
+  requestUrl: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Request URL (credentials redacted)'
+  },
+  requestMethod: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'HTTP method used'
+  },
+  requestHeaders: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Request headers (secrets redacted)'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Payload that was sent'
+  },
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    comment: 'Whether the destination accepted the request'
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'HTTP status code (null if no response was received)'
+  },
+  latencyMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Time from sending the request to receiving the response'
+  },
+  responseSnippet: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Beginning of the response body'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error message of a failed attempt'
+  },
+  attemptedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'When the attempt was made'
+  }
+}, {
+  tableName: 'delivery_attempts',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'delivery_attempts_event_id_idx',
+      fields: ['eventId', 'attemptedAt']
+    },
+    {
+      name: 'delivery_attempts_destination_id_idx',
+      fields: ['destinationId', 'attemptedAt']
+    },
+    {
+      name: 'delivery_attempts_attempted_at_idx',
+      fields: ['attemptedAt']
+    }
+  ]
+});
+
+module.exports = DeliveryAttempt;
@@ -0,0 +1,123 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+const Destination = require('./Destination');
+const Route = require('./Route');
+
+/**
+ * DeliveryJob model for the durable delivery queue
+ * Each job is one delivery of a transformed event to a destination
+ */
+const DeliveryJob = sequelize.define('DeliveryJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Reference to the event being delivered'
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Name of the event being delivered'
+  },
+  routeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Reference to the route that produced this delivery'
+  },
+  destinationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Reference to the destination to deliver to'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Transformed payload to send to the destination'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'succeeded', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Current state of the delivery'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of delivery attempts made so far'
+  },
+  maxRetries: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 3,
+    comment: 'Retries allowed after the first attempt (from the destination retry strategy)'
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'When the job becomes due for its next attempt'
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a worker claimed this job'
+  },
+  lastStatusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'HTTP status code of the last attempt'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error message of the last failed attempt'
+  },
+  history: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Status, response body and error of every attempt'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the job succeeded or permanently failed'
+  }
+}, {
+  tableName: 'delivery_jobs',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'delivery_jobs_status_next_attempt_idx',
+      fields: ['status', 'nextAttemptAt']
+    },
+    {
+      name: 'delivery_jobs_event_id_idx',
+      fields: ['eventId']
+    },
+    {
+      name: 'delivery_jobs_destination_id_idx',
+      fields: ['destinationId']
+    }
+  ]
+});
+
+// Set up associations
+DeliveryJob.belongsTo(Destination, {
+  foreignKey: 'destinationId',
+  as: 'destination',
+  onDelete: 'CASCADE'
+});
+
+DeliveryJob.belongsTo(Route, {
+  foreignKey: 'routeId',
+  as: 'route',
+  constraints: false
+});
+
+module.exports = DeliveryJob;
@@ -115,7 +115,7 @@ const Destination = sequelize.define('Destination', {
         if (destination.changed('secretKey') && 
             destination.secretKey && 
             !cryptoUtil.isEncrypted(destination.secretKey)) {
-          destination.secretKey = cryptoUtil.encrypt(destination.secretKey);
+          destination.secretKey = await cryptoUtil.encrypt(destination.secretKey);
         }
       } catch (error) {
         logger.error('Error encrypting secret key:', error);
@@ -125,13 +125,13 @@ const Destination = sequelize.define('Destination', {
 });
 
 // Add instance method to get decrypted secret
-Destination.prototype.getDecryptedSecret = function() {
+Destination.prototype.getDecryptedSecret = async function() {
   if (!this.secretKey) return null;
   
   try {
     // Only decrypt if it looks encrypted
     if (cryptoUtil.isEncrypted(this.secretKey)) {
-      return cryptoUtil.decrypt(this.secretKey);
+      return await cryptoUtil.decrypt(this.secretKey);
     }
     return this.secretKey; // Return as-is for backward compatibility
   } catch (error) {
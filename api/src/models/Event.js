@@ -21,6 +21,41 @@ const Event = sequelize.define('Event', {
     type: DataTypes.JSONB,
     allowNull: false,
     comment: 'Full event payload data'
+  },
+  callType: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Segment call type (track, identify, page, screen, group, alias); null for native events'
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Client-supplied message ID or idempotency key'
+  },
+  schemaViolations: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Schema registry errors for events accepted in "tag" mode'
+  },
+  routingStatus: {
+    type: DataTypes.ENUM('queued', 'claimed', 'routing', 'routed', 'failed'),
+    allowNull: true,
+    comment: 'Progress of routing this event: "claimed" by the ingestion worker, "routing" in a request (null for events stored before tracking)'
+  },
+  routingResults: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Per-destination results of the last routing of this event'
+  },
+  routedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When this event was last routed'
+  },
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Session this event belongs to (null for events without a user or anonymous ID)'
   }
 }, {
   tableName: 'events',
@@ -34,6 +69,23 @@ const Event = sequelize.define('Event', {
       name: 'events_timestamp_idx',
       fields: ['timestamp']
     },
+    {
+      name: 'events_message_id_idx',
+      fields: ['messageId']
+    },
+    {
+      name: 'events_routing_status_idx',
+      fields: ['routingStatus']
+    },
+    {
+      // Keyset pagination walks (timestamp, id)
+      name: 'events_timestamp_id_idx',
+      fields: ['timestamp', 'id']
+    },
+    {
+      name: 'events_session_id_idx',
+      fields: ['sessionId']
+    },
     {
       // JSONB path index for userId using a safer approach
       name: 'events_user_id_idx',
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * EventSchema model for the event schema registry
+ * Each row is one version of the JSON Schema for an event name's properties
+ */
+const EventSchema = sequelize.define('EventSchema', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Event name this schema applies to'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Schema version, incremented per event name'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  schema: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'JSON Schema that event properties must satisfy'
+  },
+  mode: {
+    type: DataTypes.ENUM('block', 'warn', 'tag'),
+    allowNull: false,
+    defaultValue: 'warn',
+    comment: 'What happens to events that violate the schema'
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Whether this version may be enforced (the highest active version is used)'
+  },
+  violationCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastViolationAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'event_schemas',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'event_schemas_event_name_version_idx',
+      unique: true,
+      fields: ['eventName', 'version']
+    }
+  ]
+});
+
+module.exports = EventSchema;
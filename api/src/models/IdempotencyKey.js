@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * IdempotencyKey model for duplicate suppression on ingestion endpoints
+ * Durable record of each key and the response originally returned for it
+ */
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  key: {
+    type: DataTypes.STRING(512),
+    allowNull: false,
+    unique: true,
+    comment: 'Scoped idempotency key (e.g. "events:<Idempotency-Key>")'
+  },
+  fingerprint: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the request body, used to detect a key reused for a different request'
+  },
+  status: {
+    type: DataTypes.ENUM('processing', 'completed'),
+    allowNull: false,
+    defaultValue: 'processing',
+    comment: 'Whether the original request is still in flight'
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'HTTP status of the original response'
+  },
+  responseBody: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Body of the original response, returned for repeats'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'End of the deduplication window for this key'
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'idempotency_keys_expires_at_idx',
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * Identity model
+ * One row per known identifier (anonymous ID, user ID, email or Stripe customer ID).
+ * Identifiers that belong to the same person share a clusterId, maintained by the
+ * identity graph service
+ */
+const Identity = sequelize.define('Identity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  clusterId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Shared by all identifiers resolved to the same person'
+  },
+  type: {
+    type: DataTypes.ENUM('userId', 'anonymousId', 'email', 'stripeCustomerId'),
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  source: {
+    type: DataTypes.ENUM('event', 'alias', 'stripe'),
+    allowNull: false,
+    defaultValue: 'event',
+    comment: 'How the identifier was first linked'
+  },
+  firstSeen: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastSeen: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'identities',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'identities_type_value_idx',
+      unique: true,
+      fields: ['type', 'value']
+    },
+    {
+      name: 'identities_cluster_id_idx',
+      fields: ['clusterId']
+    }
+  ]
+});
+
+module.exports = Identity;
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * PII policy model
+ * Rules that drop, mask or hash personal data in event properties, either
+ * before events are stored or before they are forwarded to destinations
+ */
+const PiiPolicy = sequelize.define('PiiPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  scope: {
+    type: DataTypes.ENUM('storage', 'forwarding'),
+    allowNull: false,
+    comment: 'Applied before events are stored, or before they are forwarded to destinations'
+  },
+  destinationIds: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Destinations a forwarding policy applies to (null for every destination)'
+  },
+  rules: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Rules ({ path, detector, pattern, action }) applied in order'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Policies are applied in ascending priority'
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'pii_policies',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'pii_policies_scope_priority_idx',
+      fields: ['scope', 'priority']
+    }
+  ]
+});
+
+module.exports = PiiPolicy;
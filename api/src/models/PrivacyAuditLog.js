@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+const PrivacyRequest = require('./PrivacyRequest');
+
+/**
+ * Privacy audit log model
+ * Append-only record of everything done for a privacy request
+ */
+const PrivacyAuditLog = sequelize.define('PrivacyAuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  requestId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Reference to the privacy request'
+  },
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'What happened (created, started, exported, erased, propagated, downloaded, completed, failed, ...)'
+  },
+  actor: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Who did it ("system" for the worker, otherwise the API key fingerprint)'
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Counts and other details of the action (never personal data)'
+  }
+}, {
+  tableName: 'privacy_audit_logs',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'privacy_audit_logs_request_id_idx',
+      fields: ['requestId', 'createdAt']
+    }
+  ]
+});
+
+// Set up associations
+PrivacyRequest.hasMany(PrivacyAuditLog, {
+  foreignKey: 'requestId',
+  as: 'auditLogs'
+});
+
+PrivacyAuditLog.belongsTo(PrivacyRequest, {
+  foreignKey: 'requestId',
+  as: 'request'
+});
+
+module.exports = PrivacyAuditLog;
@@ -0,0 +1,113 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * Privacy request model
+ * A data subject access (export) or erasure request, processed as a job by the
+ * privacy service. Every step is recorded in privacy_audit_logs
+ */
+const PrivacyRequest = sequelize.define('PrivacyRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.ENUM('export', 'erasure'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  subject: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Identifiers the request was made for ({ userId, email, anonymousId })'
+  },
+  identifiers: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Identifiers matched, after expanding the subject through the identity graph'
+  },
+  includeLinked: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    comment: 'Whether identifiers linked to the subject in the identity graph are included'
+  },
+  erasureMode: {
+    type: DataTypes.ENUM('delete', 'anonymize'),
+    allowNull: true,
+    comment: 'How matching rows are erased (erasure requests only)'
+  },
+  propagate: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether a deletion webhook is sent to destinations (erasure requests only)'
+  },
+  destinationIds: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Destinations the deletion webhook is sent to (null for every enabled destination)'
+  },
+  requestedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Who made the request (e.g. operator or ticket reference)'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Rows exported or erased per table'
+  },
+  bundlePath: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Path of the export bundle (export requests only)'
+  },
+  bundleExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the export bundle is deleted'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error message of a failed request'
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a worker claimed this request'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'privacy_requests',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'privacy_requests_status_idx',
+      fields: ['status', 'createdAt']
+    },
+    {
+      name: 'privacy_requests_bundle_expires_at_idx',
+      fields: ['bundleExpiresAt']
+    }
+  ]
+});
+
+module.exports = PrivacyRequest;
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * Retention policy model
+ * How long rows of a table are kept, optionally only for rows whose name
+ * (event name, Stripe event type or data entry source) matches a pattern
+ */
+const RetentionPolicy = sequelize.define('RetentionPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  targetTable: {
+    type: DataTypes.ENUM('events', 'stripe_events', 'data_entries'),
+    allowNull: false,
+    comment: 'Table the policy purges'
+  },
+  pattern: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Glob ("*" matches anything) on the row name; null applies to every row'
+  },
+  retentionDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Rows older than this many days are purged'
+  },
+  archive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether purged rows are written to compressed NDJSON files first'
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'retention_policies',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'retention_policies_name_idx',
+      unique: true,
+      fields: ['name']
+    },
+    {
+      name: 'retention_policies_target_table_idx',
+      fields: ['targetTable']
+    }
+  ]
+});
+
+module.exports = RetentionPolicy;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+const EventSchema = require('./EventSchema');
+
+/**
+ * SchemaViolation model
+ * One row per event that failed validation against its registered schema
+ */
+const SchemaViolation = sequelize.define('SchemaViolation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  schemaId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Schema version that was violated'
+  },
+  eventName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  schemaVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'The stored event (null when the event was blocked)'
+  },
+  action: {
+    type: DataTypes.ENUM('blocked', 'warned', 'tagged'),
+    allowNull: false,
+    comment: 'What was done with the event'
+  },
+  errors: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Validation errors ({ path, message, keyword })'
+  },
+  properties: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Properties of a blocked event, kept for inspection'
+  }
+}, {
+  tableName: 'schema_violations',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      name: 'schema_violations_event_name_created_at_idx',
+      fields: ['eventName', 'createdAt']
+    },
+    {
+      name: 'schema_violations_schema_id_idx',
+      fields: ['schemaId']
+    }
+  ]
+});
+
+// Set up associations
+SchemaViolation.belongsTo(EventSchema, {
+  foreignKey: 'schemaId',
+  as: 'schema',
+  constraints: false
+});
+
+module.exports = SchemaViolation;
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * Session model
+ * A run of events from one user or anonymous visitor with no gap longer than
+ * the inactivity timeout, maintained by the sessionizer
+ */
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  anonymousId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'ended'),
+    allowNull: false,
+    defaultValue: 'active',
+    comment: 'Sessions end once no event has arrived for the inactivity timeout'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Time of the first event'
+  },
+  lastEventAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Time of the latest event'
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Time of the last event, set when the session ends'
+  },
+  durationSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  eventCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  entryEventId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  entryEventName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  exitEventId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  exitEventName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'sessions_user_id_idx',
+      fields: ['userId']
+    },
+    {
+      name: 'sessions_anonymous_id_idx',
+      fields: ['anonymousId']
+    },
+    {
+      name: 'sessions_status_last_event_idx',
+      fields: ['status', 'lastEventAt']
+    },
+    {
+      name: 'sessions_started_at_idx',
+      fields: ['startedAt']
+    }
+  ]
+});
+
+module.exports = Session;
@@ -37,6 +37,12 @@ const Transformation = sequelize.define('Transformation', {
     allowNull: false,
     defaultValue: true,
     comment: 'Whether this transformation is currently active'
+  },
+  includeUserProfile: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether events are enriched with the user profile before transforming'
   }
 }, {
   tableName: 'transformations',
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/connection');
+
+/**
+ * UserProfile model
+ * One row per user ID seen at ingestion, maintained by the user profile service
+ */
+const UserProfile = sequelize.define('UserProfile', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  traits: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Latest known traits, merged from identify calls and configured property paths'
+  },
+  firstSeen: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastSeen: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  eventCount: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Number of events received for this user'
+  },
+  lastEventName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_profiles',
+  timestamps: true,
+  indexes: [
+    {
+      name: 'user_profiles_last_seen_idx',
+      fields: ['lastSeen']
+    },
+    {
+      name: 'user_profiles_traits_idx',
+      using: 'gin',
+      fields: ['traits']
+    }
+  ]
+});
+
+module.exports = UserProfile;
@@ -0,0 +1,36 @@
+const express = require('express');
+const analyticsController = require('../controllers/analyticsController');
+const apiKeyAuth = require('../middleware/auth');
+const validate = require('../middleware/validation');
+const { funnelSchema, retentionSchema } = require('../middleware/analyticsValidation');
+
+// Setup analytics routes
+const setupAnalyticsRoutes = (apiRouter) => {
+  // Apply API key authentication to all analytics routes
+  const analyticsRouter = express.Router();
+  analyticsRouter.use(apiKeyAuth);
+
+  // Event time series (cached in the controller using redisOps.getWithFallback)
+  analyticsRouter.get('/timeseries', analyticsController.getTimeseries);
+
+  // Conversion funnels
+  analyticsRouter.post('/funnels',
+    validate(funnelSchema),
+    analyticsController.getFunnel
+  );
+
+  // Retention cohorts (JSON, or CSV with ?format=csv)
+  analyticsRouter.post('/retention',
+    validate(retentionSchema),
+    analyticsController.getRetention
+  );
+
+  // Mount the analytics routes
+  apiRouter.use('/analytics', analyticsRouter);
+
+  // Log initialization
+  const logger = require('../utils/logger');
+  logger.info('Analytics routes initialized');
+};
+
+module.exports = setupAnalyticsRoutes;
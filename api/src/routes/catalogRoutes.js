@@ -0,0 +1,32 @@
+const express = require('express');
+const catalogController = require('../controllers/catalogController');
+const { cacheMiddleware } = require('../services/redis');
+const apiKeyAuth = require('../middleware/auth');
+
+// Setup event catalog routes
+const setupCatalogRoutes = (apiRouter) => {
+  // Apply API key authentication to all catalog routes
+  const catalogRouter = express.Router();
+  catalogRouter.use(apiKeyAuth);
+  
+  // Get catalogued event names
+  catalogRouter.get('/events',
+    cacheMiddleware(60), // Cache for 1 minute
+    catalogController.getCatalogEvents
+  );
+  
+  // Get the properties of an event name
+  catalogRouter.get('/events/:eventName',
+    cacheMiddleware(60), // Cache for 1 minute
+    catalogController.getCatalogEvent
+  );
+  
+  // Mount the catalog routes
+  apiRouter.use('/catalog', catalogRouter);
+  
+  // Log initialization
+  const logger = require('../utils/logger');
+  logger.info('Catalog routes initialized');
+};
+
+module.exports = setupCatalogRoutes;
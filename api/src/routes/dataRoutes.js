@@ -3,6 +3,7 @@ const validate = require('../middleware/validation');
 const { dataSchema, batchDataSchema } = require('../middleware/dataValidation');
 const redisService = require('../services/redis');
 const apiKeyAuth = require('../middleware/auth');
+const pagination = require('../middleware/pagination');
 
 // Setup data routes
 const setupDataRoutes = (apiRouter) => {
@@ -25,6 +26,7 @@ const setupDataRoutes = (apiRouter) => {
   // Get all data records with pagination
   // Cache is now implemented in the controller using redisOps.getWithFallback
   dataRouter.get('/', 
+    pagination(),
     dataController.getAllData
   );
   
@@ -0,0 +1,42 @@
+const express = require('express');
+const deliveryController = require('../controllers/deliveryController');
+const validate = require('../middleware/validation');
+const { bulkReplaySchema } = require('../middleware/deliveryValidation');
+const apiKeyAuth = require('../middleware/auth');
+
+// Setup delivery routes
+const setupDeliveryRoutes = (apiRouter) => {
+  // Apply API key authentication to all delivery routes
+  const deliveryRouter = express.Router();
+  deliveryRouter.use(apiKeyAuth);
+  
+  // Get dead-lettered deliveries
+  deliveryRouter.get('/dead',
+    deliveryController.getDeadLetters
+  );
+  
+  // Bulk replay by destination and/or time range - must come before /dead/:id
+  deliveryRouter.post('/dead/replay',
+    validate(bulkReplaySchema),
+    deliveryController.bulkReplayDeadLetters
+  );
+  
+  // Get a dead-lettered delivery by ID
+  deliveryRouter.get('/dead/:id',
+    deliveryController.getDeadLetterById
+  );
+  
+  // Replay a single dead-lettered delivery
+  deliveryRouter.post('/dead/:id/replay',
+    deliveryController.replayDeadLetter
+  );
+  
+  // Mount the delivery routes
+  apiRouter.use('/deliveries', deliveryRouter);
+  
+  // Log initialization
+  const logger = require('../utils/logger');
+  logger.info('Delivery routes initialized');
+};
+
+module.exports = setupDeliveryRoutes;
@@ -35,6 +35,11 @@ const setupDestinationRoutes = (apiRouter) => {
     destinationController.getDestinationById
   );
   
+  // Get delivery attempts for a destination
+  destinationRouter.get('/:id/deliveries',
+    destinationController.getDestinationDeliveries
+  );
+  
   // Update a destination
   destinationRouter.put('/:id',
     validate(destinationSchema),
@@ -1,9 +1,12 @@
 const eventController = require('../controllers/eventController');
 const validate = require('../middleware/validation');
-const { eventSchema } = require('../middleware/eventValidation');
+const { eventSchema, batchEventSchema, eventQuerySchema } = require('../middleware/eventValidation');
 const { cacheMiddleware } = require('../services/redis');
 const apiKeyAuth = require('../middleware/auth');
+const { resolveIngestionMode } = require('../middleware/ingestionMode');
+const idempotency = require('../middleware/idempotency');
 const { sanitizeJsonPaths } = require('../middleware/sanitization');
+const pagination = require('../middleware/pagination');
 
 // Setup event routes
 const setupEventRoutes = (apiRouter) => {
@@ -16,24 +19,49 @@ const setupEventRoutes = (apiRouter) => {
     // Sanitize specific JSON paths that might contain user input with HTML
     sanitizeJsonPaths(['properties.message', 'properties.userInput', 'properties.description']),
     validate(eventSchema), 
+    idempotency('events'),
+    resolveIngestionMode,
     eventController.logEvent
   );
   
+  // Log a batch of events with per-item results
+  eventRouter.post('/batch',
+    validate(batchEventSchema),
+    resolveIngestionMode,
+    eventController.logEventBatch
+  );
+  
+  // Log events from an NDJSON stream (body parsing is skipped for this path in index.js)
+  eventRouter.post('/stream',
+    resolveIngestionMode,
+    eventController.streamEvents
+  );
+  
+  // Query events with a JSON filter (not cached - the filter is in the body)
+  eventRouter.post('/query',
+    validate(eventQuerySchema),
+    pagination(),
+    eventController.queryEvents
+  );
+  
   // Get all events with pagination and filtering
   eventRouter.get('/', 
     cacheMiddleware(60), // Cache for 1 minute
+    pagination(),
     eventController.getEvents
   );
   
   // Search events by property
   eventRouter.get('/search', 
     cacheMiddleware(60), // Cache for 1 minute
+    pagination(),
     eventController.searchEvents
   );
   
   // Get events by user ID - this route must come before the /:id route
   eventRouter.get('/user/:userId', 
     cacheMiddleware(60), // Cache for 1 minute
+    pagination(),
     eventController.getEventsByUserId
   );
   
@@ -43,7 +71,17 @@ const setupEventRoutes = (apiRouter) => {
     eventController.getEventById
   );
   
-  // Forward an event through webhook forwarder
+  // Get routing progress for an event (not cached - it changes while routing runs)
+  eventRouter.get('/:id/status',
+    eventController.getEventStatus
+  );
+  
+  // Get delivery attempts for an event
+  eventRouter.get('/:id/deliveries',
+    eventController.getEventDeliveries
+  );
+  
+  // Forward an event through the event router
   eventRouter.post('/:id/forward',
     eventController.forwardEvent
   );
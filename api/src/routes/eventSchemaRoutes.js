@@ -0,0 +1,58 @@
+const express = require('express');
+const eventSchemaController = require('../controllers/eventSchemaController');
+const validate = require('../middleware/validation');
+const { eventSchemaDefinitionSchema, eventSchemaUpdateSchema } = require('../middleware/eventSchemaValidation');
+const apiKeyAuth = require('../middleware/auth');
+
+// Setup event schema registry routes
+const setupEventSchemaRoutes = (apiRouter) => {
+  // Apply API key authentication to all event schema routes
+  const eventSchemaRouter = express.Router();
+  eventSchemaRouter.use(apiKeyAuth);
+  
+  // Register a new schema version
+  eventSchemaRouter.post('/',
+    validate(eventSchemaDefinitionSchema),
+    eventSchemaController.createEventSchema
+  );
+  
+  // Get registered schemas with filtering
+  eventSchemaRouter.get('/',
+    eventSchemaController.getEventSchemas
+  );
+  
+  // Get recorded violations - must come before /:id
+  eventSchemaRouter.get('/violations',
+    eventSchemaController.getSchemaViolations
+  );
+  
+  // Get violation counts
+  eventSchemaRouter.get('/violations/stats',
+    eventSchemaController.getSchemaViolationStats
+  );
+  
+  // Get a schema version by ID
+  eventSchemaRouter.get('/:id',
+    eventSchemaController.getEventSchemaById
+  );
+  
+  // Update how a schema version is enforced
+  eventSchemaRouter.put('/:id',
+    validate(eventSchemaUpdateSchema),
+    eventSchemaController.updateEventSchema
+  );
+  
+  // Delete a schema version
+  eventSchemaRouter.delete('/:id',
+    eventSchemaController.deleteEventSchema
+  );
+  
+  // Mount the event schema routes
+  apiRouter.use('/event-schemas', eventSchemaRouter);
+  
+  // Log initialization
+  const logger = require('../utils/logger');
+  logger.info('Event schema routes initialized');
+};
+
+module.exports = setupEventSchemaRoutes;
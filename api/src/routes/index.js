@@ -5,6 +5,15 @@ const setupIntegrationRoutes = require('./integrationRoutes');
 const setupDestinationRoutes = require('./destinationRoutes');
 const setupTransformationRoutes = require('./transformationRoutes');
 const setupRouteManagementRoutes = require('./routeRoutes');
+const setupDeliveryRoutes = require('./deliveryRoutes');
+const setupEventSchemaRoutes = require('./eventSchemaRoutes');
+const setupCatalogRoutes = require('./catalogRoutes');
+const setupSegmentRoutes = require('./segmentRoutes');
+const setupUserRoutes = require('./userRoutes');
+const setupSessionRoutes = require('./sessionRoutes');
+const setupAnalyticsRoutes = require('./analyticsRoutes');
+const setupRetentionRoutes = require('./retentionRoutes');
+const setupPrivacyRoutes = require('./privacyRoutes');
 
 // Setup all routes
 const setupRoutes = (app) => {
@@ -21,6 +30,14 @@ const setupRoutes = (app) => {
   // Setup modular route handlers
   setupDataRoutes(apiRouter);
   setupEventRoutes(apiRouter);
+  setupEventSchemaRoutes(apiRouter);
+  setupCatalogRoutes(apiRouter);
+  setupSegmentRoutes(apiRouter);
+  setupUserRoutes(apiRouter);
+  setupSessionRoutes(apiRouter);
+  setupAnalyticsRoutes(apiRouter);
+  setupRetentionRoutes(apiRouter);
+  setupPrivacyRoutes(apiRouter);
   setupSchemaRoutes(apiRouter);
   setupIntegrationRoutes(apiRouter);
   
@@ -28,6 +45,7 @@ const setupRoutes = (app) => {
   setupDestinationRoutes(apiRouter);
   setupTransformationRoutes(apiRouter);
   setupRouteManagementRoutes(apiRouter);
+  setupDeliveryRoutes(apiRouter);
   
   // Mount all routes with /api prefix
   app.use('/api', apiRouter);
@@ -0,0 +1,65 @@
+const express = require('express');
+const privacyController = require('../controllers/privacyController');
+const piiPolicyController = require('../controllers/piiPolicyController');
+const validate = require('../middleware/validation');
+const { privacyRequestSchema } = require('../middleware/privacyValidation');
+const { piiPolicySchema, piiPreviewSchema } = require('../middleware/piiPolicyValidation');
+const apiKeyAuth = require('../middleware/auth');
+
+// Setup privacy request and PII policy routes
+const setupPrivacyRoutes = (apiRouter) => {
+  // Apply API key authentication to all privacy routes
+  const privacyRouter = express.Router();
+  privacyRouter.use(apiKeyAuth);
+
+  // Create an export or erasure request
+  privacyRouter.post('/requests',
+    validate(privacyRequestSchema),
+    privacyController.createRequest
+  );
+
+  // Get all privacy requests
+  privacyRouter.get('/requests', privacyController.getRequests);
+
+  // Get a privacy request with its audit trail
+  privacyRouter.get('/requests/:id', privacyController.getRequestById);
+
+  // Download the bundle of a completed export
+  privacyRouter.get('/requests/:id/download', privacyController.downloadBundle);
+
+  // Create a PII policy
+  privacyRouter.post('/policies',
+    validate(piiPolicySchema),
+    piiPolicyController.createPolicy
+  );
+
+  // Get all PII policies
+  privacyRouter.get('/policies', piiPolicyController.getPolicies);
+
+  // Preview the enabled policies on sample properties
+  privacyRouter.post('/policies/preview',
+    validate(piiPreviewSchema),
+    piiPolicyController.previewPolicies
+  );
+
+  // Get a PII policy by ID
+  privacyRouter.get('/policies/:id', piiPolicyController.getPolicyById);
+
+  // Update a PII policy
+  privacyRouter.put('/policies/:id',
+    validate(piiPolicySchema),
+    piiPolicyController.updatePolicy
+  );
+
+  // Delete a PII policy
+  privacyRouter.delete('/policies/:id', piiPolicyController.deletePolicy);
+
+  // Mount the privacy routes
+  apiRouter.use('/privacy', privacyRouter);
+
+  // Log initialization
+  const logger = require('../utils/logger');
+  logger.info('Privacy routes initialized');
+};
+
+module.exports = setupPrivacyRoutes;
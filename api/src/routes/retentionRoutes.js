@@ -0,0 +1,45 @@
+const express = require('express');
+const retentionController = require('../controllers/retentionController');
+const validate = require('../middleware/validation');
+const { retentionPolicySchema } = require('../middleware/retentionValidation');
+const apiKeyAuth = require('../middleware/auth');
+
+// Setup retention routes
+const setupRetentionRoutes = (apiRouter) => {
+  // Apply API key authentication to all retention routes
+  const retentionRouter = express.Router();
+  retentionRouter.use(apiKeyAuth);
+
+  // Create a retention policy
+  retentionRouter.post('/policies',
+    validate(retentionPolicySchema),
+    retentionController.createPolicy
+  );
+
+  // Get all retention policies
+  retentionRouter.get('/policies', retentionController.getPolicies);
+
+  // Get a retention policy by ID
+  retentionRouter.get('/policies/:id', retentionController.getPolicyById);
+
+  // Update a retention policy
+  retentionRouter.put('/policies/:id',
+    validate(retentionPolicySchema),
+    retentionController.updatePolicy
+  );
+
+  // Delete a retention policy
+  retentionRouter.delete('/policies/:id', retentionController.deletePolicy);
+
+  // Dry-run report of what would be purged now
+  retentionRouter.get('/report', retentionController.getRetentionReport);
+
+  // Mount the retention routes
+  apiRouter.use('/retention', retentionRouter);
+
+  // Log initialization
+  const logger = require('../utils/logger');
+  logger.info('Retention routes initialized');
+};
+
+module.exports = setupRetentionRoutes;
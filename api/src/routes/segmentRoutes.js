@@ -0,0 +1,38 @@
+const express = require('express');
+const segmentController = require('../controllers/segmentController');
+const validate = require('../middleware/validation');
+const { segmentSchemas, segmentBatchSchema } = require('../middleware/segmentValidation');
+const writeKeyAuth = require('../middleware/writeKeyAuth');
+const { resolveIngestionMode } = require('../middleware/ingestionMode');
+
+// Setup Segment-compatible tracking routes
+const setupSegmentRoutes = (apiRouter) => {
+  // Segment clients authenticate with a write key instead of an API key
+  const segmentRouter = express.Router();
+  segmentRouter.use(writeKeyAuth);
+  
+  // Single calls: track, identify, page, screen, group, alias
+  Object.keys(segmentSchemas).forEach(type => {
+    segmentRouter.post(`/${type}`,
+      validate(segmentSchemas[type]),
+      resolveIngestionMode,
+      segmentController[type]
+    );
+  });
+  
+  // Batch of mixed calls
+  segmentRouter.post('/batch',
+    validate(segmentBatchSchema),
+    resolveIngestionMode,
+    segmentController.batch
+  );
+  
+  // Mount the Segment-compatible routes
+  apiRouter.use('/v1', segmentRouter);
+  
+  // Log initialization
+  const logger = require('../utils/logger');
+  logger.info('Segment-compatible tracking routes initialized');
+};
+
+module.exports = setupSegmentRoutes;
@@ -0,0 +1,28 @@
+const express = require('express');
+const sessionController = require('../controllers/sessionController');
+const apiKeyAuth = require('../middleware/auth');
+
+// Setup session routes
+const setupSessionRoutes = (apiRouter) => {
+  // Apply API key authentication to all session routes
+  const sessionRouter = express.Router();
+  sessionRouter.use(apiKeyAuth);
+  
+  // Get sessions with filtering
+  sessionRouter.get('/', sessionController.getSessions);
+  
+  // Get a session by ID
+  sessionRouter.get('/:id', sessionController.getSessionById);
+  
+  // Get the events of a session
+  sessionRouter.get('/:id/events', sessionController.getSessionEvents);
+  
+  // Mount the session routes
+  apiRouter.use('/sessions', sessionRouter);
+  
+  // Log initialization
+  const logger = require('../utils/logger');
+  logger.info('Session routes initialized');
+};
+
+module.exports = setupSessionRoutes;
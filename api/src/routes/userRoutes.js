@@ -0,0 +1,28 @@
+const express = require('express');
+const userProfileController = require('../controllers/userProfileController');
+const apiKeyAuth = require('../middleware/auth');
+
+// Setup user profile routes
+const setupUserRoutes = (apiRouter) => {
+  // Apply API key authentication to all user profile routes
+  const userRouter = express.Router();
+  userRouter.use(apiKeyAuth);
+  
+  // Search user profiles
+  userRouter.get('/', userProfileController.getUserProfiles);
+  
+  // Get a user's profile
+  userRouter.get('/:userId', userProfileController.getUserProfile);
+  
+  // Get the identifiers linked to a user
+  userRouter.get('/:userId/identities', userProfileController.getUserIdentities);
+  
+  // Mount the user profile routes
+  apiRouter.use('/users', userRouter);
+  
+  // Log initialization
+  const logger = require('../utils/logger');
+  logger.info('User profile routes initialized');
+};
+
+module.exports = setupUserRoutes;
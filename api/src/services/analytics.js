@@ -0,0 +1,632 @@
+const { sequelize } = require('../db/connection');
+const { compileEventQuery, compileFilter, compileProperty } = require('../utils/eventFilter');
+
+// Bucket sizes, and the range covered when no "from" is given
+const INTERVALS = {
+  minute: { ms: 60 * 1000, defaultRange: 60 * 60 * 1000 },
+  hour: { ms: 60 * 60 * 1000, defaultRange: 24 * 60 * 60 * 1000 },
+  day: { ms: 24 * 60 * 60 * 1000, defaultRange: 30 * 24 * 60 * 60 * 1000 },
+  week: { ms: 7 * 24 * 60 * 60 * 1000, defaultRange: 12 * 7 * 24 * 60 * 60 * 1000 }
+};
+
+// Aggregates over the matched events; all but count and countDistinct read numeric values
+const METRICS = {
+  count: () => 'COUNT(*)',
+  countDistinct: value => `COUNT(DISTINCT ${value.text})`,
+  sum: value => `SUM(${value.numeric})`,
+  avg: value => `AVG(${value.numeric})`,
+  min: value => `MIN(${value.numeric})`,
+  max: value => `MAX(${value.numeric})`
+};
+
+const MAX_BUCKETS = 1000;
+const DEFAULT_GROUP_LIMIT = 10;
+const MAX_GROUP_LIMIT = 100;
+
+// Funnels: steps per funnel, and the default and longest conversion windows (seconds)
+const MAX_FUNNEL_STEPS = 10;
+const DEFAULT_CONVERSION_WINDOW = 7 * 24 * 60 * 60;
+const MAX_CONVERSION_WINDOW = 365 * 24 * 60 * 60;
+const DEFAULT_FUNNEL_RANGE = 30 * 24 * 60 * 60 * 1000;
+
+// Retention: cohort periods, the default and longest horizons, and the most cohorts per query
+const RETENTION_GRANULARITIES = ['day', 'week', 'month'];
+const DEFAULT_RETENTION_PERIODS = 8;
+const MAX_RETENTION_PERIODS = 90;
+const MAX_COHORTS = 400;
+
+// Events are attributed to users by properties.userId (matching the events_user_id_idx index)
+const USER_ID = "(properties ->> 'userId')";
+
+/**
+ * Throw an analytics query error pointing at the offending option
+ * @private
+ * @param {string} path - Option name
+ * @param {string} message - What is wrong
+ */
+function fail(path, message) {
+  throw new Error(`${path}: ${message}`);
+}
+
+/**
+ * Truncate a date to the start of its UTC bucket or period (weeks start on Monday, as in Postgres)
+ * @private
+ * @param {Date} date - The date
+ * @param {string} interval - Bucket interval
+ * @returns {Date} - Start of the bucket
+ */
+function truncate(date, interval) {
+  const truncated = new Date(date);
+
+  truncated.setUTCSeconds(0, 0);
+  if (interval === 'minute') return truncated;
+
+  truncated.setUTCMinutes(0);
+  if (interval === 'hour') return truncated;
+
+  truncated.setUTCHours(0);
+  if (interval === 'week') {
+    truncated.setUTCDate(truncated.getUTCDate() - ((truncated.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    truncated.setUTCDate(1);
+  }
+
+  return truncated;
+}
+
+/**
+ * Move a date forward by a number of retention periods
+ * @private
+ * @param {Date} date - The date
+ * @param {string} granularity - day, week or month
+ * @param {number} count - Number of periods
+ * @returns {Date} - The later date
+ */
+function addPeriods(date, granularity, count) {
+  const later = new Date(date);
+
+  if (granularity === 'month') {
+    later.setUTCMonth(later.getUTCMonth() + count);
+  } else {
+    later.setUTCDate(later.getUTCDate() + count * (granularity === 'week' ? 7 : 1));
+  }
+
+  return later;
+}
+
+/**
+ * Parse a date option
+ * @private
+ * @param {*} value - The value
+ * @param {string} path - Option name
+ * @returns {Date} - The date
+ */
+function parseDate(value, path) {
+  const date = new Date(value);
+
+  if (isNaN(date.getTime())) {
+    fail(path, 'must be a valid date');
+  }
+
+  return date;
+}
+
+/**
+ * Parse the from/to options of a query
+ * @private
+ * @param {Object} options - { from, to }
+ * @param {Function} defaultFrom - Gives "from" from "to" when it is missing
+ * @returns {Object} - { from, to } as dates
+ */
+function parseRange(options, defaultFrom) {
+  const to = options.to === undefined ? new Date() : parseDate(options.to, 'to');
+  const from = options.from === undefined ? defaultFrom(to) : parseDate(options.from, 'from');
+
+  if (from > to) {
+    fail('from', 'must not be after "to"');
+  }
+
+  return { from, to };
+}
+
+/**
+ * Parse the number of groups returned by a grouped query
+ * @private
+ * @param {*} value - The value
+ * @returns {number} - Group limit
+ */
+function parseGroupLimit(value) {
+  const groupLimit = value === undefined ? DEFAULT_GROUP_LIMIT : Number(value);
+
+  if (!Number.isInteger(groupLimit) || groupLimit < 1 || groupLimit > MAX_GROUP_LIMIT) {
+    fail('groupLimit', `must be an integer from 1 to ${MAX_GROUP_LIMIT}`);
+  }
+
+  return groupLimit;
+}
+
+/**
+ * Divide two counts, rounded to four decimals
+ * @private
+ * @param {number} count - Numerator
+ * @param {number} total - Denominator
+ * @returns {number|null} - The rate, or null if the denominator is 0
+ */
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 10000 : null;
+}
+
+/**
+ * Convert a numeric column value returned by pg (bigint and numeric arrive as strings)
+ * @private
+ * @param {*} value - The value
+ * @returns {number|null} - The number
+ */
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Analytics Service
+ * Aggregate queries over the events table, built on the event filter DSL
+ */
+class Analytics {
+  /**
+   * Validate a time-series query and compile it to SQL
+   * @param {Object} options - Query options
+   * @param {string} [options.interval] - minute, hour, day or week (default hour)
+   * @param {string} [options.metric] - count, countDistinct, sum, avg, min or max (default count)
+   * @param {string} [options.property] - Property aggregated by metrics other than count
+   * @param {string} [options.groupBy] - Property to split the series by (e.g. eventName)
+   * @param {number} [options.groupLimit] - Number of groups returned, largest first
+   * @param {Object} [options.filter] - Filter in the event query DSL
+   * @param {string} [options.from] - Start of the range (default depends on the interval)
+   * @param {string} [options.to] - End of the range (default now)
+   * @returns {Object} - Compiled query, passed to runTimeseries()
+   * @throws {Error} - If the query is invalid; the message names the offending option
+   */
+  buildTimeseriesQuery(options = {}) {
+    const interval = options.interval || 'hour';
+    const metric = options.metric || 'count';
+
+    if (!INTERVALS[interval]) {
+      fail('interval', `must be one of ${Object.keys(INTERVALS).join(', ')}`);
+    }
+
+    if (!METRICS[metric]) {
+      fail('metric', `must be one of ${Object.keys(METRICS).join(', ')}`);
+    }
+
+    if (metric !== 'count' && !options.property) {
+      fail('property', `is required for the "${metric}" metric`);
+    }
+
+    const groupLimit = parseGroupLimit(options.groupLimit);
+    const { from, to } = parseRange(options, end => new Date(end.getTime() - INTERVALS[interval].defaultRange));
+
+    const buckets = [];
+    for (let bucket = truncate(from, interval); bucket <= to; bucket = new Date(bucket.getTime() + INTERVALS[interval].ms)) {
+      // Weeks and days have a fixed length in UTC, so stepping stays on bucket boundaries
+      buckets.push(bucket.toISOString());
+
+      if (buckets.length > MAX_BUCKETS) {
+        fail('interval', `the range spans more than ${MAX_BUCKETS} ${interval} buckets; use a larger interval or a shorter range`);
+      }
+    }
+
+    const { where, bind } = compileEventQuery({
+      filter: options.filter,
+      from: from.toISOString(),
+      to: to.toISOString()
+    });
+
+    const value = metric === 'count' ? null : compileProperty(options.property, bind, 'property');
+    const group = options.groupBy ? compileProperty(options.groupBy, bind, 'groupBy').text : 'NULL::text';
+
+    bind.push(groupLimit);
+
+    // Totals per group come from the (group_key) grouping set, where "bucket" is not grouped
+    const sql = `WITH matched AS (
+        SELECT date_trunc('${interval}', "timestamp" AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS bucket,
+          ${group} AS group_key,
+          ${value ? value.text : 'NULL::text'} AS text_value,
+          ${value ? value.numeric : 'NULL::numeric'} AS numeric_value
+        FROM events
+        WHERE ${where}
+      ), top_groups AS (
+        SELECT group_key, COUNT(*) AS events
+        FROM matched
+        GROUP BY group_key
+        ORDER BY events DESC, group_key
+        LIMIT $${bind.length}
+      )
+      SELECT m.bucket, m.group_key, MAX(g.events) AS events, GROUPING(m.bucket) AS is_total,
+        ${METRICS[metric]({ text: 'm.text_value', numeric: 'm.numeric_value' })} AS value
+      FROM matched m
+      JOIN top_groups g ON m.group_key IS NOT DISTINCT FROM g.group_key
+      GROUP BY GROUPING SETS ((m.bucket, m.group_key), (m.group_key))`;
+
+    return {
+      sql,
+      bind,
+      interval,
+      metric,
+      property: options.property || null,
+      groupBy: options.groupBy || null,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      buckets
+    };
+  }
+
+  /**
+   * Run a compiled time-series query
+   * Buckets without events are filled with 0 for count and countDistinct and null for other metrics
+   * @param {Object} query - Result of buildTimeseriesQuery()
+   * @returns {Promise<Object>} - { interval, metric, property, groupBy, from, to, buckets, series }
+   */
+  async runTimeseries(query) {
+    const rows = await sequelize.query(query.sql, {
+      bind: query.bind,
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    const empty = query.metric === 'count' || query.metric === 'countDistinct' ? 0 : null;
+    const bucketIndex = new Map(query.buckets.map((bucket, i) => [bucket, i]));
+    const series = new Map();
+
+    for (const row of rows) {
+      if (!series.has(row.group_key)) {
+        series.set(row.group_key, {
+          group: row.group_key,
+          events: toNumber(row.events),
+          total: empty,
+          values: query.buckets.map(() => empty)
+        });
+      }
+
+      const entry = series.get(row.group_key);
+
+      if (Number(row.is_total) === 1) {
+        entry.total = toNumber(row.value);
+      } else {
+        const index = bucketIndex.get(new Date(row.bucket).toISOString());
+        if (index !== undefined) {
+          entry.values[index] = toNumber(row.value);
+        }
+      }
+    }
+
+    // An ungrouped series is returned even when nothing matched
+    if (!query.groupBy && series.size === 0) {
+      series.set(null, { group: null, events: 0, total: empty, values: query.buckets.map(() => empty) });
+    }
+
+    return {
+      interval: query.interval,
+      metric: query.metric,
+      property: query.property,
+      groupBy: query.groupBy,
+      from: query.from,
+      to: query.to,
+      buckets: query.buckets,
+      series: [...series.values()]
+        .sort((a, b) => b.events - a.events)
+        .map(({ group, total, values }) => ({ group, total, values }))
+    };
+  }
+
+  /**
+   * Validate a funnel query and compile it to SQL
+   * Each user enters the funnel at their first event matching the first step between
+   * "from" and "to"; every later step must follow the previous one within the
+   * conversion window of the entry
+   * @param {Object} options - Query options
+   * @param {Array<Object>} options.steps - Ordered steps ({ eventName, filter })
+   * @param {number} [options.conversionWindowSeconds] - Time allowed from entry to the last step (default 7 days)
+   * @param {Object} [options.filter] - Filter applied to every step
+   * @param {string} [options.groupBy] - Property of the entry event to break the funnel down by
+   * @param {number} [options.groupLimit] - Number of breakdown groups returned, largest first
+   * @param {string} [options.from] - Earliest entry (default 30 days before "to")
+   * @param {string} [options.to] - Latest entry (default now)
+   * @returns {Object} - Compiled query, passed to runFunnel()
+   * @throws {Error} - If the query is invalid; the message names the offending option
+   */
+  buildFunnelQuery(options = {}) {
+    const { steps } = options;
+
+    if (!Array.isArray(steps) || steps.length < 2 || steps.length > MAX_FUNNEL_STEPS) {
+      fail('steps', `must be an array of 2 to ${MAX_FUNNEL_STEPS} steps`);
+    }
+
+    const conversionWindowSeconds = options.conversionWindowSeconds === undefined
+      ? DEFAULT_CONVERSION_WINDOW
+      : Number(options.conversionWindowSeconds);
+
+    if (!Number.isInteger(conversionWindowSeconds) || conversionWindowSeconds < 1 || conversionWindowSeconds > MAX_CONVERSION_WINDOW) {
+      fail('conversionWindowSeconds', `must be an integer from 1 to ${MAX_CONVERSION_WINDOW}`);
+    }
+
+    const groupLimit = parseGroupLimit(options.groupLimit);
+    const { from, to } = parseRange(options, end => new Date(end.getTime() - DEFAULT_FUNNEL_RANGE));
+
+    const bind = [];
+    const param = value => {
+      bind.push(value);
+      return `$${bind.length}`;
+    };
+
+    // The global filter is compiled once and its placeholders reused in every step
+    const globalFilter = options.filter ? compileFilter(options.filter, bind, 'filter') : null;
+
+    const conditions = steps.map((step, i) => {
+      if (!step || typeof step.eventName !== 'string' || step.eventName.length === 0) {
+        fail(`steps[${i}].eventName`, 'must be a non-empty string');
+      }
+
+      const parts = [`"eventName" = ${param(step.eventName)}::text`];
+      if (step.filter) parts.push(compileFilter(step.filter, bind, `steps[${i}].filter`));
+      if (globalFilter) parts.push(globalFilter);
+      return parts.join(' AND ');
+    });
+
+    const group = options.groupBy ? compileProperty(options.groupBy, bind, 'groupBy').text : 'NULL::text';
+    const window = `${param(conversionWindowSeconds)}::integer * interval '1 second'`;
+
+    // Each later step is the user's first matching event after the previous step
+    const laterSteps = conditions.slice(1).map((condition, i) => {
+      const previous = i === 0 ? { t: 'e.t1', id: 'e.id1' } : { t: `s${i + 1}.t`, id: `s${i + 1}.id` };
+      return `LEFT JOIN LATERAL (
+          SELECT "id" AS id, "timestamp" AS t
+          FROM events
+          WHERE ${USER_ID} = e.user_id
+            AND ${condition}
+            AND ("timestamp", "id") > (${previous.t}, ${previous.id})
+            AND "timestamp" <= e.t1 + ${window}
+          ORDER BY "timestamp", "id"
+          LIMIT 1
+        ) s${i + 2} ON true`;
+    });
+
+    const stepTimes = steps.map((step, i) => (i === 0 ? 'e.t1 AS t1' : `s${i + 1}.t AS t${i + 1}`));
+
+    const aggregates = steps.map((step, i) => {
+      if (i === 0) return 'COUNT(*) AS step_1';
+      const seconds = `EXTRACT(EPOCH FROM t${i + 1} - t${i})`;
+      return `COUNT(t${i + 1}) AS step_${i + 1},
+        AVG(${seconds}) AS avg_seconds_${i + 1},
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY ${seconds}) AS median_seconds_${i + 1}`;
+    });
+
+    const sql = `WITH entries AS (
+        SELECT DISTINCT ON (${USER_ID}) ${USER_ID} AS user_id, "id" AS id1, "timestamp" AS t1, ${group} AS group_key
+        FROM events
+        WHERE ${USER_ID} IS NOT NULL
+          AND "timestamp" >= ${param(from.toISOString())}::timestamptz
+          AND "timestamp" <= ${param(to.toISOString())}::timestamptz
+          AND ${conditions[0]}
+        ORDER BY ${USER_ID}, "timestamp", "id"
+      ), funnel AS (
+        SELECT e.user_id, e.group_key, ${stepTimes.join(', ')}
+        FROM entries e
+        ${laterSteps.join('\n        ')}
+      )
+      SELECT ${options.groupBy ? 'GROUPING(group_key)' : '1'} AS is_total,
+        ${options.groupBy ? 'group_key' : 'NULL::text'} AS group_key,
+        ${aggregates.join(',\n        ')}
+      FROM funnel
+      GROUP BY GROUPING SETS (${options.groupBy ? '(), (group_key)' : '()'})
+      ORDER BY is_total DESC, step_1 DESC, group_key
+      LIMIT ${param(groupLimit + 1)}`;
+
+    return {
+      sql,
+      bind,
+      steps: steps.map(step => step.eventName),
+      conversionWindowSeconds,
+      groupBy: options.groupBy || null,
+      from: from.toISOString(),
+      to: to.toISOString()
+    };
+  }
+
+  /**
+   * Run a compiled funnel query
+   * @param {Object} query - Result of buildFunnelQuery()
+   * @returns {Promise<Object>} - { from, to, conversionWindowSeconds, groupBy, steps, breakdown }
+   */
+  async runFunnel(query) {
+    const rows = await sequelize.query(query.sql, {
+      bind: query.bind,
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    const formatSteps = row => query.steps.map((eventName, i) => {
+      const count = toNumber(row[`step_${i + 1}`]);
+      const entered = toNumber(row.step_1);
+      const previous = i === 0 ? entered : toNumber(row[`step_${i}`]);
+
+      return {
+        step: i + 1,
+        eventName,
+        count,
+        conversionRate: rate(count, entered),
+        stepConversionRate: rate(count, previous),
+        avgSecondsFromPrevious: i === 0 ? null : toNumber(row[`avg_seconds_${i + 1}`]),
+        medianSecondsFromPrevious: i === 0 ? null : toNumber(row[`median_seconds_${i + 1}`])
+      };
+    });
+
+    const total = rows.find(row => Number(row.is_total) === 1);
+
+    return {
+      from: query.from,
+      to: query.to,
+      conversionWindowSeconds: query.conversionWindowSeconds,
+      groupBy: query.groupBy,
+      steps: formatSteps(total),
+      breakdown: query.groupBy
+        ? rows
+          .filter(row => Number(row.is_total) !== 1)
+          .map(row => ({ group: row.group_key, steps: formatSteps(row) }))
+        : undefined
+    };
+  }
+
+  /**
+   * Validate a retention query and compile it to SQL
+   * Users join the cohort of the period of their first start event between "from"
+   * and "to", and count as retained in period k if they did the return event in
+   * the k-th period after it
+   * @param {Object} options - Query options
+   * @param {Object} options.startEvent - Event that places users in a cohort ({ eventName, filter })
+   * @param {Object} options.returnEvent - Event that counts as a return ({ eventName, filter })
+   * @param {Object} [options.filter] - Filter applied to both events
+   * @param {string} [options.granularity] - day, week or month (default week)
+   * @param {number} [options.periods] - Number of periods followed after the cohort's (default 8)
+   * @param {string} [options.from] - Earliest start event (default "periods" periods before "to")
+   * @param {string} [options.to] - Latest start event (default now)
+   * @returns {Object} - Compiled query, passed to runRetention()
+   * @throws {Error} - If the query is invalid; the message names the offending option
+   */
+  buildRetentionQuery(options = {}) {
+    const granularity = options.granularity || 'week';
+
+    if (!RETENTION_GRANULARITIES.includes(granularity)) {
+      fail('granularity', `must be one of ${RETENTION_GRANULARITIES.join(', ')}`);
+    }
+
+    const periods = options.periods === undefined ? DEFAULT_RETENTION_PERIODS : Number(options.periods);
+    if (!Number.isInteger(periods) || periods < 1 || periods > MAX_RETENTION_PERIODS) {
+      fail('periods', `must be an integer from 1 to ${MAX_RETENTION_PERIODS}`);
+    }
+
+    const { from, to } = parseRange(options, end => addPeriods(end, granularity, -periods));
+
+    const cohorts = [];
+    for (let cohort = truncate(from, granularity); cohort <= to; cohort = addPeriods(cohort, granularity, 1)) {
+      cohorts.push(cohort.toISOString().slice(0, 10));
+
+      if (cohorts.length > MAX_COHORTS) {
+        fail('from', `the range spans more than ${MAX_COHORTS} ${granularity} cohorts; use a larger granularity or a shorter range`);
+      }
+    }
+
+    const bind = [];
+    const param = value => {
+      bind.push(value);
+      return `$${bind.length}`;
+    };
+
+    const globalFilter = options.filter ? compileFilter(options.filter, bind, 'filter') : null;
+    const condition = (event, path) => {
+      if (!event || typeof event.eventName !== 'string' || event.eventName.length === 0) {
+        fail(`${path}.eventName`, 'must be a non-empty string');
+      }
+
+      const parts = [`"eventName" = ${param(event.eventName)}::text`];
+      if (event.filter) parts.push(compileFilter(event.filter, bind, `${path}.filter`));
+      if (globalFilter) parts.push(globalFilter);
+      return parts.join(' AND ');
+    };
+
+    const startCondition = condition(options.startEvent, 'startEvent');
+    const returnCondition = condition(options.returnEvent, 'returnEvent');
+
+    // Periods are counted between UTC calendar periods, so months follow the calendar
+    const returned = `date_trunc('${granularity}', "timestamp" AT TIME ZONE 'UTC')`;
+    const period = granularity === 'month'
+      ? `((EXTRACT(YEAR FROM ${returned}) - EXTRACT(YEAR FROM c.cohort)) * 12 + EXTRACT(MONTH FROM ${returned}) - EXTRACT(MONTH FROM c.cohort))::integer`
+      : `((${returned})::date - c.cohort::date)${granularity === 'week' ? ' / 7' : ''}`;
+    const periodLength = `interval '1 ${granularity}'`;
+
+    // Columns of the cohorts CTE are named apart from events columns, so filters stay unqualified
+    const sql = `WITH cohorts AS (
+        SELECT DISTINCT ON (${USER_ID}) ${USER_ID} AS user_id,
+          date_trunc('${granularity}', "timestamp" AT TIME ZONE 'UTC') AS cohort
+        FROM events
+        WHERE ${USER_ID} IS NOT NULL
+          AND "timestamp" >= ${param(from.toISOString())}::timestamptz
+          AND "timestamp" <= ${param(to.toISOString())}::timestamptz
+          AND ${startCondition}
+        ORDER BY ${USER_ID}, "timestamp", "id"
+      ), returns AS (
+        SELECT DISTINCT c.user_id, c.cohort, ${period} AS period
+        FROM cohorts c
+        JOIN events ON ${USER_ID} = c.user_id
+        WHERE "timestamp" >= (c.cohort + ${periodLength}) AT TIME ZONE 'UTC'
+          AND "timestamp" < (c.cohort + ${param(periods + 1)}::integer * ${periodLength}) AT TIME ZONE 'UTC'
+          AND ${returnCondition}
+      )
+      SELECT to_char(cohort, 'YYYY-MM-DD') AS cohort, NULL::integer AS period, COUNT(*) AS users
+      FROM cohorts
+      GROUP BY cohort
+      UNION ALL
+      SELECT to_char(cohort, 'YYYY-MM-DD') AS cohort, period, COUNT(*) AS users
+      FROM returns
+      GROUP BY cohort, period`;
+
+    return {
+      sql,
+      bind,
+      granularity,
+      periods,
+      startEvent: options.startEvent.eventName,
+      returnEvent: options.returnEvent.eventName,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      cohorts
+    };
+  }
+
+  /**
+   * Run a compiled retention query
+   * Periods that have not started yet are null rather than 0
+   * @param {Object} query - Result of buildRetentionQuery()
+   * @returns {Promise<Object>} - { granularity, periods, startEvent, returnEvent, from, to, cohorts }
+   */
+  async runRetention(query) {
+    const rows = await sequelize.query(query.sql, {
+      bind: query.bind,
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    const now = new Date();
+    const cohorts = new Map(query.cohorts.map(cohort => {
+      const start = new Date(`${cohort}T00:00:00.000Z`);
+      const retained = [];
+
+      for (let period = 1; period <= query.periods; period++) {
+        retained.push(addPeriods(start, query.granularity, period) <= now ? 0 : null);
+      }
+
+      return [cohort, { cohort, users: 0, retained }];
+    }));
+
+    for (const row of rows) {
+      const cohort = cohorts.get(row.cohort);
+      if (!cohort) continue;
+
+      if (row.period === null) {
+        cohort.users = toNumber(row.users);
+      } else if (row.period >= 1 && row.period <= query.periods) {
+        cohort.retained[row.period - 1] = toNumber(row.users);
+      }
+    }
+
+    return {
+      granularity: query.granularity,
+      periods: query.periods,
+      startEvent: query.startEvent,
+      returnEvent: query.returnEvent,
+      from: query.from,
+      to: query.to,
+      cohorts: [...cohorts.values()].map(cohort => ({
+        ...cohort,
+        rates: cohort.retained.map(count => (count === null ? null : rate(count, cohort.users)))
+      }))
+    };
+  }
+}
+
+module.exports = new Analytics();
@@ -0,0 +1,190 @@
+const logger = require('../utils/logger');
+
+// Defaults for Destination.config.circuitBreaker
+const DEFAULT_CIRCUIT_CONFIG = {
+  enabled: true,
+  failureThreshold: 5,
+  resetTimeout: 30000
+};
+
+// How long parked deliveries wait while a half-open trial request is in flight
+const HALF_OPEN_RETRY_DELAY = 1000;
+
+/**
+ * Circuit Breaker Service
+ * Tracks the health of each destination (closed / open / half-open) so deliveries
+ * to a destination that is down are parked instead of waiting for their timeout
+ */
+class CircuitBreaker {
+  constructor() {
+    // Map of destination ID to circuit state
+    this.circuits = new Map();
+  }
+
+  /**
+   * Get the effective circuit breaker configuration for a destination
+   * @param {Object} destination - The destination
+   * @returns {Object} - Configuration with defaults applied
+   */
+  getConfig(destination) {
+    return {
+      ...DEFAULT_CIRCUIT_CONFIG,
+      ...(destination.config?.circuitBreaker || {})
+    };
+  }
+
+  /**
+   * Check whether a request to the destination may be attempted now
+   * Moves an open circuit to half-open once its reset timeout has elapsed
+   * and lets exactly one trial request through
+   * @param {Object} destination - The destination
+   * @returns {boolean} - Whether the request may proceed
+   */
+  canRequest(destination) {
+    const config = this.getConfig(destination);
+
+    if (!config.enabled) {
+      return true;
+    }
+
+    const circuit = this._getCircuit(destination.id);
+    const now = Date.now();
+
+    if (circuit.state === 'closed') {
+      return true;
+    }
+
+    if (circuit.state === 'open') {
+      if (now - circuit.openedAt < config.resetTimeout) {
+        return false;
+      }
+
+      circuit.state = 'half-open';
+      circuit.trialStartedAt = now;
+      logger.info(`Circuit half-open for destination ${destination.name}, sending trial request`);
+      return true;
+    }
+
+    // Half-open: only one trial at a time, unless the previous trial was lost
+    if (circuit.trialStartedAt && now - circuit.trialStartedAt < config.resetTimeout) {
+      return false;
+    }
+
+    circuit.trialStartedAt = now;
+    return true;
+  }
+
+  /**
+   * Record that the destination responded
+   * Any response that is not an availability failure counts, including client errors
+   * @param {Object} destination - The destination
+   * @returns {void}
+   */
+  recordSuccess(destination) {
+    const circuit = this._getCircuit(destination.id);
+
+    if (circuit.state !== 'closed') {
+      logger.info(`Circuit closed for destination ${destination.name}`);
+    }
+
+    circuit.state = 'closed';
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+    circuit.trialStartedAt = null;
+  }
+
+  /**
+   * Record an availability failure (timeout, network error or retryable status)
+   * @param {Object} destination - The destination
+   * @returns {void}
+   */
+  recordFailure(destination) {
+    const config = this.getConfig(destination);
+    const circuit = this._getCircuit(destination.id);
+
+    circuit.consecutiveFailures += 1;
+    circuit.lastFailureAt = Date.now();
+
+    const shouldOpen = circuit.state === 'half-open' ||
+      (circuit.state === 'closed' && circuit.consecutiveFailures >= config.failureThreshold);
+
+    if (config.enabled && shouldOpen) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      circuit.trialStartedAt = null;
+
+      logger.warn(`Circuit opened for destination ${destination.name}`, {
+        destinationId: destination.id,
+        consecutiveFailures: circuit.consecutiveFailures,
+        resetTimeout: config.resetTimeout
+      });
+    }
+  }
+
+  /**
+   * Get the time at which a parked delivery should be retried
+   * @param {Object} destination - The destination
+   * @returns {Date} - When the next attempt may be made
+   */
+  getRetryTime(destination) {
+    const config = this.getConfig(destination);
+    const circuit = this._getCircuit(destination.id);
+
+    if (circuit.state === 'open') {
+      return new Date(circuit.openedAt + config.resetTimeout);
+    }
+
+    return new Date(Date.now() + HALF_OPEN_RETRY_DELAY);
+  }
+
+  /**
+   * Get the public state of a destination's circuit
+   * @param {Object} destination - The destination
+   * @returns {Object} - Circuit state
+   */
+  getState(destination) {
+    const config = this.getConfig(destination);
+    const circuit = this._getCircuit(destination.id);
+
+    return {
+      state: circuit.state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      lastFailureAt: circuit.lastFailureAt ? new Date(circuit.lastFailureAt) : null,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt) : null,
+      nextAttemptAt: circuit.state === 'open' ? new Date(circuit.openedAt + config.resetTimeout) : null,
+      ...config
+    };
+  }
+
+  /**
+   * Reset a destination's circuit (e.g. after its configuration changed)
+   * @param {string} destinationId - The destination ID
+   * @returns {void}
+   */
+  reset(destinationId) {
+    this.circuits.delete(destinationId);
+  }
+
+  /**
+   * Get or create the circuit for a destination
+   * @private
+   * @param {string} destinationId - The destination ID
+   * @returns {Object} - Mutable circuit state
+   */
+  _getCircuit(destinationId) {
+    if (!this.circuits.has(destinationId)) {
+      this.circuits.set(destinationId, {
+        state: 'closed',
+        consecutiveFailures: 0,
+        lastFailureAt: null,
+        openedAt: null,
+        trialStartedAt: null
+      });
+    }
+
+    return this.circuits.get(destinationId);
+  }
+}
+
+// Export a singleton instance
+module.exports = new CircuitBreaker();
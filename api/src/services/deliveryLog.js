@@ -0,0 +1,130 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const DeliveryAttempt = require('../models/DeliveryAttempt');
+const { redactHeaders, redactUrl } = require('../utils/redact');
+
+// Maximum number of response body characters kept per attempt
+const RESPONSE_SNIPPET_LIMIT = 2000;
+
+/**
+ * Delivery Log Service
+ * Records what RunL actually sent to each destination and makes that history searchable
+ */
+class DeliveryLog {
+  /**
+   * Record a single delivery attempt
+   * Never throws - a logging failure must not affect delivery
+   * @param {Object} attempt - Attempt details
+   * @param {Object} attempt.event - The source event ({ id, eventName })
+   * @param {string} [attempt.routeId] - The route that produced the delivery
+   * @param {string} [attempt.destinationId] - The destination ID (null for legacy destinations)
+   * @param {string} attempt.destinationName - The destination name
+   * @param {string} [attempt.deliveryJobId] - The delivery queue job
+   * @param {number} [attempt.attempt] - Attempt number within the job
+   * @param {Object} attempt.request - Request details ({ url, method, headers })
+   * @param {*} attempt.payload - The payload that was sent
+   * @param {boolean} attempt.success - Whether the attempt succeeded
+   * @param {number} [attempt.statusCode] - HTTP status code
+   * @param {number} [attempt.latencyMs] - Request latency
+   * @param {*} [attempt.responseBody] - Response body
+   * @param {string} [attempt.error] - Error message
+   * @returns {Promise<Object|null>} - The recorded attempt
+   */
+  async recordAttempt(attempt) {
+    // Nothing was sent if the request never got built
+    if (!attempt.request) {
+      return null;
+    }
+
+    try {
+      return await DeliveryAttempt.create({
+        eventId: attempt.event.id,
+        eventName: attempt.event.eventName,
+        routeId: attempt.routeId || null,
+        destinationId: attempt.destinationId || null,
+        destinationName: attempt.destinationName,
+        deliveryJobId: attempt.deliveryJobId || null,
+        attempt: attempt.attempt || 1,
+        requestUrl: redactUrl(attempt.request.url),
+        requestMethod: attempt.request.method,
+        requestHeaders: redactHeaders(attempt.request.headers),
+        payload: attempt.payload,
+        success: attempt.success,
+        statusCode: attempt.statusCode || null,
+        latencyMs: attempt.latencyMs,
+        responseSnippet: this.toSnippet(attempt.responseBody),
+        error: attempt.error || null
+      });
+    } catch (error) {
+      logger.error('Error recording delivery attempt:', {
+        error: error.message,
+        eventId: attempt.event.id,
+        destinationName: attempt.destinationName
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Search recorded attempts with pagination
+   * @param {Object} where - Base conditions (e.g. { eventId } or { destinationId })
+   * @param {Object} filters - Query filters
+   * @param {string} [filters.status] - "success" or "failed"
+   * @param {string} [filters.from] - Only attempts at or after this time
+   * @param {string} [filters.to] - Only attempts at or before this time
+   * @param {number} [filters.page=1] - Page number
+   * @param {number} [filters.limit=20] - Page size
+   * @returns {Promise<Object>} - Paginated result
+   */
+  async searchAttempts(where, filters = {}) {
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = parseInt(filters.limit, 10) || 20;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { ...where };
+
+    if (filters.status === 'success') {
+      whereClause.success = true;
+    } else if (filters.status === 'failed') {
+      whereClause.success = false;
+    }
+
+    if (filters.from || filters.to) {
+      whereClause.attemptedAt = {};
+      if (filters.from) whereClause.attemptedAt[Op.gte] = new Date(filters.from);
+      if (filters.to) whereClause.attemptedAt[Op.lte] = new Date(filters.to);
+    }
+
+    const { count, rows } = await DeliveryAttempt.findAndCountAll({
+      where: whereClause,
+      limit,
+      offset,
+      order: [['attemptedAt', 'DESC']]
+    });
+
+    return {
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      data: rows
+    };
+  }
+
+  /**
+   * Truncate a response body for storage
+   * @param {*} body - Response body
+   * @returns {string|null} - Truncated body
+   */
+  toSnippet(body) {
+    if (body === undefined || body === null) {
+      return null;
+    }
+
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return text ? text.slice(0, RESPONSE_SNIPPET_LIMIT) : null;
+  }
+}
+
+// Export a singleton instance
+module.exports = new DeliveryLog();
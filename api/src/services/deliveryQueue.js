@@ -0,0 +1,680 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+const DeliveryJob = require('../models/DeliveryJob');
+const Destination = require('../models/Destination');
+const DeadLetter = require('../models/DeadLetter');
+const webhookForwarder = require('./webhookForwarder');
+const deliveryLog = require('./deliveryLog');
+const circuitBreaker = require('./circuitBreaker');
+
+// Finished jobs are purged at most this often, in batches of this many rows
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+const CLEANUP_BATCH_SIZE = 1000;
+
+// Defaults mirror retryStrategySchema in destinationValidation.js
+const DEFAULT_RETRY_STRATEGY = {
+  maxRetries: 3,
+  initialDelay: 1000,
+  maxDelay: 60000,
+  backoffFactor: 2,
+  retryableStatusCodes: [408, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Delivery Queue Service
+ * Persists every route delivery as a job in Postgres and retries failed
+ * deliveries with exponential backoff according to the destination's retry strategy.
+ * Finished jobs are purged once they are older than DELIVERY_QUEUE_COMPLETED_TTL_MS
+ * (their attempts stay in the delivery log, failed payloads in the dead-letter store)
+ */
+class DeliveryQueue {
+  constructor() {
+    this.pollInterval = parseInt(process.env.DELIVERY_QUEUE_POLL_INTERVAL, 10) || 1000;
+    this.batchSize = parseInt(process.env.DELIVERY_QUEUE_BATCH_SIZE, 10) || 10;
+    // Jobs locked longer than this are assumed to belong to a crashed worker
+    this.staleLockTimeout = parseInt(process.env.DELIVERY_QUEUE_STALE_LOCK_MS, 10) || 5 * 60 * 1000;
+    // How long finished jobs are kept (0 keeps them forever)
+    const completedTtl = parseInt(process.env.DELIVERY_QUEUE_COMPLETED_TTL_MS, 10);
+    this.completedTtl = Number.isNaN(completedTtl) ? 7 * 24 * 60 * 60 * 1000 : completedTtl;
+    this.lastCleanupAt = 0;
+    this.timer = null;
+    this.running = false;
+    this.currentPoll = null;
+  }
+
+  /**
+   * Start polling for due jobs
+   * @returns {void}
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this._scheduleNextPoll();
+    logger.info('Delivery queue started', {
+      pollInterval: this.pollInterval,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Stop polling and wait for the in-flight batch to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentPoll) {
+      await this.currentPoll;
+    }
+
+    logger.info('Delivery queue stopped');
+  }
+
+  /**
+   * Create a delivery job and attempt it immediately
+   * The job is persisted before the attempt so a crash mid-delivery is recovered
+   * @param {Object} delivery - Delivery details
+   * @param {Object} delivery.event - The source event
+   * @param {Object} [delivery.route] - The route that produced the delivery
+   * @param {Object} delivery.destination - The destination model instance
+   * @param {Object} delivery.payload - The transformed payload
+   * @returns {Promise<Object>} - Result of the first attempt
+   */
+  async deliverNow({ event, route, destination, payload }) {
+    // Ordered destinations must wait behind any earlier unfinished delivery
+    if (this.isOrdered(destination) && await this._hasUnfinishedJobs(destination)) {
+      const queuedJob = await this.enqueue({ event, route, destination, payload });
+      return this._toResult(queuedJob);
+    }
+
+    const strategy = this.getRetryStrategy(destination);
+
+    const job = await DeliveryJob.create({
+      eventId: event.id,
+      eventName: event.eventName,
+      routeId: route ? route.id : null,
+      destinationId: destination.id,
+      payload,
+      status: 'processing',
+      maxRetries: strategy.maxRetries,
+      lockedAt: new Date()
+    });
+
+    return this.processJob(job, destination);
+  }
+
+  /**
+   * Add a delivery job to the queue without attempting it
+   * @param {Object} delivery - Delivery details (see deliverNow)
+   * @param {Date} [delivery.nextAttemptAt] - When the job becomes due
+   * @returns {Promise<Object>} - The created job
+   */
+  async enqueue({ event, route, destination, payload, nextAttemptAt }) {
+    const strategy = this.getRetryStrategy(destination);
+
+    const job = await DeliveryJob.create({
+      eventId: event.id,
+      eventName: event.eventName,
+      routeId: route ? route.id : null,
+      destinationId: destination.id,
+      payload,
+      status: 'pending',
+      maxRetries: strategy.maxRetries,
+      nextAttemptAt: nextAttemptAt || new Date()
+    });
+
+    logger.debug(`Queued delivery of ${event.eventName} to ${destination.name}`, {
+      jobId: job.id,
+      eventId: event.id
+    });
+
+    return job;
+  }
+
+  /**
+   * Attempt a claimed job and record the outcome
+   * @param {Object} job - The delivery job (status must be "processing")
+   * @param {Object} [destination] - The destination, loaded if not provided
+   * @returns {Promise<Object>} - Result of the attempt
+   */
+  async processJob(job, destination) {
+    destination = destination || await Destination.findByPk(job.destinationId);
+
+    if (!destination || !destination.enabled) {
+      const error = destination ? 'Destination is disabled' : 'Destination not found';
+      await this._completeJob(job, 'failed', { error });
+      await this._deadLetter(job);
+      return this._toResult(job);
+    }
+
+    // Park the job without using an attempt while the destination's circuit is open
+    if (!circuitBreaker.canRequest(destination)) {
+      const retryAt = circuitBreaker.getRetryTime(destination);
+
+      await job.update({
+        status: 'pending',
+        lockedAt: null,
+        nextAttemptAt: retryAt,
+        lastError: `Circuit open for destination "${destination.name}"`
+      });
+
+      logger.debug(`Parked delivery to ${destination.name} until ${retryAt.toISOString()}`, {
+        jobId: job.id,
+        eventId: job.eventId
+      });
+
+      return this._toResult(job);
+    }
+
+    const strategy = this.getRetryStrategy(destination);
+    const attempt = job.attempts + 1;
+    const attemptedAt = new Date();
+
+    try {
+      const secret = await destination.getDecryptedSecret();
+
+      const response = await webhookForwarder.sendPayload(destination.name, {
+        url: destination.url,
+        method: destination.method || 'POST',
+        headers: destination.config?.headers || {},
+        secret,
+        timeout: destination.timeout || 5000
+      }, job.payload, { id: job.eventId, eventName: job.eventName });
+
+      await this._completeJob(job, 'succeeded', {
+        attempts: attempt,
+        statusCode: response.statusCode,
+        record: this._attemptRecord(attempt, attemptedAt, response.statusCode, response.response)
+      });
+      await this._recordDestinationStats(destination, true);
+      circuitBreaker.recordSuccess(destination);
+      await this._logAttempt(job, destination, attempt, {
+        success: true,
+        statusCode: response.statusCode,
+        request: response.request,
+        latencyMs: response.latencyMs,
+        responseBody: response.response
+      });
+    } catch (error) {
+      const statusCode = error.statusCode || null;
+      const retryable = this.isRetryable(statusCode, strategy);
+      const record = this._attemptRecord(attempt, attemptedAt, statusCode, error.responseBody, error.message);
+
+      // Only availability failures count against the circuit; a client error
+      // still proves the destination is reachable
+      if (retryable) {
+        circuitBreaker.recordFailure(destination);
+      } else {
+        circuitBreaker.recordSuccess(destination);
+      }
+
+      await this._logAttempt(job, destination, attempt, {
+        success: false,
+        statusCode,
+        request: error.request,
+        latencyMs: error.latencyMs,
+        responseBody: error.responseBody,
+        error: error.message
+      });
+
+      if (retryable && attempt <= job.maxRetries) {
+        const delay = this.getRetryDelay(attempt, strategy);
+
+        await job.update({
+          status: 'pending',
+          attempts: attempt,
+          lastStatusCode: statusCode,
+          lastError: error.message,
+          lockedAt: null,
+          nextAttemptAt: new Date(Date.now() + delay),
+          history: [...(job.history || []), record]
+        });
+
+        logger.warn(`Delivery to ${destination.name} failed, retrying in ${delay}ms`, {
+          jobId: job.id,
+          eventId: job.eventId,
+          attempt,
+          maxRetries: job.maxRetries,
+          statusCode
+        });
+      } else {
+        await this._completeJob(job, 'failed', {
+          attempts: attempt,
+          statusCode,
+          error: error.message,
+          record
+        });
+        await this._deadLetter(job);
+
+        logger.error(`Delivery to ${destination.name} permanently failed`, {
+          jobId: job.id,
+          eventId: job.eventId,
+          attempts: attempt,
+          statusCode,
+          retryable
+        });
+      }
+
+      await this._recordDestinationStats(destination, false, error.message);
+    }
+
+    return this._toResult(job);
+  }
+
+  /**
+   * Replay a dead-lettered delivery with its stored payload
+   * @param {Object} deadLetter - The dead letter to replay
+   * @param {Object} [options] - Replay options
+   * @param {boolean} [options.immediate=false] - Attempt now instead of queueing
+   * @returns {Promise<Object>} - Result of the attempt, or the queued job summary
+   */
+  async replayDeadLetter(deadLetter, options = {}) {
+    const destination = await Destination.findByPk(deadLetter.destinationId);
+
+    if (!destination) {
+      throw new Error('Destination not found');
+    }
+
+    if (!destination.enabled) {
+      throw new Error(`Destination "${destination.name}" is currently disabled`);
+    }
+
+    const delivery = {
+      event: { id: deadLetter.eventId, eventName: deadLetter.eventName },
+      route: deadLetter.routeId ? { id: deadLetter.routeId } : null,
+      destination,
+      payload: deadLetter.payload
+    };
+
+    const result = options.immediate
+      ? await this.deliverNow(delivery)
+      : this._toResult(await this.enqueue(delivery));
+
+    await deadLetter.update({
+      status: 'replayed',
+      replayCount: deadLetter.replayCount + 1,
+      replayedAt: new Date(),
+      replayDeliveryJobId: result.deliveryId
+    });
+
+    logger.info(`Replayed dead-lettered delivery to ${destination.name}`, {
+      deadLetterId: deadLetter.id,
+      eventId: deadLetter.eventId,
+      deliveryId: result.deliveryId
+    });
+
+    return result;
+  }
+
+  /**
+   * Delete succeeded and failed jobs that finished more than DELIVERY_QUEUE_COMPLETED_TTL_MS ago
+   * @param {Date} [now] - Time the TTL is counted back from
+   * @returns {Promise<number>} - Number of jobs deleted
+   */
+  async purgeCompletedJobs(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.completedTtl);
+    let total = 0;
+    let deleted;
+
+    do {
+      const rows = await sequelize.query(`
+        DELETE FROM delivery_jobs
+        WHERE id IN (
+          SELECT id FROM delivery_jobs
+          WHERE status IN ('succeeded', 'failed') AND "completedAt" < :cutoff
+          LIMIT :limit
+        )
+        RETURNING id
+      `, {
+        replacements: { cutoff, limit: CLEANUP_BATCH_SIZE },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      deleted = rows.length;
+      total += deleted;
+    } while (deleted === CLEANUP_BATCH_SIZE);
+
+    if (total > 0) {
+      logger.info(`Purged ${total} finished delivery jobs`, { cutoff });
+    }
+
+    return total;
+  }
+
+  /**
+   * Check whether a destination requires in-order delivery
+   * @param {Object} destination - The destination
+   * @returns {boolean} - Whether deliveries must be made in order
+   */
+  isOrdered(destination) {
+    return Boolean(destination.config && destination.config.orderedDelivery);
+  }
+
+  /**
+   * Get the effective retry strategy for a destination
+   * @param {Object} destination - The destination
+   * @returns {Object} - Retry strategy with defaults applied
+   */
+  getRetryStrategy(destination) {
+    return {
+      ...DEFAULT_RETRY_STRATEGY,
+      ...(destination && destination.retryStrategy ? destination.retryStrategy : {})
+    };
+  }
+
+  /**
+   * Calculate the backoff delay before the next attempt
+   * @param {number} attempt - The attempt that just failed (1-based)
+   * @param {Object} strategy - Retry strategy
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt, strategy) {
+    const delay = strategy.initialDelay * Math.pow(strategy.backoffFactor, attempt - 1);
+    return Math.min(delay, strategy.maxDelay);
+  }
+
+  /**
+   * Check whether a failure should be retried
+   * Network errors and timeouts (no status code) are always retryable
+   * @param {number|null} statusCode - HTTP status code of the failed attempt
+   * @param {Object} strategy - Retry strategy
+   * @returns {boolean} - Whether the failure is retryable
+   */
+  isRetryable(statusCode, strategy) {
+    if (!statusCode) {
+      return true;
+    }
+
+    return strategy.retryableStatusCodes.includes(statusCode);
+  }
+
+  /**
+   * Schedule the next poll if the queue is running
+   * @private
+   */
+  _scheduleNextPoll() {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.currentPoll = this._poll()
+        .catch(error => {
+          logger.error('Error polling delivery queue:', {
+            error: error.message,
+            stack: error.stack
+          });
+        })
+        .finally(() => {
+          this.currentPoll = null;
+          this._scheduleNextPoll();
+        });
+    }, this.pollInterval);
+  }
+
+  /**
+   * Release stale locks, claim due jobs and process them
+   * @private
+   * @returns {Promise<number>} - Number of jobs processed
+   */
+  async _poll() {
+    await this._releaseStaleLocks();
+
+    if (this.completedTtl > 0 && Date.now() - this.lastCleanupAt >= CLEANUP_INTERVAL) {
+      this.lastCleanupAt = Date.now();
+      await this.purgeCompletedJobs();
+    }
+
+    const jobIds = await this._claimDueJobs();
+
+    if (jobIds.length === 0) {
+      return 0;
+    }
+
+    const jobs = await DeliveryJob.findAll({
+      where: { id: jobIds },
+      include: [{ model: Destination, as: 'destination' }],
+      order: [['nextAttemptAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    for (const job of jobs) {
+      try {
+        await this.processJob(job, job.destination);
+      } catch (error) {
+        logger.error(`Error processing delivery job ${job.id}:`, {
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Atomically claim due jobs so concurrent workers never share a job
+   * @private
+   * @returns {Promise<Array<string>>} - IDs of the claimed jobs
+   */
+  async _claimDueJobs() {
+    const rows = await sequelize.query(`
+      UPDATE delivery_jobs
+      SET status = 'processing', "lockedAt" = NOW(), "updatedAt" = NOW()
+      WHERE id IN (
+        SELECT j.id FROM delivery_jobs j
+        JOIN destinations d ON d.id = j."destinationId"
+        WHERE j.status = 'pending' AND j."nextAttemptAt" <= NOW()
+          -- Ordered destinations only release their oldest unfinished job
+          AND NOT (
+            COALESCE((d.config->>'orderedDelivery')::boolean, false)
+            AND EXISTS (
+              SELECT 1 FROM delivery_jobs older
+              WHERE older."destinationId" = j."destinationId"
+                AND older.status IN ('pending', 'processing')
+                AND older."createdAt" < j."createdAt"
+            )
+          )
+        ORDER BY j."nextAttemptAt" ASC, j."createdAt" ASC
+        LIMIT :limit
+        FOR UPDATE OF j SKIP LOCKED
+      )
+      RETURNING id
+    `, {
+      replacements: { limit: this.batchSize },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Check whether a destination has deliveries that are queued or in flight
+   * @private
+   * @param {Object} destination - The destination
+   * @returns {Promise<boolean>} - Whether unfinished jobs exist
+   */
+  async _hasUnfinishedJobs(destination) {
+    const count = await DeliveryJob.count({
+      where: {
+        destinationId: destination.id,
+        status: ['pending', 'processing']
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Return jobs left in "processing" by a crashed or restarted worker to the queue
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _releaseStaleLocks() {
+    const [count] = await DeliveryJob.update({
+      status: 'pending',
+      lockedAt: null
+    }, {
+      where: {
+        status: 'processing',
+        lockedAt: {
+          [Op.lt]: new Date(Date.now() - this.staleLockTimeout)
+        }
+      }
+    });
+
+    if (count > 0) {
+      logger.warn(`Released ${count} stale delivery jobs back to the queue`);
+    }
+  }
+
+  /**
+   * Mark a job as finished
+   * @private
+   * @param {Object} job - The delivery job
+   * @param {string} status - "succeeded" or "failed"
+   * @param {Object} details - Attempt details
+   * @returns {Promise<void>}
+   */
+  async _completeJob(job, status, { attempts, statusCode, error, record } = {}) {
+    await job.update({
+      status,
+      attempts: attempts !== undefined ? attempts : job.attempts,
+      lastStatusCode: statusCode || null,
+      lastError: error || null,
+      lockedAt: null,
+      completedAt: new Date(),
+      history: record ? [...(job.history || []), record] : job.history
+    });
+  }
+
+  /**
+   * Build the history entry for a single attempt
+   * @private
+   * @param {number} attempt - Attempt number (1-based)
+   * @param {Date} attemptedAt - When the attempt started
+   * @param {number|null} statusCode - HTTP status code, if a response was received
+   * @param {*} responseBody - Response body, if any
+   * @param {string} [error] - Error message of a failed attempt
+   * @returns {Object} - History entry
+   */
+  _attemptRecord(attempt, attemptedAt, statusCode, responseBody, error) {
+    return {
+      attempt,
+      attemptedAt,
+      durationMs: Date.now() - attemptedAt.getTime(),
+      statusCode: statusCode || null,
+      responseBody: deliveryLog.toSnippet(responseBody),
+      error: error || null
+    };
+  }
+
+  /**
+   * Record an attempt of a job in the delivery log
+   * @private
+   * @param {Object} job - The delivery job
+   * @param {Object} destination - The destination
+   * @param {number} attempt - Attempt number (1-based)
+   * @param {Object} outcome - Request and response details
+   * @returns {Promise<void>}
+   */
+  async _logAttempt(job, destination, attempt, outcome) {
+    await deliveryLog.recordAttempt({
+      event: { id: job.eventId, eventName: job.eventName },
+      routeId: job.routeId,
+      destinationId: destination.id,
+      destinationName: destination.name,
+      deliveryJobId: job.id,
+      attempt,
+      payload: job.payload,
+      ...outcome
+    });
+  }
+
+  /**
+   * Move a permanently failed job to the dead-letter store
+   * @private
+   * @param {Object} job - The failed delivery job
+   * @returns {Promise<void>}
+   */
+  async _deadLetter(job) {
+    try {
+      await DeadLetter.create({
+        deliveryJobId: job.id,
+        eventId: job.eventId,
+        eventName: job.eventName,
+        routeId: job.routeId,
+        destinationId: job.destinationId,
+        payload: job.payload,
+        attempts: job.history || [],
+        lastError: job.lastError,
+        failedAt: job.completedAt || new Date()
+      });
+    } catch (error) {
+      logger.error(`Error dead-lettering delivery job ${job.id}:`, {
+        error: error.message,
+        eventId: job.eventId
+      });
+    }
+  }
+
+  /**
+   * Update destination success/failure statistics
+   * @private
+   * @param {Object} destination - The destination
+   * @param {boolean} success - Whether the attempt succeeded
+   * @param {string} [errorMessage] - Error message of a failed attempt
+   * @returns {Promise<void>}
+   */
+  async _recordDestinationStats(destination, success, errorMessage) {
+    try {
+      if (success) {
+        await destination.increment('successCount');
+        await destination.update({
+          lastSent: new Date(),
+          lastError: null
+        });
+      } else {
+        await destination.increment('failureCount');
+        await destination.update({
+          lastError: errorMessage
+        });
+      }
+    } catch (statsError) {
+      logger.error(`Error updating destination stats:`, {
+        error: statsError.message,
+        destinationId: destination.id
+      });
+      // Don't fail the delivery if we can't update stats
+    }
+  }
+
+  /**
+   * Convert a job into a routing result
+   * @private
+   * @param {Object} job - The delivery job
+   * @returns {Object} - Result summary
+   */
+  _toResult(job) {
+    return {
+      success: job.status === 'succeeded',
+      deliveryId: job.id,
+      deliveryStatus: job.status,
+      attempts: job.attempts,
+      statusCode: job.lastStatusCode,
+      error: job.lastError,
+      nextAttemptAt: job.status === 'pending' ? job.nextAttemptAt : null
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new DeliveryQueue();
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+
+// Nested objects deeper than this are recorded as "object" without their children
+const MAX_DEPTH = 5;
+
+// Paths beyond this per event are ignored to bound the work done per event
+const MAX_PATHS_PER_EVENT = 200;
+
+// Longest sample string kept
+const MAX_SAMPLE_LENGTH = 100;
+
+/**
+ * Event Catalog Service
+ * Discovers event names and property paths as events are ingested. Observations
+ * are aggregated in memory and flushed to Postgres periodically, so ingestion
+ * never waits on catalog writes
+ */
+class EventCatalog {
+  constructor() {
+    this.flushInterval = parseInt(process.env.CATALOG_FLUSH_INTERVAL, 10) || 5000;
+    this.maxSamples = process.env.CATALOG_MAX_SAMPLES !== undefined
+      ? parseInt(process.env.CATALOG_MAX_SAMPLES, 10)
+      : 5;
+    // Map of event name to pending observations
+    this.pending = new Map();
+    this.timer = null;
+    this.currentFlush = null;
+  }
+
+  /**
+   * Start flushing observations periodically
+   * @returns {void}
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => {
+        logger.error('Error flushing event catalog:', { error: error.message });
+      });
+    }, this.flushInterval);
+
+    logger.info('Event catalog started', { flushInterval: this.flushInterval });
+  }
+
+  /**
+   * Stop flushing and write any remaining observations
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await this.flush();
+    logger.info('Event catalog stopped');
+  }
+
+  /**
+   * Record the event name and property paths of ingested events
+   * @param {Array<Object>|Object} events - Stored events ({ eventName, properties, createdAt })
+   * @returns {void}
+   */
+  observe(events) {
+    for (const event of Array.isArray(events) ? events : [events]) {
+      const seenAt = event.createdAt ? new Date(event.createdAt) : new Date();
+      const entry = this._getPending(event.eventName, seenAt);
+
+      entry.count += 1;
+      entry.lastSeen = seenAt;
+
+      const paths = new Map();
+      this._collectPaths(event.properties, '', 0, paths);
+
+      for (const [path, values] of paths) {
+        let property = entry.properties.get(path);
+
+        if (!property) {
+          property = { types: new Set(), count: 0, samples: new Set(), firstSeen: seenAt, lastSeen: seenAt };
+          entry.properties.set(path, property);
+        }
+
+        property.count += 1;
+        property.lastSeen = seenAt;
+
+        for (const value of values) {
+          property.types.add(this._typeOf(value));
+
+          if (property.samples.size < this.maxSamples && this._isSampleable(value)) {
+            property.samples.add(JSON.stringify(
+              typeof value === 'string' ? value.slice(0, MAX_SAMPLE_LENGTH) : value
+            ));
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Write pending observations to the catalog tables
+   * Observations from a failed flush are dropped; the catalog is best effort
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    // Serialize flushes so interval and shutdown flushes never overlap
+    if (this.currentFlush) {
+      await this.currentFlush;
+    }
+
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    const pending = this.pending;
+    this.pending = new Map();
+
+    this.currentFlush = this._write(pending)
+      .catch(error => {
+        logger.error('Error writing event catalog observations:', {
+          error: error.message,
+          eventNames: [...pending.keys()]
+        });
+      })
+      .finally(() => {
+        this.currentFlush = null;
+      });
+
+    await this.currentFlush;
+  }
+
+  /**
+   * Upsert aggregated observations
+   * @private
+   * @param {Map} pending - Observations by event name
+   * @returns {Promise<void>}
+   */
+  async _write(pending) {
+    await sequelize.transaction(async (transaction) => {
+      for (const [eventName, entry] of pending) {
+        await sequelize.query(`
+          INSERT INTO catalog_events (id, "eventName", "eventCount", "firstSeen", "lastSeen", "createdAt", "updatedAt")
+          VALUES (:id, :eventName, :count, :firstSeen, :lastSeen, NOW(), NOW())
+          ON CONFLICT ("eventName") DO UPDATE SET
+            "eventCount" = catalog_events."eventCount" + EXCLUDED."eventCount",
+            "firstSeen" = LEAST(catalog_events."firstSeen", EXCLUDED."firstSeen"),
+            "lastSeen" = GREATEST(catalog_events."lastSeen", EXCLUDED."lastSeen"),
+            "updatedAt" = NOW()
+        `, {
+          replacements: {
+            id: crypto.randomUUID(),
+            eventName,
+            count: entry.count,
+            firstSeen: entry.firstSeen,
+            lastSeen: entry.lastSeen
+          },
+          transaction
+        });
+
+        for (const [path, property] of entry.properties) {
+          // Existing samples come first so they are kept once the limit is reached
+          await sequelize.query(`
+            INSERT INTO catalog_properties
+              (id, "eventName", path, types, "occurrenceCount", "sampleValues", "firstSeen", "lastSeen", "createdAt", "updatedAt")
+            VALUES (:id, :eventName, :path, CAST(:types AS jsonb), :count, CAST(:samples AS jsonb), :firstSeen, :lastSeen, NOW(), NOW())
+            ON CONFLICT ("eventName", path) DO UPDATE SET
+              types = (
+                SELECT COALESCE(jsonb_agg(DISTINCT t), '[]'::jsonb)
+                FROM jsonb_array_elements(catalog_properties.types || EXCLUDED.types) t
+              ),
+              "occurrenceCount" = catalog_properties."occurrenceCount" + EXCLUDED."occurrenceCount",
+              "sampleValues" = (
+                SELECT COALESCE(jsonb_agg(s.value ORDER BY s.position), '[]'::jsonb)
+                FROM (
+                  SELECT value, MIN(position) AS position
+                  FROM jsonb_array_elements(catalog_properties."sampleValues" || EXCLUDED."sampleValues")
+                    WITH ORDINALITY AS e(value, position)
+                  GROUP BY value
+                  ORDER BY MIN(position)
+                  LIMIT :maxSamples
+                ) s
+              ),
+              "firstSeen" = LEAST(catalog_properties."firstSeen", EXCLUDED."firstSeen"),
+              "lastSeen" = GREATEST(catalog_properties."lastSeen", EXCLUDED."lastSeen"),
+              "updatedAt" = NOW()
+          `, {
+            replacements: {
+              id: crypto.randomUUID(),
+              eventName,
+              path,
+              types: JSON.stringify([...property.types]),
+              count: property.count,
+              samples: `[${[...property.samples].join(',')}]`,
+              maxSamples: this.maxSamples,
+              firstSeen: property.firstSeen,
+              lastSeen: property.lastSeen
+            },
+            transaction
+          });
+        }
+      }
+    });
+
+    logger.debug(`Flushed event catalog observations for ${pending.size} event names`);
+  }
+
+  /**
+   * Get or create the pending entry for an event name
+   * @private
+   * @param {string} eventName - The event name
+   * @param {Date} seenAt - Observation time
+   * @returns {Object} - Pending entry
+   */
+  _getPending(eventName, seenAt) {
+    if (!this.pending.has(eventName)) {
+      this.pending.set(eventName, {
+        count: 0,
+        firstSeen: seenAt,
+        lastSeen: seenAt,
+        properties: new Map()
+      });
+    }
+
+    return this.pending.get(eventName);
+  }
+
+  /**
+   * Collect the values at every property path of an object
+   * Array elements share a single "path[]" entry
+   * @private
+   * @param {*} value - Value to walk
+   * @param {string} prefix - Path of the value
+   * @param {number} depth - Nesting depth
+   * @param {Map} paths - Map of path to observed values (mutated)
+   */
+  _collectPaths(value, prefix, depth, paths) {
+    if (value === null || typeof value !== 'object' || depth >= MAX_DEPTH) {
+      return;
+    }
+
+    const entries = Array.isArray(value)
+      ? value.map(item => [`${prefix}[]`, item])
+      : Object.entries(value).map(([key, item]) => [prefix ? `${prefix}.${key}` : key, item]);
+
+    for (const [path, item] of entries) {
+      if (!paths.has(path)) {
+        if (paths.size >= MAX_PATHS_PER_EVENT) {
+          continue;
+        }
+        paths.set(path, []);
+      }
+
+      paths.get(path).push(item);
+      this._collectPaths(item, path, depth + 1, paths);
+    }
+  }
+
+  /**
+   * Get the JSON type of a value
+   * @private
+   * @param {*} value - The value
+   * @returns {string} - "string", "number", "boolean", "null", "array" or "object"
+   */
+  _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Check whether a value can be kept as a sample (scalars only)
+   * @private
+   * @param {*} value - The value
+   * @returns {boolean} - Whether to sample it
+   */
+  _isSampleable(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+  }
+}
+
+// Export a singleton instance
+module.exports = new EventCatalog();
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+const Event = require('../models/Event');
+const { eventSchema } = require('../middleware/eventValidation');
+const eventRouter = require('./eventRouter');
+const ingestionWorker = require('./ingestionWorker');
+const schemaRegistry = require('./schemaRegistry');
+const eventCatalog = require('./eventCatalog');
+const userProfiles = require('./userProfiles');
+const identityGraph = require('./identityGraph');
+const sessionizer = require('./sessionizer');
+const piiPolicies = require('./piiPolicies');
+const idempotencyStore = require('./idempotencyStore');
+
+// Namespace of the idempotency keys holding the messageIds of ingested events
+const MESSAGE_ID_SCOPE = 'messages';
+
+/**
+ * Event Ingestion Service
+ * Shared validation, bulk insert and routing for every ingestion endpoint, so
+ * a messageId is deduplicated the same way whichever endpoint it arrives through
+ */
+class EventIngestion {
+  /**
+   * Validate a single submitted event
+   * @param {*} item - The submitted event
+   * @returns {Promise<Array<Object>>} - Validation errors (empty when the event is valid)
+   */
+  async validate(item) {
+    const { error } = eventSchema.validate(item, { abortEarly: false });
+
+    if (error) {
+      return error.details.map(detail => ({
+        message: detail.message,
+        path: detail.path.join('.')
+      }));
+    }
+
+    // The schema only requires a string; reject timestamps Postgres cannot store
+    if (isNaN(new Date(item.timestamp).getTime())) {
+      return [{ message: '"timestamp" must be a valid date', path: 'timestamp' }];
+    }
+
+    return this.checkBlockingSchema(item);
+  }
+
+  /**
+   * Check an event against the schema registry
+   * Events blocked by their schema are recorded as violations here
+   * @param {Object} item - An event that passed structural validation
+   * @returns {Promise<Array<Object>>} - Schema errors if the event is blocked (empty otherwise)
+   */
+  async checkBlockingSchema(item) {
+    const violation = schemaRegistry.check(item);
+
+    if (violation && violation.mode === 'block') {
+      await schemaRegistry.recordViolation(violation, { properties: item.properties });
+      return violation.errors.map(({ message, path }) => ({ message, path }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Insert validated events in one transaction and route them
+   * Events whose messageId was already ingested within the idempotency window
+   * (or earlier in the same call) are skipped as duplicates. Storage PII policies
+   * are applied to the properties before they are stored. In async mode the
+   * events are queued for the ingestion worker; otherwise they are dispatched
+   * before this resolves
+   * @param {Array<Object>} items - Valid events ({ eventName, timestamp, properties, messageId, callType })
+   * @param {Object} [options] - Ingestion options
+   * @param {boolean} [options.async=false] - Queue routing instead of routing now
+   * @returns {Promise<Array<Object>>} - One result per item, in input order: { status: "accepted", event, routing }
+   *   (routing holds the routing results, empty in async mode) or { status: "duplicate", eventId }
+   *   (eventId is null while the original is still being stored)
+   */
+  async ingest(items, options = {}) {
+    const { fresh, claimedKeys, duplicates } = await this._claimMessageIds(items);
+
+    const isAsync = Boolean(options.async);
+    const freshItems = fresh.map(index => items[index]);
+
+    // Blocked events were rejected by validate(); warn/tag violations are stored with the event
+    const violations = freshItems.map(item => schemaRegistry.check(item));
+
+    let events;
+    try {
+      events = await this._insert(freshItems, violations, isAsync);
+    } catch (error) {
+      await Promise.all(claimedKeys.map(key => idempotencyStore.release(key)));
+      throw error;
+    }
+
+    const eventsByIndex = new Map(fresh.map((index, i) => [index, events[i]]));
+
+    await Promise.all(fresh
+      .filter(index => items[index].messageId)
+      .map(index => idempotencyStore.complete(
+        this._messageKey(items[index].messageId),
+        this._fingerprint(items[index]),
+        201,
+        { eventId: eventsByIndex.get(index).id }
+      ).catch(error => {
+        logger.error(`Failed to store messageId ${items[index].messageId}:`, error);
+      })));
+
+    const routing = events.length > 0 ? await this._process(events, violations, isAsync) : [];
+    const routingByIndex = new Map(fresh.map((index, i) => [index, routing[i]]));
+
+    return items.map((item, index) => {
+      if (eventsByIndex.has(index)) {
+        return { status: 'accepted', event: eventsByIndex.get(index), routing: routingByIndex.get(index) };
+      }
+
+      // Duplicates of an item earlier in this call resolve to its new event
+      const { eventId, sameCallIndex } = duplicates.get(index);
+      const original = sameCallIndex !== undefined ? eventsByIndex.get(sameCallIndex) : null;
+      return { status: 'duplicate', eventId: original ? original.id : eventId };
+    });
+  }
+
+  /**
+   * Claim the messageIds of items about to be ingested
+   * @private
+   * @param {Array<Object>} items - Valid events
+   * @returns {Promise<Object>} - { fresh: indexes to store, claimedKeys, duplicates: Map of index to { eventId, sameCallIndex } }
+   */
+  async _claimMessageIds(items) {
+    const fresh = [];
+    const claimedKeys = [];
+    const duplicates = new Map();
+    const firstIndexes = new Map();
+
+    try {
+      for (const [index, item] of items.entries()) {
+        if (!item.messageId) {
+          fresh.push(index);
+          continue;
+        }
+
+        if (firstIndexes.has(item.messageId)) {
+          duplicates.set(index, { eventId: null, sameCallIndex: firstIndexes.get(item.messageId) });
+          continue;
+        }
+
+        const key = this._messageKey(item.messageId);
+
+        if (await idempotencyStore.claim(key, this._fingerprint(item))) {
+          claimedKeys.push(key);
+          firstIndexes.set(item.messageId, index);
+          fresh.push(index);
+        } else {
+          const existing = await idempotencyStore.find(key);
+          duplicates.set(index, { eventId: existing?.responseBody?.eventId || null });
+        }
+      }
+    } catch (error) {
+      await Promise.all(claimedKeys.map(key => idempotencyStore.release(key)));
+      throw error;
+    }
+
+    if (duplicates.size > 0) {
+      logger.info(`Skipped ${duplicates.size} events with an already ingested messageId`);
+    }
+
+    return { fresh, claimedKeys, duplicates };
+  }
+
+  /**
+   * Get the idempotency key of a messageId
+   * @private
+   * @param {string} messageId - Client-supplied message ID
+   * @returns {string} - Scoped key
+   */
+  _messageKey(messageId) {
+    return `${MESSAGE_ID_SCOPE}:${messageId}`;
+  }
+
+  /**
+   * Fingerprint an event for the idempotency store
+   * @private
+   * @param {Object} item - The event
+   * @returns {string} - SHA-256 of the event
+   */
+  _fingerprint(item) {
+    return crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex');
+  }
+
+  /**
+   * Insert events in one transaction
+   * @private
+   * @param {Array<Object>} items - Events to store
+   * @param {Array<Object|null>} violations - Schema registry result of each event
+   * @param {boolean} isAsync - Whether routing is left to the ingestion worker
+   * @returns {Promise<Array<Object>>} - The created events, in input order
+   */
+  async _insert(items, violations, isAsync) {
+    if (items.length === 0) {
+      return [];
+    }
+
+    return sequelize.transaction(async (t) => {
+      return Event.bulkCreate(items.map((item, i) => ({
+        eventName: item.eventName,
+        timestamp: new Date(item.timestamp),
+        properties: piiPolicies.applyStorage(item.properties),
+        messageId: item.messageId || null,
+        callType: item.callType || null,
+        schemaViolations: violations[i] && violations[i].mode === 'tag' ? violations[i].errors : null,
+        routingStatus: isAsync ? 'queued' : 'routing'
+      })), {
+        transaction: t,
+        returning: true
+      });
+    });
+  }
+
+  /**
+   * Record stored events in the catalog, user profiles, identity graph and sessions
+   * Never throws - the events are already stored, so a failure is logged and
+   * routing goes ahead
+   * @param {Array<Object>|Object} events - The stored events
+   * @returns {Promise<void>}
+   */
+  async enrich(events) {
+    eventCatalog.observe(events);
+
+    const steps = [
+      ['user profiles', () => userProfiles.recordEvents(events)],
+      ['identities', () => identityGraph.recordEvents(events)],
+      ['sessions', () => sessionizer.assign(events)]
+    ];
+
+    for (const [name, record] of steps) {
+      try {
+        await record();
+      } catch (error) {
+        logger.error(`Error recording ${name} of stored events:`, {
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Record stored events (violations, catalog, profiles, identities, sessions) and route them
+   * @private
+   * @param {Array<Object>} events - The created events
+   * @param {Array<Object|null>} violations - Schema registry result of each event
+   * @param {boolean} isAsync - Queue routing instead of routing now
+   * @returns {Promise<Array<Array>>} - Routing results of each event (empty in async mode)
+   */
+  async _process(events, violations, isAsync) {
+    await schemaRegistry.recordViolations(events
+      .map((event, i) => ({ violation: violations[i], eventId: event.id }))
+      .filter(({ violation }) => violation));
+
+    // Profiles are updated before routing so enriching transformations see these traits
+    await this.enrich(events);
+
+    if (isAsync) {
+      ingestionWorker.notify();
+      return events.map(() => []);
+    }
+
+    // Dispatch in input order; the router's limiters cap concurrency and
+    // keep ordered destinations in sequence
+    return Promise.all(events.map(event =>
+      eventRouter.dispatch(event).catch(async (routingError) => {
+        logger.error(`Error routing event: ${routingError.message}`, {
+          eventId: event.id,
+          eventName: event.eventName
+        });
+
+        await event.update({ routingStatus: 'failed', routedAt: new Date() });
+        return [];
+      })
+    ));
+  }
+}
+
+// Export a singleton instance
+module.exports = new EventIngestion();
@@ -0,0 +1,464 @@
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+
+// Partitioned table built by the migration before it replaces events
+const STAGING_TABLE = 'events_partitioned';
+
+// Unpartitioned table kept by the migration for verification
+const LEGACY_TABLE = 'events_unpartitioned';
+
+// Partition receiving events outside every monthly range
+const DEFAULT_PARTITION = 'events_default';
+
+// Monthly partitions are named events_pYYYYMM
+const PARTITION_NAME_PATTERN = /^events_p(\d{4})(\d{2})$/;
+
+// The migration creates monthly partitions at most this far back; older events go to the default partition
+const MAX_BACKFILL_MONTHS = 120;
+
+/**
+ * Get the first instant of a UTC month, offset by a number of months
+ * @private
+ * @param {Date} date - Any time in the month
+ * @param {number} [offset] - Months to move by
+ * @returns {Date} - Start of the month
+ */
+function monthStart(date, offset = 0) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+}
+
+/**
+ * Get the name of the partition holding a month
+ * @private
+ * @param {Date} month - Start of the month
+ * @returns {string} - Partition name
+ */
+function partitionName(month) {
+  return `events_p${month.getUTCFullYear()}${String(month.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Event Partition Service
+ * Manages the events table as native Postgres range partitions by month of the
+ * event timestamp: partitions are created ahead of time and, optionally, those
+ * older than the retention window are detached. Partitioning is transparent to
+ * the Event model - the partitioned table keeps the name, columns and indexes
+ * of events, with (id, timestamp) as its primary key
+ */
+class EventPartitions {
+  constructor() {
+    this.enabled = process.env.EVENT_PARTITIONING === 'true';
+    this.monthsAhead = process.env.EVENT_PARTITIONS_AHEAD !== undefined
+      ? parseInt(process.env.EVENT_PARTITIONS_AHEAD, 10)
+      : 3;
+    this.retentionMonths = parseInt(process.env.EVENT_PARTITION_RETENTION_MONTHS, 10) || 0;
+    this.maintenanceInterval = parseInt(process.env.EVENT_PARTITION_MAINTENANCE_INTERVAL, 10) || 6 * 60 * 60 * 1000;
+    this.copyBatchSize = parseInt(process.env.EVENT_PARTITION_COPY_BATCH_SIZE, 10) || 5000;
+    this.timer = null;
+    this.running = false;
+    this.currentRun = null;
+  }
+
+  /**
+   * Start maintaining partitions periodically
+   * An empty unpartitioned events table (a fresh install) is converted in place;
+   * one holding events has to be migrated with db/partitionEvents.js first
+   * @returns {void}
+   */
+  start() {
+    if (this.running || !this.enabled) {
+      return;
+    }
+
+    this.running = true;
+    this._scheduleNextRun(0);
+    logger.info('Event partition maintenance started', {
+      monthsAhead: this.monthsAhead,
+      retentionMonths: this.retentionMonths,
+      maintenanceInterval: this.maintenanceInterval
+    });
+  }
+
+  /**
+   * Stop maintaining partitions and wait for the in-flight run to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('Event partition maintenance stopped');
+  }
+
+  /**
+   * Check whether a table is partitioned
+   * @param {string} [table] - Table name
+   * @returns {Promise<boolean>}
+   */
+  async isPartitioned(table = 'events') {
+    const [{ partitioned }] = await sequelize.query(`
+      SELECT EXISTS (
+        SELECT 1 FROM pg_partitioned_table pt
+        JOIN pg_class c ON c.oid = pt.partrelid
+        WHERE c.relname = :table AND pg_table_is_visible(c.oid)
+      ) AS partitioned
+    `, {
+      replacements: { table },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return partitioned;
+  }
+
+  /**
+   * List the partitions attached to the events table
+   * @param {string} [table] - Partitioned table
+   * @returns {Promise<Array<Object>>} - { name, from, to, estimatedRows }, oldest first; from/to are null for the default partition
+   */
+  async listPartitions(table = 'events') {
+    const rows = await sequelize.query(`
+      SELECT c.relname AS name, c.reltuples::bigint AS "estimatedRows"
+      FROM pg_inherits i
+      JOIN pg_class c ON c.oid = i.inhrelid
+      JOIN pg_class p ON p.oid = i.inhparent
+      WHERE p.relname = :table AND pg_table_is_visible(p.oid)
+      ORDER BY c.relname
+    `, {
+      replacements: { table },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return rows.map(row => {
+      const match = row.name.match(PARTITION_NAME_PATTERN);
+      const from = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1)) : null;
+
+      return {
+        name: row.name,
+        from,
+        to: from ? monthStart(from, 1) : null,
+        estimatedRows: Math.max(Number(row.estimatedRows), 0)
+      };
+    });
+  }
+
+  /**
+   * Create the monthly partitions from a month up to EVENT_PARTITIONS_AHEAD months after now
+   * Events already in the default partition for a new month are moved into it
+   * @param {Object} [options] - { table, from, now }
+   * @returns {Promise<Array<string>>} - Names of the partitions created
+   */
+  async ensurePartitions({ table = 'events', from, now = new Date() } = {}) {
+    const existing = new Set((await this.listPartitions(table)).map(partition => partition.name));
+    const created = [];
+
+    if (!existing.has(DEFAULT_PARTITION)) {
+      await sequelize.query(`CREATE TABLE ${DEFAULT_PARTITION} PARTITION OF ${table} DEFAULT`);
+      created.push(DEFAULT_PARTITION);
+    }
+
+    const last = monthStart(now, this.monthsAhead);
+    for (let month = monthStart(from || now); month <= last; month = monthStart(month, 1)) {
+      const name = partitionName(month);
+
+      if (!existing.has(name)) {
+        await this._createPartition(table, name, month, monthStart(month, 1));
+        created.push(name);
+      }
+    }
+
+    if (created.length > 0) {
+      logger.info(`Created event partitions: ${created.join(', ')}`);
+    }
+
+    return created;
+  }
+
+  /**
+   * Detach the monthly partitions that ended more than EVENT_PARTITION_RETENTION_MONTHS ago
+   * Detached partitions stay in the database as ordinary tables, to be archived or dropped
+   * @param {Date} [now] - Time the retention window is counted back from
+   * @returns {Promise<Array<string>>} - Names of the partitions detached
+   */
+  async detachExpiredPartitions(now = new Date()) {
+    if (this.retentionMonths <= 0) {
+      return [];
+    }
+
+    const cutoff = monthStart(now, -this.retentionMonths);
+    const expired = (await this.listPartitions())
+      .filter(partition => partition.to && partition.to <= cutoff);
+
+    for (const partition of expired) {
+      await sequelize.query(`ALTER TABLE events DETACH PARTITION ${partition.name}`);
+      logger.info(`Detached event partition ${partition.name}`, {
+        from: partition.from,
+        to: partition.to
+      });
+    }
+
+    return expired.map(partition => partition.name);
+  }
+
+  /**
+   * Run partition maintenance once: convert an empty unpartitioned table, create
+   * upcoming partitions and detach expired ones
+   * @returns {Promise<Object>} - { created, detached }
+   */
+  async maintain() {
+    if (!await this.isPartitioned()) {
+      const [{ empty }] = await sequelize.query(
+        'SELECT NOT EXISTS (SELECT 1 FROM events) AS empty',
+        { type: sequelize.QueryTypes.SELECT }
+      );
+
+      if (!empty) {
+        logger.warn('EVENT_PARTITIONING is on but the events table is not partitioned; run node src/db/partitionEvents.js to migrate it');
+        return { created: [], detached: [] };
+      }
+
+      await this.migrate();
+    }
+
+    return {
+      created: await this.ensurePartitions(),
+      detached: await this.detachExpiredPartitions()
+    };
+  }
+
+  /**
+   * Migrate the unpartitioned events table to a partitioned one
+   * Events are copied in batches (resuming an interrupted migration) while the
+   * application keeps running; the tables are then swapped under a short lock,
+   * after copying the rows inserted or updated since the copy started. The old
+   * table is kept as events_unpartitioned. Rows deleted during the copy are not
+   * caught up, so pause retention purges and privacy erasures while migrating
+   * @returns {Promise<Object>} - { copied, caughtUp }
+   */
+  async migrate() {
+    if (await this.isPartitioned()) {
+      logger.info('Events table is already partitioned');
+      return { copied: 0, caughtUp: 0 };
+    }
+
+    const [{ now: copyStartedAt }] = await sequelize.query('SELECT NOW() AS now', {
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    const indexes = await this._prepareStagingTable();
+
+    const [{ oldest }] = await sequelize.query('SELECT MIN("timestamp") AS oldest FROM events', {
+      type: sequelize.QueryTypes.SELECT
+    });
+    const earliest = monthStart(new Date(), -MAX_BACKFILL_MONTHS);
+    await this.ensurePartitions({
+      table: STAGING_TABLE,
+      from: oldest ? new Date(Math.max(new Date(oldest), earliest)) : undefined
+    });
+
+    const copied = await this._copyEvents();
+    const caughtUp = await this._swapTables(copyStartedAt, indexes);
+
+    logger.info('Migrated events to a partitioned table', { copied, caughtUp, legacyTable: LEGACY_TABLE });
+
+    return { copied, caughtUp };
+  }
+
+  /**
+   * Create a monthly partition
+   * The partition is filled from the default partition before it is attached,
+   * since a range cannot be attached while the default partition holds rows in it
+   * @private
+   * @param {string} table - Partitioned table
+   * @param {string} name - Partition name
+   * @param {Date} from - Start of the month (inclusive)
+   * @param {Date} to - Start of the next month (exclusive)
+   * @returns {Promise<void>}
+   */
+  async _createPartition(table, name, from, to) {
+    const bounds = `FROM ('${from.toISOString()}') TO ('${to.toISOString()}')`;
+
+    await sequelize.transaction(async (transaction) => {
+      await sequelize.query(`CREATE TABLE ${name} (LIKE ${table} INCLUDING DEFAULTS INCLUDING CONSTRAINTS)`, { transaction });
+
+      await sequelize.query(`
+        WITH moved AS (
+          DELETE FROM ${DEFAULT_PARTITION}
+          WHERE "timestamp" >= $1::timestamptz AND "timestamp" < $2::timestamptz
+          RETURNING *
+        )
+        INSERT INTO ${name} SELECT * FROM moved
+      `, {
+        bind: [from.toISOString(), to.toISOString()],
+        transaction
+      });
+
+      await sequelize.query(`ALTER TABLE ${table} ATTACH PARTITION ${name} FOR VALUES ${bounds}`, { transaction });
+    });
+  }
+
+  /**
+   * Create the partitioned staging table with the columns and indexes of events
+   * Indexes are created under temporary names ("<name>_new") and renamed by the swap
+   * @private
+   * @returns {Promise<Array<string>>} - Names of the events indexes recreated
+   */
+  async _prepareStagingTable() {
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS ${STAGING_TABLE} (
+        LIKE events INCLUDING DEFAULTS INCLUDING CONSTRAINTS INCLUDING COMMENTS,
+        PRIMARY KEY (id, "timestamp")
+      ) PARTITION BY RANGE ("timestamp")
+    `);
+
+    const indexes = await sequelize.query(`
+      SELECT i.indexname AS name, i.indexdef AS definition, x.indisunique AS "unique"
+      FROM pg_indexes i
+      JOIN pg_class c ON c.relname = i.indexname
+      JOIN pg_index x ON x.indexrelid = c.oid
+      WHERE i.tablename = 'events' AND i.schemaname = current_schema()
+    `, { type: sequelize.QueryTypes.SELECT });
+
+    const recreated = [];
+
+    for (const index of indexes) {
+      // Unique indexes (the primary key among them) must include the partition key
+      if (index.unique) {
+        if (!index.name.endsWith('_pkey')) {
+          logger.warn(`Unique index ${index.name} is not recreated on the partitioned events table`);
+        }
+        continue;
+      }
+
+      const definition = index.definition.replace(
+        /^CREATE INDEX (\S+) ON (\S+\.)?events /,
+        (match, name, schema) => `CREATE INDEX IF NOT EXISTS ${name}_new ON ${schema || ''}${STAGING_TABLE} `
+      );
+
+      await sequelize.query(definition);
+      recreated.push(index.name);
+    }
+
+    return recreated;
+  }
+
+  /**
+   * Copy events to the staging table in batches, in (timestamp, id) order
+   * Starts after the last copied event, so an interrupted copy resumes
+   * @private
+   * @returns {Promise<number>} - Number of events copied
+   */
+  async _copyEvents() {
+    let [cursor] = await sequelize.query(
+      `SELECT "timestamp", id FROM ${STAGING_TABLE} ORDER BY "timestamp" DESC, id DESC LIMIT 1`,
+      { type: sequelize.QueryTypes.SELECT }
+    );
+    let copied = 0;
+
+    for (;;) {
+      const bind = cursor ? [cursor.timestamp, cursor.id, this.copyBatchSize] : [this.copyBatchSize];
+      const [last] = await sequelize.query(`
+        WITH batch AS (
+          SELECT * FROM events
+          ${cursor ? 'WHERE ("timestamp", id) > ($1::timestamptz, $2::uuid)' : ''}
+          ORDER BY "timestamp", id
+          LIMIT $${bind.length}
+        ), inserted AS (
+          INSERT INTO ${STAGING_TABLE} SELECT * FROM batch
+          ON CONFLICT DO NOTHING
+        )
+        SELECT "timestamp", id, (SELECT COUNT(*) FROM batch) AS count
+        FROM batch
+        ORDER BY "timestamp" DESC, id DESC
+        LIMIT 1
+      `, { bind, type: sequelize.QueryTypes.SELECT });
+
+      if (!last) {
+        return copied;
+      }
+
+      copied += Number(last.count);
+      cursor = last;
+      logger.info(`Copied ${copied} events to the partitioned table`, { through: last.timestamp });
+
+      if (Number(last.count) < this.copyBatchSize) {
+        return copied;
+      }
+    }
+  }
+
+  /**
+   * Catch up on rows changed during the copy and swap the staging table in
+   * @private
+   * @param {Date} copyStartedAt - When the copy started
+   * @param {Array<string>} indexes - Events indexes recreated on the staging table
+   * @returns {Promise<number>} - Number of rows caught up
+   */
+  async _swapTables(copyStartedAt, indexes) {
+    const columns = await sequelize.query(`
+      SELECT column_name AS name FROM information_schema.columns
+      WHERE table_name = 'events' AND table_schema = current_schema()
+      ORDER BY ordinal_position
+    `, { type: sequelize.QueryTypes.SELECT });
+
+    const updates = columns
+      .filter(({ name }) => name !== 'id' && name !== 'timestamp')
+      .map(({ name }) => `"${name}" = EXCLUDED."${name}"`)
+      .join(', ');
+
+    return sequelize.transaction(async (transaction) => {
+      await sequelize.query('LOCK TABLE events IN ACCESS EXCLUSIVE MODE', { transaction });
+
+      const [, caughtUp] = await sequelize.query(`
+        INSERT INTO ${STAGING_TABLE}
+        SELECT * FROM events WHERE "updatedAt" >= $1::timestamptz
+        ON CONFLICT (id, "timestamp") DO UPDATE SET ${updates}
+      `, { bind: [new Date(copyStartedAt).toISOString()], transaction });
+
+      for (const name of indexes) {
+        await sequelize.query(`ALTER INDEX ${name} RENAME TO ${name}_unpartitioned`, { transaction });
+        await sequelize.query(`ALTER INDEX ${name}_new RENAME TO ${name}`, { transaction });
+      }
+
+      await sequelize.query(`ALTER TABLE events RENAME TO ${LEGACY_TABLE}`, { transaction });
+      await sequelize.query(`ALTER TABLE ${STAGING_TABLE} RENAME TO events`, { transaction });
+
+      return typeof caughtUp === 'number' ? caughtUp : (caughtUp && caughtUp.rowCount) || 0;
+    });
+  }
+
+  /**
+   * Schedule the next maintenance run if the service is running
+   * @private
+   * @param {number} [delay] - Delay before running (defaults to the maintenance interval)
+   */
+  _scheduleNextRun(delay = this.maintenanceInterval) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.currentRun = this.maintain()
+        .catch(error => {
+          logger.error('Error maintaining event partitions:', {
+            error: error.message,
+            stack: error.stack
+          });
+        })
+        .then(() => {
+          this.currentRun = null;
+          this._scheduleNextRun();
+        });
+    }, delay);
+  }
+}
+
+module.exports = new EventPartitions();
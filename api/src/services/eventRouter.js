@@ -5,6 +5,12 @@ const Destination = require('../models/Destination');
 const jsonpath = require('jsonpath');
 const _ = require('lodash');
 const transformerService = require('./transformerService');
+const webhookForwarder = require('./webhookForwarder');
+const deliveryQueue = require('./deliveryQueue');
+const deliveryLog = require('./deliveryLog');
+const userProfiles = require('./userProfiles');
+const piiPolicies = require('./piiPolicies');
+const ConcurrencyLimiter = require('../utils/concurrencyLimiter');
 
 /**
  * Event Router Service
@@ -13,7 +19,13 @@ const transformerService = require('./transformerService');
 class EventRouter {
   constructor() {
     this.routes = [];
+    // IDs of every destination that owns a route, enabled or not
+    this.routedDestinationIds = new Set();
     this.initialized = false;
+    // Caps concurrent route deliveries across all events
+    this.globalLimiter = new ConcurrencyLimiter(parseInt(process.env.ROUTER_CONCURRENCY, 10) || 10);
+    // Map of destination ID to its in-flight limiter
+    this.destinationLimiters = new Map();
   }
 
   /**
@@ -55,7 +67,16 @@ class EventRouter {
         order: [['priority', 'ASC']]
       });
 
+      // Destinations with routes are only delivered to through them, so a route
+      // whose conditions do not match never falls back to the legacy forwarder
+      const owners = await Route.findAll({
+        attributes: ['destinationId'],
+        group: ['destinationId'],
+        raw: true
+      });
+
       this.routes = routes;
+      this.routedDestinationIds = new Set(owners.map(owner => owner.destinationId));
       logger.info(`Loaded ${routes.length} active routes`);
     } catch (error) {
       logger.error('Error refreshing routes:', error);
@@ -65,10 +86,15 @@ class EventRouter {
 
   /**
    * Route an event to all matching destinations
+   * Evaluates configured routes first, then forwards to the legacy webhook
+   * forwarder registrations of destinations that have no routes at all
    * @param {Object} event - The event to route
+   * @param {Object} [options] - Routing options
+   * @param {Array<string>} [options.destinations] - Only deliver to these destination names
+   * @param {boolean} [options.includeLegacy=true] - Whether to also use webhook forwarder registrations
    * @returns {Promise<Array>} - Results of the routing operations
    */
-  async routeEvent(event) {
+  async routeEvent(event, options = {}) {
     if (!this.initialized) {
       try {
         await this.initialize();
@@ -83,73 +109,321 @@ class EventRouter {
       return [];
     }
 
-    logger.debug(`Routing event: ${event.eventName}`, {
-      eventId: event.id,
+    // Work on a plain copy so conditions and transformations never see model internals
+    const plainEvent = typeof event.get === 'function' ? event.get({ plain: true }) : event;
+
+    logger.debug(`Routing event: ${plainEvent.eventName}`, {
+      eventId: plainEvent.id,
       routesCount: this.routes.length
     });
 
-    const results = [];
-    const webhookForwarder = require('./webhookForwarder');
+    // Find all routes that match this event (routes are already ordered by priority)
+    const matchingRoutes = this.routes.filter(route => {
+      // Skip disabled routes (though they should already be filtered out)
+      if (!route.enabled) return false;
+
+      // Skip destinations that were not requested
+      if (options.destinations && !options.destinations.includes(route.destination.name)) {
+        return false;
+      }
 
-    // Find all routes that match this event
-    for (const route of this.routes) {
       try {
-        // Skip disabled routes (though they should already be filtered out)
-        if (!route.enabled) continue;
+        return this._eventMatchesRoute(plainEvent, route);
+      } catch (error) {
+        logger.error(`Error matching route ${route.name} for event ${plainEvent.eventName}:`, {
+          error: error.message,
+          eventId: plainEvent.id,
+          routeId: route.id
+        });
+        return false;
+      }
+    });
+
+    // The user profile is loaded at most once per event, and only when a
+    // matching route's transformation asks for it
+    let profilePromise = null;
+    const loadProfile = () => {
+      if (!profilePromise) {
+        profilePromise = userProfiles.getEnrichment(plainEvent);
+      }
+      return profilePromise;
+    };
+
+    // Dispatch all matching routes concurrently. Slots are reserved synchronously
+    // in priority order, which keeps ordered destinations in arrival order
+    const routeResultsPromise = Promise.all(matchingRoutes.map(route =>
+      this._runLimited(route.destination, () => this._processRoute(plainEvent, route, loadProfile))
+    ));
+
+    // Compatibility layer: destinations registered directly with the webhook forwarder,
+    // skipping every destination that owns a route (matching or not)
+    const legacyResultsPromise = options.includeLegacy !== false
+      ? this._forwardToLegacyDestinations(plainEvent, {
+        destinations: options.destinations,
+        excludeDestinationIds: [...this.routedDestinationIds]
+      })
+      : Promise.resolve([]);
+
+    const [routeResults, legacyResults] = await Promise.all([
+      routeResultsPromise,
+      legacyResultsPromise
+    ]);
+    const results = [...routeResults, ...legacyResults];
+
+    logger.info(`Routed event ${plainEvent.eventName} to ${results.filter(r => r.success).length}/${results.length} destinations`);
 
-        // Check if event matches this route
-        if (!this._eventMatchesRoute(event, route)) {
-          continue;
+    return results;
+  }
+
+  /**
+   * Transform an event for a route and deliver it to the route's destination
+   * @private
+   * @param {Object} event - The event to route
+   * @param {Object} route - The matching route
+   * @param {Function} [loadProfile] - Resolves the event's user profile for enriching transformations
+   * @returns {Promise<Object>} - Routing result for this route
+   */
+  async _processRoute(event, route, loadProfile) {
+    try {
+      logger.debug(`Event ${event.eventName} matches route ${route.name}`);
+
+      // Expose the latest known traits to the transformation as event.user
+      let input = event;
+      if (route.transformation.includeUserProfile && loadProfile) {
+        const profile = await loadProfile();
+        if (profile) {
+          input = { ...event, user: profile };
         }
+      }
 
-        logger.debug(`Event ${event.eventName} matches route ${route.name}`);
-
-        // Transform the event
-        const transformedEvent = await this._applyTransformation(
-          event,
-          route.transformation
-        );
-
-        // Forward to destination
-        const result = await this._sendToDestination(
-          transformedEvent,
-          route.destination,
-          webhookForwarder
-        );
-
-        // Update usage statistics for the route
-        await route.update({
-          lastUsed: new Date(),
-          useCount: route.useCount + 1
-        });
+      // Redact what this destination must not receive before it is transformed
+      input = piiPolicies.applyForwarding(input, route.destination);
+
+      // Transform the event
+      const transformedEvent = await this._applyTransformation(
+        input,
+        route.transformation
+      );
+
+      // Deliver through the durable queue (first attempt happens immediately)
+      const result = await deliveryQueue.deliverNow({
+        event,
+        route,
+        destination: route.destination,
+        payload: transformedEvent
+      });
+
+      // Update usage statistics for the route (increment is atomic under concurrency)
+      await route.increment('useCount');
+      await route.update({ lastUsed: new Date() });
+
+      return {
+        source: 'route',
+        routeId: route.id,
+        routeName: route.name,
+        success: result.success,
+        destination: route.destination.name,
+        statusCode: result.statusCode,
+        error: result.error,
+        deliveryId: result.deliveryId,
+        deliveryStatus: result.deliveryStatus,
+        nextAttemptAt: result.nextAttemptAt
+      };
+    } catch (error) {
+      logger.error(`Error processing route ${route.name} for event ${event.eventName}:`, {
+        error: error.message,
+        stack: error.stack,
+        eventId: event.id,
+        routeId: route.id
+      });
 
-        results.push({
-          routeId: route.id,
-          routeName: route.name,
-          success: result.success,
-          destination: route.destination.name,
-          error: result.error
+      return {
+        source: 'route',
+        routeId: route.id,
+        routeName: route.name,
+        success: false,
+        destination: route.destination?.name,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Forward an event to destinations registered directly with the webhook forwarder
+   * Registrations of stored destinations are delivered through the delivery queue,
+   * within the same concurrency limits as routes; registrations without a stored
+   * destination cannot be queued and are sent once, directly
+   * @private
+   * @param {Object} event - The event to forward
+   * @param {Object} forwardOptions - Options passed to webhookForwarder.getMatchingDestinations
+   * @returns {Promise<Array>} - Routing results for the legacy destinations
+   */
+  async _forwardToLegacyDestinations(event, forwardOptions) {
+    try {
+      const registrations = webhookForwarder.getMatchingDestinations(event, forwardOptions);
+      const ids = registrations.filter(({ config }) => config.id).map(({ config }) => config.id);
+
+      const destinations = ids.length > 0
+        ? await Destination.findAll({ where: { id: ids, enabled: true } })
+        : [];
+      const destinationsById = new Map(destinations.map(destination => [destination.id, destination]));
+
+      const deliveries = registrations.map(({ name, config }) => {
+        if (!config.id) {
+          return this._sendLegacy(event, name, config);
+        }
+
+        // Registrations whose destination was disabled or deleted are stale
+        const destination = destinationsById.get(config.id);
+        return destination
+          ? this._runLimited(destination, () => this._deliverLegacy(event, name, config, destination))
+          : null;
+      });
+
+      return (await Promise.all(deliveries)).filter(Boolean);
+    } catch (error) {
+      logger.error(`Error forwarding event ${event.eventName} to legacy destinations:`, {
+        error: error.message,
+        eventId: event.id
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Deliver an event to a stored destination's registration through the delivery queue
+   * @private
+   * @param {Object} event - The event
+   * @param {string} name - Registration name
+   * @param {Object} config - Registration (its transform builds the payload)
+   * @param {Object} destination - The destination model instance
+   * @returns {Promise<Object>} - Routing result
+   */
+  async _deliverLegacy(event, name, config, destination) {
+    try {
+      const payload = await webhookForwarder.preparePayload(name, config, event);
+
+      const result = await deliveryQueue.deliverNow({
+        event,
+        route: null,
+        destination,
+        payload
+      });
+
+      return {
+        source: 'legacy',
+        routeId: null,
+        routeName: null,
+        success: result.success,
+        destination: name,
+        statusCode: result.statusCode,
+        error: result.error,
+        deliveryId: result.deliveryId,
+        deliveryStatus: result.deliveryStatus,
+        nextAttemptAt: result.nextAttemptAt
+      };
+    } catch (error) {
+      logger.error(`Error delivering event ${event.eventName} to legacy destination ${name}:`, {
+        error: error.message,
+        eventId: event.id,
+        destinationId: destination.id
+      });
+
+      return {
+        source: 'legacy',
+        routeId: null,
+        routeName: null,
+        success: false,
+        destination: name,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Send an event once to a registration that has no stored destination
+   * @private
+   * @param {Object} event - The event
+   * @param {string} name - Registration name
+   * @param {Object} config - Registration
+   * @returns {Promise<Object>} - Routing result
+   */
+  async _sendLegacy(event, name, config) {
+    const result = await webhookForwarder.sendEvent(name, config, event);
+
+    await deliveryLog.recordAttempt({
+      event,
+      destinationName: name,
+      request: result.request,
+      payload: result.payload,
+      success: result.success,
+      statusCode: result.statusCode,
+      latencyMs: result.latencyMs,
+      responseBody: result.success ? result.response : result.responseBody,
+      error: result.error
+    });
+
+    return {
+      source: 'legacy',
+      routeId: null,
+      routeName: null,
+      success: result.success,
+      destination: name,
+      statusCode: result.statusCode,
+      error: result.error
+    };
+  }
+
+  /**
+   * Run a delivery within the global and per-destination concurrency limits
+   * Destinations opt into a limit with config.maxConcurrency; config.orderedDelivery
+   * limits them to one in-flight delivery so events arrive in order
+   * @private
+   * @param {Object} destination - The destination being delivered to
+   * @param {Function} task - The delivery task
+   * @returns {Promise<*>} - The task's result
+   */
+  _runLimited(destination, task) {
+    const config = destination.config || {};
+    const max = config.orderedDelivery ? 1 : (config.maxConcurrency || Infinity);
+
+    let limiter = this.destinationLimiters.get(destination.id);
+    if (!limiter) {
+      limiter = new ConcurrencyLimiter(max);
+      this.destinationLimiters.set(destination.id, limiter);
+    } else if (limiter.max !== max) {
+      limiter.setMax(max);
+    }
+
+    return limiter.run(() => this.globalLimiter.run(task));
+  }
+
+  /**
+   * Route an event and persist the routing results on the event record
+   * This is the entry point used by the ingestion endpoints
+   * @param {Object} event - The event model instance to dispatch
+   * @param {Object} [options] - Routing options (see routeEvent)
+   * @returns {Promise<Array>} - Results of the routing operations
+   */
+  async dispatch(event, options = {}) {
+    const results = await this.routeEvent(event, options);
+
+    // Only model instances can be persisted (test events are plain objects)
+    if (typeof event.update === 'function') {
+      try {
+        await event.update({
+          routingStatus: 'routed',
+          routingResults: results,
+          routedAt: new Date()
         });
       } catch (error) {
-        logger.error(`Error processing route ${route.name} for event ${event.eventName}:`, {
+        logger.error(`Error persisting routing results for event ${event.id}:`, {
           error: error.message,
-          stack: error.stack,
-          eventId: event.id,
-          routeId: route.id
-        });
-
-        results.push({
-          routeId: route.id,
-          routeName: route.name,
-          success: false,
-          destination: route.destination?.name,
-          error: error.message
+          eventId: event.id
         });
       }
     }
 
-    logger.info(`Routed event ${event.eventName} to ${results.filter(r => r.success).length}/${results.length} destinations`);
-
     return results;
   }
 
@@ -486,119 +760,6 @@ class EventRouter {
       throw error;
     }
   }
-
-  /**
-   * Send an event to a destination
-   * @private
-   * @param {Object} event - The transformed event
-   * @param {Object} destination - The destination
-   * @param {Object} webhookForwarder - The webhook forwarder service
-   * @returns {Promise<Object>} - The result
-   */
-  async _sendToDestination(event, destination, webhookForwarder) {
-    try {
-      // Check if webhookForwarder is a class or an instance
-      const forwarder = typeof webhookForwarder === 'function' 
-        ? new webhookForwarder() 
-        : webhookForwarder;
-
-      // Ensure destination is registered
-      let isRegistered = false;
-      try {
-        const destinations = forwarder.getDestinations();
-        isRegistered = !!destinations[destination.name];
-      } catch (e) {
-        isRegistered = false;
-      }
-
-      // Register if not already registered
-      if (!isRegistered) {
-        forwarder.registerDestination(destination.name, {
-          url: destination.url,
-          method: destination.method || 'POST',
-          headers: destination.config.headers || {},
-          secret: destination.secretKey,
-          enabled: true // Force enable for this request
-        });
-      }
-
-      // Create a temporary event with the pre-transformed payload
-      const tempEvent = {
-        id: event.id || `temp-${Date.now()}`,
-        eventName: event.eventName || 'routed.event',
-        timestamp: event.timestamp || new Date(),
-        properties: event // Use the transformed event as properties
-      };
-
-      // Use an identity transform since we already transformed the event
-      const identityDestination = {
-        name: `temp_identity_${Date.now()}`,
-        url: destination.url,
-        method: destination.method || 'POST',
-        headers: destination.config.headers || {},
-        secret: destination.secretKey,
-        transform: (e) => event // Use pre-transformed event
-      };
-
-      forwarder.registerDestination(identityDestination.name, identityDestination);
-      const result = await forwarder.processEvent(tempEvent);
-
-      // Clean up temporary destination
-      forwarder.removeDestination(identityDestination.name);
-
-      // Find the result for our destination
-      const destinationResult = result.find(r => r.destination === identityDestination.name);
-
-      if (!destinationResult) {
-        return {
-          success: false,
-          error: 'No response from webhook forwarder'
-        };
-      }
-
-      // Update destination stats in database if needed
-      try {
-        const destinationModel = await Destination.findByPk(destination.id);
-        if (destinationModel) {
-          if (destinationResult.success) {
-            await destinationModel.increment('successCount');
-            await destinationModel.update({
-              lastSent: new Date(),
-              lastError: null
-            });
-          } else {
-            await destinationModel.increment('failureCount');
-            await destinationModel.update({
-              lastError: destinationResult.error
-            });
-          }
-        }
-      } catch (statsError) {
-        logger.error(`Error updating destination stats:`, {
-          error: statsError.message,
-          destinationId: destination.id
-        });
-        // Don't fail the operation if we can't update stats
-      }
-
-      return {
-        success: destinationResult.success,
-        error: destinationResult.error
-      };
-    } catch (error) {
-      logger.error(`Error sending to destination:`, {
-        error: error.message,
-        stack: error.stack,
-        destinationName: destination.name,
-        destinationId: destination.id
-      });
-
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
 }
 
 // Export a singleton instance
@@ -0,0 +1,243 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const redisService = require('./redis');
+
+// Prefix for idempotency entries in Redis
+const REDIS_KEY_PREFIX = 'idempotency:';
+
+// Keys read per SCAN call when looking for the entries of erased events
+const SCAN_COUNT = 1000;
+
+/**
+ * Get the ID of the event a stored response is for
+ * Message IDs store { eventId }; POST /api/events responses hold it as data.id or eventId
+ * @private
+ * @param {Object|null} responseBody - Stored response body
+ * @returns {string|undefined} - Event ID
+ */
+function eventIdOf(responseBody) {
+  return responseBody ? responseBody.eventId || (responseBody.data && responseBody.data.id) : undefined;
+}
+
+/**
+ * Idempotency Store Service
+ * Remembers the response returned for each idempotency key during the
+ * deduplication window. Keys live in Redis, where SET NX arbitrates concurrent
+ * requests and entries expire on their own; while Redis is unavailable the
+ * idempotency_keys table takes over
+ */
+class IdempotencyStore {
+  constructor() {
+    this.windowSeconds = parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS, 10) || 24 * 60 * 60;
+    // A key left "processing" longer than this is assumed to belong to a crashed request
+    this.lockTimeout = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS, 10) || 60 * 1000;
+  }
+
+  /**
+   * Look up the stored response for a key
+   * @param {string} key - Scoped idempotency key
+   * @returns {Promise<Object|null>} - { status, fingerprint, statusCode, responseBody } or null
+   */
+  async find(key) {
+    const redisClient = this._getRedis();
+
+    if (redisClient) {
+      try {
+        const entry = await redisClient.get(`${REDIS_KEY_PREFIX}${key}`);
+        return entry ? JSON.parse(entry) : null;
+      } catch (error) {
+        logger.error(`Failed to read idempotency key ${key} from Redis, using Postgres:`, error);
+      }
+    }
+
+    const record = await IdempotencyKey.findOne({
+      where: {
+        key,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!record) {
+      return null;
+    }
+
+    return {
+      status: record.status,
+      fingerprint: record.fingerprint,
+      statusCode: record.statusCode,
+      responseBody: record.responseBody
+    };
+  }
+
+  /**
+   * Claim a key for a new request
+   * Fails if another live request holds the key or its response is still within the window
+   * @param {string} key - Scoped idempotency key
+   * @param {string} fingerprint - Request fingerprint
+   * @returns {Promise<boolean>} - Whether the key was claimed
+   */
+  async claim(key, fingerprint) {
+    const redisClient = this._getRedis();
+
+    if (redisClient) {
+      try {
+        // The claim expires with the lock timeout, so a crashed request frees its key
+        const result = await redisClient.set(`${REDIS_KEY_PREFIX}${key}`, JSON.stringify({
+          status: 'processing',
+          fingerprint
+        }), { NX: true, PX: this.lockTimeout });
+
+        return result === 'OK';
+      } catch (error) {
+        logger.error(`Failed to claim idempotency key ${key} in Redis, using Postgres:`, error);
+      }
+    }
+
+    const expiresAt = new Date(Date.now() + this.windowSeconds * 1000);
+
+    const [record, created] = await IdempotencyKey.findOrCreate({
+      where: { key },
+      defaults: { key, fingerprint, status: 'processing', expiresAt }
+    });
+
+    if (created) {
+      return true;
+    }
+
+    // Reuse the row if its window has passed or its request was abandoned
+    const [count] = await IdempotencyKey.update({
+      fingerprint,
+      status: 'processing',
+      statusCode: null,
+      responseBody: null,
+      expiresAt
+    }, {
+      where: {
+        id: record.id,
+        [Op.or]: [
+          { expiresAt: { [Op.lte]: new Date() } },
+          {
+            status: 'processing',
+            updatedAt: { [Op.lt]: new Date(Date.now() - this.lockTimeout) }
+          }
+        ]
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Store the response for a claimed key until the end of the window
+   * @param {string} key - Scoped idempotency key
+   * @param {string} fingerprint - Request fingerprint
+   * @param {number} statusCode - HTTP status of the response
+   * @param {Object} responseBody - Response body
+   * @returns {Promise<void>}
+   */
+  async complete(key, fingerprint, statusCode, responseBody) {
+    const redisClient = this._getRedis();
+
+    if (redisClient) {
+      try {
+        await redisClient.set(`${REDIS_KEY_PREFIX}${key}`, JSON.stringify({
+          status: 'completed',
+          fingerprint,
+          statusCode,
+          responseBody
+        }), { EX: this.windowSeconds });
+        return;
+      } catch (error) {
+        logger.error(`Failed to store idempotency key ${key} in Redis, using Postgres:`, error);
+      }
+    }
+
+    const expiresAt = new Date(Date.now() + this.windowSeconds * 1000);
+
+    await IdempotencyKey.upsert({
+      key,
+      fingerprint,
+      status: 'completed',
+      statusCode,
+      responseBody,
+      expiresAt
+    }, {
+      conflictFields: ['key']
+    });
+  }
+
+  /**
+   * Release a claimed key without storing a response so the request can be retried
+   * @param {string} key - Scoped idempotency key
+   * @returns {Promise<void>}
+   */
+  async release(key) {
+    const redisClient = this._getRedis();
+
+    if (redisClient) {
+      try {
+        await redisClient.del(`${REDIS_KEY_PREFIX}${key}`);
+      } catch (error) {
+        logger.error(`Failed to release idempotency key ${key} in Redis:`, error);
+      }
+    }
+
+    // The claim may have been made in Postgres while Redis was unavailable
+    await IdempotencyKey.destroy({
+      where: { key, status: 'processing' }
+    });
+  }
+
+  /**
+   * Remove the stored responses of events, which carry copies of their properties
+   * Redis entries are keyed by the client's key, so they are found by scanning
+   * @param {Array<string>} eventIds - Event IDs
+   * @returns {Promise<number>} - Number of keys removed
+   */
+  async forgetEvents(eventIds) {
+    if (eventIds.length === 0) {
+      return 0;
+    }
+
+    const ids = new Set(eventIds);
+    let removed = 0;
+    const redisClient = this._getRedis();
+
+    if (redisClient) {
+      for await (const redisKey of redisClient.scanIterator({ MATCH: `${REDIS_KEY_PREFIX}*`, COUNT: SCAN_COUNT })) {
+        const entry = await redisClient.get(redisKey);
+
+        if (entry && ids.has(eventIdOf(JSON.parse(entry).responseBody))) {
+          await redisClient.del(redisKey);
+          removed++;
+        }
+      }
+    } else {
+      logger.warn('Redis is unavailable; idempotency entries of erased events are left to expire');
+    }
+
+    const rows = await sequelize.query(`
+      DELETE FROM idempotency_keys
+      WHERE "responseBody"->>'eventId' = ANY($1::text[])
+        OR "responseBody"#>>'{data,id}' = ANY($1::text[])
+      RETURNING id
+    `, { bind: [eventIds], type: sequelize.QueryTypes.SELECT });
+
+    return removed + rows.length;
+  }
+
+  /**
+   * Get the Redis client if it is connected
+   * @private
+   * @returns {Object|null} - Redis client
+   */
+  _getRedis() {
+    const redisClient = redisService.getRedisClient();
+    return redisClient?.isOpen && redisService.isRedisConnected() ? redisClient : null;
+  }
+}
+
+// Export a singleton instance
+module.exports = new IdempotencyStore();
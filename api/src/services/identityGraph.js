@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+const Identity = require('../models/Identity');
+
+// Longest identifier value stored
+const MAX_VALUE_LENGTH = 255;
+
+/**
+ * Normalize an identifier value
+ * @private
+ * @param {string} type - Identifier type
+ * @param {*} value - Raw value
+ * @returns {string|null} - The value to store, or null if it is not usable
+ */
+function normalizeValue(type, value) {
+  if (value === undefined || value === null || typeof value === 'object') {
+    return null;
+  }
+
+  let normalized = String(value).trim();
+
+  if (type === 'email') {
+    normalized = normalized.toLowerCase();
+    if (!normalized.includes('@')) {
+      return null;
+    }
+  }
+
+  return normalized && normalized.length <= MAX_VALUE_LENGTH ? normalized : null;
+}
+
+/**
+ * Build a de-duplicated identifier list
+ * @private
+ * @param {Array<Array>} candidates - [type, rawValue] pairs
+ * @returns {Array<Object>} - Identifiers ({ type, value })
+ */
+function toIdentifiers(candidates) {
+  const identifiers = [];
+
+  for (const [type, rawValue] of candidates) {
+    const value = normalizeValue(type, rawValue);
+    if (value && !identifiers.some(i => i.type === type && i.value === value)) {
+      identifiers.push({ type, value });
+    }
+  }
+
+  return identifiers;
+}
+
+/**
+ * Identity Graph Service
+ * Links the identifiers a person is known by into clusters. Merge rules:
+ * - identifiers carried by the same event are linked
+ * - alias calls link previousId to userId, even when both are known users
+ * - otherwise two clusters holding different user IDs are never merged, so a
+ *   shared device or email does not stitch separate users together
+ * - Stripe customers are linked through the customer's email and metadata.userId
+ */
+class IdentityGraph {
+  /**
+   * Get the identifiers carried by an event
+   * @param {Object} event - The event ({ eventName, callType, properties })
+   * @returns {Object} - { identifiers, previousId } where previousId is set for alias calls
+   */
+  extractFromEvent(event) {
+    const properties = event.properties || {};
+    const isAlias = event.callType === 'alias' || event.eventName === 'alias';
+
+    return {
+      identifiers: toIdentifiers([
+        ['userId', properties.userId],
+        ['anonymousId', properties.anonymousId],
+        ['email', properties.email !== undefined ? properties.email : _.get(properties, 'traits.email')],
+        ['stripeCustomerId', properties.stripeCustomerId]
+      ]),
+      previousId: isAlias ? normalizeValue('userId', properties.previousId) : null
+    };
+  }
+
+  /**
+   * Get the identifiers in a Stripe webhook event
+   * @param {Object} stripeEvent - Stripe event payload
+   * @returns {Array<Object>} - Identifiers ({ type, value })
+   */
+  extractFromStripeEvent(stripeEvent) {
+    const object = _.get(stripeEvent, 'data.object') || {};
+    const customer = object.object === 'customer' ? object.id : object.customer;
+
+    return toIdentifiers([
+      ['stripeCustomerId', typeof customer === 'object' && customer !== null ? customer.id : customer],
+      ['userId', _.get(object, 'metadata.userId') || object.client_reference_id],
+      ['email', object.email || object.customer_email || object.receipt_email || _.get(object, 'customer_details.email')]
+    ]);
+  }
+
+  /**
+   * Link the identifiers of stored events
+   * Never throws - an identity failure must not affect ingestion
+   * @param {Array<Object>|Object} events - Stored events ({ eventName, callType, timestamp, properties })
+   * @returns {Promise<void>}
+   */
+  async recordEvents(events) {
+    // Events from the same visitor usually carry the same identifiers, so
+    // links are de-duplicated before touching the database
+    const links = new Map();
+
+    for (const event of Array.isArray(events) ? events : [events]) {
+      const { identifiers, previousId } = this.extractFromEvent(event);
+
+      if (identifiers.length === 0) {
+        continue;
+      }
+
+      const seenAt = new Date(event.timestamp);
+      const key = JSON.stringify([identifiers, previousId]);
+      const link = links.get(key);
+
+      if (link) {
+        link.firstSeen = new Date(Math.min(link.firstSeen, seenAt));
+        link.lastSeen = new Date(Math.max(link.lastSeen, seenAt));
+      } else {
+        links.set(key, { identifiers, previousId, firstSeen: seenAt, lastSeen: seenAt });
+      }
+    }
+
+    if (links.size === 0) {
+      return;
+    }
+
+    try {
+      await this._withLock(async (transaction) => {
+        for (const link of links.values()) {
+          if (link.previousId) {
+            await this._alias(link, transaction);
+          } else {
+            await this._link(link.identifiers, { ...link, source: 'event' }, transaction);
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error updating identity graph:', {
+        error: error.message,
+        linkCount: links.size
+      });
+    }
+  }
+
+  /**
+   * Link the identifiers of a Stripe webhook event
+   * Never throws - an identity failure must not affect webhook handling
+   * @param {Object} stripeEvent - Stripe event payload
+   * @returns {Promise<void>}
+   */
+  async recordStripeEvent(stripeEvent) {
+    const identifiers = this.extractFromStripeEvent(stripeEvent);
+
+    if (identifiers.length === 0) {
+      return;
+    }
+
+    const seenAt = stripeEvent.created ? new Date(stripeEvent.created * 1000) : new Date();
+
+    try {
+      await this._withLock(transaction => this._link(identifiers, {
+        source: 'stripe',
+        firstSeen: seenAt,
+        lastSeen: seenAt
+      }, transaction));
+    } catch (error) {
+      logger.error(`Error linking identities for Stripe event ${stripeEvent.id}:`, {
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get every identifier in the same cluster as an identifier
+   * @param {string} type - Identifier type
+   * @param {string} value - Identifier value
+   * @returns {Promise<Array<Object>>} - Identities in the cluster (empty if the identifier is unknown)
+   */
+  async resolve(type, value) {
+    const identity = await Identity.findOne({
+      where: { type, value: normalizeValue(type, value) || '' }
+    });
+
+    if (!identity) {
+      return [];
+    }
+
+    return Identity.findAll({
+      where: { clusterId: identity.clusterId },
+      order: [['type', 'ASC'], ['firstSeen', 'ASC']]
+    });
+  }
+
+  /**
+   * Run graph updates in a transaction holding the graph's advisory lock
+   * Updates are serialized so concurrent links cannot split a cluster
+   * @private
+   * @param {Function} fn - Receives the transaction
+   * @returns {Promise<*>} - Result of fn
+   */
+  _withLock(fn) {
+    return sequelize.transaction(async (transaction) => {
+      await sequelize.query("SELECT pg_advisory_xact_lock(hashtext('identity_graph'))", { transaction });
+      return fn(transaction);
+    });
+  }
+
+  /**
+   * Apply an alias call: link previousId to userId
+   * previousId is treated as a user ID if one is known by that value, otherwise
+   * as an anonymous ID
+   * @private
+   * @param {Object} link - { identifiers, previousId, firstSeen, lastSeen }
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async _alias(link, transaction) {
+    const knownUser = await Identity.findOne({
+      where: { type: 'userId', value: link.previousId },
+      transaction
+    });
+
+    const previous = { type: knownUser ? 'userId' : 'anonymousId', value: link.previousId };
+
+    await this._link([...link.identifiers, previous], {
+      ...link,
+      source: 'alias',
+      force: true
+    }, transaction);
+  }
+
+  /**
+   * Link identifiers into one cluster, merging existing clusters where the
+   * merge rules allow
+   * @private
+   * @param {Array<Object>} identifiers - Identifiers ({ type, value })
+   * @param {Object} options - { source, firstSeen, lastSeen, force }
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<string>} - The cluster the new identifiers were added to
+   */
+  async _link(identifiers, options, transaction) {
+    const existing = await Identity.findAll({
+      where: { [Op.or]: identifiers.map(({ type, value }) => ({ type, value })) },
+      transaction
+    });
+
+    // Candidate clusters in identifier order, so the event's user ID cluster comes first
+    const candidates = _.uniq(identifiers
+      .map(({ type, value }) => existing.find(i => i.type === type && i.value === value))
+      .filter(Boolean)
+      .map(identity => identity.clusterId));
+
+    const clusterUserIds = new Map(candidates.map(clusterId => [clusterId, new Set()]));
+    if (candidates.length > 0) {
+      const userIdentities = await Identity.findAll({
+        where: { clusterId: candidates, type: 'userId' },
+        transaction
+      });
+      userIdentities.forEach(identity => clusterUserIds.get(identity.clusterId).add(identity.value));
+    }
+
+    const userIds = new Set(identifiers.filter(i => i.type === 'userId').map(i => i.value));
+    const accepted = [];
+
+    for (const clusterId of candidates) {
+      const combined = new Set([...userIds, ...clusterUserIds.get(clusterId)]);
+
+      if (options.force || combined.size <= 1) {
+        accepted.push(clusterId);
+        clusterUserIds.get(clusterId).forEach(userId => userIds.add(userId));
+      } else {
+        logger.warn('Identity conflict: not merging clusters with different user IDs', {
+          clusterId,
+          userIds: [...combined]
+        });
+      }
+    }
+
+    const targetClusterId = accepted[0] || crypto.randomUUID();
+    const mergedClusterIds = accepted.slice(1);
+
+    if (mergedClusterIds.length > 0) {
+      await Identity.update({ clusterId: targetClusterId }, {
+        where: { clusterId: mergedClusterIds },
+        transaction
+      });
+
+      logger.info(`Merged ${mergedClusterIds.length} identity clusters into ${targetClusterId}`, {
+        source: options.source
+      });
+    }
+
+    // Identifiers already in a rejected cluster stay there; only their activity is updated
+    for (const { type, value } of identifiers) {
+      await sequelize.query(`
+        INSERT INTO identities (id, "clusterId", type, value, source, "firstSeen", "lastSeen", "createdAt", "updatedAt")
+        VALUES (:id, :clusterId, :type, :value, :source, :firstSeen, :lastSeen, NOW(), NOW())
+        ON CONFLICT (type, value) DO UPDATE SET
+          "firstSeen" = LEAST(identities."firstSeen", EXCLUDED."firstSeen"),
+          "lastSeen" = GREATEST(identities."lastSeen", EXCLUDED."lastSeen"),
+          "updatedAt" = NOW()
+      `, {
+        replacements: {
+          id: crypto.randomUUID(),
+          clusterId: targetClusterId,
+          type,
+          value,
+          source: options.source,
+          firstSeen: options.firstSeen,
+          lastSeen: options.lastSeen
+        },
+        transaction
+      });
+    }
+
+    return targetClusterId;
+  }
+}
+
+// Export a singleton instance
+module.exports = new IdentityGraph();
@@ -0,0 +1,221 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+const Event = require('../models/Event');
+const eventRouter = require('./eventRouter');
+
+/**
+ * Ingestion Worker Service
+ * Routes events that were accepted asynchronously (routingStatus "queued").
+ * Queued events live in Postgres, so events accepted before a restart are
+ * still routed once the worker starts again
+ */
+class IngestionWorker {
+  constructor() {
+    this.pollInterval = parseInt(process.env.INGESTION_WORKER_POLL_INTERVAL, 10) || 1000;
+    this.batchSize = parseInt(process.env.INGESTION_WORKER_BATCH_SIZE, 10) || 50;
+    // Events left in "claimed" longer than this are assumed to belong to a crashed worker
+    this.staleLockTimeout = parseInt(process.env.INGESTION_WORKER_STALE_LOCK_MS, 10) || 5 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    this.currentPoll = null;
+    this.wakeRequested = false;
+  }
+
+  /**
+   * Start polling for queued events
+   * @returns {void}
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this._scheduleNextPoll(0);
+    logger.info('Ingestion worker started', {
+      pollInterval: this.pollInterval,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Stop polling and wait for the in-flight batch to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentPoll) {
+      await this.currentPoll;
+    }
+
+    logger.info('Ingestion worker stopped');
+  }
+
+  /**
+   * Ask the worker to poll as soon as possible instead of waiting for the next interval
+   * Called after events are queued so routing starts without the poll delay
+   * @returns {void}
+   */
+  notify() {
+    if (!this.running) {
+      return;
+    }
+
+    // A poll is in flight; run the next one right after it
+    if (this.currentPoll) {
+      this.wakeRequested = true;
+      return;
+    }
+
+    this._scheduleNextPoll(0);
+  }
+
+  /**
+   * Schedule the next poll if the worker is running
+   * @private
+   * @param {number} [delay] - Delay before polling (defaults to the poll interval)
+   */
+  _scheduleNextPoll(delay = this.pollInterval) {
+    if (!this.running) {
+      return;
+    }
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.currentPoll = this._poll()
+        .catch(error => {
+          logger.error('Error polling ingestion queue:', {
+            error: error.message,
+            stack: error.stack
+          });
+          return 0;
+        })
+        .then(count => {
+          this.currentPoll = null;
+
+          // Keep draining while full batches are being claimed
+          const drainNow = this.wakeRequested || count === this.batchSize;
+          this.wakeRequested = false;
+          this._scheduleNextPoll(drainNow ? 0 : this.pollInterval);
+        });
+    }, delay);
+  }
+
+  /**
+   * Release stale claims, claim queued events and route them
+   * @private
+   * @returns {Promise<number>} - Number of events routed
+   */
+  async _poll() {
+    await this._releaseStaleClaims();
+
+    const eventIds = await this._claimQueuedEvents();
+
+    if (eventIds.length === 0) {
+      return 0;
+    }
+
+    const events = await Event.findAll({
+      where: { id: eventIds },
+      order: [['createdAt', 'ASC']]
+    });
+
+    // Dispatch in arrival order; the router's limiters keep ordered destinations in sequence
+    await Promise.all(events.map(event => this._routeEvent(event)));
+
+    return events.length;
+  }
+
+  /**
+   * Route a single claimed event and record the outcome
+   * @private
+   * @param {Object} event - The event model instance
+   * @returns {Promise<void>}
+   */
+  async _routeEvent(event) {
+    try {
+      const results = await eventRouter.dispatch(event);
+
+      logger.debug(`Routed queued event to ${results.length} destinations`, {
+        eventId: event.id,
+        eventName: event.eventName,
+        successCount: results.filter(r => r.success).length,
+        failureCount: results.filter(r => !r.success).length
+      });
+    } catch (error) {
+      logger.error(`Error routing queued event: ${error.message}`, {
+        eventId: event.id,
+        eventName: event.eventName,
+        stack: error.stack
+      });
+
+      await event.update({
+        routingStatus: 'failed',
+        routedAt: new Date()
+      });
+    }
+  }
+
+  /**
+   * Atomically claim queued events so concurrent workers never share an event
+   * @private
+   * @returns {Promise<Array<string>>} - IDs of the claimed events
+   */
+  async _claimQueuedEvents() {
+    const rows = await sequelize.query(`
+      UPDATE events
+      SET "routingStatus" = 'claimed', "updatedAt" = NOW()
+      WHERE id IN (
+        SELECT id FROM events
+        WHERE "routingStatus" = 'queued'
+        ORDER BY "createdAt" ASC
+        LIMIT :limit
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id
+    `, {
+      replacements: { limit: this.batchSize },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Return events left in "claimed" by a crashed or restarted worker to the queue
+   * Only the worker's own claims are released: events in "routing" are being
+   * dispatched by an ingestion request, and routing them again would duplicate deliveries
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _releaseStaleClaims() {
+    const [count] = await Event.update({
+      routingStatus: 'queued'
+    }, {
+      where: {
+        routingStatus: 'claimed',
+        updatedAt: {
+          [Op.lt]: new Date(Date.now() - this.staleLockTimeout)
+        }
+      }
+    });
+
+    if (count > 0) {
+      logger.warn(`Released ${count} stale event routing claims back to the queue`);
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new IngestionWorker();
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const { REDACTED } = require('../utils/redact');
+const PiiPolicy = require('../models/PiiPolicy');
+
+// Built-in detectors: a global pattern and, optionally, a check that filters its matches
+const DETECTORS = {
+  email: {
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  phone: {
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?!\w)/g
+  },
+  card: {
+    pattern: /(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g,
+    check: luhn
+  },
+  ipAddress: {
+    pattern: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.])/g
+  },
+  ssn: {
+    pattern: /(?<!\d)\d{3}-\d{2}-\d{4}(?!\d)/g
+  }
+};
+
+// Parts of an event that detectors scan, per scope
+const SCAN_ROOTS = {
+  storage: ['properties'],
+  forwarding: ['properties', 'user']
+};
+
+// Values shorter than this are masked entirely; longer ones keep their last 4 characters
+const MASK_KEEP_MIN_LENGTH = 9;
+
+/**
+ * Check a card-like number with the Luhn algorithm
+ * @private
+ * @param {string} value - Matched number (may contain spaces or dashes)
+ * @returns {boolean} - Whether the digits pass the Luhn check
+ */
+function luhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Mask a value, keeping separators and the last 4 characters of longer values
+ * @private
+ * @param {*} value - Value to mask
+ * @returns {string} - Masked value
+ */
+function maskValue(value) {
+  if (value !== null && typeof value === 'object') {
+    return REDACTED;
+  }
+
+  const text = String(value);
+  const keep = text.length >= MASK_KEEP_MIN_LENGTH ? 4 : 0;
+
+  return text.slice(0, text.length - keep).replace(/[\p{L}\p{N}]/gu, '*') + text.slice(text.length - keep);
+}
+
+/**
+ * Call a function with the parent and key of every value at a path
+ * "*" matches every key of an object or every element of an array
+ * @private
+ * @param {Object} target - Object to search
+ * @param {Array<string>} segments - Path segments
+ * @param {Function} fn - Receives (parent, key)
+ */
+function eachAtPath(target, segments, fn) {
+  if (!target || typeof target !== 'object') {
+    return;
+  }
+
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(target) : [segment];
+
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(target, key)) {
+      continue;
+    }
+
+    if (rest.length === 0) {
+      fn(target, key);
+    } else {
+      eachAtPath(target[key], rest, fn);
+    }
+  }
+}
+
+/**
+ * Call a function with the parent and key of every string under a value
+ * @private
+ * @param {Object} parent - Object holding the value
+ * @param {string} key - Key of the value
+ * @param {Function} fn - Receives (parent, key) for each string
+ */
+function eachString(parent, key, fn) {
+  const value = parent[key];
+
+  if (typeof value === 'string') {
+    fn(parent, key);
+  } else if (value && typeof value === 'object') {
+    // Keys are collected first since fn may delete them
+    for (const childKey of Object.keys(value)) {
+      eachString(value, childKey, fn);
+    }
+  }
+}
+
+/**
+ * Remove a value from its parent (array elements become null to keep positions)
+ * @private
+ * @param {Object|Array} parent - Object or array holding the value
+ * @param {string} key - Key of the value
+ */
+function dropValue(parent, key) {
+  if (Array.isArray(parent)) {
+    parent[key] = null;
+  } else {
+    delete parent[key];
+  }
+}
+
+/**
+ * PII Policy Service
+ * Applies PII policies to events: storage policies before events are stored,
+ * forwarding policies (per destination) before they are transformed and sent.
+ * Events are always forwarded as stored, so forwarding policies act on values
+ * the storage policies already redacted and can only remove more.
+ * Each rule selects values by property path and/or by detector (a built-in
+ * detector or a custom regex) and drops, masks or HMAC-hashes them. Compiled
+ * policies are cached in memory and reloaded whenever they change
+ */
+class PiiPolicies {
+  constructor() {
+    this.hashKey = process.env.PII_HASH_KEY;
+    if (!this.hashKey) {
+      logger.warn('PII_HASH_KEY not set! Hashed values use a development-only key - NOT SECURE FOR PRODUCTION');
+      this.hashKey = 'development-only-pii-hash-key';
+    }
+
+    this.storagePolicies = [];
+    this.forwardingPolicies = [];
+    this.initialized = false;
+  }
+
+  /**
+   * Load the enabled policies
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.refreshPolicies();
+    this.initialized = true;
+    logger.info('PII policies initialized successfully');
+  }
+
+  /**
+   * Reload and compile the enabled policies
+   * @returns {Promise<void>}
+   */
+  async refreshPolicies() {
+    const records = await PiiPolicy.findAll({
+      where: { enabled: true },
+      order: [['priority', 'ASC'], ['name', 'ASC']]
+    });
+
+    const compiled = [];
+
+    for (const record of records) {
+      try {
+        compiled.push(this.compile(record));
+      } catch (error) {
+        logger.error(`Error compiling PII policy ${record.name}:`, {
+          error: error.message,
+          policyId: record.id
+        });
+      }
+    }
+
+    this.storagePolicies = compiled.filter(policy => policy.scope === 'storage');
+    this.forwardingPolicies = compiled.filter(policy => policy.scope === 'forwarding');
+    logger.info(`Loaded ${this.storagePolicies.length} storage and ${this.forwardingPolicies.length} forwarding PII policies`);
+  }
+
+  /**
+   * Compile a policy's rules
+   * @param {Object} policy - Policy ({ name, scope, destinationIds, rules })
+   * @returns {Object} - Compiled policy
+   * @throws {Error} - If a custom pattern is not a valid regular expression
+   */
+  compile(policy) {
+    return {
+      id: policy.id,
+      name: policy.name,
+      scope: policy.scope,
+      destinationIds: policy.destinationIds || null,
+      rules: policy.rules.map((rule, i) => {
+        let detector = null;
+
+        if (rule.detector) {
+          detector = DETECTORS[rule.detector];
+        } else if (rule.pattern) {
+          try {
+            detector = { pattern: new RegExp(rule.pattern, 'g') };
+          } catch (error) {
+            throw new Error(`rules[${i}].pattern: ${error.message}`);
+          }
+        }
+
+        return {
+          segments: rule.path ? rule.path.split('.') : null,
+          detector,
+          action: rule.action
+        };
+      })
+    };
+  }
+
+  /**
+   * Apply the storage policies to an event's properties
+   * @param {Object} properties - Event properties
+   * @returns {Object} - Redacted copy of the properties (the same object if no policy applies)
+   */
+  applyStorage(properties) {
+    if (this.storagePolicies.length === 0 || !properties) {
+      return properties;
+    }
+
+    return this.apply({ properties }, this.storagePolicies, 'storage').properties;
+  }
+
+  /**
+   * Apply the forwarding policies of a destination to an event
+   * The event's properties are the stored ones, with storage policies already applied
+   * @param {Object} event - Event (plain object, optionally with the user profile as event.user)
+   * @param {Object} destination - The destination ({ id })
+   * @returns {Object} - Redacted copy of the event (the same object if no policy applies)
+   */
+  applyForwarding(event, destination) {
+    const policies = this.forwardingPolicies.filter(policy =>
+      !policy.destinationIds || (destination && policy.destinationIds.includes(destination.id))
+    );
+
+    if (policies.length === 0) {
+      return event;
+    }
+
+    return this.apply(event, policies, 'forwarding');
+  }
+
+  /**
+   * Apply compiled policies to a copy of an event
+   * @param {Object} event - The event
+   * @param {Array<Object>} policies - Compiled policies, in order
+   * @param {string} scope - "storage" or "forwarding" (sets which parts detectors scan)
+   * @returns {Object} - Redacted copy of the event
+   */
+  apply(event, policies, scope) {
+    const target = _.cloneDeep(event);
+
+    for (const policy of policies) {
+      for (const rule of policy.rules) {
+        this._applyRule(target, rule, scope);
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * HMAC-SHA256 a value with PII_HASH_KEY
+   * Values are trimmed and emails lowercased first, so the same person hashes the same way
+   * @param {*} value - Value to hash
+   * @returns {string} - Hex digest
+   */
+  hash(value) {
+    let text = (typeof value === 'string' ? value : JSON.stringify(value)).trim();
+    if (/^[^@\s]+@[^@\s]+$/.test(text)) {
+      text = text.toLowerCase();
+    }
+
+    return crypto.createHmac('sha256', this.hashKey).update(text).digest('hex');
+  }
+
+  /**
+   * Apply one rule to an event in place
+   * Path-only rules act on the whole value at the path; detector rules act on
+   * the matches inside strings (under the path if one is given): "mask" and
+   * "hash" replace each match, "drop" removes every string containing one
+   * @private
+   * @param {Object} target - Event copy
+   * @param {Object} rule - Compiled rule
+   * @param {string} scope - Policy scope
+   */
+  _applyRule(target, rule, scope) {
+    const locations = [];
+    const collect = (parent, key) => locations.push([parent, key]);
+
+    if (rule.segments) {
+      eachAtPath(target, rule.segments, collect);
+    } else {
+      SCAN_ROOTS[scope].forEach(root => eachAtPath(target, [root], collect));
+    }
+
+    if (!rule.detector) {
+      for (const [parent, key] of locations) {
+        if (parent[key] === undefined || parent[key] === null) {
+          continue;
+        }
+
+        if (rule.action === 'drop') {
+          dropValue(parent, key);
+        } else {
+          parent[key] = rule.action === 'hash' ? this.hash(parent[key]) : maskValue(parent[key]);
+        }
+      }
+      return;
+    }
+
+    const { pattern, check } = rule.detector;
+    const replace = (match) => {
+      if (check && !check(match)) {
+        return match;
+      }
+      return rule.action === 'hash' ? this.hash(match) : maskValue(match);
+    };
+
+    for (const [parent, key] of locations) {
+      eachString(parent, key, (stringParent, stringKey) => {
+        const value = stringParent[stringKey];
+
+        if (rule.action === 'drop') {
+          const matches = value.match(pattern) || [];
+          if (matches.some(match => !check || check(match))) {
+            dropValue(stringParent, stringKey);
+          }
+          return;
+        }
+
+        stringParent[stringKey] = value.replace(pattern, replace);
+      });
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new PiiPolicies();
@@ -0,0 +1,778 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+const PrivacyRequest = require('../models/PrivacyRequest');
+const PrivacyAuditLog = require('../models/PrivacyAuditLog');
+const Destination = require('../models/Destination');
+const identityGraph = require('./identityGraph');
+const deliveryQueue = require('./deliveryQueue');
+const eventCatalog = require('./eventCatalog');
+const idempotencyStore = require('./idempotencyStore');
+const redisOps = require('./redis-failsafe-ops');
+
+// Identifier types a request is matched on, keyed by the identity graph type
+const IDENTIFIER_TYPES = {
+  userId: 'userIds',
+  anonymousId: 'anonymousIds',
+  email: 'emails',
+  stripeCustomerId: 'stripeCustomerIds'
+};
+
+// Per table, the expressions compared with each identifier type (emails are matched lowercased)
+const MATCHERS = {
+  identities: {
+    userIds: ["(CASE WHEN type = 'userId' THEN value END)"],
+    anonymousIds: ["(CASE WHEN type = 'anonymousId' THEN value END)"],
+    emails: ["(CASE WHEN type = 'email' THEN value END)"],
+    stripeCustomerIds: ["(CASE WHEN type = 'stripeCustomerId' THEN value END)"]
+  },
+  user_profiles: {
+    userIds: ['"userId"']
+  },
+  events: {
+    userIds: ["properties->>'userId'", "properties->>'previousId'"],
+    anonymousIds: ["properties->>'anonymousId'", "properties->>'previousId'"],
+    emails: ["lower(properties->>'email')", "lower(properties#>>'{traits,email}')"],
+    stripeCustomerIds: ["properties->>'stripeCustomerId'"]
+  },
+  sessions: {
+    userIds: ['"userId"'],
+    anonymousIds: ['"anonymousId"']
+  },
+  schema_violations: {
+    userIds: ["properties->>'userId'", "properties->>'previousId'"],
+    anonymousIds: ["properties->>'anonymousId'", "properties->>'previousId'"],
+    emails: ["lower(properties->>'email')", "lower(properties#>>'{traits,email}')"]
+  },
+  data_entries: {
+    userIds: ["data->>'userId'", "metadata->>'userId'"],
+    anonymousIds: ["data->>'anonymousId'", "metadata->>'anonymousId'"],
+    emails: ["lower(data->>'email')", "lower(metadata->>'email')"]
+  },
+  stripe_events: {
+    userIds: ["data#>>'{data,object,metadata,userId}'", "data#>>'{data,object,client_reference_id}'"],
+    emails: [
+      "lower(data#>>'{data,object,email}')",
+      "lower(data#>>'{data,object,customer_email}')",
+      "lower(data#>>'{data,object,receipt_email}')",
+      "lower(data#>>'{data,object,customer_details,email}')"
+    ],
+    stripeCustomerIds: ['"objectId"', "data#>>'{data,object,customer}'"]
+  }
+};
+
+// Sections of an export bundle and the tables they are read from
+const EXPORT_SECTIONS = [
+  ['identities', 'identities'],
+  ['userProfiles', 'user_profiles'],
+  ['events', 'events'],
+  ['sessions', 'sessions'],
+  ['schemaViolations', 'schema_violations'],
+  ['dataEntries', 'data_entries'],
+  ['stripeEvents', 'stripe_events']
+];
+
+// How rows are anonymized: in JSONB columns, "replace" paths holding one of the
+// subject's identifiers get a random token and "remove" paths are dropped;
+// plain columns listed with "replace" get the token under the same condition.
+// Tables without an anonymizer (identities, profiles, schema violations) are
+// deleted in both erasure modes
+const ANONYMIZERS = {
+  events: {
+    properties: {
+      replace: ['userId', 'anonymousId'],
+      remove: ['email', 'previousId', 'stripeCustomerId', 'traits', 'context.ip', 'context.traits']
+    }
+  },
+  sessions: {
+    userId: 'replace',
+    anonymousId: 'replace'
+  },
+  data_entries: {
+    data: { replace: ['userId', 'anonymousId'], remove: ['email'] },
+    metadata: { replace: ['userId', 'anonymousId'], remove: ['email'] }
+  },
+  stripe_events: {
+    objectId: 'replace',
+    data: {
+      replace: ['data.object.id', 'data.object.customer', 'data.object.metadata.userId', 'data.object.client_reference_id'],
+      remove: [
+        'data.object.email', 'data.object.customer_email', 'data.object.receipt_email',
+        'data.object.customer_details', 'data.object.billing_details', 'data.object.shipping',
+        'data.object.name', 'data.object.phone', 'data.object.address'
+      ]
+    }
+  }
+};
+
+// Delivery records keep copies of event payloads and are deleted with the events they reference
+const DELIVERY_TABLES = ['delivery_jobs', 'delivery_attempts', 'dead_letters', 'schema_violations'];
+
+// Event name of the deletion webhook sent to destinations
+const DELETION_EVENT_NAME = 'privacy.erasure';
+
+// Identifier types sent in the deletion webhook
+const PROPAGATED_IDENTIFIERS = ['userIds', 'anonymousIds', 'emails'];
+
+/**
+ * Hash an identifier for the deletion webhook
+ * Plain SHA-256, so destinations can match it by hashing the values they hold
+ * @private
+ * @param {string} value - Identifier (emails are already lowercased)
+ * @returns {string} - Hex digest
+ */
+function hashIdentifier(value) {
+  return crypto.createHash('sha256').update(String(value).trim()).digest('hex');
+}
+
+/**
+ * Build the condition matching a table's rows to a request's identifiers
+ * @private
+ * @param {string} table - Table name
+ * @param {Object} identifiers - { userIds, anonymousIds, emails, stripeCustomerIds }
+ * @returns {Object|null} - { where, bind }, or null if none of the identifiers apply to the table
+ */
+function buildMatch(table, identifiers) {
+  const bind = [];
+  const conditions = [];
+
+  for (const [type, expressions] of Object.entries(MATCHERS[table])) {
+    const values = identifiers[type] || [];
+    if (values.length === 0) {
+      continue;
+    }
+
+    bind.push(values);
+    expressions.forEach(expression => conditions.push(`${expression} = ANY($${bind.length}::text[])`));
+  }
+
+  return conditions.length > 0 ? { where: `(${conditions.join(' OR ')})`, bind } : null;
+}
+
+/**
+ * Anonymize a row according to its table's anonymizer
+ * @private
+ * @param {string} table - Table name
+ * @param {Object} row - The row
+ * @param {Set<string>} values - Every identifier value of the subject
+ * @param {string} token - Replacement for identifier values
+ * @returns {Object} - Changed columns and their new values (empty if nothing changed)
+ */
+function anonymizeRow(table, row, values, token) {
+  const changes = {};
+
+  for (const [column, rule] of Object.entries(ANONYMIZERS[table])) {
+    if (rule === 'replace') {
+      if (values.has(row[column])) {
+        changes[column] = token;
+      }
+      continue;
+    }
+
+    if (!row[column] || typeof row[column] !== 'object') {
+      continue;
+    }
+
+    const value = _.cloneDeep(row[column]);
+    let changed = false;
+
+    for (const valuePath of rule.replace) {
+      if (values.has(_.get(value, valuePath))) {
+        _.set(value, valuePath, token);
+        changed = true;
+      }
+    }
+
+    for (const valuePath of rule.remove) {
+      if (_.has(value, valuePath)) {
+        _.unset(value, valuePath);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      changes[column] = value;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Privacy Service
+ * Processes data subject requests as jobs: a request's identifiers are expanded
+ * through the identity graph, then every matching row is either written to a
+ * downloadable JSON bundle (export) or deleted or anonymized (erasure), with an
+ * optional deletion webhook queued for destinations that opted in. Every step is audited
+ */
+class Privacy {
+  constructor() {
+    this.pollInterval = parseInt(process.env.PRIVACY_POLL_INTERVAL, 10) || 5000;
+    this.batchSize = parseInt(process.env.PRIVACY_BATCH_SIZE, 10) || 1000;
+    this.exportDir = process.env.PRIVACY_EXPORT_DIR || path.join(process.cwd(), 'privacy-exports');
+    this.exportTtlDays = parseInt(process.env.PRIVACY_EXPORT_TTL_DAYS, 10) || 7;
+    // Requests locked longer than this are assumed to belong to a crashed worker
+    this.staleLockTimeout = parseInt(process.env.PRIVACY_STALE_LOCK_MS, 10) || 10 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    this.currentRun = null;
+  }
+
+  /**
+   * Start processing requests
+   * @returns {void}
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this._scheduleNextRun(0);
+    logger.info('Privacy request worker started', {
+      pollInterval: this.pollInterval,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Stop processing requests and wait for the in-flight batch to finish
+   * An interrupted request is picked up again once its lock goes stale
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('Privacy request worker stopped');
+  }
+
+  /**
+   * Record an action in a request's audit trail
+   * @param {string} requestId - Privacy request ID
+   * @param {string} action - What happened
+   * @param {string} actor - Who did it
+   * @param {Object} [details] - Counts and other details (no personal data)
+   * @returns {Promise<Object>} - The audit log entry
+   */
+  audit(requestId, action, actor, details = {}) {
+    return PrivacyAuditLog.create({ requestId, action, actor, details });
+  }
+
+  /**
+   * Process one pending request
+   * @returns {Promise<boolean>} - Whether a request was processed
+   */
+  async processNext() {
+    const [claimed] = await sequelize.query(`
+      UPDATE privacy_requests
+      SET status = 'processing', "lockedAt" = NOW(), "startedAt" = COALESCE("startedAt", NOW()), "updatedAt" = NOW()
+      WHERE id = (
+        SELECT id FROM privacy_requests
+        WHERE status = 'pending'
+        ORDER BY "createdAt" ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id
+    `, { type: sequelize.QueryTypes.SELECT });
+
+    if (!claimed) {
+      return false;
+    }
+
+    const request = await PrivacyRequest.findByPk(claimed.id);
+    await this.process(request);
+
+    return true;
+  }
+
+  /**
+   * Run a claimed request to completion, recording the outcome
+   * @param {Object} request - The privacy request (status "processing")
+   * @returns {Promise<Object>} - The updated request
+   */
+  async process(request) {
+    await this.audit(request.id, 'started', 'system');
+
+    try {
+      const identifiers = await this.resolveIdentifiers(request);
+      await request.update({ identifiers });
+      await this.audit(request.id, 'resolved', 'system', _.mapValues(identifiers, values => values.length));
+
+      if (request.type === 'export') {
+        await this._export(request, identifiers);
+      } else {
+        await this._erase(request, identifiers);
+
+        if (request.propagate) {
+          await this._propagate(request, identifiers);
+        }
+      }
+
+      await request.update({ status: 'completed', completedAt: new Date(), lockedAt: null, error: null });
+      await this.audit(request.id, 'completed', 'system', request.result || {});
+
+      logger.info(`Completed privacy ${request.type} request ${request.id}`, request.result || {});
+    } catch (error) {
+      await request.update({ status: 'failed', completedAt: new Date(), lockedAt: null, error: error.message });
+      await this.audit(request.id, 'failed', 'system', { error: error.message });
+
+      logger.error(`Privacy ${request.type} request ${request.id} failed:`, {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    return request;
+  }
+
+  /**
+   * Get the identifiers a request matches: the subject's own identifiers and,
+   * unless includeLinked is off, every identifier linked to them in the identity graph
+   * @param {Object} request - The privacy request
+   * @returns {Promise<Object>} - { userIds, anonymousIds, emails, stripeCustomerIds }
+   */
+  async resolveIdentifiers(request) {
+    const identifiers = _.mapValues(_.invert(IDENTIFIER_TYPES), () => new Set());
+
+    for (const [type, value] of Object.entries(request.subject)) {
+      if (!IDENTIFIER_TYPES[type] || !value) {
+        continue;
+      }
+
+      identifiers[IDENTIFIER_TYPES[type]].add(type === 'email' ? value.trim().toLowerCase() : value);
+
+      if (request.includeLinked) {
+        for (const identity of await identityGraph.resolve(type, value)) {
+          identifiers[IDENTIFIER_TYPES[identity.type]].add(identity.value);
+        }
+      }
+    }
+
+    return _.mapValues(identifiers, values => [...values]);
+  }
+
+  /**
+   * Call a function with each batch of a table's rows matching the identifiers, in id order
+   * @private
+   * @param {string} table - Table name
+   * @param {Object} identifiers - Request identifiers
+   * @param {Function} fn - Receives each batch of rows
+   * @returns {Promise<number>} - Number of rows read
+   */
+  async _eachBatch(table, identifiers, fn) {
+    const match = buildMatch(table, identifiers);
+    if (!match) {
+      return 0;
+    }
+
+    let lastId = null;
+    let count = 0;
+
+    for (;;) {
+      const bind = [...match.bind];
+      let where = match.where;
+
+      if (lastId) {
+        bind.push(lastId);
+        where += ` AND id > $${bind.length}::uuid`;
+      }
+      bind.push(this.batchSize);
+
+      const rows = await sequelize.query(
+        `SELECT * FROM ${table} WHERE ${where} ORDER BY id LIMIT $${bind.length}`,
+        { bind, type: sequelize.QueryTypes.SELECT }
+      );
+
+      if (rows.length === 0) {
+        return count;
+      }
+
+      await fn(rows);
+      count += rows.length;
+
+      if (rows.length < this.batchSize) {
+        return count;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  /**
+   * Write every matching row to the request's export bundle
+   * The bundle is written under a temporary name and renamed once complete
+   * @private
+   * @param {Object} request - The privacy request
+   * @param {Object} identifiers - Request identifiers
+   * @returns {Promise<void>}
+   */
+  async _export(request, identifiers) {
+    await fs.promises.mkdir(this.exportDir, { recursive: true });
+
+    const file = path.join(this.exportDir, `${request.id}.json`);
+    const partial = `${file}.partial`;
+    const handle = await fs.promises.open(partial, 'w');
+    const tables = {};
+
+    try {
+      await handle.write(`{\n"request": ${JSON.stringify({
+        id: request.id,
+        subject: request.subject,
+        identifiers,
+        requestedAt: request.createdAt
+      })},\n"generatedAt": ${JSON.stringify(new Date())}`);
+
+      for (const [section, table] of EXPORT_SECTIONS) {
+        let first = true;
+        await handle.write(`,\n"${section}": [`);
+
+        tables[table] = await this._eachBatch(table, identifiers, async (rows) => {
+          await handle.write(rows.map(row => {
+            const line = `${first ? '' : ','}\n${JSON.stringify(row)}`;
+            first = false;
+            return line;
+          }).join(''));
+          await this._heartbeat(request);
+        });
+
+        await handle.write('\n]');
+      }
+
+      await handle.write('\n}\n');
+    } finally {
+      await handle.close();
+    }
+
+    await fs.promises.rename(partial, file);
+    const { size } = await fs.promises.stat(file);
+
+    await request.update({
+      bundlePath: file,
+      bundleExpiresAt: new Date(Date.now() + this.exportTtlDays * 24 * 60 * 60 * 1000),
+      result: { tables, bytes: size }
+    });
+    await this.audit(request.id, 'exported', 'system', { tables, bytes: size });
+  }
+
+  /**
+   * Delete or anonymize every matching row
+   * @private
+   * @param {Object} request - The privacy request
+   * @param {Object} identifiers - Request identifiers
+   * @returns {Promise<void>}
+   */
+  async _erase(request, identifiers) {
+    const mode = request.erasureMode || 'delete';
+    // One token per request, never stored, so anonymized rows still count as one person
+    const token = `anonymized-${crypto.randomBytes(12).toString('hex')}`;
+    const tables = {};
+
+    // Stored idempotent responses are found through the subject's events, so collect them first
+    const eventIds = [];
+    await this._eachBatch('events', identifiers, (rows) => {
+      eventIds.push(...rows.map(row => row.id));
+    });
+
+    for (const table of Object.keys(MATCHERS)) {
+      tables[table] = mode === 'anonymize' && ANONYMIZERS[table]
+        ? await this._anonymizeTable(request, table, identifiers, token)
+        : await this._deleteTable(request, table, identifiers);
+
+      await this.audit(request.id, mode === 'anonymize' && ANONYMIZERS[table] ? 'anonymized' : 'deleted', 'system', {
+        table,
+        rows: tables[table]
+      });
+    }
+
+    tables.catalog_properties = await this._scrubCatalogSamples(identifiers);
+    await this.audit(request.id, 'scrubbed', 'system', { table: 'catalog_properties', rows: tables.catalog_properties });
+
+    tables.idempotency_keys = await idempotencyStore.forgetEvents(eventIds);
+    await this.audit(request.id, 'deleted', 'system', { table: 'idempotency_keys', rows: tables.idempotency_keys });
+
+    await request.update({ result: { mode, tables } });
+
+    // Cached listings and analytics may still hold the erased rows
+    await redisOps.invalidatePatterns(['api:/api/events*', 'api:/api/data*', 'analytics:*']);
+  }
+
+  /**
+   * Delete a table's matching rows in batches, with the delivery records of deleted events
+   * @private
+   * @param {Object} request - The privacy request
+   * @param {string} table - Table name
+   * @param {Object} identifiers - Request identifiers
+   * @returns {Promise<number>} - Number of rows deleted
+   */
+  async _deleteTable(request, table, identifiers) {
+    const match = buildMatch(table, identifiers);
+    if (!match) {
+      return 0;
+    }
+
+    let deleted = 0;
+
+    for (;;) {
+      const bind = [...match.bind, this.batchSize];
+
+      const count = await sequelize.transaction(async (transaction) => {
+        const rows = await sequelize.query(`
+          DELETE FROM ${table}
+          WHERE id IN (
+            SELECT id FROM ${table}
+            WHERE ${match.where}
+            LIMIT $${bind.length}
+          )
+          RETURNING id
+        `, { bind, type: sequelize.QueryTypes.SELECT, transaction });
+
+        if (table === 'events' && rows.length > 0) {
+          await this._deleteDeliveryRecords(rows.map(row => row.id), transaction);
+        }
+
+        return rows.length;
+      });
+
+      deleted += count;
+      await this._heartbeat(request);
+
+      if (count < this.batchSize) {
+        return deleted;
+      }
+    }
+  }
+
+  /**
+   * Anonymize a table's matching rows in batches; the delivery records of
+   * anonymized events are deleted since they keep copies of the original payloads
+   * @private
+   * @param {Object} request - The privacy request
+   * @param {string} table - Table name
+   * @param {Object} identifiers - Request identifiers
+   * @param {string} token - Replacement for the subject's identifiers
+   * @returns {Promise<number>} - Number of rows anonymized
+   */
+  async _anonymizeTable(request, table, identifiers, token) {
+    const values = new Set(_.flatten(Object.values(identifiers)));
+    let anonymized = 0;
+
+    await this._eachBatch(table, identifiers, (rows) => sequelize.transaction(async (transaction) => {
+      for (const row of rows) {
+        const changes = anonymizeRow(table, row, values, token);
+        const columns = Object.keys(changes);
+
+        if (columns.length === 0) {
+          continue;
+        }
+
+        const sets = columns.map((column, i) => `"${column}" = $${i + 1}`);
+        await sequelize.query(
+          `UPDATE ${table} SET ${sets.join(', ')}, "updatedAt" = NOW() WHERE id = $${columns.length + 1}`,
+          {
+            bind: [...columns.map(column => (typeof changes[column] === 'object' ? JSON.stringify(changes[column]) : changes[column])), row.id],
+            transaction
+          }
+        );
+        anonymized++;
+      }
+
+      if (table === 'events') {
+        await this._deleteDeliveryRecords(rows.map(row => row.id), transaction);
+      }
+
+      await this._heartbeat(request);
+    }));
+
+    return anonymized;
+  }
+
+  /**
+   * Remove the subject's identifiers from the sample values of the event catalog
+   * Samples are compared case-insensitively, as emails are matched elsewhere
+   * @private
+   * @param {Object} identifiers - Request identifiers
+   * @returns {Promise<number>} - Number of catalog properties changed
+   */
+  async _scrubCatalogSamples(identifiers) {
+    const values = _.uniq(_.flatten(Object.values(identifiers)).map(value => String(value).toLowerCase()));
+    if (values.length === 0) {
+      return 0;
+    }
+
+    // Observations not yet written may hold the subject's values too
+    await eventCatalog.flush();
+
+    const rows = await sequelize.query(`
+      UPDATE catalog_properties
+      SET "sampleValues" = (
+        SELECT COALESCE(jsonb_agg(s.value ORDER BY s.position), '[]'::jsonb)
+        FROM jsonb_array_elements("sampleValues") WITH ORDINALITY AS s(value, position)
+        WHERE NOT (jsonb_typeof(s.value) = 'string' AND lower(s.value #>> '{}') = ANY($1::text[]))
+      ), "updatedAt" = NOW()
+      WHERE EXISTS (
+        SELECT 1 FROM jsonb_array_elements("sampleValues") AS s(value)
+        WHERE jsonb_typeof(s.value) = 'string' AND lower(s.value #>> '{}') = ANY($1::text[])
+      )
+      RETURNING id
+    `, { bind: [values], type: sequelize.QueryTypes.SELECT });
+
+    return rows.length;
+  }
+
+  /**
+   * Delete the delivery jobs, attempts, dead letters and schema violations of events
+   * @private
+   * @param {Array<string>} eventIds - Event IDs
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async _deleteDeliveryRecords(eventIds, transaction) {
+    for (const table of DELIVERY_TABLES) {
+      await sequelize.query(`DELETE FROM ${table} WHERE "eventId" = ANY($1::uuid[])`, {
+        bind: [eventIds],
+        transaction
+      });
+    }
+  }
+
+  /**
+   * Queue a deletion webhook to the enabled destinations that opted in with
+   * config.privacyWebhooks, narrowed to the request's destinationIds if set
+   * Identifiers are sent as SHA-256 hashes. Deliveries go through the delivery
+   * queue, so they are retried like any other
+   * @private
+   * @param {Object} request - The privacy request
+   * @param {Object} identifiers - Request identifiers
+   * @returns {Promise<void>}
+   */
+  async _propagate(request, identifiers) {
+    const candidates = await Destination.findAll({
+      where: request.destinationIds ? { id: request.destinationIds, enabled: true } : { enabled: true }
+    });
+    const destinations = candidates.filter(destination => destination.config && destination.config.privacyWebhooks === true);
+
+    const payload = {
+      type: DELETION_EVENT_NAME,
+      requestId: request.id,
+      erasureMode: request.erasureMode || 'delete',
+      identifierHash: 'sha256',
+      identifiers: _.mapValues(_.pick(identifiers, PROPAGATED_IDENTIFIERS), values => values.map(hashIdentifier)),
+      requestedAt: request.createdAt
+    };
+
+    const jobs = [];
+
+    for (const destination of destinations) {
+      const job = await deliveryQueue.enqueue({
+        event: { id: request.id, eventName: DELETION_EVENT_NAME },
+        destination,
+        payload
+      });
+      jobs.push({ destinationId: destination.id, destination: destination.name, deliveryJobId: job.id });
+    }
+
+    await request.update({ result: { ...request.result, propagated: jobs } });
+    await this.audit(request.id, 'propagated', 'system', { destinations: jobs });
+  }
+
+  /**
+   * Delete export bundles past their expiry
+   * @private
+   * @returns {Promise<number>} - Number of bundles deleted
+   */
+  async _expireBundles() {
+    const expired = await PrivacyRequest.findAll({
+      where: {
+        bundlePath: { [Op.ne]: null },
+        bundleExpiresAt: { [Op.lt]: new Date() }
+      }
+    });
+
+    for (const request of expired) {
+      await fs.promises.rm(request.bundlePath, { force: true });
+      await request.update({ bundlePath: null });
+      await this.audit(request.id, 'bundle_expired', 'system');
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Return requests left in "processing" by a crashed or restarted worker to the queue
+   * Export and erasure are both safe to run again from the start
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _releaseStaleLocks() {
+    const [count] = await PrivacyRequest.update({
+      status: 'pending',
+      lockedAt: null
+    }, {
+      where: {
+        status: 'processing',
+        lockedAt: {
+          [Op.lt]: new Date(Date.now() - this.staleLockTimeout)
+        }
+      }
+    });
+
+    if (count > 0) {
+      logger.warn(`Released ${count} stale privacy requests back to the queue`);
+    }
+  }
+
+  /**
+   * Refresh a request's lock so a long-running request is not seen as stale
+   * @private
+   * @param {Object} request - The privacy request
+   * @returns {Promise<void>}
+   */
+  async _heartbeat(request) {
+    await PrivacyRequest.update({ lockedAt: new Date() }, { where: { id: request.id } });
+  }
+
+  /**
+   * Schedule the next run if the worker is running
+   * @private
+   * @param {number} [delay] - Delay before running (defaults to the poll interval)
+   */
+  _scheduleNextRun(delay = this.pollInterval) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.currentRun = this._releaseStaleLocks()
+        .then(() => this._expireBundles())
+        .then(() => this.processNext())
+        .catch(error => {
+          logger.error('Error processing privacy requests:', {
+            error: error.message,
+            stack: error.stack
+          });
+          return false;
+        })
+        .then((processed) => {
+          this.currentRun = null;
+          // Keep going while requests are waiting
+          this._scheduleNextRun(processed ? 0 : this.pollInterval);
+        });
+    }, delay);
+  }
+}
+
+module.exports = new Privacy();
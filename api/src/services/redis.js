@@ -128,10 +128,54 @@ const clearCacheByPattern = async (pattern) => {
   }
 };
 
+// Get a cached JSON value; resolves to null on a miss or when Redis is unavailable
+const get = async (key) => {
+  if (!redisClient?.isOpen || !redisConnected) {
+    return null;
+  }
+  
+  try {
+    const value = await redisClient.get(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    logger.error(`Failed to read cache for ${key}:`, error);
+    return null;
+  }
+};
+
+// Cache a value as JSON; options.ttl is in seconds
+const set = async (key, value, options = {}) => {
+  if (!redisClient?.isOpen || !redisConnected) {
+    return false;
+  }
+  
+  await redisClient.set(key, JSON.stringify(value), options.ttl ? { EX: options.ttl } : undefined);
+  return true;
+};
+
+// Delete every key matching a glob pattern; resolves to the number of keys deleted
+const deleteByPattern = async (pattern) => {
+  if (!redisClient?.isOpen || !redisConnected) {
+    return 0;
+  }
+  
+  const keys = await redisClient.keys(pattern);
+  
+  if (keys.length === 0) {
+    return 0;
+  }
+  
+  return redisClient.del(keys);
+};
+
 module.exports = {
   setupRedis,
   cacheMiddleware,
   clearCacheByPattern,
+  get,
+  set,
+  deleteByPattern,
   getRedisClient: () => redisClient,
+  getClient: () => redisClient,
   isRedisConnected: () => redisConnected
 };
\ No newline at end of file
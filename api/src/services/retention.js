@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+const RetentionPolicy = require('../models/RetentionPolicy');
+
+const gzip = promisify(zlib.gzip);
+
+// Purgeable tables: the column a row's age is taken from and the one patterns match
+const TABLES = {
+  events: { timeColumn: '"timestamp"', nameColumn: '"eventName"' },
+  stripe_events: { timeColumn: '"stripeEventCreated"', nameColumn: '"stripeEventType"' },
+  data_entries: { timeColumn: '"createdAt"', nameColumn: 'source' }
+};
+
+/**
+ * Convert a policy pattern to a LIKE pattern ("*" matches anything)
+ * @private
+ * @param {string} pattern - Policy pattern
+ * @returns {string} - LIKE pattern
+ */
+function toLikePattern(pattern) {
+  return pattern.replace(/[\\%_]/g, char => `\\${char}`).replace(/\*/g, '%');
+}
+
+/**
+ * Compare policies of a table by precedence: policies with a pattern come
+ * before the catch-all, longer (more specific) patterns first
+ * @private
+ * @param {Object} a - Policy
+ * @param {Object} b - Policy
+ * @returns {number} - Sort order
+ */
+function byPrecedence(a, b) {
+  if (Boolean(a.pattern) !== Boolean(b.pattern)) {
+    return a.pattern ? -1 : 1;
+  }
+
+  return (b.pattern || '').length - (a.pattern || '').length || a.name.localeCompare(b.name);
+}
+
+/**
+ * Retention Service
+ * Applies retention policies: rows older than their policy's retention period
+ * are deleted in bounded batches by a background job, after being appended to
+ * gzipped NDJSON archives for policies with archiving on. Each row is governed
+ * by the first policy of its table, in precedence order, whose pattern it matches
+ */
+class Retention {
+  constructor() {
+    const interval = parseInt(process.env.RETENTION_PURGE_INTERVAL, 10);
+    this.purgeInterval = Number.isNaN(interval) ? 60 * 60 * 1000 : interval;
+    this.batchSize = parseInt(process.env.RETENTION_BATCH_SIZE, 10) || 1000;
+    this.archiveDir = process.env.RETENTION_ARCHIVE_DIR || path.join(process.cwd(), 'archives');
+    this.timer = null;
+    this.running = false;
+    this.currentRun = null;
+  }
+
+  /**
+   * Whether the purge job runs (RETENTION_PURGE_INTERVAL=0 turns it off)
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.purgeInterval > 0;
+  }
+
+  /**
+   * Start purging periodically
+   * @returns {void}
+   */
+  start() {
+    if (this.running || !this.enabled) {
+      return;
+    }
+
+    this.running = true;
+    this._scheduleNextRun(0);
+    logger.info('Retention purge job started', {
+      purgeInterval: this.purgeInterval,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Stop purging and wait for the in-flight batch to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('Retention purge job stopped');
+  }
+
+  /**
+   * Report what the enabled policies would purge now, without deleting anything
+   * @param {Date} [now] - Time the retention periods are counted back from
+   * @returns {Promise<Array<Object>>} - Per policy: cutoff, matching row count and oldest row time
+   */
+  async report(now = new Date()) {
+    const report = [];
+
+    for (const { policy, preceding } of await this._loadPolicies()) {
+      const { table, timeColumn, where, bind, cutoff } = this._buildCondition(policy, preceding, now);
+
+      const [{ count, oldest }] = await sequelize.query(
+        `SELECT COUNT(*) AS count, MIN(${timeColumn}) AS oldest FROM ${table} WHERE ${where}`,
+        { bind, type: sequelize.QueryTypes.SELECT }
+      );
+
+      report.push({
+        policyId: policy.id,
+        name: policy.name,
+        targetTable: table,
+        pattern: policy.pattern,
+        retentionDays: policy.retentionDays,
+        archive: policy.archive,
+        cutoff: cutoff.toISOString(),
+        rowCount: parseInt(count, 10),
+        oldest
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Purge one batch of expired rows for every enabled policy
+   * @param {Date} [now] - Time the retention periods are counted back from
+   * @returns {Promise<Object>} - { deleted, hasMore } where hasMore means a policy filled its batch
+   */
+  async purge(now = new Date()) {
+    let deleted = 0;
+    let hasMore = false;
+
+    for (const { policy, preceding } of await this._loadPolicies()) {
+      const count = await this._purgeBatch(policy, preceding, now);
+
+      if (count > 0) {
+        logger.info(`Purged ${count} rows from ${policy.targetTable} under retention policy ${policy.name}`, {
+          policyId: policy.id,
+          archived: policy.archive
+        });
+      }
+
+      deleted += count;
+      hasMore = hasMore || count === this.batchSize;
+    }
+
+    return { deleted, hasMore };
+  }
+
+  /**
+   * Load the enabled policies with, for each, the policies of its table that take precedence over it
+   * @private
+   * @returns {Promise<Array<Object>>} - [{ policy, preceding }]
+   */
+  async _loadPolicies() {
+    const policies = await RetentionPolicy.findAll({
+      where: { enabled: true }
+    });
+
+    const result = [];
+
+    for (const table of Object.keys(TABLES)) {
+      const ordered = policies.filter(policy => policy.targetTable === table).sort(byPrecedence);
+      ordered.forEach((policy, i) => result.push({ policy, preceding: ordered.slice(0, i) }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the condition selecting the expired rows governed by a policy
+   * @private
+   * @param {Object} policy - The policy
+   * @param {Array<Object>} preceding - Policies of the same table that take precedence
+   * @param {Date} now - Time the retention period is counted back from
+   * @returns {Object} - { table, timeColumn, where, bind, cutoff }
+   */
+  _buildCondition(policy, preceding, now) {
+    const table = policy.targetTable;
+    const { timeColumn, nameColumn } = TABLES[table];
+    const cutoff = new Date(now.getTime() - policy.retentionDays * 24 * 60 * 60 * 1000);
+
+    const bind = [cutoff.toISOString()];
+    const conditions = [`${timeColumn} < $1::timestamptz`];
+
+    if (policy.pattern) {
+      bind.push(toLikePattern(policy.pattern));
+      conditions.push(`${nameColumn} LIKE $${bind.length}`);
+    }
+
+    // Rows matched by a more specific policy are left to that policy
+    for (const other of preceding) {
+      if (!other.pattern) {
+        conditions.push('FALSE');
+        continue;
+      }
+      bind.push(toLikePattern(other.pattern));
+      conditions.push(`NOT COALESCE(${nameColumn} LIKE $${bind.length}, false)`);
+    }
+
+    return { table, timeColumn, where: conditions.join(' AND '), bind, cutoff };
+  }
+
+  /**
+   * Delete (and archive) one batch of a policy's expired rows, oldest first
+   * @private
+   * @param {Object} policy - The policy
+   * @param {Array<Object>} preceding - Policies of the same table that take precedence
+   * @param {Date} now - Time the retention period is counted back from
+   * @returns {Promise<number>} - Number of rows deleted
+   */
+  async _purgeBatch(policy, preceding, now) {
+    const { table, timeColumn, where, bind } = this._buildCondition(policy, preceding, now);
+    bind.push(this.batchSize);
+
+    // The archive is written before the transaction commits, so a failed write keeps the rows
+    return sequelize.transaction(async (transaction) => {
+      const rows = await sequelize.query(`
+        DELETE FROM ${table}
+        WHERE id IN (
+          SELECT id FROM ${table}
+          WHERE ${where}
+          ORDER BY ${timeColumn} ASC
+          LIMIT $${bind.length}
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING ${policy.archive ? '*' : 'id'}
+      `, {
+        bind,
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      });
+
+      if (policy.archive && rows.length > 0) {
+        await this._archive(policy, rows, now);
+      }
+
+      return rows.length;
+    });
+  }
+
+  /**
+   * Append rows to the policy's archive for the day, as a gzip member of NDJSON
+   * Archives are at <RETENTION_ARCHIVE_DIR>/<table>/<policy name>/<YYYY-MM-DD>.ndjson.gz;
+   * concatenated gzip members read back as one stream with gunzip or zcat
+   * @private
+   * @param {Object} policy - The policy
+   * @param {Array<Object>} rows - Deleted rows
+   * @param {Date} now - Time of the purge
+   * @returns {Promise<string>} - Archive file path
+   */
+  async _archive(policy, rows, now) {
+    const directory = path.join(this.archiveDir, policy.targetTable, policy.name);
+    const file = path.join(directory, `${now.toISOString().slice(0, 10)}.ndjson.gz`);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.appendFile(file, await gzip(rows.map(row => JSON.stringify(row)).join('\n') + '\n'));
+
+    return file;
+  }
+
+  /**
+   * Schedule the next purge if the job is running
+   * @private
+   * @param {number} [delay] - Delay before purging (defaults to the purge interval)
+   */
+  _scheduleNextRun(delay = this.purgeInterval) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.currentRun = this.purge()
+        .catch(error => {
+          logger.error('Error purging expired rows:', {
+            error: error.message,
+            stack: error.stack
+          });
+          return { hasMore: false };
+        })
+        .then(({ hasMore }) => {
+          this.currentRun = null;
+          // Keep purging while full batches are being deleted
+          this._scheduleNextRun(hasMore ? 0 : this.purgeInterval);
+        });
+    }, delay);
+  }
+}
+
+module.exports = new Retention();
@@ -0,0 +1,171 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const logger = require('../utils/logger');
+const EventSchema = require('../models/EventSchema');
+const SchemaViolation = require('../models/SchemaViolation');
+const piiPolicies = require('./piiPolicies');
+
+// Violation action recorded for each schema mode
+const MODE_ACTIONS = {
+  block: 'blocked',
+  warn: 'warned',
+  tag: 'tagged'
+};
+
+/**
+ * Schema Registry Service
+ * Validates event properties against the active JSON Schema registered for the
+ * event name and records violations. Compiled schemas are cached in memory and
+ * reloaded whenever the registry changes
+ */
+class SchemaRegistry {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+
+    // Map of event name to { record, validate } for the active version
+    this.schemas = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Load the active schemas
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.refreshSchemas();
+    this.initialized = true;
+    logger.info('Schema Registry initialized successfully');
+  }
+
+  /**
+   * Reload the highest active version of each event name's schema
+   * @returns {Promise<void>}
+   */
+  async refreshSchemas() {
+    const records = await EventSchema.findAll({
+      where: { active: true },
+      order: [['eventName', 'ASC'], ['version', 'DESC']]
+    });
+
+    const schemas = new Map();
+
+    for (const record of records) {
+      if (schemas.has(record.eventName)) {
+        continue;
+      }
+
+      try {
+        schemas.set(record.eventName, {
+          record,
+          validate: this.compile(record.schema)
+        });
+      } catch (error) {
+        logger.error(`Error compiling schema for ${record.eventName} v${record.version}:`, {
+          error: error.message,
+          schemaId: record.id
+        });
+      }
+    }
+
+    this.schemas = schemas;
+    logger.info(`Loaded ${schemas.size} active event schemas`);
+  }
+
+  /**
+   * Compile a JSON Schema
+   * @param {Object} schema - JSON Schema
+   * @returns {Function} - Ajv validate function
+   * @throws {Error} - If the schema is invalid
+   */
+  compile(schema) {
+    return this.ajv.compile(schema);
+  }
+
+  /**
+   * Check an event's properties against the active schema for its name
+   * @param {Object} event - The event ({ eventName, properties })
+   * @returns {Object|null} - Violation details, or null if the event has no schema or is valid
+   */
+  check(event) {
+    const entry = this.schemas.get(event.eventName);
+
+    if (!entry || entry.validate(event.properties)) {
+      return null;
+    }
+
+    return {
+      schemaId: entry.record.id,
+      eventName: event.eventName,
+      schemaVersion: entry.record.version,
+      mode: entry.record.mode,
+      action: MODE_ACTIONS[entry.record.mode],
+      errors: entry.validate.errors.map(error => ({
+        path: ['properties', ...error.instancePath.split('/').filter(Boolean)].join('.'),
+        message: error.message,
+        keyword: error.keyword
+      }))
+    };
+  }
+
+  /**
+   * Record violations and update the per-schema counters
+   * Never throws - a logging failure must not affect ingestion
+   * @param {Array<Object>} entries - Violations ({ violation, eventId, properties })
+   * @returns {Promise<void>}
+   */
+  async recordViolations(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    try {
+      await SchemaViolation.bulkCreate(entries.map(({ violation, eventId, properties }) => ({
+        schemaId: violation.schemaId,
+        eventName: violation.eventName,
+        schemaVersion: violation.schemaVersion,
+        eventId: eventId || null,
+        action: violation.action,
+        errors: violation.errors,
+        // Blocked events are not stored anywhere else; storage PII policies still apply
+        properties: violation.action === 'blocked' ? piiPolicies.applyStorage(properties) : null
+      })));
+
+      const countsBySchema = new Map();
+      for (const { violation } of entries) {
+        countsBySchema.set(violation.schemaId, (countsBySchema.get(violation.schemaId) || 0) + 1);
+      }
+
+      for (const [schemaId, count] of countsBySchema) {
+        await EventSchema.increment('violationCount', {
+          by: count,
+          where: { id: schemaId }
+        });
+        await EventSchema.update({ lastViolationAt: new Date() }, {
+          where: { id: schemaId }
+        });
+      }
+
+      logger.warn(`Recorded ${entries.length} schema violations`, {
+        eventNames: [...new Set(entries.map(({ violation }) => violation.eventName))]
+      });
+    } catch (error) {
+      logger.error('Error recording schema violations:', {
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record a single violation
+   * @param {Object} violation - Result of check()
+   * @param {Object} [details] - { eventId, properties }
+   * @returns {Promise<void>}
+   */
+  recordViolation(violation, details = {}) {
+    return this.recordViolations([{ violation, ...details }]);
+  }
+}
+
+// Export a singleton instance
+module.exports = new SchemaRegistry();
@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+const Event = require('../models/Event');
+const Session = require('../models/Session');
+const ingestionWorker = require('./ingestionWorker');
+const eventCatalog = require('./eventCatalog');
+
+// Call type stored on synthetic session events
+const SESSION_CALL_TYPE = 'session';
+
+/**
+ * Get the identity a session is keyed on
+ * @private
+ * @param {Object} event - The event
+ * @returns {Object|null} - { userId, anonymousId }, or null if the event has neither
+ */
+function getIdentity(event) {
+  const properties = event.properties || {};
+  const userId = properties.userId !== undefined && properties.userId !== null && properties.userId !== ''
+    ? String(properties.userId)
+    : null;
+  const anonymousId = properties.anonymousId !== undefined && properties.anonymousId !== null && properties.anonymousId !== ''
+    ? String(properties.anonymousId)
+    : null;
+
+  return userId || anonymousId ? { userId, anonymousId } : null;
+}
+
+/**
+ * Sessionizer Service
+ * Assigns events to sessions as they are ingested: an event joins the user's
+ * (or anonymous visitor's) session if it falls within the inactivity timeout of
+ * it, and starts a new session otherwise. Sessions with no events for the
+ * timeout are ended by a background sweep. Starts and ends are emitted as
+ * synthetic session.started and session.ended events, routed like any other event
+ */
+class Sessionizer {
+  constructor() {
+    const timeoutMinutes = process.env.SESSION_TIMEOUT_MINUTES !== undefined
+      ? parseFloat(process.env.SESSION_TIMEOUT_MINUTES)
+      : 30;
+    this.timeoutMs = timeoutMinutes * 60 * 1000;
+    this.sweepInterval = parseInt(process.env.SESSION_SWEEP_INTERVAL, 10) || 60000;
+    this.batchSize = parseInt(process.env.SESSION_SWEEP_BATCH_SIZE, 10) || 500;
+    this.timer = null;
+    this.running = false;
+    this.currentSweep = null;
+  }
+
+  /**
+   * Whether sessionization is enabled (SESSION_TIMEOUT_MINUTES=0 turns it off)
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.timeoutMs > 0;
+  }
+
+  /**
+   * Start ending inactive sessions periodically
+   * @returns {void}
+   */
+  start() {
+    if (this.running || !this.enabled) {
+      return;
+    }
+
+    this.running = true;
+    this._scheduleNextSweep(0);
+    logger.info('Sessionizer started', {
+      timeoutMs: this.timeoutMs,
+      sweepInterval: this.sweepInterval
+    });
+  }
+
+  /**
+   * Stop sweeping and wait for the in-flight sweep to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.currentSweep) {
+      await this.currentSweep;
+    }
+
+    logger.info('Sessionizer stopped');
+  }
+
+  /**
+   * Assign stored events to sessions
+   * Sets sessionId on the events (and on the passed instances) and queues a
+   * session.started event for every new session. Never throws - a session
+   * failure must not affect ingestion
+   * @param {Array<Object>|Object} events - Stored event instances
+   * @returns {Promise<void>}
+   */
+  async assign(events) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const items = (Array.isArray(events) ? events : [events])
+      .map(event => ({ event, identity: getIdentity(event), time: new Date(event.timestamp) }))
+      .filter(item => item.identity && item.event.callType !== SESSION_CALL_TYPE)
+      .sort((a, b) => a.time - b.time);
+
+    if (items.length === 0) {
+      return;
+    }
+
+    try {
+      const { assignments, started, sessionEvents } = await sequelize.transaction(transaction =>
+        this._assignInTransaction(items, transaction)
+      );
+
+      // Catalogued once committed, so a rolled-back batch is never counted
+      eventCatalog.observe(sessionEvents);
+
+      for (const { event } of items) {
+        const sessionId = assignments.get(event.id);
+        if (typeof event.setDataValue === 'function') {
+          event.setDataValue('sessionId', sessionId);
+        } else {
+          event.sessionId = sessionId;
+        }
+      }
+
+      if (started.length > 0) {
+        ingestionWorker.notify();
+      }
+    } catch (error) {
+      logger.error('Error assigning events to sessions:', {
+        error: error.message,
+        eventCount: items.length
+      });
+    }
+  }
+
+  /**
+   * End sessions with no events for the inactivity timeout
+   * @returns {Promise<number>} - Number of sessions ended
+   */
+  async endInactiveSessions() {
+    let sessionEvents = [];
+
+    const ended = await sequelize.transaction(async (transaction) => {
+      const sessions = await sequelize.query(`
+        UPDATE sessions
+        SET status = 'ended', "endedAt" = "lastEventAt", "updatedAt" = NOW()
+        WHERE id IN (
+          SELECT id FROM sessions
+          WHERE status = 'active' AND "lastEventAt" < :cutoff
+          ORDER BY "lastEventAt" ASC
+          LIMIT :limit
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, {
+        replacements: {
+          cutoff: new Date(Date.now() - this.timeoutMs),
+          limit: this.batchSize
+        },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      });
+
+      if (sessions.length > 0) {
+        sessionEvents = await this._emit('session.ended', sessions, transaction);
+      }
+
+      return sessions;
+    });
+
+    eventCatalog.observe(sessionEvents);
+
+    if (ended.length > 0) {
+      ingestionWorker.notify();
+      logger.info(`Ended ${ended.length} inactive sessions`);
+    }
+
+    return ended.length;
+  }
+
+  /**
+   * Schedule the next sweep if the sessionizer is running
+   * @private
+   * @param {number} [delay] - Delay before sweeping (defaults to the sweep interval)
+   */
+  _scheduleNextSweep(delay = this.sweepInterval) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.currentSweep = this.endInactiveSessions()
+        .catch(error => {
+          logger.error('Error ending inactive sessions:', {
+            error: error.message,
+            stack: error.stack
+          });
+          return 0;
+        })
+        .then(count => {
+          this.currentSweep = null;
+          // Keep sweeping while full batches are being ended
+          this._scheduleNextSweep(count === this.batchSize ? 0 : this.sweepInterval);
+        });
+    }, delay);
+  }
+
+  /**
+   * Assign events to existing or new sessions and persist the result
+   * @private
+   * @param {Array<Object>} items - Events with identity and time, oldest first
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Object>} - { assignments: Map of event ID to session ID, started: new sessions,
+   *   sessionEvents: the session.started events created }
+   */
+  async _assignInTransaction(items, transaction) {
+    const userIds = [...new Set(items.map(item => item.identity.userId).filter(Boolean))];
+    const anonymousIds = [...new Set(items.map(item => item.identity.anonymousId).filter(Boolean))];
+
+    // Serialize assignment per identity; locks are taken in a fixed order so
+    // concurrent batches cannot deadlock
+    const lockKeys = [
+      ...userIds.map(id => `session:user:${id}`),
+      ...anonymousIds.map(id => `session:anon:${id}`)
+    ].sort();
+    for (const key of lockKeys) {
+      await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+        replacements: { key },
+        transaction
+      });
+    }
+
+    const identityConditions = [];
+    if (userIds.length > 0) identityConditions.push({ userId: userIds });
+    if (anonymousIds.length > 0) identityConditions.push({ anonymousId: anonymousIds });
+
+    // Sessions that any event in the batch could extend
+    const sessions = (await Session.findAll({
+      where: {
+        [Op.or]: identityConditions,
+        lastEventAt: { [Op.gte]: new Date(items[0].time.getTime() - this.timeoutMs) },
+        startedAt: { [Op.lte]: new Date(items[items.length - 1].time.getTime() + this.timeoutMs) }
+      },
+      transaction
+    })).map(session => ({ record: session, data: session.get({ plain: true }), changed: false }));
+
+    const assignments = new Map();
+    const eventIdsBySession = new Map();
+
+    for (const { event, identity, time } of items) {
+      let session = this._findSession(sessions, identity, time);
+
+      if (!session) {
+        session = {
+          record: null,
+          changed: true,
+          data: {
+            id: crypto.randomUUID(),
+            userId: identity.userId,
+            anonymousId: identity.anonymousId,
+            status: 'active',
+            startedAt: time,
+            lastEventAt: time,
+            endedAt: null,
+            eventCount: 0,
+            entryEventId: event.id,
+            entryEventName: event.eventName,
+            exitEventId: event.id,
+            exitEventName: event.eventName
+          }
+        };
+        sessions.push(session);
+      }
+
+      this._extend(session, event, identity, time);
+
+      assignments.set(event.id, session.data.id);
+      if (!eventIdsBySession.has(session.data.id)) {
+        eventIdsBySession.set(session.data.id, []);
+      }
+      eventIdsBySession.get(session.data.id).push(event.id);
+    }
+
+    const started = sessions.filter(session => !session.record).map(session => session.data);
+    let sessionEvents = [];
+
+    if (started.length > 0) {
+      await Session.bulkCreate(started, { transaction });
+      sessionEvents = await this._emit('session.started', started, transaction);
+    }
+
+    for (const session of sessions) {
+      if (session.record && session.changed) {
+        await session.record.update(session.data, { transaction });
+      }
+    }
+
+    for (const [sessionId, eventIds] of eventIdsBySession) {
+      await Event.update({ sessionId }, { where: { id: eventIds }, transaction });
+    }
+
+    return { assignments, started, sessionEvents };
+  }
+
+  /**
+   * Find the session an event belongs to
+   * A session matches if it shares the event's user or anonymous ID, does not
+   * belong to a different user, and the event is within the timeout of it
+   * @private
+   * @param {Array<Object>} sessions - Candidate sessions
+   * @param {Object} identity - { userId, anonymousId }
+   * @param {Date} time - Event time
+   * @returns {Object|undefined} - The most recently active matching session
+   */
+  _findSession(sessions, identity, time) {
+    return sessions
+      .filter(({ data }) => {
+        const sameIdentity = (identity.userId && data.userId === identity.userId) ||
+          (identity.anonymousId && data.anonymousId === identity.anonymousId);
+        const otherUser = identity.userId && data.userId && data.userId !== identity.userId;
+
+        return sameIdentity && !otherUser &&
+          time >= new Date(data.startedAt.getTime() - this.timeoutMs) &&
+          time <= new Date(data.lastEventAt.getTime() + this.timeoutMs);
+      })
+      .sort((a, b) => b.data.lastEventAt - a.data.lastEventAt)[0];
+  }
+
+  /**
+   * Add an event to a session
+   * @private
+   * @param {Object} session - Session being built ({ data, changed })
+   * @param {Object} event - The event
+   * @param {Object} identity - { userId, anonymousId }
+   * @param {Date} time - Event time
+   */
+  _extend(session, event, identity, time) {
+    const { data } = session;
+
+    if (time < data.startedAt) {
+      data.startedAt = time;
+      data.entryEventId = event.id;
+      data.entryEventName = event.eventName;
+    }
+
+    if (time >= data.lastEventAt) {
+      data.lastEventAt = time;
+      data.exitEventId = event.id;
+      data.exitEventName = event.eventName;
+    }
+
+    // An anonymous session becomes the user's once they identify
+    data.userId = data.userId || identity.userId;
+    data.anonymousId = data.anonymousId || identity.anonymousId;
+    data.eventCount += 1;
+    data.durationSeconds = Math.round((data.lastEventAt - data.startedAt) / 1000);
+
+    // Late events can extend a session that has already ended
+    if (data.status === 'ended') {
+      data.endedAt = data.lastEventAt;
+    }
+
+    session.changed = true;
+  }
+
+  /**
+   * Queue synthetic session events for routing
+   * The caller records them in the event catalog once its transaction commits
+   * @private
+   * @param {string} eventName - session.started or session.ended
+   * @param {Array<Object>} sessions - Session data
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array<Object>>} - The created events
+   */
+  async _emit(eventName, sessions, transaction) {
+    return Event.bulkCreate(sessions.map(session => {
+      const startedAt = new Date(session.startedAt);
+      const lastEventAt = new Date(session.lastEventAt);
+      const properties = {
+        sessionId: session.id,
+        userId: session.userId || undefined,
+        anonymousId: session.anonymousId || undefined,
+        startedAt: startedAt.toISOString(),
+        entryEventName: session.entryEventName
+      };
+
+      if (eventName === 'session.ended') {
+        Object.assign(properties, {
+          endedAt: lastEventAt.toISOString(),
+          durationSeconds: Math.round((lastEventAt - startedAt) / 1000),
+          eventCount: session.eventCount,
+          exitEventName: session.exitEventName
+        });
+      }
+
+      // Drop identity fields the session does not have
+      Object.keys(properties).forEach(key => properties[key] === undefined && delete properties[key]);
+
+      return {
+        eventName,
+        timestamp: eventName === 'session.ended' ? lastEventAt : startedAt,
+        properties,
+        callType: SESSION_CALL_TYPE,
+        sessionId: session.id,
+        routingStatus: 'queued'
+      };
+    }), { transaction, returning: true });
+  }
+}
+
+// Export a singleton instance
+module.exports = new Sessionizer();
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const { sequelize } = require('../db/connection');
+const UserProfile = require('../models/UserProfile');
+
+/**
+ * Parse PROFILE_TRAIT_PATHS
+ * Entries are "trait=path" or just "path" (the trait is named after the last
+ * path segment); paths are relative to the event's properties
+ * @private
+ * @param {string} value - Comma separated entries
+ * @returns {Array<Object>} - Trait paths ({ trait, path })
+ */
+function parseTraitPaths(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [trait, path] = entry.includes('=') ? entry.split('=') : [entry.split('.').pop(), entry];
+      return { trait: trait.trim(), path: path.trim() };
+    });
+}
+
+/**
+ * User Profile Service
+ * Maintains one profile per user ID from ingested events: traits from identify
+ * calls and configured property paths, first/last seen and event counts
+ */
+class UserProfiles {
+  constructor() {
+    this.traitPaths = parseTraitPaths(process.env.PROFILE_TRAIT_PATHS);
+  }
+
+  /**
+   * Get the user ID and traits carried by an event
+   * @param {Object} event - The event ({ eventName, callType, properties })
+   * @returns {Object|null} - { userId, traits }, or null for events without a user ID
+   */
+  extract(event) {
+    const properties = event.properties || {};
+
+    if (properties.userId === undefined || properties.userId === null || properties.userId === '') {
+      return null;
+    }
+
+    const traits = {};
+
+    for (const { trait, path } of this.traitPaths) {
+      const value = _.get(properties, path);
+      if (value !== undefined) {
+        traits[trait] = value;
+      }
+    }
+
+    // Identify calls carry traits explicitly and take precedence
+    const isIdentify = event.callType === 'identify' || event.eventName === 'identify';
+    if (isIdentify && _.isPlainObject(properties.traits)) {
+      Object.assign(traits, properties.traits);
+    }
+
+    return { userId: String(properties.userId), traits };
+  }
+
+  /**
+   * Update the profiles of the users in a set of stored events
+   * Traits from newer events override older ones. Never throws - a profile
+   * failure must not affect ingestion
+   * @param {Array<Object>|Object} events - Stored events ({ eventName, callType, timestamp, properties })
+   * @returns {Promise<void>}
+   */
+  async recordEvents(events) {
+    const updates = new Map();
+
+    // Apply events oldest first so later traits win within the batch
+    const sorted = [...(Array.isArray(events) ? events : [events])]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const event of sorted) {
+      const extracted = this.extract(event);
+      if (!extracted) {
+        continue;
+      }
+
+      const seenAt = new Date(event.timestamp);
+      const update = updates.get(extracted.userId);
+
+      if (!update) {
+        updates.set(extracted.userId, {
+          traits: extracted.traits,
+          count: 1,
+          firstSeen: seenAt,
+          lastSeen: seenAt,
+          lastEventName: event.eventName
+        });
+        continue;
+      }
+
+      Object.assign(update.traits, extracted.traits);
+      update.count += 1;
+      update.lastSeen = seenAt;
+      update.lastEventName = event.eventName;
+    }
+
+    if (updates.size === 0) {
+      return;
+    }
+
+    try {
+      await sequelize.transaction(async (transaction) => {
+        // Lock rows in a consistent order so concurrent batches cannot deadlock
+        for (const userId of [...updates.keys()].sort()) {
+          await this._upsert(userId, updates.get(userId), transaction);
+        }
+      });
+    } catch (error) {
+      logger.error('Error updating user profiles:', {
+        error: error.message,
+        userCount: updates.size
+      });
+    }
+  }
+
+  /**
+   * Merge an aggregated update into a user's profile
+   * @private
+   * @param {string} userId - The user ID
+   * @param {Object} update - { traits, count, firstSeen, lastSeen, lastEventName }
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async _upsert(userId, update, transaction) {
+    // Events can arrive out of order: only traits at least as recent as the
+    // profile's last event override stored values
+    await sequelize.query(`
+      INSERT INTO user_profiles
+        (id, "userId", traits, "firstSeen", "lastSeen", "eventCount", "lastEventName", "createdAt", "updatedAt")
+      VALUES (:id, :userId, CAST(:traits AS jsonb), :firstSeen, :lastSeen, :count, :lastEventName, NOW(), NOW())
+      ON CONFLICT ("userId") DO UPDATE SET
+        traits = CASE
+          WHEN EXCLUDED."lastSeen" >= user_profiles."lastSeen" THEN user_profiles.traits || EXCLUDED.traits
+          ELSE EXCLUDED.traits || user_profiles.traits
+        END,
+        "firstSeen" = LEAST(user_profiles."firstSeen", EXCLUDED."firstSeen"),
+        "lastSeen" = GREATEST(user_profiles."lastSeen", EXCLUDED."lastSeen"),
+        "eventCount" = user_profiles."eventCount" + EXCLUDED."eventCount",
+        "lastEventName" = CASE
+          WHEN EXCLUDED."lastSeen" >= user_profiles."lastSeen" THEN EXCLUDED."lastEventName"
+          ELSE user_profiles."lastEventName"
+        END,
+        "updatedAt" = NOW()
+    `, {
+      replacements: {
+        id: crypto.randomUUID(),
+        userId,
+        traits: JSON.stringify(update.traits),
+        firstSeen: update.firstSeen,
+        lastSeen: update.lastSeen,
+        count: update.count,
+        lastEventName: update.lastEventName
+      },
+      transaction
+    });
+  }
+
+  /**
+   * Get a user's profile
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object|null>} - The profile, or null if the user has not been seen
+   */
+  getProfile(userId) {
+    return UserProfile.findOne({ where: { userId: String(userId) } });
+  }
+
+  /**
+   * Get the profile attached to events passed to enriching transformations
+   * Never throws - a lookup failure leaves the payload unenriched
+   * @param {Object} event - The event being routed
+   * @returns {Promise<Object|null>} - { userId, traits, firstSeen, lastSeen, eventCount }, or null
+   */
+  async getEnrichment(event) {
+    const userId = event.properties?.userId;
+
+    if (userId === undefined || userId === null || userId === '') {
+      return null;
+    }
+
+    try {
+      const profile = await this.getProfile(userId);
+
+      if (!profile) {
+        return null;
+      }
+
+      return {
+        userId: profile.userId,
+        traits: profile.traits,
+        firstSeen: profile.firstSeen,
+        lastSeen: profile.lastSeen,
+        eventCount: Number(profile.eventCount)
+      };
+    } catch (error) {
+      logger.error(`Error loading user profile for ${userId}:`, {
+        error: error.message,
+        eventId: event.id
+      });
+      return null;
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new UserProfiles();
@@ -2,6 +2,7 @@ const logger = require('../utils/logger');
 const fetch = require('node-fetch');
 const crypto = require('crypto');
 const transformerService = require('./transformerService');
+const piiPolicies = require('./piiPolicies');
 
 /**
  * WebhookForwarder Service
@@ -18,6 +19,7 @@ class WebhookForwarder {
    * Register a new webhook destination
    * @param {string} name - Unique identifier for the destination
    * @param {Object} config - Configuration object
+   * @param {string} [config.id] - Destination ID (selects its forwarding PII policies)
    * @param {string} config.url - Webhook URL
    * @param {Array<string>|string} config.eventTypes - Event types to forward (or '*' for all)
    * @param {Function|Object} [config.transform] - Transformation function or configuration
@@ -50,6 +52,7 @@ class WebhookForwarder {
     }
 
     this.destinations[name] = {
+      id: config.id || null,
       url: config.url,
       eventTypes,
       transform: transformFn,
@@ -102,74 +105,128 @@ class WebhookForwarder {
   }
 
   /**
-   * Process an event and forward it to matching destinations
+   * Find the enabled registrations that accept an event
+   * @param {Object} event - The event
+   * @param {Object} [options] - Filtering options
+   * @param {Array<string>} [options.excludeDestinations] - Destination names to skip
+   * @param {Array<string>} [options.excludeDestinationIds] - Destination IDs to skip
+   * @param {Array<string>} [options.destinations] - Only include these destination names
+   * @returns {Array<Object>} - Matching registrations ({ name, config })
+   */
+  getMatchingDestinations(event, options = {}) {
+    const excluded = options.excludeDestinations || [];
+    const excludedIds = options.excludeDestinationIds || [];
+
+    return Object.entries(this.destinations)
+      .filter(([name, config]) => {
+        if (excluded.includes(name)) return false;
+        if (config.id && excludedIds.includes(config.id)) return false;
+        if (options.destinations && !options.destinations.includes(name)) return false;
+
+        return config.enabled && (
+          config.eventTypes === '*' || 
+          config.eventTypes.includes(event.eventName)
+        );
+      })
+      .map(([name, config]) => ({ name, config }));
+  }
+
+  /**
+   * Build the payload a registration receives for an event
+   * Forwarding PII policies are applied per destination before the transform
+   * @param {string} name - Destination name
+   * @param {Object} config - Destination configuration
+   * @param {Object} event - The event
+   * @returns {Promise<Object>} - The transformed payload
+   */
+  async preparePayload(name, config, event) {
+    return transformerService.safeTransform(
+      config.transform, 
+      piiPolicies.applyForwarding(event, config), 
+      `destination:${name}`
+    );
+  }
+
+  /**
+   * Send an event directly to every matching destination, once and without retries
+   * Used to test destinations; the event router delivers registrations of stored
+   * destinations through the delivery queue instead
    * @param {Object} event - The event to process
+   * @param {Object} [options] - Filtering options (see getMatchingDestinations)
    * @returns {Promise<Array>} - Results of the forwarding operations
    */
-  async processEvent(event) {
+  async processEvent(event, options = {}) {
     if (!event || !event.eventName) {
       logger.warn('Attempted to process invalid event');
       return [];
     }
 
     logger.debug(`Processing event for webhook forwarding: ${event.eventName}`);
-    const results = [];
 
-    // Find all destinations that match this event type
-    const matchingDestinations = Object.entries(this.destinations).filter(([name, config]) => {
-      return config.enabled && (
-        config.eventTypes === '*' || 
-        config.eventTypes.includes(event.eventName)
-      );
-    });
-
-    // Send to each matching destination
-    for (const [name, config] of matchingDestinations) {
-      try {
-        const result = await this._sendToDestination(name, config, event);
-        results.push(result);
-      } catch (error) {
-        logger.error(`Error forwarding event to ${name}:`, {
-          error: error.message,
-          eventId: event.id,
-          eventName: event.eventName
-        });
-        
-        results.push({
-          destination: name,
-          success: false,
-          error: error.message
-        });
-      }
-    }
-
-    return results;
+    return Promise.all(this.getMatchingDestinations(event, options).map(({ name, config }) =>
+      this.sendEvent(name, config, event)
+    ));
   }
 
   /**
-   * Send an event to a specific destination
-   * @private
+   * Transform an event for a destination and send it, catching failures
    * @param {string} name - Destination name
    * @param {Object} config - Destination configuration
    * @param {Object} event - Event to send
+   * @returns {Promise<Object>} - Result of the send operation (success is false on failure)
+   */
+  async sendEvent(name, config, event) {
+    try {
+      logger.debug(`Forwarding event ${event.eventName} to ${name}`);
+
+      const payload = await this.preparePayload(name, config, event);
+      return await this.sendPayload(name, config, payload, event);
+    } catch (error) {
+      logger.error(`Error forwarding event to ${name}:`, {
+        error: error.message,
+        eventId: event.id,
+        eventName: event.eventName
+      });
+
+      return {
+        destination: name,
+        success: false,
+        error: error.message,
+        statusCode: error.statusCode,
+        responseBody: error.responseBody,
+        payload: error.payload,
+        request: error.request,
+        latencyMs: error.latencyMs
+      };
+    }
+  }
+
+  /**
+   * Send an already transformed payload to a destination
+   * Used directly by the event router, which applies route transformations itself
+   * @param {string} name - Destination name
+   * @param {Object} config - Destination configuration (url, method, headers, secret, timeout)
+   * @param {Object} payload - The payload to send
+   * @param {Object} [event] - The source event (used for logging)
    * @returns {Promise<Object>} - Result of the send operation
    */
-  async _sendToDestination(name, config, event) {
-    logger.debug(`Forwarding event ${event.eventName} to ${name}`);
+  async sendPayload(name, config, payload, event = {}) {
+    const startedAt = Date.now();
+    
+    // Set up default headers
+    const headers = {
+      'Content-Type': 'application/json',
+      ...config.headers
+    };
+    
+    // Request details are attached to results and errors so callers can log the attempt
+    const request = {
+      url: config.url,
+      method: config.method || 'POST',
+      headers
+    };
     
     try {
-      // Transform the event according to destination requirements
-      const payload = await transformerService.safeTransform(
-        config.transform, 
-        event, 
-        `destination:${name}`
-      );
-      
-      // Set up default headers
-      const headers = {
-        'Content-Type': 'application/json',
-        ...config.headers
-      };
       
       // Add signature if secret is provided
       if (config.secret) {
@@ -208,7 +265,7 @@ class WebhookForwarder {
       
       // Send the webhook request
       const response = await fetch(config.url, {
-        method: config.method || 'POST',
+        method: request.method,
         headers,
         body,
         timeout: config.timeout || 5000
@@ -217,15 +274,20 @@ class WebhookForwarder {
       // Check response
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`HTTP error ${response.status}: ${errorText}`);
+        const httpError = new Error(`HTTP error ${response.status}: ${errorText}`);
+        httpError.statusCode = response.status;
+        httpError.responseBody = errorText;
+        throw httpError;
       }
       
       // Try to parse response as JSON, but don't fail if it's not
+      // (the body can only be read once, so read it as text first)
+      const responseText = await response.text();
       let responseData;
       try {
-        responseData = await response.json();
+        responseData = JSON.parse(responseText);
       } catch (e) {
-        responseData = await response.text();
+        responseData = responseText;
       }
       
       logger.info(`Successfully forwarded event to ${name}`);
@@ -234,9 +296,16 @@ class WebhookForwarder {
         destination: name,
         success: true,
         statusCode: response.status,
-        response: responseData
+        response: responseData,
+        payload,
+        request,
+        latencyMs: Date.now() - startedAt
       };
     } catch (error) {
+      error.request = request;
+      error.payload = payload;
+      error.latencyMs = Date.now() - startedAt;
+      
       logger.error(`Failed to forward event to ${name}:`, {
         error: error.message,
         stack: error.stack,
@@ -0,0 +1,33 @@
+-- Event Catalog Tables Template
+-- This template creates the tables of event names and property paths discovered at ingestion
+
+-- Create the tables if they don't exist
+CREATE TABLE IF NOT EXISTS catalog_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_name VARCHAR(255) NOT NULL UNIQUE,
+  event_count BIGINT NOT NULL DEFAULT 0,
+  first_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS catalog_properties (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_name VARCHAR(255) NOT NULL,
+  path VARCHAR(512) NOT NULL,
+  types JSONB NOT NULL DEFAULT '[]',
+  occurrence_count BIGINT NOT NULL DEFAULT 0,
+  sample_values JSONB NOT NULL DEFAULT '[]',
+  first_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE UNIQUE INDEX IF NOT EXISTS catalog_properties_event_name_path_idx ON catalog_properties(event_name, path);
+
+-- Add comments to the tables
+COMMENT ON TABLE catalog_events IS 'Event names observed at ingestion';
+COMMENT ON TABLE catalog_properties IS 'Property paths, types and sample values observed per event name';
@@ -18,6 +18,7 @@ CREATE TABLE IF NOT EXISTS data (
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS data_timestamp_idx ON data(timestamp);
 CREATE INDEX IF NOT EXISTS data_status_idx ON data(status);
+CREATE INDEX IF NOT EXISTS data_created_at_id_idx ON data("createdAt", id);
 CREATE INDEX IF NOT EXISTS data_jsonb_idx ON data USING GIN(data);
 CREATE INDEX IF NOT EXISTS data_metadata_idx ON data USING GIN(metadata);
 
@@ -0,0 +1,30 @@
+-- Dead Letters Table Template
+-- This template creates a table for deliveries that permanently failed after all retries
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS dead_letters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  delivery_job_id UUID NOT NULL,
+  event_id UUID NOT NULL,
+  event_name VARCHAR(255) NOT NULL,
+  route_id UUID,
+  destination_id UUID NOT NULL REFERENCES destinations(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL,
+  attempts JSONB NOT NULL DEFAULT '[]',
+  last_error TEXT,
+  failed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'dead',
+  replay_count INTEGER NOT NULL DEFAULT 0,
+  replayed_at TIMESTAMP WITH TIME ZONE,
+  replay_delivery_job_id UUID,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS dead_letters_status_idx ON dead_letters(status);
+CREATE INDEX IF NOT EXISTS dead_letters_destination_failed_at_idx ON dead_letters(destination_id, failed_at);
+CREATE INDEX IF NOT EXISTS dead_letters_event_id_idx ON dead_letters(event_id);
+
+-- Add a comment to the table
+COMMENT ON TABLE dead_letters IS 'Deliveries that exhausted their retries, kept for inspection and replay';
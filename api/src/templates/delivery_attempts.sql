@@ -0,0 +1,33 @@
+-- Delivery Attempts Table Template
+-- This template creates a log of every request sent to a destination
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS delivery_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id UUID NOT NULL,
+  event_name VARCHAR(255) NOT NULL,
+  route_id UUID,
+  destination_id UUID,
+  destination_name VARCHAR(100) NOT NULL,
+  delivery_job_id UUID,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  request_url TEXT NOT NULL,
+  request_method VARCHAR(10) NOT NULL,
+  request_headers JSONB NOT NULL DEFAULT '{}',
+  payload JSONB,
+  success BOOLEAN NOT NULL,
+  status_code INTEGER,
+  latency_ms INTEGER,
+  response_snippet TEXT,
+  error TEXT,
+  attempted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS delivery_attempts_event_id_idx ON delivery_attempts(event_id, attempted_at);
+CREATE INDEX IF NOT EXISTS delivery_attempts_destination_id_idx ON delivery_attempts(destination_id, attempted_at);
+CREATE INDEX IF NOT EXISTS delivery_attempts_attempted_at_idx ON delivery_attempts(attempted_at);
+
+-- Add a comment to the table
+COMMENT ON TABLE delivery_attempts IS 'Log of every request sent to a destination, with secrets redacted';
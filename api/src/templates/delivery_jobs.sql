@@ -0,0 +1,31 @@
+-- Delivery Jobs Table Template
+-- This template creates the durable queue of pending and completed destination deliveries
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS delivery_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id UUID NOT NULL,
+  event_name VARCHAR(255) NOT NULL,
+  route_id UUID,
+  destination_id UUID NOT NULL REFERENCES destinations(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_retries INTEGER NOT NULL DEFAULT 3,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  last_status_code INTEGER,
+  last_error TEXT,
+  history JSONB NOT NULL DEFAULT '[]',
+  completed_at TIMESTAMP WITH TIME ZONE,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS delivery_jobs_status_next_attempt_idx ON delivery_jobs(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS delivery_jobs_event_id_idx ON delivery_jobs(event_id);
+CREATE INDEX IF NOT EXISTS delivery_jobs_destination_id_idx ON delivery_jobs(destination_id);
+
+-- Add a comment to the table
+COMMENT ON TABLE delivery_jobs IS 'Durable queue of event deliveries to destinations with retry state';
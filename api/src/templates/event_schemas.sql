@@ -0,0 +1,23 @@
+-- Event Schemas Table Template
+-- This template creates the event schema registry (versioned JSON Schemas per event name)
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS event_schemas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_name VARCHAR(255) NOT NULL,
+  version INTEGER NOT NULL,
+  description TEXT,
+  schema JSONB NOT NULL,
+  mode VARCHAR(10) NOT NULL DEFAULT 'warn',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  violation_count INTEGER NOT NULL DEFAULT 0,
+  last_violation_at TIMESTAMP WITH TIME ZONE,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE UNIQUE INDEX IF NOT EXISTS event_schemas_event_name_version_idx ON event_schemas(event_name, version);
+
+-- Add a comment to the table
+COMMENT ON TABLE event_schemas IS 'Versioned JSON Schemas that event properties are validated against';
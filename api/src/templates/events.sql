@@ -7,6 +7,13 @@ CREATE TABLE IF NOT EXISTS events (
   event_name VARCHAR(100) NOT NULL,
   timestamp TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
   properties JSONB NOT NULL DEFAULT '{}',
+  call_type VARCHAR(20),
+  message_id VARCHAR(255),
+  schema_violations JSONB,
+  routing_status VARCHAR(20),
+  routing_results JSONB,
+  routed_at TIMESTAMP WITH TIME ZONE,
+  session_id UUID,
   "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
   "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
@@ -14,6 +21,10 @@ CREATE TABLE IF NOT EXISTS events (
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS events_event_name_idx ON events(event_name);
 CREATE INDEX IF NOT EXISTS events_timestamp_idx ON events(timestamp);
+CREATE INDEX IF NOT EXISTS events_timestamp_id_idx ON events(timestamp, id);
+CREATE INDEX IF NOT EXISTS events_message_id_idx ON events(message_id);
+CREATE INDEX IF NOT EXISTS events_routing_status_idx ON events(routing_status);
+CREATE INDEX IF NOT EXISTS events_session_id_idx ON events(session_id);
 
 -- Add GIN index for efficient querying of JSON properties
 CREATE INDEX IF NOT EXISTS events_properties_idx ON events USING GIN(properties);
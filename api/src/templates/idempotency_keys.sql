@@ -0,0 +1,21 @@
+-- Idempotency Keys Table Template
+-- This template creates a table for deduplicating retried ingestion requests
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  key VARCHAR(512) NOT NULL UNIQUE,
+  fingerprint VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing',
+  status_code INTEGER,
+  response_body JSONB,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_at_idx ON idempotency_keys(expires_at);
+
+-- Add a comment to the table
+COMMENT ON TABLE idempotency_keys IS 'Idempotency keys and original responses for duplicate suppression';
@@ -0,0 +1,37 @@
+-- Identities Table Template
+-- This template creates the identity graph linking anonymous IDs, user IDs, emails and Stripe customers
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS identities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cluster_id UUID NOT NULL,
+  type VARCHAR(32) NOT NULL,
+  value VARCHAR(255) NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'event',
+  first_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE UNIQUE INDEX IF NOT EXISTS identities_type_value_idx ON identities(type, value);
+CREATE INDEX IF NOT EXISTS identities_cluster_id_idx ON identities(cluster_id);
+
+-- Add constraint for valid identifier types
+DO $$
+BEGIN
+  -- Check if the constraint already exists
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'identities_type_check'
+  ) THEN
+    -- Add the constraint if it doesn't exist
+    ALTER TABLE identities
+    ADD CONSTRAINT identities_type_check
+    CHECK (type IN ('userId', 'anonymousId', 'email', 'stripeCustomerId'));
+  END IF;
+END$$;
+
+-- Add a comment to the table
+COMMENT ON TABLE identities IS 'Identifiers grouped into clusters, one cluster per resolved person';
@@ -0,0 +1,35 @@
+-- PII Policies Table Template
+-- This template creates the rules that redact or hash personal data in events
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS pii_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT,
+  scope VARCHAR(20) NOT NULL,
+  destination_ids JSONB,
+  rules JSONB NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 0,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS pii_policies_scope_priority_idx ON pii_policies(scope, priority);
+
+-- Add a constraint for valid scopes
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'pii_policies_scope_check'
+  ) THEN
+    ALTER TABLE pii_policies
+    ADD CONSTRAINT pii_policies_scope_check
+    CHECK (scope IN ('storage', 'forwarding'));
+  END IF;
+END$$;
+
+-- Add a comment to the table
+COMMENT ON TABLE pii_policies IS 'Rules that drop, mask or hash personal data before storage or forwarding';
@@ -0,0 +1,75 @@
+-- Privacy Requests Table Template
+-- This template creates the data subject request jobs and their audit trail
+
+-- Create the tables if they don't exist
+CREATE TABLE IF NOT EXISTS privacy_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  subject JSONB NOT NULL,
+  identifiers JSONB,
+  include_linked BOOLEAN NOT NULL DEFAULT TRUE,
+  erasure_mode VARCHAR(20),
+  propagate BOOLEAN NOT NULL DEFAULT FALSE,
+  destination_ids JSONB,
+  requested_by VARCHAR(255),
+  reason TEXT,
+  result JSONB,
+  bundle_path VARCHAR(255),
+  bundle_expires_at TIMESTAMP WITH TIME ZONE,
+  error TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS privacy_audit_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id UUID NOT NULL REFERENCES privacy_requests(id),
+  action VARCHAR(50) NOT NULL,
+  actor VARCHAR(255) NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS privacy_requests_status_idx ON privacy_requests(status, "createdAt");
+CREATE INDEX IF NOT EXISTS privacy_requests_bundle_expires_at_idx ON privacy_requests(bundle_expires_at);
+CREATE INDEX IF NOT EXISTS privacy_audit_logs_request_id_idx ON privacy_audit_logs(request_id, "createdAt");
+
+-- Add constraints for valid request types, statuses and erasure modes
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'privacy_requests_type_check'
+  ) THEN
+    ALTER TABLE privacy_requests
+    ADD CONSTRAINT privacy_requests_type_check
+    CHECK (type IN ('export', 'erasure'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'privacy_requests_status_check'
+  ) THEN
+    ALTER TABLE privacy_requests
+    ADD CONSTRAINT privacy_requests_status_check
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'privacy_requests_erasure_mode_check'
+  ) THEN
+    ALTER TABLE privacy_requests
+    ADD CONSTRAINT privacy_requests_erasure_mode_check
+    CHECK (erasure_mode IS NULL OR erasure_mode IN ('delete', 'anonymize'));
+  END IF;
+END$$;
+
+-- Add comments to the tables
+COMMENT ON TABLE privacy_requests IS 'Data subject export and erasure requests, processed as jobs';
+COMMENT ON TABLE privacy_audit_logs IS 'Append-only audit trail of privacy requests';
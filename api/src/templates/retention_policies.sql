@@ -0,0 +1,45 @@
+-- Retention Policies Table Template
+-- This template creates the table of per-table retention rules applied by the purge job
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS retention_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT,
+  target_table VARCHAR(50) NOT NULL,
+  pattern VARCHAR(255),
+  retention_days INTEGER NOT NULL,
+  archive BOOLEAN NOT NULL DEFAULT FALSE,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE UNIQUE INDEX IF NOT EXISTS retention_policies_name_idx ON retention_policies(name);
+CREATE INDEX IF NOT EXISTS retention_policies_target_table_idx ON retention_policies(target_table);
+
+-- Add constraints for valid tables and retention periods
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'retention_policies_target_table_check'
+  ) THEN
+    ALTER TABLE retention_policies
+    ADD CONSTRAINT retention_policies_target_table_check
+    CHECK (target_table IN ('events', 'stripe_events', 'data_entries'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'retention_policies_retention_days_check'
+  ) THEN
+    ALTER TABLE retention_policies
+    ADD CONSTRAINT retention_policies_retention_days_check
+    CHECK (retention_days > 0);
+  END IF;
+END$$;
+
+-- Add a comment to the table
+COMMENT ON TABLE retention_policies IS 'Retention rules per table and name pattern, applied by the purge job';
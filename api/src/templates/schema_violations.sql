@@ -0,0 +1,22 @@
+-- Schema Violations Table Template
+-- This template creates a log of events that failed validation against the schema registry
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS schema_violations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  schema_id UUID NOT NULL,
+  event_name VARCHAR(255) NOT NULL,
+  schema_version INTEGER NOT NULL,
+  event_id UUID,
+  action VARCHAR(10) NOT NULL,
+  errors JSONB NOT NULL DEFAULT '[]',
+  properties JSONB,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS schema_violations_event_name_created_at_idx ON schema_violations(event_name, "createdAt");
+CREATE INDEX IF NOT EXISTS schema_violations_schema_id_idx ON schema_violations(schema_id);
+
+-- Add a comment to the table
+COMMENT ON TABLE schema_violations IS 'Events that violated their registered JSON Schema';
@@ -0,0 +1,30 @@
+-- Sessions Table Template
+-- This template creates the table of sessions built from per-user inactivity timeouts
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255),
+  anonymous_id VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_event_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  duration_seconds INTEGER NOT NULL DEFAULT 0,
+  event_count INTEGER NOT NULL DEFAULT 0,
+  entry_event_id UUID,
+  entry_event_name VARCHAR(255),
+  exit_event_id UUID,
+  exit_event_name VARCHAR(255),
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS sessions_anonymous_id_idx ON sessions(anonymous_id);
+CREATE INDEX IF NOT EXISTS sessions_status_last_event_idx ON sessions(status, last_event_at);
+CREATE INDEX IF NOT EXISTS sessions_started_at_idx ON sessions(started_at);
+
+-- Add a comment to the table
+COMMENT ON TABLE sessions IS 'User sessions with entry/exit events, duration and event counts';
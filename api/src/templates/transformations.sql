@@ -9,6 +9,7 @@ CREATE TABLE IF NOT EXISTS transformations (
   type VARCHAR(50) NOT NULL,
   config JSONB NOT NULL DEFAULT '{}',
   enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  include_user_profile BOOLEAN NOT NULL DEFAULT FALSE,
   "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
   "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
@@ -0,0 +1,22 @@
+-- User Profiles Table Template
+-- This template creates the table of per-user traits and activity built at ingestion
+
+-- Create the table if it doesn't exist
+CREATE TABLE IF NOT EXISTS user_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL UNIQUE,
+  traits JSONB NOT NULL DEFAULT '{}',
+  first_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  event_count BIGINT NOT NULL DEFAULT 0,
+  last_event_name VARCHAR(255),
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS user_profiles_last_seen_idx ON user_profiles(last_seen);
+CREATE INDEX IF NOT EXISTS user_profiles_traits_idx ON user_profiles USING GIN (traits);
+
+-- Add a comment to the table
+COMMENT ON TABLE user_profiles IS 'Latest known traits and activity per user';
@@ -0,0 +1,67 @@
+/**
+ * FIFO concurrency limiter
+ * Tasks start in the order they were submitted, so a limiter with a maximum
+ * of 1 also preserves submission order
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param {number} [max=Infinity] - Maximum number of tasks running at once
+   */
+  constructor(max = Infinity) {
+    this.max = max;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Change the maximum (takes effect as running tasks finish)
+   * @param {number} max - New maximum
+   * @returns {void}
+   */
+  setMax(max) {
+    this.max = max;
+    this._next();
+  }
+
+  /**
+   * Run a task once a slot is available
+   * The slot is reserved synchronously, so call order determines start order
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - The task's result
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this._next();
+    });
+  }
+
+  /**
+   * Number of tasks running or waiting
+   * @returns {number} - Pending task count
+   */
+  get pending() {
+    return this.active + this.queue.length;
+  }
+
+  /**
+   * Start queued tasks while slots are free
+   * @private
+   */
+  _next() {
+    while (this.active < this.max && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active += 1;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active -= 1;
+          this._next();
+        });
+    }
+  }
+}
+
+module.exports = ConcurrencyLimiter;
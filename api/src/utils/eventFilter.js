@@ -0,0 +1,445 @@
+/**
+ * Compiles JSON event filters to parameterized Postgres SQL
+ *
+ * A filter is a condition or a combination of conditions:
+ *   { "and": [ ... ] }, { "or": [ ... ] }, { "not": { ... } }
+ *   { "property": "properties.plan.tier", "operator": "equals", "value": "pro" }
+ *
+ * Operators follow route property conditions (equals, contains, startsWith,
+ * endsWith, greaterThan, lessThan, in, exists) plus notEquals,
+ * greaterThanOrEqual and lessThanOrEqual. A condition on a missing property is
+ * false, as it is for routes. Values are always passed as bind parameters and
+ * property paths as text[] parameters, so no user input is spliced into SQL
+ */
+
+// Top-level event columns that can be filtered and sorted on
+const COLUMNS = {
+  id: { column: '"id"', type: 'text' },
+  eventName: { column: '"eventName"', type: 'text' },
+  callType: { column: '"callType"', type: 'text' },
+  messageId: { column: '"messageId"', type: 'text' },
+  routingStatus: { column: '"routingStatus"', type: 'text' },
+  sessionId: { column: '"sessionId"', type: 'text' },
+  timestamp: { column: '"timestamp"', type: 'date' },
+  createdAt: { column: '"createdAt"', type: 'date' }
+};
+
+const OPERATORS = [
+  'equals', 'notEquals', 'contains', 'startsWith', 'endsWith',
+  'greaterThan', 'greaterThanOrEqual', 'lessThan', 'lessThanOrEqual', 'in', 'exists'
+];
+
+const COMPARISONS = {
+  greaterThan: '>',
+  greaterThanOrEqual: '>=',
+  lessThan: '<',
+  lessThanOrEqual: '<='
+};
+
+// Bounds on the size of a filter
+const MAX_DEPTH = 10;
+const MAX_CONDITIONS = 100;
+const MAX_IN_VALUES = 1000;
+const MAX_PATH_SEGMENTS = 20;
+
+/**
+ * Collects bind parameters while a query is compiled
+ * @private
+ */
+class BindParams {
+  constructor(values = []) {
+    this.values = values;
+  }
+
+  /**
+   * Add a bind parameter
+   * @param {*} value - Parameter value
+   * @returns {string} - Its placeholder ($n)
+   */
+  add(value) {
+    this.values.push(value);
+    return `$${this.values.length}`;
+  }
+}
+
+/**
+ * Throw a filter error pointing at the offending part of the query
+ * @private
+ * @param {string} path - Location in the query (e.g. "filter.and[1].value")
+ * @param {string} message - What is wrong
+ */
+function fail(path, message) {
+  throw new Error(`${path}: ${message}`);
+}
+
+/**
+ * Resolve a property reference to the SQL it reads
+ * "properties.a.b" reads the JSONB path {a,b}; other names must be event columns
+ * @private
+ * @param {string} property - Property reference
+ * @param {BindParams} params - Bind parameters
+ * @param {string} path - Location in the query
+ * @returns {Object} - { kind: 'json', json, text } or { kind: 'column', column, type }
+ */
+function resolveProperty(property, params, path) {
+  if (typeof property !== 'string' || property.length === 0) {
+    fail(path, 'must be a non-empty string');
+  }
+
+  if (property.startsWith('properties.')) {
+    const segments = property.slice('properties.'.length).split('.');
+
+    if (segments.length > MAX_PATH_SEGMENTS || segments.some(segment => segment.length === 0)) {
+      fail(path, `"${property}" is not a valid property path`);
+    }
+
+    const jsonPath = params.add(segments);
+    return {
+      kind: 'json',
+      json: `(properties #> ${jsonPath}::text[])`,
+      text: `(properties #>> ${jsonPath}::text[])`
+    };
+  }
+
+  if (!COLUMNS[property]) {
+    fail(path, `"${property}" is not a filterable property (use properties.<path> or one of ${Object.keys(COLUMNS).join(', ')})`);
+  }
+
+  return { kind: 'column', ...COLUMNS[property] };
+}
+
+/**
+ * Convert a value compared against a date column
+ * @private
+ * @param {*} value - The value
+ * @param {string} path - Location in the query
+ * @returns {Date} - The date
+ */
+function toDate(value, path) {
+  const date = new Date(value);
+
+  if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(date.getTime())) {
+    fail(path, 'must be a valid date');
+  }
+
+  return date;
+}
+
+/**
+ * Compile a condition on a JSONB property
+ * @private
+ * @param {Object} target - Resolved property
+ * @param {string} operator - The operator
+ * @param {*} value - The value
+ * @param {BindParams} params - Bind parameters
+ * @param {string} path - Location of the value in the query
+ * @returns {string} - SQL expression
+ */
+function compileJsonCondition(target, operator, value, params, path) {
+  const { json, text } = target;
+
+  switch (operator) {
+    case 'exists':
+      return `${json} IS NOT NULL`;
+
+    case 'equals':
+      return `${json} = ${params.add(JSON.stringify(value))}::jsonb`;
+
+    case 'notEquals':
+      return `${json} <> ${params.add(JSON.stringify(value))}::jsonb`;
+
+    case 'contains':
+      // Substring of a string, or element of an array
+      return `CASE jsonb_typeof(${json})
+        WHEN 'string' THEN strpos(${text}, ${params.add(String(value))}::text) > 0
+        WHEN 'array' THEN ${json} @> jsonb_build_array(${params.add(JSON.stringify(value))}::jsonb)
+        ELSE false END`;
+
+    case 'startsWith':
+    case 'endsWith': {
+      if (typeof value !== 'string') {
+        fail(path, 'must be a string');
+      }
+      const placeholder = `${params.add(value)}::text`;
+      const fn = operator === 'startsWith' ? 'left' : 'right';
+      return `(jsonb_typeof(${json}) = 'string' AND ${fn}(${text}, char_length(${placeholder})) = ${placeholder})`;
+    }
+
+    case 'greaterThan':
+    case 'greaterThanOrEqual':
+    case 'lessThan':
+    case 'lessThanOrEqual': {
+      const comparison = COMPARISONS[operator];
+
+      if (typeof value === 'number') {
+        // The CASE keeps non-numeric values away from the cast
+        return `CASE WHEN jsonb_typeof(${json}) = 'number' THEN ${text}::numeric ${comparison} ${params.add(value)}::numeric ELSE false END`;
+      }
+
+      if (typeof value === 'string') {
+        return `(jsonb_typeof(${json}) = 'string' AND ${text} ${comparison} ${params.add(value)}::text)`;
+      }
+
+      return fail(path, 'must be a number or a string');
+    }
+
+    case 'in':
+      return `${json} = ANY(${params.add(value.map(item => JSON.stringify(item)))}::jsonb[])`;
+
+    default:
+      return fail(path, `unknown operator "${operator}"`);
+  }
+}
+
+/**
+ * Compile a condition on an event column
+ * @private
+ * @param {Object} target - Resolved property
+ * @param {string} operator - The operator
+ * @param {*} value - The value
+ * @param {BindParams} params - Bind parameters
+ * @param {string} path - Location of the value in the query
+ * @returns {string} - SQL expression
+ */
+function compileColumnCondition(target, operator, value, params, path) {
+  const { column, type } = target;
+  const cast = type === 'date' ? '::timestamptz' : '::text';
+  // Text columns include UUIDs and enums, compared by their text form
+  const lhs = type === 'date' ? column : `${column}::text`;
+  const toParam = item => (type === 'date' ? toDate(item, path).toISOString() : String(item));
+
+  switch (operator) {
+    case 'exists':
+      return `${column} IS NOT NULL`;
+
+    case 'equals':
+      return `${lhs} = ${params.add(toParam(value))}${cast}`;
+
+    case 'notEquals':
+      return `${lhs} <> ${params.add(toParam(value))}${cast}`;
+
+    case 'in':
+      return `${lhs} = ANY(${params.add(value.map(toParam))}${cast}[])`;
+
+    case 'contains':
+    case 'startsWith':
+    case 'endsWith': {
+      if (type === 'date') {
+        fail(path, `"${operator}" cannot be used on a date`);
+      }
+      const placeholder = `${params.add(String(value))}::text`;
+      if (operator === 'contains') {
+        return `strpos(${lhs}, ${placeholder}) > 0`;
+      }
+      const fn = operator === 'startsWith' ? 'left' : 'right';
+      return `${fn}(${lhs}, char_length(${placeholder})) = ${placeholder}`;
+    }
+
+    default:
+      return `${lhs} ${COMPARISONS[operator]} ${params.add(toParam(value))}${cast}`;
+  }
+}
+
+/**
+ * Compile a filter node
+ * @private
+ * @param {Object} node - Filter node
+ * @param {BindParams} params - Bind parameters
+ * @param {Object} state - { conditions } counter shared across the filter
+ * @param {string} path - Location in the query
+ * @param {number} depth - Nesting depth
+ * @returns {string} - SQL expression
+ */
+function compileNode(node, params, state, path, depth) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    fail(path, 'must be an object');
+  }
+
+  if (depth > MAX_DEPTH) {
+    fail(path, `filters can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+
+  const keys = Object.keys(node);
+
+  if (node.and !== undefined || node.or !== undefined) {
+    const combinator = node.and !== undefined ? 'and' : 'or';
+    const children = node[combinator];
+
+    if (keys.length !== 1) {
+      fail(path, `"${combinator}" cannot be combined with other keys`);
+    }
+    if (!Array.isArray(children) || children.length === 0) {
+      fail(`${path}.${combinator}`, 'must be a non-empty array');
+    }
+
+    const compiled = children.map((child, i) =>
+      compileNode(child, params, state, `${path}.${combinator}[${i}]`, depth + 1)
+    );
+    return `(${compiled.join(combinator === 'and' ? ' AND ' : ' OR ')})`;
+  }
+
+  if (node.not !== undefined) {
+    if (keys.length !== 1) {
+      fail(path, '"not" cannot be combined with other keys');
+    }
+    return `(NOT ${compileNode(node.not, params, state, `${path}.not`, depth + 1)})`;
+  }
+
+  state.conditions += 1;
+  if (state.conditions > MAX_CONDITIONS) {
+    fail(path, `filters can contain at most ${MAX_CONDITIONS} conditions`);
+  }
+
+  const unknownKeys = keys.filter(key => !['property', 'operator', 'value'].includes(key));
+  if (unknownKeys.length > 0) {
+    fail(path, `unknown key "${unknownKeys[0]}" (expected and, or, not, or property/operator/value)`);
+  }
+
+  const operator = node.operator || 'equals';
+  if (!OPERATORS.includes(operator)) {
+    fail(`${path}.operator`, `must be one of ${OPERATORS.join(', ')}`);
+  }
+
+  if (operator === 'exists') {
+    if (node.value !== undefined) {
+      fail(`${path}.value`, 'is not allowed with "exists"');
+    }
+  } else if (node.value === undefined) {
+    fail(`${path}.value`, 'is required');
+  } else if (operator === 'in') {
+    if (!Array.isArray(node.value) || node.value.length === 0 || node.value.length > MAX_IN_VALUES) {
+      fail(`${path}.value`, `must be an array of 1 to ${MAX_IN_VALUES} values`);
+    }
+  }
+
+  const target = resolveProperty(node.property, params, `${path}.property`);
+  const sql = target.kind === 'json'
+    ? compileJsonCondition(target, operator, node.value, params, `${path}.value`)
+    : compileColumnCondition(target, operator, node.value, params, `${path}.value`);
+
+  // Missing properties yield NULL; treat them as false so "not" behaves like route conditions
+  return `COALESCE(${sql}, false)`;
+}
+
+/**
+ * Compile the sort order
+ * @private
+ * @param {Array<Object>|Object|undefined} orderBy - [{ property, direction }]
+ * @param {BindParams} params - Bind parameters
+ * @returns {string} - ORDER BY expression list
+ */
+function compileOrder(orderBy, params) {
+  const entries = orderBy === undefined ? [] : (Array.isArray(orderBy) ? orderBy : [orderBy]);
+
+  if (entries.length > 5) {
+    fail('orderBy', 'can contain at most 5 entries');
+  }
+
+  const clauses = entries.map((entry, i) => {
+    const path = `orderBy[${i}]`;
+    if (!entry || typeof entry !== 'object') {
+      fail(path, 'must be an object');
+    }
+
+    const direction = (entry.direction || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(direction)) {
+      fail(`${path}.direction`, 'must be "asc" or "desc"');
+    }
+
+    const target = resolveProperty(entry.property, params, `${path}.property`);
+    const expression = target.kind === 'json' ? target.json : target.column;
+
+    return `${expression} ${direction.toUpperCase()} NULLS LAST`;
+  });
+
+  if (clauses.length === 0) {
+    clauses.push('"timestamp" DESC');
+  }
+
+  // A unique tie-breaker keeps pages stable
+  clauses.push('"id" DESC');
+
+  return clauses.join(', ');
+}
+
+/**
+ * Compile a filter on its own, for queries that combine several filters
+ * @param {Object} filter - Filter tree
+ * @param {Array} bind - Bind values of the query; the filter's parameters are appended
+ * @param {string} path - Location in the query, for error messages
+ * @returns {string} - SQL expression
+ * @throws {Error} - If the filter is invalid
+ */
+function compileFilter(filter, bind, path) {
+  return compileNode(filter, new BindParams(bind), { conditions: 0 }, path, 1);
+}
+
+/**
+ * Compile a property reference to SQL expressions, for grouping or aggregating
+ * on it in a query built on compileEventQuery()
+ * @param {string} property - "properties.<path>" or an event column
+ * @param {Array} bind - Bind values of the compiled query; the path parameter is appended
+ * @param {string} path - Location in the query, for error messages
+ * @returns {Object} - { text, numeric } where numeric is NULL for non-numeric values
+ * @throws {Error} - If the property is invalid
+ */
+function compileProperty(property, bind, path) {
+  const target = resolveProperty(property, new BindParams(bind), path);
+
+  if (target.kind === 'json') {
+    return {
+      text: target.text,
+      numeric: `CASE WHEN jsonb_typeof(${target.json}) = 'number' THEN ${target.text}::numeric END`
+    };
+  }
+
+  return {
+    text: `${target.column}::text`,
+    numeric: 'NULL::numeric'
+  };
+}
+
+/**
+ * Compile an event query
+ * @param {Object} query - Query definition
+ * @param {Object} [query.filter] - Filter tree
+ * @param {string} [query.from] - Only events at or after this time
+ * @param {string} [query.to] - Only events at or before this time
+ * @param {Array<Object>} [query.orderBy] - Sort order ([{ property, direction }], default timestamp desc)
+ * @returns {Object} - { where, orderBy, bind, whereBind } where "where" and "orderBy" are SQL using $n
+ *   placeholders; "bind" holds the values of both and "whereBind" only those of "where"
+ * @throws {Error} - If the query is invalid; the message names the offending part
+ */
+function compileEventQuery({ filter, from, to, orderBy } = {}) {
+  const params = new BindParams();
+  const conditions = [];
+
+  if (filter !== undefined && filter !== null) {
+    conditions.push(compileNode(filter, params, { conditions: 0 }, 'filter', 1));
+  }
+
+  if (from !== undefined) {
+    conditions.push(`"timestamp" >= ${params.add(toDate(from, 'from').toISOString())}::timestamptz`);
+  }
+
+  if (to !== undefined) {
+    conditions.push(`"timestamp" <= ${params.add(toDate(to, 'to').toISOString())}::timestamptz`);
+  }
+
+  // Taken before the sort order adds its property paths, for queries without ORDER BY
+  const whereBind = [...params.values];
+
+  return {
+    where: conditions.length > 0 ? conditions.join(' AND ') : 'TRUE',
+    orderBy: compileOrder(orderBy, params),
+    bind: params.values,
+    whereBind
+  };
+}
+
+module.exports = {
+  compileEventQuery,
+  compileFilter,
+  compileProperty,
+  OPERATORS
+};
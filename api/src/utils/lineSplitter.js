@@ -0,0 +1,89 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Transform stream that splits text into lines
+ * Emits { lineNumber, text } objects; lines longer than maxLineLength are
+ * emitted as { lineNumber, error } with their text discarded so a single
+ * oversized line cannot exhaust memory
+ */
+class LineSplitter extends Transform {
+  /**
+   * @param {Object} [options] - Splitter options
+   * @param {number} [options.maxLineLength=1048576] - Maximum characters per line
+   */
+  constructor(options = {}) {
+    super({ readableObjectMode: true });
+    this.maxLineLength = options.maxLineLength || 1024 * 1024;
+    this.decoder = new StringDecoder('utf8');
+    this.buffer = '';
+    this.lineNumber = 0;
+    this.discarding = false;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._consume(this.decoder.write(chunk));
+    callback();
+  }
+
+  _flush(callback) {
+    this._consume(this.decoder.end());
+
+    if (this.discarding || this.buffer.length > 0) {
+      this._emitLine(this.buffer);
+    }
+
+    callback();
+  }
+
+  /**
+   * Split decoded text into complete lines, keeping the trailing partial line
+   * @private
+   * @param {string} text - Decoded text
+   */
+  _consume(text) {
+    let start = 0;
+    let newline = text.indexOf('\n');
+
+    while (newline !== -1) {
+      this._emitLine(this.buffer + text.slice(start, newline));
+      this.buffer = '';
+      start = newline + 1;
+      newline = text.indexOf('\n', start);
+    }
+
+    if (!this.discarding) {
+      this.buffer += text.slice(start);
+
+      if (this.buffer.length > this.maxLineLength) {
+        this.discarding = true;
+        this.buffer = '';
+      }
+    }
+  }
+
+  /**
+   * Push a complete line
+   * @private
+   * @param {string} line - Line text without its newline
+   */
+  _emitLine(line) {
+    this.lineNumber += 1;
+
+    if (this.discarding || line.length > this.maxLineLength) {
+      this.discarding = false;
+      this.push({
+        lineNumber: this.lineNumber,
+        error: `Line exceeds maximum length of ${this.maxLineLength} characters`
+      });
+      return;
+    }
+
+    this.push({
+      lineNumber: this.lineNumber,
+      text: line.endsWith('\r') ? line.slice(0, -1) : line
+    });
+  }
+}
+
+module.exports = LineSplitter;
@@ -0,0 +1,170 @@
+/**
+ * Page-number and keyset (cursor) pagination for listing endpoints
+ *
+ * Page mode (?page=&limit=) is the original behaviour. Cursor mode (?cursor= or
+ * ?pagination=cursor) walks the listing by its order column and id, so each page
+ * costs the same however deep it is. ?count=false skips the total count in
+ * either mode
+ */
+const { Op } = require('sequelize');
+
+/**
+ * Encode a cursor pointing at a row
+ * @private
+ * @param {Object} row - The row
+ * @param {string} orderColumn - Column the listing is ordered by
+ * @param {string} direction - "next" (older rows) or "prev" (newer rows)
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor(row, orderColumn, direction) {
+  const value = row[orderColumn] instanceof Date ? row[orderColumn].toISOString() : row[orderColumn];
+  return Buffer.from(JSON.stringify({ v: value, id: row.id, d: direction })).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @private
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} - { value, id, direction }
+ * @throws {Error} - If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded.id !== 'string' || decoded.v === undefined ||
+      !['next', 'prev'].includes(decoded.d) || isNaN(new Date(decoded.v).getTime())) {
+    throw new Error('Invalid cursor');
+  }
+
+  return { value: new Date(decoded.v), id: decoded.id, direction: decoded.d };
+}
+
+/**
+ * Parse pagination query parameters
+ * @param {Object} query - Request query
+ * @param {Object} [options] - { defaultLimit }
+ * @returns {Object} - { mode, page, limit, offset, cursor, withCount }
+ * @throws {Error} - If the cursor is malformed
+ */
+function parsePagination(query, options = {}) {
+  const limit = parseInt(query.limit, 10) || options.defaultLimit || 20;
+  const withCount = query.count !== 'false';
+
+  if (query.cursor || query.pagination === 'cursor') {
+    return {
+      mode: 'cursor',
+      limit,
+      cursor: query.cursor ? decodeCursor(query.cursor) : null,
+      withCount
+    };
+  }
+
+  const page = parseInt(query.page, 10) || 1;
+
+  return {
+    mode: 'page',
+    page,
+    limit,
+    offset: (page - 1) * limit,
+    withCount
+  };
+}
+
+/**
+ * Build the Sequelize condition selecting rows after a cursor
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} orderColumn - Column the listing is ordered by (descending)
+ * @returns {Object} - Sequelize where clause
+ */
+function keysetWhere(cursor, orderColumn) {
+  const op = cursor.direction === 'next' ? Op.lt : Op.gt;
+
+  return {
+    [Op.or]: [
+      { [orderColumn]: { [op]: cursor.value } },
+      { [orderColumn]: cursor.value, id: { [op]: cursor.id } }
+    ]
+  };
+}
+
+/**
+ * Shape a fetched page into the response fields
+ * Rows must have been fetched with limit + 1 (to detect further pages) and, in
+ * cursor mode, in the cursor's direction
+ * @param {Array<Object>} rows - Fetched rows
+ * @param {number|null} count - Total count, or null if it was skipped
+ * @param {Object} pagination - Result of parsePagination()
+ * @param {string} orderColumn - Column the listing is ordered by
+ * @returns {Object} - Response fields (count, paging info and data)
+ */
+function buildPage(rows, count, pagination, orderColumn) {
+  const { mode, limit, cursor } = pagination;
+  const hasMore = rows.length > limit;
+  let data = rows.slice(0, limit);
+
+  if (mode === 'page') {
+    return {
+      count,
+      totalPages: count === null ? null : Math.ceil(count / limit),
+      currentPage: pagination.page,
+      hasMore,
+      data
+    };
+  }
+
+  const goingBack = cursor && cursor.direction === 'prev';
+  if (goingBack) {
+    // Fetched oldest-first; return newest-first like every other page
+    data = data.reverse();
+  }
+
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  return {
+    count,
+    limit,
+    nextCursor: last && (goingBack || hasMore) ? encodeCursor(last, orderColumn, 'next') : null,
+    prevCursor: first && (goingBack ? hasMore : Boolean(cursor)) ? encodeCursor(first, orderColumn, 'prev') : null,
+    data
+  };
+}
+
+/**
+ * Fetch one page of a Sequelize model listing ordered by a column (descending) and id
+ * @param {Object} Model - Sequelize model
+ * @param {Object} options - { where, orderColumn, pagination, ...other findAll options }
+ * @returns {Promise<Object>} - Response fields from buildPage()
+ */
+async function paginate(Model, { where = {}, orderColumn, pagination, ...findOptions }) {
+  const { mode, limit, cursor, withCount } = pagination;
+  const direction = cursor && cursor.direction === 'prev' ? 'ASC' : 'DESC';
+
+  const rowsPromise = Model.findAll({
+    ...findOptions,
+    where: mode === 'cursor' && cursor ? { [Op.and]: [where, keysetWhere(cursor, orderColumn)] } : where,
+    limit: limit + 1,
+    offset: mode === 'page' ? pagination.offset : undefined,
+    order: [[orderColumn, direction], ['id', direction]]
+  });
+
+  const [rows, count] = await Promise.all([
+    rowsPromise,
+    withCount ? Model.count({ where }) : null
+  ]);
+
+  return buildPage(rows, count, pagination, orderColumn);
+}
+
+module.exports = {
+  parsePagination,
+  keysetWhere,
+  buildPage,
+  paginate
+};
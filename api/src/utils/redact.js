@@ -0,0 +1,67 @@
+/**
+ * Helpers for redacting secrets from outgoing request details before they are stored
+ */
+
+// Header and query parameter names whose values must never be stored
+const SENSITIVE_NAME_PATTERN = /authorization|cookie|api[-_]?key|secret|token|signature|password|passwd|credential/i;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Redact sensitive header values
+ * @param {Object} headers - Header map
+ * @returns {Object} - Copy of the headers with sensitive values replaced
+ */
+function redactHeaders(headers = {}) {
+  const redacted = {};
+
+  for (const [name, value] of Object.entries(headers)) {
+    redacted[name] = SENSITIVE_NAME_PATTERN.test(name) ? REDACTED : value;
+  }
+
+  return redacted;
+}
+
+/**
+ * Redact credentials, path segments and sensitive query parameters from a URL
+ * Only the first path segment is kept: webhook URLs commonly carry their secret
+ * in the path (e.g. hooks.slack.com/services/T000/B000/<secret>)
+ * @param {string} url - The URL
+ * @returns {string} - The URL with secrets replaced
+ */
+function redactUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return url;
+  }
+
+  try {
+    const parsed = new URL(url);
+
+    if (parsed.username || parsed.password) {
+      parsed.username = REDACTED;
+      parsed.password = '';
+    }
+
+    parsed.pathname = parsed.pathname
+      .split('/')
+      .map((segment, i) => (i < 2 || !segment ? segment : REDACTED))
+      .join('/');
+
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (SENSITIVE_NAME_PATTERN.test(name)) {
+        parsed.searchParams.set(name, REDACTED);
+      }
+    }
+
+    return parsed.toString();
+  } catch (error) {
+    // Not a parseable URL - return as-is rather than losing it
+    return url;
+  }
+}
+
+module.exports = {
+  redactHeaders,
+  redactUrl,
+  REDACTED
+};
@@ -0,0 +1,304 @@
+const { mockResponse } = require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { sequelize } = require('../../src/db/connection');
+const Event = require('../../src/models/Event');
+const eventRouter = require('../../src/services/eventRouter');
+const schemaRegistry = require('../../src/services/schemaRegistry');
+const eventCatalog = require('../../src/services/eventCatalog');
+const userProfiles = require('../../src/services/userProfiles');
+const identityGraph = require('../../src/services/identityGraph');
+const sessionizer = require('../../src/services/sessionizer');
+const eventIngestion = require('../../src/services/eventIngestion');
+const idempotencyStore = require('../../src/services/idempotencyStore');
+const eventController = require('../../src/controllers/eventController');
+
+describe('EventController', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('logEvent', () => {
+    let keys;
+
+    beforeEach(() => {
+      keys = new Map();
+
+      // In-memory idempotency store
+      mock.method(idempotencyStore, 'claim', async (key) => {
+        if (keys.has(key)) {
+          return false;
+        }
+        keys.set(key, { status: 'processing' });
+        return true;
+      });
+      mock.method(idempotencyStore, 'find', async (key) => keys.get(key) || null);
+      mock.method(idempotencyStore, 'complete', async (key, fingerprint, statusCode, responseBody) => {
+        keys.set(key, { status: 'completed', statusCode, responseBody });
+      });
+      mock.method(idempotencyStore, 'release', async (key) => keys.delete(key));
+
+      mock.method(sequelize, 'transaction', async (callback) => callback({}));
+      mock.method(schemaRegistry, 'check', () => null);
+      mock.method(schemaRegistry, 'recordViolations', async () => {});
+      mock.method(eventCatalog, 'observe', () => {});
+      mock.method(userProfiles, 'recordEvents', async () => {});
+      mock.method(identityGraph, 'recordEvents', async () => {});
+      mock.method(sessionizer, 'assign', async () => {});
+      mock.method(eventRouter, 'dispatch', async () => [{ destination: 'warehouse', success: true }]);
+      mock.method(Event, 'bulkCreate', async (rows) => rows.map((row, i) => ({ id: `event-${i + 1}`, ...row })));
+    });
+
+    const request = (body = {}, headers = {}) => ({
+      body: { eventName: 'order.created', timestamp: '2024-01-01T00:00:00Z', properties: { userId: 'u1' }, ...body },
+      headers,
+      query: { includeRouting: 'true' }
+    });
+
+    it('returns 201 with the routing results for a stored event when recording its profile fails', async () => {
+      userProfiles.recordEvents.mock.mockImplementation(async () => {
+        throw new Error('profiles table locked');
+      });
+      const res = mockResponse();
+
+      await eventController.logEvent(request(), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(res.body.data.id, 'event-1');
+      assert.deepEqual(res.body.routing, [{ destination: 'warehouse', success: true }]);
+      assert.equal(sessionizer.assign.mock.callCount(), 1);
+      assert.equal(eventRouter.dispatch.mock.callCount(), 1);
+    });
+
+    it('returns 500 without routing when the event cannot be stored', async () => {
+      Event.bulkCreate.mock.mockImplementation(async () => {
+        throw new Error('insert failed');
+      });
+      const res = mockResponse();
+
+      await eventController.logEvent(request({ messageId: 'm1' }), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(keys.has('messages:m1'), false);
+      assert.equal(eventRouter.dispatch.mock.callCount(), 0);
+    });
+
+    it('stores the body messageId, never the Idempotency-Key header', async () => {
+      await eventController.logEvent(request({ messageId: 'm2' }, { 'idempotency-key': 'retry-1' }), mockResponse(), (error) => assert.fail(error));
+      await eventController.logEvent(request({}, { 'idempotency-key': 'retry-2' }), mockResponse(), (error) => assert.fail(error));
+
+      const [[first], [second]] = Event.bulkCreate.mock.calls.map(call => call.arguments[0]);
+      assert.equal(first.messageId, 'm2');
+      assert.equal(second.messageId, null);
+      assert.deepEqual([...keys.keys()], ['messages:m2']);
+    });
+
+    it('skips a messageId already ingested through another endpoint', async () => {
+      await eventIngestion.ingest([{ eventName: 'order.created', timestamp: '2024-01-01T00:00:00Z', properties: {}, messageId: 'm3' }]);
+      const res = mockResponse();
+
+      await eventController.logEvent(request({ messageId: 'm3' }), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(res.body, { success: true, duplicate: true, eventId: 'event-1' });
+      assert.equal(Event.bulkCreate.mock.callCount(), 1);
+      assert.equal(eventRouter.dispatch.mock.callCount(), 1);
+    });
+  });
+
+  describe('logEventBatch', () => {
+    const request = (events, ingestionMode = 'sync') => ({ body: { events }, headers: {}, query: {}, ingestionMode });
+
+    beforeEach(() => {
+      mock.method(eventIngestion, 'validate', async (item) => (item.eventName
+        ? []
+        : [{ message: '"eventName" is required', path: 'eventName' }]));
+    });
+
+    it('reports a result for every item in request order', async () => {
+      mock.method(eventIngestion, 'ingest', async (items) => items.map((item, i) => (item.messageId === 'seen'
+        ? { status: 'duplicate', eventId: 'event-0' }
+        : { status: 'accepted', event: { id: `event-${i + 1}`, routingStatus: 'routed' } })));
+      const res = mockResponse();
+
+      await eventController.logEventBatch(request([
+        { eventName: 'order.created' },
+        { properties: {} },
+        { eventName: 'order.paid', messageId: 'seen' }
+      ]), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(res.body, {
+        success: true,
+        acceptedCount: 1,
+        duplicateCount: 1,
+        rejectedCount: 1,
+        results: [
+          { index: 0, status: 'accepted', eventId: 'event-1', routingStatus: 'routed' },
+          { index: 1, status: 'rejected', errors: [{ message: '"eventName" is required', path: 'eventName' }] },
+          { index: 2, status: 'duplicate', eventId: 'event-0' }
+        ]
+      });
+      assert.deepEqual(eventIngestion.ingest.mock.calls[0].arguments, [
+        [{ eventName: 'order.created' }, { eventName: 'order.paid', messageId: 'seen' }],
+        { async: false }
+      ]);
+    });
+
+    it('returns 202 when ingestion is asynchronous', async () => {
+      mock.method(eventIngestion, 'ingest', async (items) => items.map(() => ({
+        status: 'accepted',
+        event: { id: 'event-1', routingStatus: 'pending' }
+      })));
+      const res = mockResponse();
+
+      await eventController.logEventBatch(request([{ eventName: 'order.created' }], 'async'), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 202);
+      assert.deepEqual(eventIngestion.ingest.mock.calls[0].arguments[1], { async: true });
+    });
+
+    it('returns 400 without ingesting when every item is invalid', async () => {
+      mock.method(eventIngestion, 'ingest', async () => []);
+      const res = mockResponse();
+
+      await eventController.logEventBatch(request([{}, {}]), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.rejectedCount, 2);
+      assert.equal(eventIngestion.ingest.mock.callCount(), 0);
+    });
+
+    it('returns 500 when the batch cannot be stored', async () => {
+      mock.method(eventIngestion, 'ingest', async () => {
+        throw new Error('insert failed');
+      });
+      const res = mockResponse();
+
+      await eventController.logEventBatch(request([{ eventName: 'order.created' }]), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 500);
+      assert.equal(res.body.error, 'insert failed');
+    });
+  });
+
+  describe('streamEvents', () => {
+    /**
+     * Build a streaming request whose body is the given bytes
+     * @param {Buffer|string} body - Request body
+     * @param {Object} headers - Request headers
+     * @returns {Readable} - Request stream
+     */
+    const request = (body, headers) => Object.assign(Readable.from([Buffer.from(body)], { objectMode: false }), {
+      headers,
+      ingestionMode: 'sync'
+    });
+
+    beforeEach(() => {
+      mock.method(eventIngestion, 'validate', async (item) => (item.eventName
+        ? []
+        : [{ message: '"eventName" is required', path: 'eventName' }]));
+      mock.method(eventIngestion, 'ingest', async (items) => items.map((item, i) => ({
+        status: 'accepted',
+        event: { id: `event-${i + 1}` }
+      })));
+    });
+
+    it('stores the valid lines of a gzip-encoded stream and reports the rest', async () => {
+      const body = zlib.gzipSync('{"eventName":"order.created"}\nnot json\n{"properties":{}}\n\n{"eventName":"order.paid"}\n');
+      const res = mockResponse();
+
+      await eventController.streamEvents(request(body, {
+        'content-type': 'application/x-ndjson',
+        'content-encoding': 'gzip'
+      }), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(res.body.linesRead, 5);
+      assert.equal(res.body.acceptedCount, 2);
+      assert.equal(res.body.rejectedCount, 2);
+      assert.deepEqual(res.body.errors.map(error => error.line), [2, 3]);
+      assert.deepEqual(eventIngestion.ingest.mock.calls[0].arguments[0].map(item => item.eventName), ['order.created', 'order.paid']);
+    });
+
+    it('rejects unsupported content types and encodings', async () => {
+      let res = mockResponse();
+      await eventController.streamEvents(request('{}', { 'content-type': 'application/json' }), res, (error) => assert.fail(error));
+      assert.equal(res.statusCode, 415);
+
+      res = mockResponse();
+      await eventController.streamEvents(request('{}', {
+        'content-type': 'application/x-ndjson',
+        'content-encoding': 'br'
+      }), res, (error) => assert.fail(error));
+      assert.equal(res.statusCode, 415);
+      assert.equal(eventIngestion.ingest.mock.callCount(), 0);
+    });
+
+    it('returns 400 for a corrupt compressed body', async () => {
+      const res = mockResponse();
+
+      await eventController.streamEvents(request('not gzip', {
+        'content-type': 'application/x-ndjson',
+        'content-encoding': 'gzip'
+      }), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Error reading event stream');
+    });
+  });
+
+  describe('getEventsByUserId', () => {
+    it('matches every identifier of the cluster, comparing emails lowercased', async () => {
+      mock.method(identityGraph, 'resolve', async () => [
+        { type: 'userId', value: 'u1' },
+        { type: 'email', value: 'alice@example.com' },
+        { type: 'stripeCustomerId', value: 'cus_1' }
+      ]);
+      const findAll = mock.method(Event, 'findAll', async () => []);
+      mock.method(Event, 'count', async () => 0);
+      const res = mockResponse();
+
+      await eventController.getEventsByUserId({
+        params: { userId: 'u1' },
+        query: {},
+        pagination: { mode: 'page', page: 1, limit: 10, offset: 0, withCount: true }
+      }, res, (error) => assert.fail(error));
+
+      const { where } = findAll.mock.calls[0].arguments[0];
+      const sql = sequelize.getQueryInterface().queryGenerator.getWhereConditions(where, 'events', Event);
+      assert.equal(sql, `(${[
+        "properties->>'userId' IN ('u1')",
+        "lower(properties->>'email') IN ('alice@example.com')",
+        "lower(properties#>>'{traits,email}') IN ('alice@example.com')",
+        "properties->>'stripeCustomerId' IN ('cus_1')"
+      ].join(' OR ')})`);
+      assert.equal(res.body.identities.length, 3);
+    });
+  });
+
+  describe('queryEvents', () => {
+    it('counts page-mode results sorted by a property with the where-clause binds only', async () => {
+      const query = mock.method(sequelize, 'query', async (sql) => (sql.startsWith('SELECT COUNT') ? [{ count: '3' }] : []));
+      const req = {
+        body: {
+          filter: { property: 'eventName', value: 'order.created' },
+          orderBy: [{ property: 'properties.total' }]
+        },
+        pagination: { mode: 'page', page: 1, limit: 10, offset: 0, withCount: true }
+      };
+      const res = mockResponse();
+
+      await eventController.queryEvents(req, res, (error) => assert.fail(error));
+
+      const [, countOptions] = query.mock.calls.find(call => call.arguments[0].startsWith('SELECT COUNT')).arguments;
+      const [rowSql, rowOptions] = query.mock.calls.find(call => !call.arguments[0].startsWith('SELECT COUNT')).arguments;
+      assert.deepEqual(countOptions.bind, ['order.created']);
+      assert.deepEqual(rowOptions.bind, ['order.created', ['total'], 11, 0]);
+      assert.match(rowSql, /LIMIT \$3 OFFSET \$4$/);
+      assert.equal(res.body.success, true);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { mockResponse } = require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const eventIngestion = require('../../src/services/eventIngestion');
+const segmentController = require('../../src/controllers/segmentController');
+
+describe('SegmentController', () => {
+  let ingested;
+
+  beforeEach(() => {
+    ingested = [];
+    mock.method(eventIngestion, 'checkBlockingSchema', async () => []);
+    mock.method(eventIngestion, 'ingest', async (events) => {
+      ingested.push(...events);
+      return events.map(event => (event.messageId === 'seen'
+        ? { status: 'duplicate', eventId: 'event-0' }
+        : { status: 'accepted', event: { id: 'event-1' } }));
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const request = (body) => ({ body, ip: '203.0.113.9', headers: {}, ingestionMode: 'sync' });
+
+  describe('track', () => {
+    it('stores the call as an event with its identity and context', async () => {
+      const res = mockResponse();
+
+      await segmentController.track(request({
+        type: 'track',
+        event: 'Order Completed',
+        userId: 42,
+        properties: { total: 10 },
+        messageId: 'm1',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        integrations: { All: true }
+      }), res, (error) => assert.fail(error));
+
+      assert.deepEqual(res.body, { success: true });
+      assert.deepEqual(ingested, [{
+        eventName: 'Order Completed',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        properties: { total: 10, userId: '42', context: { ip: '203.0.113.9' }, integrations: { All: true } },
+        messageId: 'm1',
+        callType: 'track'
+      }]);
+    });
+
+    it('corrects originalTimestamp for client clock skew', async () => {
+      const before = Date.now();
+
+      await segmentController.track(request({
+        event: 'Clicked',
+        anonymousId: 'a1',
+        originalTimestamp: '2000-01-01T10:59:50.000Z',
+        sentAt: '2000-01-01T11:00:00.000Z'
+      }), mockResponse(), (error) => assert.fail(error));
+
+      // The event happened 10s before the client sent it, measured against the server clock
+      const timestamp = Date.parse(ingested[0].timestamp);
+      assert.ok(timestamp >= before - 10000 && timestamp <= Date.now() - 10000);
+    });
+
+    it('returns 400 when the event breaks a blocking schema', async () => {
+      eventIngestion.checkBlockingSchema.mock.mockImplementation(async () => [{ message: '"total" is required', path: 'total' }]);
+      const res = mockResponse();
+
+      await segmentController.track(request({ event: 'Order Completed', userId: 'u1' }), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(ingested.length, 0);
+    });
+  });
+
+  it('maps identify, group and alias calls to named events', async () => {
+    await segmentController.identify(request({ userId: 'u1', traits: { plan: 'pro' } }), mockResponse(), assert.fail);
+    await segmentController.group(request({ userId: 'u1', groupId: 7 }), mockResponse(), assert.fail);
+    await segmentController.alias(request({ userId: 'u1', previousId: 'a1' }), mockResponse(), assert.fail);
+
+    assert.deepEqual(ingested.map(event => [event.eventName, event.properties]), [
+      ['identify', { traits: { plan: 'pro' }, userId: 'u1', context: { ip: '203.0.113.9' } }],
+      ['group', { groupId: '7', traits: {}, userId: 'u1', context: { ip: '203.0.113.9' } }],
+      ['alias', { previousId: 'a1', userId: 'u1', context: { ip: '203.0.113.9' } }]
+    ]);
+  });
+
+  describe('batch', () => {
+    it('stores valid messages with batch context and reports the rest by index', async () => {
+      const res = mockResponse();
+
+      await segmentController.batch(request({
+        context: { library: { name: 'analytics.js' } },
+        batch: [
+          { type: 'track', event: 'Viewed', userId: 'u1', context: { ip: '198.51.100.1' } },
+          { type: 'track', userId: 'u1' },
+          { type: 'unknown', userId: 'u1' },
+          { type: 'page', anonymousId: 'a1', name: 'Home', messageId: 'seen' }
+        ]
+      }), res, (error) => assert.fail(error));
+
+      assert.equal(res.body.acceptedCount, 1);
+      assert.equal(res.body.duplicateCount, 1);
+      assert.equal(res.body.rejectedCount, 2);
+      assert.deepEqual(res.body.errors.map(error => error.index), [1, 2]);
+      assert.deepEqual(ingested[0].properties.context, { library: { name: 'analytics.js' }, ip: '198.51.100.1' });
+      assert.equal(ingested[1].properties.name, 'Home');
+    });
+
+    it('returns 400 when no message is valid', async () => {
+      const res = mockResponse();
+
+      await segmentController.batch(request({ batch: [{ type: 'track' }] }), res, (error) => assert.fail(error));
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(eventIngestion.ingest.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Shared test setup
+ * Required first by every test file: keeps the logger quiet so test output
+ * is only the runner's report
+ */
+const logger = require('../src/utils/logger');
+
+logger.silent = true;
+
+/**
+ * Build a route as loaded by EventRouter.refreshRoutes
+ * @param {Object} [overrides] - Fields to override
+ * @returns {Object} - Route with an identity transformation and an enabled destination
+ */
+function buildRoute(overrides = {}) {
+  return {
+    id: 'route-1',
+    name: 'route-1',
+    enabled: true,
+    eventTypes: ['*'],
+    condition: null,
+    transformation: { id: 'transformation-1', type: 'identity', config: {} },
+    destination: { id: 'destination-1', name: 'destination-1', config: {} },
+    increment: async () => {},
+    update: async () => {},
+    ...overrides
+  };
+}
+
+/**
+ * Build an Express response that records the status and body sent
+ * @returns {Object} - Response with statusCode and body set once sent
+ */
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+}
+
+/**
+ * Get the highest $n placeholder used by compiled SQL
+ * @param {string} sql - Compiled SQL
+ * @returns {number} - Highest placeholder number (0 if there is none)
+ */
+function highestPlaceholder(sql) {
+  return Math.max(0, ...[...sql.matchAll(/\$(\d+)/g)].map(match => Number(match[1])));
+}
+
+module.exports = {
+  buildRoute,
+  mockResponse,
+  highestPlaceholder
+};
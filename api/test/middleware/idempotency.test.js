@@ -0,0 +1,41 @@
+const { mockResponse } = require('../helpers');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const idempotencyStore = require('../../src/services/idempotencyStore');
+const idempotency = require('../../src/middleware/idempotency');
+
+describe('idempotency', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keys requests by the Idempotency-Key header only', async () => {
+    const claim = mock.method(idempotencyStore, 'claim', async () => true);
+    mock.method(idempotencyStore, 'find', async () => null);
+    const next = mock.fn();
+
+    await idempotency('events')({ headers: {}, body: { messageId: 'm1' } }, mockResponse(), next);
+    await idempotency('events')({ headers: { 'idempotency-key': 'k1' }, body: { messageId: 'm1' } }, mockResponse(), next);
+
+    assert.equal(next.mock.callCount(), 2);
+    assert.deepEqual(claim.mock.calls.map(call => call.arguments[0]), ['events:k1']);
+  });
+
+  it('replays the stored response of a completed key', async () => {
+    mock.method(idempotencyStore, 'find', async () => ({
+      status: 'completed',
+      fingerprint: crypto.createHash('sha256').update('{}').digest('hex'),
+      statusCode: 201,
+      responseBody: { success: true }
+    }));
+    const res = mockResponse();
+    res.set = mock.fn();
+
+    await idempotency('events')({ headers: { 'idempotency-key': 'k2' }, body: {} }, res, assert.fail);
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body, { success: true });
+    assert.deepEqual(res.set.mock.calls[0].arguments, ['Idempotent-Replayed', 'true']);
+  });
+});
@@ -0,0 +1,19 @@
+require('../helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { piiPolicySchema } = require('../../src/middleware/piiPolicyValidation');
+
+describe('piiPolicySchema', () => {
+  const policy = (scope, path) => ({ name: 'emails', scope, rules: [{ path, action: 'mask' }] });
+
+  it('accepts "user" paths for forwarding policies', () => {
+    assert.equal(piiPolicySchema.validate(policy('forwarding', 'user.traits.email')).error, undefined);
+  });
+
+  it('rejects "user" paths for storage policies, which only see properties', () => {
+    const { error } = piiPolicySchema.validate(policy('storage', 'user.traits.email'));
+
+    assert.match(error.message, /"user" paths are only available to forwarding policies/);
+    assert.equal(piiPolicySchema.validate(policy('storage', 'properties.email')).error, undefined);
+  });
+});
@@ -0,0 +1,55 @@
+const { mockResponse } = require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const writeKeyAuth = require('../../src/middleware/writeKeyAuth');
+
+describe('writeKeyAuth', () => {
+  let previousKeys;
+
+  beforeEach(() => {
+    previousKeys = process.env.SEGMENT_WRITE_KEYS;
+    process.env.SEGMENT_WRITE_KEYS = 'key-1, key-2';
+  });
+
+  afterEach(() => {
+    if (previousKeys === undefined) {
+      delete process.env.SEGMENT_WRITE_KEYS;
+    } else {
+      process.env.SEGMENT_WRITE_KEYS = previousKeys;
+    }
+  });
+
+  const basic = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+  it('accepts the write key as the basic auth username', () => {
+    const req = { headers: { authorization: basic('key-2:') }, body: {} };
+    const next = mock.fn();
+
+    writeKeyAuth(req, mockResponse(), next);
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.writeKey, 'key-2');
+  });
+
+  it('accepts the write key as a body field', () => {
+    const req = { headers: {}, body: { writeKey: 'key-1' } };
+    const next = mock.fn();
+
+    writeKeyAuth(req, mockResponse(), next);
+
+    assert.equal(req.writeKey, 'key-1');
+    assert.equal(next.mock.callCount(), 1);
+  });
+
+  it('rejects unknown and missing write keys', () => {
+    for (const req of [{ headers: { authorization: basic('other') }, body: {} }, { headers: {}, body: {} }]) {
+      const res = mockResponse();
+      const next = mock.fn();
+
+      writeKeyAuth(req, res, next);
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(next.mock.callCount(), 0);
+    }
+  });
+});
@@ -0,0 +1,210 @@
+const { highestPlaceholder } = require('../helpers');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../../src/db/connection');
+const analytics = require('../../src/services/analytics');
+
+describe('Analytics', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('buildTimeseriesQuery', () => {
+    it('binds every value and lists the buckets covering the range', () => {
+      const query = analytics.buildTimeseriesQuery({
+        interval: 'day',
+        metric: 'sum',
+        property: 'properties.total',
+        groupBy: 'eventName',
+        groupLimit: 5,
+        filter: { property: 'properties.env', value: 'prod' },
+        from: '2024-01-01T12:00:00Z',
+        to: '2024-01-03T00:00:00Z'
+      });
+
+      assert.equal(highestPlaceholder(query.sql), query.bind.length);
+      assert.equal(query.bind[query.bind.length - 1], 5);
+      assert.deepEqual(query.buckets, ['2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z', '2024-01-03T00:00:00.000Z']);
+      assert.match(query.sql, /date_trunc\('day'/);
+      assert.doesNotMatch(query.sql, /prod/);
+    });
+
+    it('starts weekly buckets on Monday', () => {
+      const { buckets } = analytics.buildTimeseriesQuery({ interval: 'week', from: '2024-01-04T00:00:00Z', to: '2024-01-10T00:00:00Z' });
+
+      assert.deepEqual(buckets, ['2024-01-01T00:00:00.000Z', '2024-01-08T00:00:00.000Z']);
+    });
+
+    it('names the offending option of an invalid query', () => {
+      assert.throws(() => analytics.buildTimeseriesQuery({ interval: 'year' }), /^Error: interval: must be one of/);
+      assert.throws(() => analytics.buildTimeseriesQuery({ metric: 'avg' }), /^Error: property: is required for the "avg" metric/);
+      assert.throws(() => analytics.buildTimeseriesQuery({ groupLimit: 500 }), /^Error: groupLimit/);
+      assert.throws(() => analytics.buildTimeseriesQuery({ interval: 'minute', from: '2024-01-01', to: '2024-01-02' }), /more than 1000 minute buckets/);
+    });
+  });
+
+  describe('runTimeseries', () => {
+    const options = { interval: 'hour', from: '2024-01-01T00:00:00Z', to: '2024-01-01T02:00:00Z' };
+
+    it('fills empty buckets and orders groups by event count', async () => {
+      mock.method(sequelize, 'query', async () => [
+        { bucket: new Date('2024-01-01T01:00:00Z'), group_key: 'page', events: '2', is_total: 0, value: '2' },
+        { bucket: null, group_key: 'page', events: '2', is_total: 1, value: '2' },
+        { bucket: new Date('2024-01-01T00:00:00Z'), group_key: 'signup', events: '5', is_total: 0, value: '5' },
+        { bucket: null, group_key: 'signup', events: '5', is_total: 1, value: '5' }
+      ]);
+
+      const result = await analytics.runTimeseries(analytics.buildTimeseriesQuery({ ...options, groupBy: 'eventName' }));
+
+      assert.deepEqual(result.series, [
+        { group: 'signup', total: 5, values: [5, 0, 0] },
+        { group: 'page', total: 2, values: [0, 2, 0] }
+      ]);
+    });
+
+    it('returns an empty ungrouped series, using null for value metrics', async () => {
+      mock.method(sequelize, 'query', async () => []);
+
+      const result = await analytics.runTimeseries(analytics.buildTimeseriesQuery({ ...options, metric: 'max', property: 'properties.total' }));
+
+      assert.deepEqual(result.series, [{ group: null, total: null, values: [null, null, null] }]);
+    });
+  });
+
+  describe('buildFunnelQuery', () => {
+    const options = {
+      steps: [
+        { eventName: 'user.signup' },
+        { eventName: 'checkout.started', filter: { property: 'properties.cart.total', operator: 'greaterThan', value: 0 } },
+        { eventName: 'payment.succeeded' }
+      ],
+      filter: { property: 'properties.env', value: 'prod' },
+      groupBy: 'properties.plan',
+      conversionWindowSeconds: 3600,
+      from: '2024-01-01T00:00:00Z',
+      to: '2024-02-01T00:00:00Z'
+    };
+
+    it('binds every value, reusing the global filter in each step', () => {
+      const query = analytics.buildFunnelQuery(options);
+
+      assert.equal(highestPlaceholder(query.sql), query.bind.length);
+      assert.equal(query.bind.filter(value => value === JSON.stringify('prod')).length, 1);
+      assert.equal(query.sql.match(/\(properties #> \$1::text\[\]\) = \$2::jsonb/g).length, 3);
+      assert.deepEqual(query.steps, ['user.signup', 'checkout.started', 'payment.succeeded']);
+      assert.ok(query.bind.includes(3600));
+      assert.doesNotMatch(query.sql, /user\.signup|prod/);
+    });
+
+    it('takes each later step after the previous one and within the window from entry', () => {
+      const { sql } = analytics.buildFunnelQuery(options);
+
+      assert.match(sql, /\("timestamp", "id"\) > \(e\.t1, e\.id1\)/);
+      assert.match(sql, /\("timestamp", "id"\) > \(s2\.t, s2\.id\)/);
+      assert.equal(sql.match(/"timestamp" <= e\.t1 \+ \$\d+::integer \* interval '1 second'/g).length, 2);
+      assert.match(sql, /GROUPING SETS \(\(\), \(group_key\)\)/);
+    });
+
+    it('names the offending option of an invalid funnel', () => {
+      assert.throws(() => analytics.buildFunnelQuery({ steps: [{ eventName: 'a' }] }), /^Error: steps: must be an array of 2 to 10 steps/);
+      assert.throws(() => analytics.buildFunnelQuery({ steps: [{ eventName: 'a' }, {}] }), /steps\[1\]\.eventName/);
+      assert.throws(() => analytics.buildFunnelQuery({ steps: [{ eventName: 'a' }, { eventName: 'b' }], conversionWindowSeconds: 0 }), /conversionWindowSeconds/);
+      assert.throws(() => analytics.buildFunnelQuery({ ...options, from: '2024-03-01' }), /from: must not be after "to"/);
+    });
+  });
+
+  describe('runFunnel', () => {
+    it('reports overall and step-to-step conversion with the breakdown', async () => {
+      mock.method(sequelize, 'query', async () => [
+        { is_total: 1, group_key: null, step_1: '10', step_2: '5', avg_seconds_2: '30.5', median_seconds_2: 20 },
+        { is_total: 0, group_key: 'pro', step_1: '4', step_2: '0', avg_seconds_2: null, median_seconds_2: null }
+      ]);
+      const query = analytics.buildFunnelQuery({
+        steps: [{ eventName: 'user.signup' }, { eventName: 'payment.succeeded' }],
+        groupBy: 'properties.plan'
+      });
+
+      const result = await analytics.runFunnel(query);
+
+      assert.deepEqual(result.steps, [
+        { step: 1, eventName: 'user.signup', count: 10, conversionRate: 1, stepConversionRate: 1, avgSecondsFromPrevious: null, medianSecondsFromPrevious: null },
+        { step: 2, eventName: 'payment.succeeded', count: 5, conversionRate: 0.5, stepConversionRate: 0.5, avgSecondsFromPrevious: 30.5, medianSecondsFromPrevious: 20 }
+      ]);
+      assert.deepEqual(result.breakdown.map(({ group, steps }) => [group, steps[1].conversionRate]), [['pro', 0]]);
+    });
+  });
+
+  describe('buildRetentionQuery', () => {
+    it('lists every cohort in the range and binds the query values', () => {
+      const query = analytics.buildRetentionQuery({
+        startEvent: { eventName: 'user.signup' },
+        returnEvent: { eventName: 'session.started', filter: { property: 'properties.platform', value: 'web' } },
+        granularity: 'week',
+        periods: 4,
+        from: '2024-01-03T00:00:00Z',
+        to: '2024-01-20T00:00:00Z'
+      });
+
+      // Weeks start on Monday in UTC, as date_trunc does
+      assert.deepEqual(query.cohorts, ['2024-01-01', '2024-01-08', '2024-01-15']);
+      assert.equal(highestPlaceholder(query.sql), query.bind.length);
+      assert.equal(query.bind[query.bind.length - 1], 5);
+      assert.match(query.sql, /::date - c\.cohort::date\) \/ 7/);
+      assert.doesNotMatch(query.sql, /user\.signup|session\.started/);
+    });
+
+    it('counts monthly periods by calendar month', () => {
+      const { sql, cohorts } = analytics.buildRetentionQuery({
+        startEvent: { eventName: 'a' },
+        returnEvent: { eventName: 'b' },
+        granularity: 'month',
+        periods: 2,
+        from: '2024-01-31T00:00:00Z',
+        to: '2024-03-01T00:00:00Z'
+      });
+
+      assert.deepEqual(cohorts, ['2024-01-01', '2024-02-01', '2024-03-01']);
+      assert.match(sql, /EXTRACT\(YEAR FROM .*\) \* 12 \+ EXTRACT\(MONTH FROM/);
+    });
+
+    it('names the offending option of an invalid query', () => {
+      const events = { startEvent: { eventName: 'a' }, returnEvent: { eventName: 'b' } };
+
+      assert.throws(() => analytics.buildRetentionQuery({ ...events, granularity: 'hour' }), /^Error: granularity: must be one of day, week, month/);
+      assert.throws(() => analytics.buildRetentionQuery({ ...events, periods: 91 }), /periods: must be an integer from 1 to 90/);
+      assert.throws(() => analytics.buildRetentionQuery({ ...events, returnEvent: {} }), /returnEvent\.eventName/);
+      assert.throws(() => analytics.buildRetentionQuery({ ...events, granularity: 'day', from: '2020-01-01', to: '2024-01-01' }), /more than 400 day cohorts/);
+    });
+  });
+
+  describe('runRetention', () => {
+    it('fills in cohort sizes and retention, leaving periods that have not started null', async () => {
+      const from = new Date();
+      from.setUTCDate(from.getUTCDate() - 1);
+      mock.method(sequelize, 'query', async () => {
+        const cohort = query.cohorts[0];
+        return [
+          { cohort, period: null, users: '4' },
+          { cohort, period: 1, users: '1' }
+        ];
+      });
+      const query = analytics.buildRetentionQuery({
+        startEvent: { eventName: 'a' },
+        returnEvent: { eventName: 'b' },
+        granularity: 'day',
+        periods: 3,
+        from: from.toISOString(),
+        to: from.toISOString()
+      });
+
+      const result = await analytics.runRetention(query);
+
+      assert.deepEqual(result.cohorts, [{
+        cohort: query.cohorts[0],
+        users: 4,
+        retained: [1, null, null],
+        rates: [0.25, null, null]
+      }]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+require('../helpers');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const circuitBreaker = require('../../src/services/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  const destination = {
+    id: 'destination-1',
+    name: 'warehouse',
+    config: { circuitBreaker: { failureThreshold: 3, resetTimeout: 10000 } }
+  };
+
+  /**
+   * Fix the clock used by the breaker
+   * @param {number} now - Milliseconds since the epoch
+   */
+  function setNow(now) {
+    mock.method(Date, 'now', () => now);
+  }
+
+  afterEach(() => {
+    mock.restoreAll();
+    circuitBreaker.reset(destination.id);
+  });
+
+  it('applies defaults under the destination configuration', () => {
+    assert.deepEqual(circuitBreaker.getConfig({ id: 'other', config: {} }), {
+      enabled: true,
+      failureThreshold: 5,
+      resetTimeout: 30000
+    });
+    assert.equal(circuitBreaker.getConfig(destination).failureThreshold, 3);
+  });
+
+  it('stays closed until the failure threshold is reached', () => {
+    setNow(1000);
+
+    circuitBreaker.recordFailure(destination);
+    circuitBreaker.recordFailure(destination);
+    assert.equal(circuitBreaker.canRequest(destination), true);
+
+    circuitBreaker.recordFailure(destination);
+    assert.equal(circuitBreaker.getState(destination).state, 'open');
+    assert.equal(circuitBreaker.canRequest(destination), false);
+    assert.deepEqual(circuitBreaker.getRetryTime(destination), new Date(11000));
+  });
+
+  it('resets the failure count when the destination responds', () => {
+    circuitBreaker.recordFailure(destination);
+    circuitBreaker.recordFailure(destination);
+    circuitBreaker.recordSuccess(destination);
+    circuitBreaker.recordFailure(destination);
+
+    const state = circuitBreaker.getState(destination);
+    assert.equal(state.state, 'closed');
+    assert.equal(state.consecutiveFailures, 1);
+  });
+
+  it('lets one trial request through once the reset timeout has elapsed', () => {
+    setNow(1000);
+    for (let i = 0; i < 3; i++) {
+      circuitBreaker.recordFailure(destination);
+    }
+
+    mock.restoreAll();
+    setNow(11000);
+
+    assert.equal(circuitBreaker.canRequest(destination), true);
+    assert.equal(circuitBreaker.getState(destination).state, 'half-open');
+    assert.equal(circuitBreaker.canRequest(destination), false);
+    assert.deepEqual(circuitBreaker.getRetryTime(destination), new Date(12000));
+  });
+
+  it('allows another trial when the previous one was lost', () => {
+    setNow(1000);
+    for (let i = 0; i < 3; i++) {
+      circuitBreaker.recordFailure(destination);
+    }
+
+    mock.restoreAll();
+    setNow(11000);
+    circuitBreaker.canRequest(destination);
+
+    mock.restoreAll();
+    setNow(21000);
+    assert.equal(circuitBreaker.canRequest(destination), true);
+  });
+
+  it('reopens on a failed trial and closes on a successful one', () => {
+    setNow(1000);
+    for (let i = 0; i < 3; i++) {
+      circuitBreaker.recordFailure(destination);
+    }
+
+    mock.restoreAll();
+    setNow(11000);
+    circuitBreaker.canRequest(destination);
+    circuitBreaker.recordFailure(destination);
+
+    let state = circuitBreaker.getState(destination);
+    assert.equal(state.state, 'open');
+    assert.deepEqual(state.nextAttemptAt, new Date(21000));
+
+    mock.restoreAll();
+    setNow(21000);
+    circuitBreaker.canRequest(destination);
+    circuitBreaker.recordSuccess(destination);
+
+    state = circuitBreaker.getState(destination);
+    assert.equal(state.state, 'closed');
+    assert.equal(state.consecutiveFailures, 0);
+    assert.equal(state.openedAt, null);
+  });
+
+  it('never opens when disabled', () => {
+    const disabled = { ...destination, config: { circuitBreaker: { enabled: false, failureThreshold: 1 } } };
+
+    circuitBreaker.recordFailure(disabled);
+    circuitBreaker.recordFailure(disabled);
+
+    assert.equal(circuitBreaker.canRequest(disabled), true);
+    assert.equal(circuitBreaker.getState(disabled).state, 'closed');
+  });
+});
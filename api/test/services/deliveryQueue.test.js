@@ -0,0 +1,169 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../../src/db/connection');
+const DeliveryJob = require('../../src/models/DeliveryJob');
+const DeadLetter = require('../../src/models/DeadLetter');
+const Destination = require('../../src/models/Destination');
+const deliveryQueue = require('../../src/services/deliveryQueue');
+const deliveryLog = require('../../src/services/deliveryLog');
+const circuitBreaker = require('../../src/services/circuitBreaker');
+const webhookForwarder = require('../../src/services/webhookForwarder');
+
+/**
+ * Build an in-memory delivery job whose updates are applied to itself
+ * @param {Object} [overrides] - Fields to override
+ * @returns {Object} - Job
+ */
+function buildJob(overrides = {}) {
+  const job = {
+    id: 'job-1',
+    eventId: 'event-1',
+    eventName: 'order.created',
+    routeId: 'route-1',
+    destinationId: 'destination-1',
+    payload: { orderId: 1 },
+    status: 'processing',
+    attempts: 0,
+    maxRetries: 1,
+    history: [],
+    ...overrides
+  };
+  job.update = async (fields) => Object.assign(job, fields);
+  return job;
+}
+
+describe('DeliveryQueue', () => {
+  const destination = {
+    id: 'destination-1',
+    name: 'warehouse',
+    url: 'http://warehouse.test',
+    enabled: true,
+    config: {},
+    retryStrategy: { maxRetries: 1, initialDelay: 1000, backoffFactor: 3, maxDelay: 5000, retryableStatusCodes: [503] },
+    getDecryptedSecret: async () => null,
+    increment: async () => {},
+    update: async () => {}
+  };
+  let deadLetters;
+
+  beforeEach(() => {
+    deadLetters = [];
+    mock.method(deliveryLog, 'recordAttempt', async () => {});
+    mock.method(DeadLetter, 'create', async (fields) => deadLetters.push(fields));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    circuitBreaker.reset(destination.id);
+  });
+
+  it('cascades destination deletes to jobs and dead letters, as the SQL templates do', () => {
+    assert.equal(DeliveryJob.associations.destination.options.onDelete, 'CASCADE');
+    assert.equal(DeadLetter.associations.destination.options.onDelete, 'CASCADE');
+  });
+
+  describe('retry strategy', () => {
+    it('backs off exponentially up to maxDelay', () => {
+      const strategy = deliveryQueue.getRetryStrategy(destination);
+
+      assert.deepEqual([1, 2, 3].map(attempt => deliveryQueue.getRetryDelay(attempt, strategy)), [1000, 3000, 5000]);
+    });
+
+    it('retries network errors and the configured status codes only', () => {
+      const strategy = deliveryQueue.getRetryStrategy(destination);
+
+      assert.equal(deliveryQueue.isRetryable(null, strategy), true);
+      assert.equal(deliveryQueue.isRetryable(503, strategy), true);
+      assert.equal(deliveryQueue.isRetryable(500, strategy), false);
+    });
+  });
+
+  describe('processJob', () => {
+    it('reschedules a retryable failure and dead-letters it once retries run out', async () => {
+      mock.method(webhookForwarder, 'sendPayload', async () => {
+        const error = new Error('HTTP error 503: busy');
+        error.statusCode = 503;
+        throw error;
+      });
+      const job = buildJob();
+
+      const first = await deliveryQueue.processJob(job, destination);
+      assert.equal(first.deliveryStatus, 'pending');
+      assert.equal(job.attempts, 1);
+      assert.equal(deadLetters.length, 0);
+
+      job.status = 'processing';
+      const second = await deliveryQueue.processJob(job, destination);
+      assert.equal(second.deliveryStatus, 'failed');
+      assert.equal(job.history.length, 2);
+      assert.deepEqual(deadLetters.map(letter => letter.deliveryJobId), ['job-1']);
+    });
+
+    it('parks the job without using an attempt while the circuit is open', async () => {
+      mock.method(circuitBreaker, 'canRequest', () => false);
+      const send = mock.method(webhookForwarder, 'sendPayload', async () => ({ statusCode: 200 }));
+      const job = buildJob();
+
+      const result = await deliveryQueue.processJob(job, destination);
+
+      assert.equal(result.deliveryStatus, 'pending');
+      assert.equal(job.attempts, 0);
+      assert.equal(send.mock.callCount(), 0);
+    });
+  });
+
+  describe('replayDeadLetter', () => {
+    const buildDeadLetter = () => {
+      const deadLetter = {
+        id: 'dead-1',
+        eventId: 'event-1',
+        eventName: 'order.created',
+        routeId: 'route-1',
+        destinationId: destination.id,
+        payload: { orderId: 1, transformed: true },
+        status: 'dead',
+        replayCount: 0
+      };
+      deadLetter.update = async (fields) => Object.assign(deadLetter, fields);
+      return deadLetter;
+    };
+
+    it('queues the stored payload as a new job and marks the dead letter replayed', async () => {
+      mock.method(Destination, 'findByPk', async () => destination);
+      const create = mock.method(DeliveryJob, 'create', async (fields) => ({ id: 'job-2', ...fields }));
+      const deadLetter = buildDeadLetter();
+
+      const result = await deliveryQueue.replayDeadLetter(deadLetter);
+
+      const fields = create.mock.calls[0].arguments[0];
+      assert.deepEqual([fields.payload, fields.routeId, fields.status], [{ orderId: 1, transformed: true }, 'route-1', 'pending']);
+      assert.deepEqual([result.deliveryId, result.deliveryStatus], ['job-2', 'pending']);
+      assert.deepEqual([deadLetter.status, deadLetter.replayCount, deadLetter.replayDeliveryJobId], ['replayed', 1, 'job-2']);
+    });
+
+    it('refuses to replay to a disabled destination', async () => {
+      mock.method(Destination, 'findByPk', async () => ({ ...destination, enabled: false }));
+      const deadLetter = buildDeadLetter();
+
+      await assert.rejects(deliveryQueue.replayDeadLetter(deadLetter), /"warehouse" is currently disabled/);
+      assert.equal(deadLetter.status, 'dead');
+    });
+  });
+
+  describe('purgeCompletedJobs', () => {
+    it('deletes finished jobs older than the TTL in batches until a batch comes back short', async () => {
+      const batches = [1000, 1000, 3];
+      const query = mock.method(sequelize, 'query', async () => Array.from({ length: batches.shift() }, (_, i) => ({ id: i })));
+      const now = new Date('2024-03-10T00:00:00Z');
+
+      const deleted = await deliveryQueue.purgeCompletedJobs(now);
+
+      assert.equal(deleted, 2003);
+      assert.equal(query.mock.callCount(), 3);
+      const [sql, options] = query.mock.calls[0].arguments;
+      assert.match(sql, /status IN \('succeeded', 'failed'\)/);
+      assert.equal(options.replacements.cutoff.getTime(), now.getTime() - deliveryQueue.completedTtl);
+    });
+  });
+});
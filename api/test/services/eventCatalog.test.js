@@ -0,0 +1,90 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../../src/db/connection');
+const eventCatalog = require('../../src/services/eventCatalog');
+
+describe('EventCatalog', () => {
+  beforeEach(() => {
+    eventCatalog.pending = new Map();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    eventCatalog.pending = new Map();
+  });
+
+  describe('observe', () => {
+    it('records property paths, array elements and value types per event name', () => {
+      eventCatalog.observe([
+        { eventName: 'order.created', properties: { total: 10, items: [{ sku: 'a' }], coupon: null } },
+        { eventName: 'order.created', properties: { total: '10.00' } }
+      ]);
+
+      const entry = eventCatalog.pending.get('order.created');
+      assert.equal(entry.count, 2);
+      assert.deepEqual([...entry.properties.keys()], ['total', 'items', 'items[]', 'items[].sku', 'coupon']);
+      assert.deepEqual([...entry.properties.get('total').types], ['number', 'string']);
+      assert.equal(entry.properties.get('total').count, 2);
+      assert.deepEqual([...entry.properties.get('items').types], ['array']);
+      assert.deepEqual([...entry.properties.get('coupon').types], ['null']);
+    });
+
+    it('keeps a bounded number of truncated scalar samples', () => {
+      const long = 'x'.repeat(150);
+      eventCatalog.observe([1, 2, 3, 4, 5, 6].map(n => ({
+        eventName: 'page.viewed',
+        properties: { n, path: n === 1 ? long : `/p/${n}`, meta: { a: 1 } }
+      })));
+
+      const { properties } = eventCatalog.pending.get('page.viewed');
+      assert.deepEqual([...properties.get('n').samples], ['1', '2', '3', '4', '5']);
+      assert.equal(JSON.parse([...properties.get('path').samples][0]).length, 100);
+      assert.equal(properties.get('meta').samples.size, 0);
+    });
+
+    it('stops descending below the maximum depth', () => {
+      eventCatalog.observe({ eventName: 'deep', properties: { a: { b: { c: { d: { e: { f: 1 } } } } } } });
+
+      assert.deepEqual([...eventCatalog.pending.get('deep').properties.keys()], ['a', 'a.b', 'a.b.c', 'a.b.c.d', 'a.b.c.d.e']);
+    });
+  });
+
+  describe('flush', () => {
+    beforeEach(() => {
+      mock.method(sequelize, 'transaction', async (callback) => callback({}));
+    });
+
+    it('upserts each event name and property, then clears pending observations', async () => {
+      const query = mock.method(sequelize, 'query', async () => []);
+      eventCatalog.observe({ eventName: 'order.created', properties: { total: 10, currency: 'EUR' } });
+
+      await eventCatalog.flush();
+
+      assert.equal(query.mock.callCount(), 3);
+      assert.match(query.mock.calls[0].arguments[0], /INSERT INTO catalog_events/);
+      const { replacements } = query.mock.calls[2].arguments[1];
+      assert.equal(replacements.path, 'currency');
+      assert.equal(replacements.types, '["string"]');
+      assert.equal(replacements.samples, '["EUR"]');
+      assert.equal(eventCatalog.pending.size, 0);
+    });
+
+    it('drops the observations of a failed flush without throwing', async () => {
+      mock.method(sequelize, 'query', async () => {
+        throw new Error('connection refused');
+      });
+      eventCatalog.observe({ eventName: 'order.created', properties: {} });
+
+      await eventCatalog.flush();
+
+      assert.equal(eventCatalog.pending.size, 0);
+    });
+
+    it('does nothing when nothing was observed', async () => {
+      await eventCatalog.flush();
+
+      assert.equal(sequelize.transaction.mock.callCount(), 0);
+    });
+  });
+});
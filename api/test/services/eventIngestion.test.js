@@ -0,0 +1,116 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../../src/db/connection');
+const Event = require('../../src/models/Event');
+const eventIngestion = require('../../src/services/eventIngestion');
+const idempotencyStore = require('../../src/services/idempotencyStore');
+const schemaRegistry = require('../../src/services/schemaRegistry');
+
+describe('EventIngestion', () => {
+  let keys;
+  let inserted;
+
+  beforeEach(() => {
+    keys = new Map();
+    inserted = [];
+
+    // In-memory idempotency store
+    mock.method(idempotencyStore, 'claim', async (key) => {
+      if (keys.has(key)) {
+        return false;
+      }
+      keys.set(key, { status: 'processing' });
+      return true;
+    });
+    mock.method(idempotencyStore, 'find', async (key) => keys.get(key) || null);
+    mock.method(idempotencyStore, 'complete', async (key, fingerprint, statusCode, responseBody) => {
+      keys.set(key, { status: 'completed', statusCode, responseBody });
+    });
+    mock.method(idempotencyStore, 'release', async (key) => keys.delete(key));
+
+    mock.method(sequelize, 'transaction', async (callback) => callback({}));
+    mock.method(Event, 'bulkCreate', async (rows) => rows.map(row => {
+      const event = { id: `event-${inserted.length + 1}`, ...row };
+      inserted.push(event);
+      return event;
+    }));
+    mock.method(eventIngestion, '_process', async (events) => events.map(() => []));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const item = (messageId, eventName = 'order.created') => ({
+    eventName,
+    timestamp: '2024-01-01T00:00:00Z',
+    properties: {},
+    messageId
+  });
+
+  describe('ingest', () => {
+    it('skips messageIds already ingested and reports the original event', async () => {
+      await eventIngestion.ingest([item('m1')]);
+
+      const results = await eventIngestion.ingest([item('m1'), item('m2'), item(undefined)]);
+
+      assert.deepEqual(results.map(result => [result.status, result.event ? result.event.id : result.eventId]), [
+        ['duplicate', 'event-1'],
+        ['accepted', 'event-2'],
+        ['accepted', 'event-3']
+      ]);
+      assert.equal(inserted.length, 3);
+    });
+
+    it('stores a messageId repeated within one call once', async () => {
+      const results = await eventIngestion.ingest([item('m3'), item('m3')]);
+
+      assert.deepEqual(results.map(result => result.status), ['accepted', 'duplicate']);
+      assert.equal(results[1].eventId, results[0].event.id);
+      assert.equal(inserted.length, 1);
+    });
+
+    it('releases the claimed messageIds when the insert fails', async () => {
+      Event.bulkCreate.mock.mockImplementation(async () => {
+        throw new Error('insert failed');
+      });
+
+      await assert.rejects(eventIngestion.ingest([item('m4')]), /insert failed/);
+
+      assert.equal(keys.has('messages:m4'), false);
+    });
+
+    it('reports a duplicate without an event ID while the original is still being stored', async () => {
+      keys.set('messages:m5', { status: 'processing' });
+
+      const results = await eventIngestion.ingest([item('m5')]);
+
+      assert.deepEqual(results, [{ status: 'duplicate', eventId: null }]);
+      assert.equal(inserted.length, 0);
+    });
+  });
+
+  describe('validate', () => {
+    it('records the violation of a blocked event before resolving', async () => {
+      const violation = { mode: 'block', errors: [{ message: 'must have required property', path: 'properties.orderId', keyword: 'required' }] };
+      mock.method(schemaRegistry, 'check', () => violation);
+      const recorded = [];
+      mock.method(schemaRegistry, 'recordViolations', async (entries) => {
+        await new Promise(resolve => setImmediate(resolve));
+        recorded.push(...entries);
+      });
+
+      const errors = await eventIngestion.validate(item('m6'));
+
+      assert.deepEqual(errors, [{ message: 'must have required property', path: 'properties.orderId' }]);
+      assert.deepEqual(recorded, [{ violation, properties: {} }]);
+    });
+
+    it('rejects timestamps Postgres cannot store', async () => {
+      const errors = await eventIngestion.validate({ ...item('m7'), timestamp: 'yesterday' });
+
+      assert.deepEqual(errors.map(error => error.path), ['timestamp']);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../../src/db/connection');
+const eventPartitions = require('../../src/services/eventPartitions');
+
+describe('EventPartitions', () => {
+  let statements;
+  let respond;
+
+  beforeEach(() => {
+    statements = [];
+    respond = () => [];
+    mock.method(sequelize, 'transaction', async (callback) => callback({}));
+    mock.method(sequelize, 'query', async (sql, options = {}) => {
+      const statement = { sql: sql.replace(/\s+/g, ' ').trim(), bind: options.bind };
+      statements.push(statement);
+      return respond(statement);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    eventPartitions.retentionMonths = 0;
+    eventPartitions.monthsAhead = 3;
+    eventPartitions.copyBatchSize = 5000;
+  });
+
+  const partitions = names => ({ sql }) => (sql.includes('FROM pg_inherits')
+    ? names.map(name => ({ name, estimatedRows: name === 'events_default' ? -1 : 10 }))
+    : []);
+
+  describe('listPartitions', () => {
+    it('reads month bounds from partition names', async () => {
+      respond = partitions(['events_default', 'events_p202412']);
+
+      assert.deepEqual(await eventPartitions.listPartitions(), [
+        { name: 'events_default', from: null, to: null, estimatedRows: 0 },
+        { name: 'events_p202412', from: new Date('2024-12-01T00:00:00Z'), to: new Date('2025-01-01T00:00:00Z'), estimatedRows: 10 }
+      ]);
+    });
+  });
+
+  describe('ensurePartitions', () => {
+    it('creates missing months up to EVENT_PARTITIONS_AHEAD, moving their rows out of the default partition', async () => {
+      respond = partitions(['events_default', 'events_p202410']);
+      eventPartitions.monthsAhead = 2;
+
+      const created = await eventPartitions.ensurePartitions({ now: new Date('2024-10-19T00:00:00Z') });
+
+      assert.deepEqual(created, ['events_p202411', 'events_p202412']);
+      const move = statements.find(({ sql }) => sql.includes('DELETE FROM events_default'));
+      assert.deepEqual(move.bind, ['2024-11-01T00:00:00.000Z', '2024-12-01T00:00:00.000Z']);
+      assert.ok(statements.some(({ sql }) =>
+        sql === "ALTER TABLE events ATTACH PARTITION events_p202412 FOR VALUES FROM ('2024-12-01T00:00:00.000Z') TO ('2025-01-01T00:00:00.000Z')"));
+    });
+
+    it('creates the default partition first on a new table', async () => {
+      eventPartitions.monthsAhead = 0;
+
+      const created = await eventPartitions.ensurePartitions({ table: 'events_partitioned', now: new Date('2024-10-19T00:00:00Z') });
+
+      assert.deepEqual(created, ['events_default', 'events_p202410']);
+      assert.equal(statements[1].sql, 'CREATE TABLE events_default PARTITION OF events_partitioned DEFAULT');
+    });
+  });
+
+  describe('detachExpiredPartitions', () => {
+    it('detaches months that ended before the retention window and keeps the default partition', async () => {
+      respond = partitions(['events_default', 'events_p202403', 'events_p202404', 'events_p202405']);
+      eventPartitions.retentionMonths = 6;
+
+      const detached = await eventPartitions.detachExpiredPartitions(new Date('2024-10-19T00:00:00Z'));
+
+      assert.deepEqual(detached, ['events_p202403']);
+      assert.equal(statements[statements.length - 1].sql, 'ALTER TABLE events DETACH PARTITION events_p202403');
+    });
+
+    it('detaches nothing without a retention window', async () => {
+      assert.deepEqual(await eventPartitions.detachExpiredPartitions(), []);
+      assert.equal(statements.length, 0);
+    });
+  });
+
+  describe('migration', () => {
+    it('recreates plain indexes on the staging table and skips unique ones', async () => {
+      respond = ({ sql }) => (sql.includes('FROM pg_indexes')
+        ? [
+          { name: 'events_pkey', definition: 'CREATE UNIQUE INDEX events_pkey ON public.events USING btree (id)', unique: true },
+          { name: 'events_user_id', definition: "CREATE INDEX events_user_id ON public.events USING btree (((properties ->> 'userId'::text)))", unique: false }
+        ]
+        : []);
+
+      const recreated = await eventPartitions._prepareStagingTable();
+
+      assert.deepEqual(recreated, ['events_user_id']);
+      assert.match(statements[0].sql, /PRIMARY KEY \(id, "timestamp"\) \) PARTITION BY RANGE \("timestamp"\)/);
+      assert.equal(statements[2].sql,
+        "CREATE INDEX IF NOT EXISTS events_user_id_new ON public.events_partitioned USING btree (((properties ->> 'userId'::text)))");
+    });
+
+    it('copies in batches, resuming after the last event already copied', async () => {
+      eventPartitions.copyBatchSize = 2;
+      const batches = [
+        { timestamp: '2024-01-02T00:00:00Z', id: 'event-2', count: '2' },
+        { timestamp: '2024-01-03T00:00:00Z', id: 'event-3', count: '1' }
+      ];
+      respond = ({ sql }) => {
+        if (sql.startsWith('SELECT "timestamp", id FROM events_partitioned')) {
+          return [{ timestamp: '2024-01-01T00:00:00Z', id: 'event-0' }];
+        }
+        return [batches.shift()];
+      };
+
+      const copied = await eventPartitions._copyEvents();
+
+      assert.equal(copied, 3);
+      const copies = statements.filter(({ sql }) => sql.startsWith('WITH batch AS'));
+      assert.deepEqual(copies.map(({ bind }) => bind), [
+        ['2024-01-01T00:00:00Z', 'event-0', 2],
+        ['2024-01-02T00:00:00Z', 'event-2', 2]
+      ]);
+    });
+
+    it('catches up rows changed during the copy and swaps the tables under a lock', async () => {
+      respond = ({ sql }) => {
+        if (sql.includes('information_schema.columns')) {
+          return [{ name: 'id' }, { name: 'timestamp' }, { name: 'eventName' }, { name: 'updatedAt' }];
+        }
+        return sql.startsWith('INSERT INTO events_partitioned') ? [[], 4] : [];
+      };
+
+      const caughtUp = await eventPartitions._swapTables(new Date('2024-10-19T00:00:00Z'), ['events_user_id']);
+
+      assert.equal(caughtUp, 4);
+      assert.deepEqual(statements.slice(1).map(({ sql }) => sql.split(' SELECT')[0]), [
+        'LOCK TABLE events IN ACCESS EXCLUSIVE MODE',
+        'INSERT INTO events_partitioned',
+        'ALTER INDEX events_user_id RENAME TO events_user_id_unpartitioned',
+        'ALTER INDEX events_user_id_new RENAME TO events_user_id',
+        'ALTER TABLE events RENAME TO events_unpartitioned',
+        'ALTER TABLE events_partitioned RENAME TO events'
+      ]);
+      assert.match(statements[2].sql, /DO UPDATE SET "eventName" = EXCLUDED\."eventName", "updatedAt" = EXCLUDED\."updatedAt"$/);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const { buildRoute } = require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Route = require('../../src/models/Route');
+const Destination = require('../../src/models/Destination');
+const eventRouter = require('../../src/services/eventRouter');
+const webhookForwarder = require('../../src/services/webhookForwarder');
+const deliveryQueue = require('../../src/services/deliveryQueue');
+const deliveryLog = require('../../src/services/deliveryLog');
+
+describe('EventRouter', () => {
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    eventRouter.initialized = true;
+    eventRouter.destinationLimiters.clear();
+
+    mock.method(deliveryQueue, 'deliverNow', async ({ destination, payload }) => {
+      sent.push({ destination: destination.name, payload });
+      return { success: true, statusCode: 200, deliveryId: `job-${sent.length}`, deliveryStatus: 'succeeded' };
+    });
+    mock.method(webhookForwarder, 'sendPayload', async (name, config, payload) => {
+      sent.push({ destination: name, payload, direct: true });
+      return { destination: name, success: true, statusCode: 200 };
+    });
+    mock.method(Destination, 'findAll', async ({ where }) => where.id.map(id => ({ id, name: id, config: {} })));
+    mock.method(deliveryLog, 'recordAttempt', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    for (const name of Object.keys(webhookForwarder.getDestinations())) {
+      webhookForwarder.removeDestination(name);
+    }
+  });
+
+  describe('refreshRoutes', () => {
+    it('remembers every destination that owns a route, including disabled routes', async () => {
+      const route = buildRoute();
+      mock.method(Route, 'findAll', async (options) => (options.attributes
+        ? [{ destinationId: 'destination-1' }, { destinationId: 'destination-2' }]
+        : [route]));
+
+      await eventRouter.refreshRoutes();
+
+      assert.deepEqual(eventRouter.routes, [route]);
+      assert.deepEqual([...eventRouter.routedDestinationIds], ['destination-1', 'destination-2']);
+    });
+  });
+
+  describe('routeEvent', () => {
+    const proOnly = buildRoute({
+      condition: { type: 'property', property: 'properties.plan', operator: 'equals', value: 'pro' }
+    });
+
+    beforeEach(() => {
+      eventRouter.routes = [proOnly];
+      eventRouter.routedDestinationIds = new Set(['destination-1']);
+      webhookForwarder.registerDestination('destination-1', { id: 'destination-1', url: 'http://routed.test', eventTypes: '*' });
+      webhookForwarder.registerDestination('unrouted', { id: 'destination-2', url: 'http://unrouted.test', eventTypes: '*' });
+    });
+
+    it('delivers matching routes and only falls back for destinations without routes', async () => {
+      const results = await eventRouter.routeEvent({ id: 'e1', eventName: 'user.signup', properties: { plan: 'pro' } });
+
+      assert.deepEqual(results.map(result => [result.source, result.destination]), [
+        ['route', 'destination-1'],
+        ['legacy', 'unrouted']
+      ]);
+      assert.equal(sent.length, 2);
+    });
+
+    it('delivers legacy registrations of stored destinations through the delivery queue', async () => {
+      const results = await eventRouter.routeEvent({ id: 'e4', eventName: 'user.signup', properties: { plan: 'free' } });
+
+      assert.equal(results[0].deliveryId, 'job-1');
+      assert.deepEqual(sent, [{ destination: 'destination-2', payload: { id: 'e4', eventName: 'user.signup', properties: { plan: 'free' } } }]);
+    });
+
+    it('sends registrations without a stored destination directly', async () => {
+      webhookForwarder.removeDestination('unrouted');
+      webhookForwarder.registerDestination('in-memory', { url: 'http://memory.test', eventTypes: ['user.signup'] });
+
+      const results = await eventRouter.routeEvent({ id: 'e5', eventName: 'user.signup', properties: {} });
+
+      assert.deepEqual(results.map(result => [result.source, result.destination, result.success]), [['legacy', 'in-memory', true]]);
+      assert.equal(sent[0].direct, true);
+    });
+
+    it('skips registrations whose destination is no longer enabled', async () => {
+      Destination.findAll.mock.mockImplementation(async () => []);
+
+      const results = await eventRouter.routeEvent({ id: 'e6', eventName: 'user.signup', properties: { plan: 'free' } });
+
+      assert.deepEqual(results, []);
+    });
+
+    it('does not fall back for a destination whose route conditions did not match', async () => {
+      const results = await eventRouter.routeEvent({ id: 'e2', eventName: 'user.signup', properties: { plan: 'free' } });
+
+      assert.deepEqual(results.map(result => result.destination), ['unrouted']);
+      assert.deepEqual(sent.map(delivery => delivery.destination), ['destination-2']);
+    });
+
+    it('skips the legacy forwarder when includeLegacy is false', async () => {
+      const results = await eventRouter.routeEvent(
+        { id: 'e3', eventName: 'user.signup', properties: { plan: 'free' } },
+        { includeLegacy: false }
+      );
+
+      assert.deepEqual(results, []);
+    });
+  });
+
+  describe('concurrency', () => {
+    /**
+     * Replace deliveries with ones that record how many are in flight
+     * @returns {Object} - { order, maxInFlight }
+     */
+    function trackDeliveries() {
+      const stats = { order: [], maxInFlight: 0 };
+      let inFlight = 0;
+
+      deliveryQueue.deliverNow.mock.mockImplementation(async ({ destination, payload }) => {
+        inFlight += 1;
+        stats.maxInFlight = Math.max(stats.maxInFlight, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        stats.order.push(`${destination.name}:${payload.id}`);
+        inFlight -= 1;
+        return { success: true, statusCode: 200, deliveryStatus: 'succeeded' };
+      });
+
+      return stats;
+    }
+
+    it('delivers the routes of an event concurrently', async () => {
+      eventRouter.routes = [
+        buildRoute({ id: 'route-1', destination: { id: 'destination-1', name: 'destination-1', config: {} } }),
+        buildRoute({ id: 'route-2', destination: { id: 'destination-2', name: 'destination-2', config: {} } })
+      ];
+      eventRouter.routedDestinationIds = new Set(['destination-1', 'destination-2']);
+      const stats = trackDeliveries();
+
+      const results = await eventRouter.routeEvent({ id: 'e1', eventName: 'user.signup', properties: {} });
+
+      assert.equal(results.length, 2);
+      assert.equal(stats.maxInFlight, 2);
+    });
+
+    it('keeps one delivery in flight per ordered destination', async () => {
+      eventRouter.routes = [
+        buildRoute({ destination: { id: 'destination-1', name: 'destination-1', config: { orderedDelivery: true } } })
+      ];
+      eventRouter.routedDestinationIds = new Set(['destination-1']);
+      const stats = trackDeliveries();
+
+      await Promise.all(['e1', 'e2', 'e3'].map(id => eventRouter.routeEvent({ id, eventName: 'user.signup', properties: {} })));
+
+      assert.equal(stats.maxInFlight, 1);
+      assert.deepEqual(stats.order, ['destination-1:e1', 'destination-1:e2', 'destination-1:e3']);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../../src/db/connection');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const redisService = require('../../src/services/redis');
+const idempotencyStore = require('../../src/services/idempotencyStore');
+
+/**
+ * Minimal in-memory stand-in for the node-redis client
+ * @returns {Object} - Client with get/set/del and the options last passed to set
+ */
+function fakeRedis() {
+  const entries = new Map();
+  return {
+    isOpen: true,
+    entries,
+    lastSetOptions: null,
+    async get(key) {
+      return entries.has(key) ? entries.get(key) : null;
+    },
+    async set(key, value, options = {}) {
+      this.lastSetOptions = options;
+      if (options.NX && entries.has(key)) {
+        return null;
+      }
+      entries.set(key, value);
+      return 'OK';
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+    async *scanIterator({ MATCH }) {
+      const prefix = MATCH.replace(/\*$/, '');
+      yield* [...entries.keys()].filter(key => key.startsWith(prefix));
+    }
+  };
+}
+
+describe('IdempotencyStore', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('with Redis connected', () => {
+    let redis;
+    let postgres;
+
+    beforeEach(() => {
+      redis = fakeRedis();
+      mock.method(redisService, 'getRedisClient', () => redis);
+      mock.method(redisService, 'isRedisConnected', () => true);
+      postgres = mock.method(IdempotencyKey, 'findOrCreate', async () => {
+        throw new Error('Postgres should not be used');
+      });
+    });
+
+    it('claims a key once, with the lock timeout as expiry', async () => {
+      assert.equal(await idempotencyStore.claim('events:a', 'fp'), true);
+      assert.deepEqual(redis.lastSetOptions, { NX: true, PX: idempotencyStore.lockTimeout });
+      assert.equal(await idempotencyStore.claim('events:a', 'fp'), false);
+      assert.equal(postgres.mock.callCount(), 0);
+    });
+
+    it('stores the response for the deduplication window and finds it', async () => {
+      await idempotencyStore.claim('events:b', 'fp');
+      await idempotencyStore.complete('events:b', 'fp', 201, { eventId: 'e1' });
+
+      assert.deepEqual(redis.lastSetOptions, { EX: idempotencyStore.windowSeconds });
+      assert.deepEqual(await idempotencyStore.find('events:b'), {
+        status: 'completed',
+        fingerprint: 'fp',
+        statusCode: 201,
+        responseBody: { eventId: 'e1' }
+      });
+    });
+
+    it('forgets the stored responses of erased events in Redis and Postgres', async () => {
+      await idempotencyStore.complete('messages:m1', 'fp', 201, { eventId: 'e1' });
+      await idempotencyStore.complete('events:f', 'fp', 201, { success: true, data: { id: 'e1', properties: { email: 'jane@example.com' } } });
+      await idempotencyStore.complete('messages:m2', 'fp', 201, { eventId: 'e2' });
+      const query = mock.method(sequelize, 'query', async () => [{ id: 'row-1' }]);
+
+      const removed = await idempotencyStore.forgetEvents(['e1']);
+
+      assert.equal(removed, 3);
+      assert.deepEqual([...redis.entries.keys()], ['idempotency:messages:m2']);
+      assert.deepEqual(query.mock.calls[0].arguments[1].bind, [['e1']]);
+    });
+
+    it('frees a released key for the next request', async () => {
+      mock.method(IdempotencyKey, 'destroy', async () => 0);
+      await idempotencyStore.claim('events:c', 'fp');
+
+      await idempotencyStore.release('events:c');
+
+      assert.equal(await idempotencyStore.claim('events:c', 'fp'), true);
+    });
+  });
+
+  describe('with Redis unavailable', () => {
+    beforeEach(() => {
+      mock.method(redisService, 'getRedisClient', () => null);
+    });
+
+    it('falls back to the idempotency_keys table', async () => {
+      const findOrCreate = mock.method(IdempotencyKey, 'findOrCreate', async () => [{ id: 'row-1' }, true]);
+      const upsert = mock.method(IdempotencyKey, 'upsert', async () => {});
+
+      assert.equal(await idempotencyStore.claim('events:d', 'fp'), true);
+      await idempotencyStore.complete('events:d', 'fp', 201, { eventId: 'e2' });
+
+      assert.equal(findOrCreate.mock.calls[0].arguments[0].where.key, 'events:d');
+      assert.deepEqual(
+        { ...upsert.mock.calls[0].arguments[0], expiresAt: undefined },
+        { key: 'events:d', fingerprint: 'fp', status: 'completed', statusCode: 201, responseBody: { eventId: 'e2' }, expiresAt: undefined }
+      );
+    });
+
+    it('does not reclaim a key whose window is still open', async () => {
+      mock.method(IdempotencyKey, 'findOrCreate', async () => [{ id: 'row-1' }, false]);
+      mock.method(IdempotencyKey, 'update', async () => [0]);
+
+      assert.equal(await idempotencyStore.claim('events:e', 'fp'), false);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { sequelize } = require('../../src/db/connection');
+const Identity = require('../../src/models/Identity');
+const identityGraph = require('../../src/services/identityGraph');
+
+describe('IdentityGraph', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('extractFromEvent', () => {
+    it('normalizes identifiers and drops unusable ones', () => {
+      const { identifiers, previousId } = identityGraph.extractFromEvent({
+        eventName: 'identify',
+        properties: { userId: 42, anonymousId: { id: 1 }, traits: { email: ' Ada@Example.COM ' } }
+      });
+
+      assert.deepEqual(identifiers, [
+        { type: 'userId', value: '42' },
+        { type: 'email', value: 'ada@example.com' }
+      ]);
+      assert.equal(previousId, null);
+    });
+
+    it('reads previousId from alias calls only', () => {
+      assert.equal(identityGraph.extractFromEvent({ callType: 'alias', properties: { userId: 'u1', previousId: 'a1' } }).previousId, 'a1');
+      assert.equal(identityGraph.extractFromEvent({ eventName: 'signup', properties: { previousId: 'a1' } }).previousId, null);
+    });
+  });
+
+  it('extracts the customer, user ID and email of Stripe events', () => {
+    const identifiers = identityGraph.extractFromStripeEvent({
+      data: { object: { object: 'charge', customer: { id: 'cus_1' }, metadata: { userId: 'u1' }, receipt_email: 'A@b.co' } }
+    });
+
+    assert.deepEqual(identifiers, [
+      { type: 'stripeCustomerId', value: 'cus_1' },
+      { type: 'userId', value: 'u1' },
+      { type: 'email', value: 'a@b.co' }
+    ]);
+  });
+
+  describe('recordEvents', () => {
+    let identities;
+
+    /**
+     * Get the cluster of an identifier in the fake identities table
+     * @param {string} type - Identifier type
+     * @param {string} value - Identifier value
+     * @returns {string|undefined} - Cluster ID
+     */
+    const clusterOf = (type, value) => identities.find(i => i.type === type && i.value === value)?.clusterId;
+
+    beforeEach(() => {
+      identities = [];
+
+      mock.method(sequelize, 'transaction', async (callback) => callback({}));
+      mock.method(sequelize, 'query', async (sql, { replacements }) => {
+        if (replacements && !clusterOf(replacements.type, replacements.value)) {
+          identities.push({ ...replacements });
+        }
+        return [];
+      });
+      mock.method(Identity, 'findOne', async ({ where }) => identities.find(i => i.type === where.type && i.value === where.value) || null);
+      mock.method(Identity, 'findAll', async ({ where }) => (where[Op.or]
+        ? identities.filter(i => where[Op.or].some(({ type, value }) => i.type === type && i.value === value))
+        : identities.filter(i => where.clusterId.includes(i.clusterId) && i.type === where.type)));
+      mock.method(Identity, 'update', async ({ clusterId }, { where }) => {
+        identities.filter(i => where.clusterId.includes(i.clusterId)).forEach(i => {
+          i.clusterId = clusterId;
+        });
+      });
+    });
+
+    const event = (properties, extra = {}) => ({ eventName: 'page', timestamp: '2024-01-01T00:00:00Z', properties, ...extra });
+
+    it('links identifiers seen on the same event, joining existing clusters', async () => {
+      await identityGraph.recordEvents([event({ anonymousId: 'a1' }), event({ userId: 'u1', email: 'u1@example.com' })]);
+      await identityGraph.recordEvents(event({ userId: 'u1', anonymousId: 'a1' }));
+
+      const cluster = clusterOf('userId', 'u1');
+      assert.equal(clusterOf('anonymousId', 'a1'), cluster);
+      assert.equal(clusterOf('email', 'u1@example.com'), cluster);
+    });
+
+    it('does not merge clusters that belong to different users', async () => {
+      await identityGraph.recordEvents([event({ userId: 'u1', anonymousId: 'shared-device' }), event({ userId: 'u2' })]);
+      await identityGraph.recordEvents(event({ userId: 'u2', anonymousId: 'shared-device' }));
+
+      assert.notEqual(clusterOf('userId', 'u1'), clusterOf('userId', 'u2'));
+      assert.equal(clusterOf('anonymousId', 'shared-device'), clusterOf('userId', 'u1'));
+    });
+
+    it('merges known users on alias calls', async () => {
+      await identityGraph.recordEvents([event({ userId: 'u1' }), event({ userId: 'u2' })]);
+      await identityGraph.recordEvents(event({ userId: 'u2', previousId: 'u1' }, { callType: 'alias' }));
+
+      assert.equal(clusterOf('userId', 'u1'), clusterOf('userId', 'u2'));
+      assert.equal(identities.length, 2);
+    });
+
+    it('treats an unknown alias previousId as an anonymous ID', async () => {
+      await identityGraph.recordEvents(event({ userId: 'u1', previousId: 'a9' }, { callType: 'alias' }));
+
+      assert.equal(clusterOf('anonymousId', 'a9'), clusterOf('userId', 'u1'));
+    });
+
+    it('never throws when the graph cannot be updated', async () => {
+      sequelize.transaction.mock.mockImplementation(async () => {
+        throw new Error('deadlock detected');
+      });
+
+      await identityGraph.recordEvents(event({ userId: 'u1' }));
+    });
+  });
+});
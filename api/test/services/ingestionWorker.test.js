@@ -0,0 +1,54 @@
+require('../helpers');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { sequelize } = require('../../src/db/connection');
+const Event = require('../../src/models/Event');
+const eventRouter = require('../../src/services/eventRouter');
+const ingestionWorker = require('../../src/services/ingestionWorker');
+
+describe('IngestionWorker', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('claims queued events with their own "claimed" status', async () => {
+    const query = mock.method(sequelize, 'query', async () => [{ id: 'e1' }]);
+
+    const ids = await ingestionWorker._claimQueuedEvents();
+
+    assert.deepEqual(ids, ['e1']);
+    assert.match(query.mock.calls[0].arguments[0], /SET "routingStatus" = 'claimed'/);
+    assert.match(query.mock.calls[0].arguments[0], /WHERE "routingStatus" = 'queued'/);
+  });
+
+  it('only releases stale claims of the worker, never events routed by a request', async () => {
+    const update = mock.method(Event, 'update', async () => [0]);
+
+    await ingestionWorker._releaseStaleClaims();
+
+    const [fields, { where }] = update.mock.calls[0].arguments;
+    assert.deepEqual(fields, { routingStatus: 'queued' });
+    assert.equal(where.routingStatus, 'claimed');
+    assert.ok(where.updatedAt[Op.lt] <= new Date(Date.now() - ingestionWorker.staleLockTimeout));
+  });
+
+  it('routes claimed events and marks those whose dispatch throws as failed', async () => {
+    mock.method(Event, 'update', async () => [0]);
+    mock.method(sequelize, 'query', async () => [{ id: 'e1' }, { id: 'e2' }]);
+    const updates = [];
+    const events = ['e1', 'e2'].map(id => ({ id, eventName: 'order.created', update: async (fields) => updates.push([id, fields.routingStatus]) }));
+    mock.method(Event, 'findAll', async () => events);
+    mock.method(eventRouter, 'dispatch', async (event) => {
+      if (event.id === 'e2') {
+        throw new Error('router down');
+      }
+      return [];
+    });
+
+    const count = await ingestionWorker._poll();
+
+    assert.equal(count, 2);
+    assert.deepEqual(updates, [['e2', 'failed']]);
+  });
+});
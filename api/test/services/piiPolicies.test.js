@@ -0,0 +1,110 @@
+require('../helpers');
+const crypto = require('crypto');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const piiPolicies = require('../../src/services/piiPolicies');
+
+/**
+ * Compile a policy with the given scope and rules
+ * @param {string} scope - "storage" or "forwarding"
+ * @param {Array<Object>} rules - Policy rules
+ * @param {Array<string>} [destinationIds] - Destinations of a forwarding policy
+ * @returns {Object} - Compiled policy
+ */
+function policy(scope, rules, destinationIds = null) {
+  return piiPolicies.compile({ id: `${scope}-policy`, name: `${scope}-policy`, scope, destinationIds, rules });
+}
+
+describe('PiiPolicies', () => {
+  afterEach(() => {
+    piiPolicies.storagePolicies = [];
+    piiPolicies.forwardingPolicies = [];
+  });
+
+  describe('detectors', () => {
+    it('masks card numbers that pass the Luhn check and leaves other digit runs alone', () => {
+      piiPolicies.storagePolicies = [policy('storage', [{ detector: 'card', action: 'mask' }])];
+
+      const stored = piiPolicies.applyStorage({
+        note: 'paid with 4111 1111 1111 1111',
+        reference: '4111 1111 1111 1112'
+      });
+
+      assert.deepEqual(stored, { note: 'paid with **** **** **** 1111', reference: '4111 1111 1111 1112' });
+    });
+
+    it('drops every string containing an email, wherever it is nested', () => {
+      piiPolicies.storagePolicies = [policy('storage', [{ detector: 'email', action: 'drop' }])];
+
+      const stored = piiPolicies.applyStorage({ contact: { primary: 'Reach me at jane@example.com' }, tags: ['vip', 'jane@example.com'] });
+
+      assert.deepEqual(stored, { contact: {}, tags: ['vip', null] });
+    });
+
+    it('masks phone numbers, IP addresses and SSNs in place', () => {
+      piiPolicies.storagePolicies = [policy('storage', [
+        { detector: 'phone', action: 'mask' },
+        { detector: 'ipAddress', action: 'mask' },
+        { detector: 'ssn', action: 'mask' }
+      ])];
+
+      const stored = piiPolicies.applyStorage({ text: 'call 555-123-4567 from 10.0.0.1, ssn 123-45-6789' });
+
+      assert.equal(stored.text, 'call ***-***-4567 from **.*.*.*, ssn ***-**-6789');
+    });
+  });
+
+  describe('actions', () => {
+    it('masks short values entirely and keeps the last 4 characters of longer ones', () => {
+      piiPolicies.storagePolicies = [policy('storage', [
+        { path: 'properties.pin', action: 'mask' },
+        { path: 'properties.iban', action: 'mask' },
+        { path: 'properties.address', action: 'mask' }
+      ])];
+
+      const stored = piiPolicies.applyStorage({ pin: '1234', iban: 'DE89 3704 0044', address: { city: 'Berlin' } });
+
+      assert.deepEqual(stored, { pin: '****', iban: '**** **** 0044', address: '[REDACTED]' });
+    });
+
+    it('hashes with HMAC-SHA256 after trimming and lowercasing emails', () => {
+      const expected = crypto.createHmac('sha256', piiPolicies.hashKey).update('jane@example.com').digest('hex');
+
+      assert.equal(piiPolicies.hash(' Jane@Example.com '), expected);
+      assert.notEqual(piiPolicies.hash('User-1'), piiPolicies.hash('user-1'));
+    });
+
+    it('applies path rules to every element matched by a wildcard', () => {
+      piiPolicies.storagePolicies = [policy('storage', [{ path: 'properties.items.*.email', action: 'drop' }])];
+
+      const stored = piiPolicies.applyStorage({ items: [{ sku: 'a', email: 'x@y.io' }, { sku: 'b' }] });
+
+      assert.deepEqual(stored, { items: [{ sku: 'a' }, { sku: 'b' }] });
+    });
+  });
+
+  describe('scopes', () => {
+    it('returns the same properties when no storage policy is enabled', () => {
+      const properties = { email: 'jane@example.com' };
+
+      assert.equal(piiPolicies.applyStorage(properties), properties);
+    });
+
+    it('applies forwarding policies to their destinations only, on top of the stored values', () => {
+      piiPolicies.storagePolicies = [policy('storage', [{ path: 'properties.email', action: 'mask' }])];
+      piiPolicies.forwardingPolicies = [policy('forwarding', [
+        { path: 'properties.email', action: 'hash' },
+        { path: 'user.traits', action: 'drop' }
+      ], ['destination-1'])];
+
+      const stored = piiPolicies.applyStorage({ email: 'jane@example.com', plan: 'pro' });
+      const event = { properties: stored, user: { traits: { name: 'Jane' } } };
+
+      const forwarded = piiPolicies.applyForwarding(event, { id: 'destination-1' });
+
+      assert.equal(stored.email, '****@*******.com');
+      assert.deepEqual(forwarded, { properties: { email: piiPolicies.hash('****@*******.com'), plan: 'pro' }, user: {} });
+      assert.equal(piiPolicies.applyForwarding(event, { id: 'destination-2' }), event);
+    });
+  });
+});
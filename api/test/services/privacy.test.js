@@ -0,0 +1,129 @@
+require('../helpers');
+const crypto = require('crypto');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../../src/db/connection');
+const PrivacyRequest = require('../../src/models/PrivacyRequest');
+const PrivacyAuditLog = require('../../src/models/PrivacyAuditLog');
+const Destination = require('../../src/models/Destination');
+const identityGraph = require('../../src/services/identityGraph');
+const deliveryQueue = require('../../src/services/deliveryQueue');
+const eventCatalog = require('../../src/services/eventCatalog');
+const idempotencyStore = require('../../src/services/idempotencyStore');
+const redisOps = require('../../src/services/redis-failsafe-ops');
+const privacy = require('../../src/services/privacy');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Build a privacy request whose updates are applied to itself
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Request
+ */
+function buildRequest(overrides) {
+  const request = {
+    id: 'request-1',
+    type: 'erasure',
+    subject: { userId: 'user-1', email: ' Jane@Example.com ' },
+    includeLinked: true,
+    erasureMode: 'delete',
+    propagate: false,
+    destinationIds: null,
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+    result: null,
+    ...overrides
+  };
+  request.update = async (fields) => Object.assign(request, fields);
+  return request;
+}
+
+describe('Privacy', () => {
+  let statements;
+  let audits;
+
+  beforeEach(() => {
+    statements = [];
+    audits = [];
+
+    const event = {
+      id: 'event-1',
+      properties: { userId: 'user-1', email: 'jane@example.com', plan: 'pro', context: { ip: '10.0.0.1', page: '/' } }
+    };
+    mock.method(sequelize, 'transaction', async (callback) => callback({}));
+    mock.method(sequelize, 'query', async (sql, options = {}) => {
+      statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), bind: options.bind });
+      if (/^\s*SELECT \* FROM events WHERE/.test(sql)) {
+        return /id > \$/.test(sql) ? [] : [event];
+      }
+      if (/RETURNING id/.test(sql)) {
+        return [];
+      }
+      return [[], 0];
+    });
+    mock.method(PrivacyRequest, 'update', async () => [1]);
+    mock.method(PrivacyAuditLog, 'create', async (entry) => audits.push(entry));
+    mock.method(identityGraph, 'resolve', async (type) => (type === 'userId' ? [{ type: 'anonymousId', value: 'anon-1' }] : []));
+    mock.method(redisOps, 'invalidatePatterns', async () => 0);
+    mock.method(eventCatalog, 'flush', async () => {});
+    mock.method(idempotencyStore, 'forgetEvents', async (eventIds) => eventIds.length);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('erasure', () => {
+    it('anonymizes events by replacing identifiers with a token and removing emails and IPs', async () => {
+      const request = buildRequest({ erasureMode: 'anonymize' });
+
+      await privacy.process(request);
+
+      assert.equal(request.status, 'completed');
+      const update = statements.find(({ sql }) => sql.startsWith('UPDATE events SET'));
+      const properties = JSON.parse(update.bind[0]);
+      assert.match(properties.userId, /^anonymized-[0-9a-f]{24}$/);
+      assert.deepEqual({ ...properties, userId: undefined }, { userId: undefined, plan: 'pro', context: { page: '/' } });
+      assert.ok(statements.some(({ sql, bind }) => sql.startsWith('DELETE FROM delivery_jobs') && bind[0][0] === 'event-1'));
+    });
+
+    it('scrubs catalog sample values and the stored responses of the erased events', async () => {
+      const request = buildRequest();
+
+      await privacy.process(request);
+
+      const scrub = statements.find(({ sql }) => sql.startsWith('UPDATE catalog_properties'));
+      assert.deepEqual(scrub.bind, [['user-1', 'anon-1', 'jane@example.com']]);
+      assert.equal(eventCatalog.flush.mock.callCount(), 1);
+      assert.deepEqual(idempotencyStore.forgetEvents.mock.calls[0].arguments, [['event-1']]);
+      assert.equal(request.result.tables.idempotency_keys, 1);
+      assert.ok(audits.some(({ action, details }) => action === 'scrubbed' && details.table === 'catalog_properties'));
+    });
+  });
+
+  describe('propagation', () => {
+    it('notifies only enabled destinations that opted in, with hashed identifiers', async () => {
+      const destinations = [
+        { id: 'destination-1', name: 'warehouse', config: { privacyWebhooks: true } },
+        { id: 'destination-2', name: 'analytics', config: {} }
+      ];
+      const findAll = mock.method(Destination, 'findAll', async () => destinations);
+      const enqueue = mock.method(deliveryQueue, 'enqueue', async () => ({ id: 'job-1' }));
+      const request = buildRequest({ propagate: true });
+
+      await privacy.process(request);
+
+      assert.deepEqual(findAll.mock.calls[0].arguments[0].where, { enabled: true });
+      assert.equal(enqueue.mock.callCount(), 1);
+      const { destination, payload } = enqueue.mock.calls[0].arguments[0];
+      assert.equal(destination.name, 'warehouse');
+      assert.equal(payload.identifierHash, 'sha256');
+      assert.deepEqual(payload.identifiers, {
+        userIds: [sha256('user-1')],
+        anonymousIds: [sha256('anon-1')],
+        emails: [sha256('jane@example.com')]
+      });
+      assert.doesNotMatch(JSON.stringify(payload), /jane@example\.com|user-1/);
+      assert.deepEqual(request.result.propagated.map(job => job.destinationId), ['destination-1']);
+    });
+  });
+});
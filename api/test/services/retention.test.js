@@ -0,0 +1,115 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { sequelize } = require('../../src/db/connection');
+const RetentionPolicy = require('../../src/models/RetentionPolicy');
+const retention = require('../../src/services/retention');
+
+describe('Retention', () => {
+  const now = new Date('2024-03-01T00:00:00Z');
+  const policy = (fields) => ({ enabled: true, targetTable: 'events', pattern: null, archive: false, ...fields });
+
+  beforeEach(() => {
+    mock.method(sequelize, 'transaction', async (callback) => callback({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('leaves rows matched by more specific policies to those policies', async () => {
+    mock.method(RetentionPolicy, 'findAll', async () => [
+      policy({ id: 'p1', name: 'default', retentionDays: 90 }),
+      policy({ id: 'p2', name: 'debug', pattern: 'debug.*', retentionDays: 7 }),
+      policy({ id: 'p3', name: 'debug-ui', pattern: 'debug.ui_*', retentionDays: 1 })
+    ]);
+
+    const [specific, general, catchAll] = await retention._loadPolicies();
+    const conditions = [specific, general, catchAll].map(({ policy: p, preceding }) => retention._buildCondition(p, preceding, now));
+
+    assert.deepEqual([specific, general, catchAll].map(({ policy: p }) => p.name), ['debug-ui', 'debug', 'default']);
+    assert.deepEqual(conditions[0].bind, ['2024-02-29T00:00:00.000Z', 'debug.ui\\_%']);
+    assert.equal(conditions[1].where, '"timestamp" < $1::timestamptz AND "eventName" LIKE $2 AND NOT COALESCE("eventName" LIKE $3, false)');
+    assert.equal(conditions[2].where, '"timestamp" < $1::timestamptz AND NOT COALESCE("eventName" LIKE $2, false) AND NOT COALESCE("eventName" LIKE $3, false)');
+  });
+
+  it('excludes every row from policies behind a catch-all of the same table', () => {
+    const { where } = retention._buildCondition(
+      policy({ name: 'b', retentionDays: 30 }),
+      [policy({ name: 'a', retentionDays: 10 })],
+      now
+    );
+
+    assert.match(where, /AND FALSE$/);
+  });
+
+  it('reports what would be purged without deleting', async () => {
+    mock.method(RetentionPolicy, 'findAll', async () => [policy({ id: 'p1', name: 'stripe', targetTable: 'stripe_events', retentionDays: 30 })]);
+    const query = mock.method(sequelize, 'query', async () => [{ count: '12', oldest: '2023-12-01T00:00:00.000Z' }]);
+
+    const report = await retention.report(now);
+
+    assert.match(query.mock.calls[0].arguments[0], /^SELECT COUNT\(\*\) AS count, MIN\("stripeEventCreated"\)/);
+    assert.equal(sequelize.transaction.mock.callCount(), 0);
+    assert.deepEqual(report[0], {
+      policyId: 'p1',
+      name: 'stripe',
+      targetTable: 'stripe_events',
+      pattern: null,
+      retentionDays: 30,
+      archive: false,
+      cutoff: '2024-01-31T00:00:00.000Z',
+      rowCount: 12,
+      oldest: '2023-12-01T00:00:00.000Z'
+    });
+  });
+
+  describe('purge', () => {
+    let archiveDir;
+    let previousArchiveDir;
+    let previousBatchSize;
+
+    beforeEach(() => {
+      archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+      previousArchiveDir = retention.archiveDir;
+      previousBatchSize = retention.batchSize;
+      retention.archiveDir = archiveDir;
+      retention.batchSize = 2;
+    });
+
+    afterEach(() => {
+      retention.archiveDir = previousArchiveDir;
+      retention.batchSize = previousBatchSize;
+      fs.rmSync(archiveDir, { recursive: true, force: true });
+    });
+
+    it('deletes a batch per policy and archives rows as gzipped NDJSON', async () => {
+      mock.method(RetentionPolicy, 'findAll', async () => [policy({ id: 'p1', name: 'events', retentionDays: 30, archive: true })]);
+      const rows = [{ id: 'e1', eventName: 'page' }, { id: 'e2', eventName: 'click' }];
+      const query = mock.method(sequelize, 'query', async () => rows);
+
+      const result = await retention.purge(now);
+
+      assert.deepEqual(result, { deleted: 2, hasMore: true });
+      assert.match(query.mock.calls[0].arguments[0], /RETURNING \*/);
+      assert.deepEqual(query.mock.calls[0].arguments[1].bind.slice(-1), [2]);
+
+      const archived = zlib.gunzipSync(fs.readFileSync(path.join(archiveDir, 'events', 'events', '2024-03-01.ndjson.gz'))).toString();
+      assert.deepEqual(archived.trim().split('\n').map(line => JSON.parse(line)), rows);
+    });
+
+    it('keeps the rows when the archive cannot be written', async () => {
+      mock.method(RetentionPolicy, 'findAll', async () => [policy({ id: 'p1', name: 'events', retentionDays: 30, archive: true })]);
+      mock.method(sequelize, 'query', async () => [{ id: 'e1' }]);
+      mock.method(fs.promises, 'appendFile', async () => {
+        throw new Error('disk full');
+      });
+
+      await assert.rejects(retention.purge(now), /disk full/);
+    });
+  });
+});
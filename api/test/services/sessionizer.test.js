@@ -0,0 +1,149 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../../src/db/connection');
+const Event = require('../../src/models/Event');
+const Session = require('../../src/models/Session');
+const ingestionWorker = require('../../src/services/ingestionWorker');
+const eventCatalog = require('../../src/services/eventCatalog');
+const sessionizer = require('../../src/services/sessionizer');
+
+describe('Sessionizer', () => {
+  let emitted;
+
+  beforeEach(() => {
+    emitted = [];
+    mock.method(sequelize, 'transaction', async (callback) => callback({}));
+    mock.method(sequelize, 'query', async () => []);
+    mock.method(Session, 'findAll', async () => []);
+    mock.method(Session, 'bulkCreate', async (sessions) => sessions);
+    mock.method(Event, 'update', async () => [0]);
+    mock.method(Event, 'bulkCreate', async (events) => {
+      emitted.push(...events);
+      return events;
+    });
+    mock.method(eventCatalog, 'observe', () => {});
+    mock.method(ingestionWorker, 'notify', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const event = (id, minute, properties, extra = {}) => ({
+    id,
+    eventName: 'page',
+    timestamp: new Date(Date.UTC(2024, 0, 1, 0, minute)).toISOString(),
+    properties,
+    ...extra
+  });
+
+  describe('assign', () => {
+    it('starts a new session after the inactivity timeout', async () => {
+      const events = [event('e1', 0, { userId: 'u1' }), event('e2', 20, { userId: 'u1' }), event('e3', 55, { userId: 'u1' })];
+
+      await sessionizer.assign(events);
+
+      assert.equal(events[0].sessionId, events[1].sessionId);
+      assert.notEqual(events[1].sessionId, events[2].sessionId);
+      assert.deepEqual(emitted.map(e => [e.eventName, e.properties.entryEventName]), [
+        ['session.started', 'page'],
+        ['session.started', 'page']
+      ]);
+      assert.equal(ingestionWorker.notify.mock.callCount(), 1);
+    });
+
+    it('catalogues session events only once the assignment commits', async () => {
+      await sessionizer.assign(event('e1', 0, { userId: 'u1' }));
+
+      assert.deepEqual(eventCatalog.observe.mock.calls[0].arguments[0].map(e => e.eventName), ['session.started']);
+
+      Event.update.mock.mockImplementation(async () => {
+        throw new Error('deadlock detected');
+      });
+      await sessionizer.assign(event('e2', 0, { userId: 'u2' }));
+
+      assert.equal(Event.bulkCreate.mock.callCount(), 2);
+      assert.equal(eventCatalog.observe.mock.callCount(), 1);
+    });
+
+    it('keeps one session when an anonymous visitor identifies', async () => {
+      const events = [event('e1', 0, { anonymousId: 'a1' }), event('e2', 5, { anonymousId: 'a1', userId: 'u1' })];
+
+      await sessionizer.assign(events);
+
+      assert.equal(events[0].sessionId, events[1].sessionId);
+      const [session] = Session.bulkCreate.mock.calls[0].arguments[0];
+      assert.equal(session.userId, 'u1');
+      assert.equal(session.eventCount, 2);
+      assert.equal(session.durationSeconds, 300);
+    });
+
+    it('extends an active session without starting a new one', async () => {
+      const update = mock.fn(async () => {});
+      const stored = {
+        id: 'session-1',
+        userId: 'u1',
+        anonymousId: null,
+        status: 'active',
+        startedAt: new Date(Date.UTC(2024, 0, 1, 0, 0)),
+        lastEventAt: new Date(Date.UTC(2024, 0, 1, 0, 10)),
+        eventCount: 3,
+        entryEventName: 'page'
+      };
+      Session.findAll.mock.mockImplementation(async () => [{ get: () => ({ ...stored }), update }]);
+      const events = [event('e4', 25, { userId: 'u1' })];
+
+      await sessionizer.assign(events);
+
+      assert.equal(events[0].sessionId, 'session-1');
+      assert.equal(update.mock.calls[0].arguments[0].eventCount, 4);
+      assert.equal(Session.bulkCreate.mock.callCount(), 0);
+      assert.equal(ingestionWorker.notify.mock.callCount(), 0);
+    });
+
+    it('skips events without an identity and synthetic session events', async () => {
+      await sessionizer.assign([event('e1', 0, {}), event('e2', 0, { userId: 'u1' }, { callType: 'session' })]);
+
+      assert.equal(sequelize.transaction.mock.callCount(), 0);
+    });
+
+    it('never throws when sessions cannot be stored', async () => {
+      Session.bulkCreate.mock.mockImplementation(async () => {
+        throw new Error('insert failed');
+      });
+
+      await sessionizer.assign(event('e1', 0, { userId: 'u1' }));
+    });
+  });
+
+  it('ends inactive sessions and emits session.ended events', async () => {
+    sequelize.query.mock.mockImplementation(async () => [{
+      id: 'session-1',
+      userId: 'u1',
+      anonymousId: null,
+      startedAt: new Date(Date.UTC(2024, 0, 1, 0, 0)),
+      lastEventAt: new Date(Date.UTC(2024, 0, 1, 0, 12)),
+      eventCount: 4,
+      entryEventName: 'page',
+      exitEventName: 'checkout'
+    }]);
+
+    const count = await sessionizer.endInactiveSessions();
+
+    assert.equal(count, 1);
+    assert.deepEqual(emitted[0].properties, {
+      sessionId: 'session-1',
+      userId: 'u1',
+      startedAt: '2024-01-01T00:00:00.000Z',
+      entryEventName: 'page',
+      endedAt: '2024-01-01T00:12:00.000Z',
+      durationSeconds: 720,
+      eventCount: 4,
+      exitEventName: 'checkout'
+    });
+    assert.equal(emitted[0].routingStatus, 'queued');
+    assert.deepEqual(eventCatalog.observe.mock.calls[0].arguments[0], emitted);
+    assert.equal(ingestionWorker.notify.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,92 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sequelize } = require('../../src/db/connection');
+const UserProfile = require('../../src/models/UserProfile');
+const userProfiles = require('../../src/services/userProfiles');
+
+describe('UserProfiles', () => {
+  let traitPaths;
+
+  beforeEach(() => {
+    traitPaths = userProfiles.traitPaths;
+    userProfiles.traitPaths = [{ trait: 'plan', path: 'plan' }, { trait: 'country', path: 'context.location.country' }];
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    userProfiles.traitPaths = traitPaths;
+  });
+
+  describe('extract', () => {
+    it('reads configured trait paths, with identify traits taking precedence', () => {
+      const extracted = userProfiles.extract({
+        callType: 'identify',
+        properties: { userId: 7, plan: 'free', context: { location: { country: 'NL' } }, traits: { plan: 'pro', name: 'Ada' } }
+      });
+
+      assert.deepEqual(extracted, { userId: '7', traits: { plan: 'pro', country: 'NL', name: 'Ada' } });
+    });
+
+    it('ignores traits on other calls and events without a user ID', () => {
+      assert.deepEqual(userProfiles.extract({ eventName: 'page', properties: { userId: 'u1', traits: { plan: 'pro' } } }), { userId: 'u1', traits: {} });
+      assert.equal(userProfiles.extract({ eventName: 'page', properties: { userId: '' } }), null);
+    });
+  });
+
+  describe('recordEvents', () => {
+    beforeEach(() => {
+      mock.method(sequelize, 'transaction', async (callback) => callback({}));
+    });
+
+    it('aggregates a batch per user with the newest traits winning', async () => {
+      const query = mock.method(sequelize, 'query', async () => []);
+
+      await userProfiles.recordEvents([
+        { eventName: 'checkout', timestamp: '2024-01-02T00:00:00Z', properties: { userId: 'u2', plan: 'pro' } },
+        { eventName: 'signup', timestamp: '2024-01-01T00:00:00Z', properties: { userId: 'u2', plan: 'free' } },
+        { eventName: 'page', timestamp: '2024-01-01T00:00:00Z', properties: { userId: 'u1' } },
+        { eventName: 'page', timestamp: '2024-01-01T00:00:00Z', properties: {} }
+      ]);
+
+      const upserts = query.mock.calls.map(call => call.arguments[1].replacements);
+      assert.deepEqual(upserts.map(({ userId, traits, count, lastEventName }) => [userId, traits, count, lastEventName]), [
+        ['u1', '{}', 1, 'page'],
+        ['u2', '{"plan":"pro"}', 2, 'checkout']
+      ]);
+      assert.deepEqual(upserts[1].firstSeen, new Date('2024-01-01T00:00:00Z'));
+    });
+
+    it('never throws when profiles cannot be stored', async () => {
+      mock.method(sequelize, 'query', async () => {
+        throw new Error('deadlock detected');
+      });
+
+      await userProfiles.recordEvents({ eventName: 'page', timestamp: '2024-01-01T00:00:00Z', properties: { userId: 'u1' } });
+    });
+  });
+
+  describe('getEnrichment', () => {
+    it('returns the stored profile of the event user', async () => {
+      mock.method(UserProfile, 'findOne', async ({ where }) => ({
+        userId: where.userId,
+        traits: { plan: 'pro' },
+        firstSeen: 'a',
+        lastSeen: 'b',
+        eventCount: '12'
+      }));
+
+      const enrichment = await userProfiles.getEnrichment({ properties: { userId: 42 } });
+
+      assert.deepEqual(enrichment, { userId: '42', traits: { plan: 'pro' }, firstSeen: 'a', lastSeen: 'b', eventCount: 12 });
+    });
+
+    it('returns null when the lookup fails', async () => {
+      mock.method(UserProfile, 'findOne', async () => {
+        throw new Error('connection refused');
+      });
+
+      assert.equal(await userProfiles.getEnrichment({ id: 'e1', properties: { userId: 'u1' } }), null);
+    });
+  });
+});
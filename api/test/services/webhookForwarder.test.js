@@ -0,0 +1,63 @@
+require('../helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const webhookForwarder = require('../../src/services/webhookForwarder');
+
+describe('WebhookForwarder', () => {
+  beforeEach(() => {
+    webhookForwarder.registerDestination('all', { id: 'destination-1', url: 'http://all.test', eventTypes: '*' });
+    webhookForwarder.registerDestination('orders', { id: 'destination-2', url: 'http://orders.test', eventTypes: ['order.created'] });
+    webhookForwarder.registerDestination('off', { url: 'http://off.test', eventTypes: '*', enabled: false });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    for (const name of Object.keys(webhookForwarder.getDestinations())) {
+      webhookForwarder.removeDestination(name);
+    }
+  });
+
+  describe('getMatchingDestinations', () => {
+    it('matches enabled registrations by event type', () => {
+      const names = webhookForwarder.getMatchingDestinations({ eventName: 'order.created' }).map(({ name }) => name);
+
+      assert.deepEqual(names, ['all', 'orders']);
+    });
+
+    it('honours name and ID exclusions and the destinations filter', () => {
+      const event = { eventName: 'order.created' };
+
+      assert.deepEqual(webhookForwarder.getMatchingDestinations(event, { excludeDestinationIds: ['destination-1'] }).map(({ name }) => name), ['orders']);
+      assert.deepEqual(webhookForwarder.getMatchingDestinations(event, { excludeDestinations: ['orders'] }).map(({ name }) => name), ['all']);
+      assert.deepEqual(webhookForwarder.getMatchingDestinations(event, { destinations: ['orders'] }).map(({ name }) => name), ['orders']);
+    });
+  });
+
+  describe('processEvent', () => {
+    it('sends to every matching destination concurrently and reports failures per destination', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mock.method(webhookForwarder, 'sendPayload', async (name) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+
+        if (name === 'orders') {
+          const error = new Error('HTTP error 500: boom');
+          error.statusCode = 500;
+          throw error;
+        }
+        return { destination: name, success: true, statusCode: 200 };
+      });
+
+      const results = await webhookForwarder.processEvent({ id: 'e1', eventName: 'order.created', properties: {} });
+
+      assert.equal(maxInFlight, 2);
+      assert.deepEqual(results.map(result => [result.destination, result.success, result.statusCode]), [
+        ['all', true, 200],
+        ['orders', false, 500]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+require('../helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ConcurrencyLimiter = require('../../src/utils/concurrencyLimiter');
+
+/**
+ * Create a task that stays running until released
+ * @returns {Object} - { task, release }
+ */
+function deferredTask() {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+  return { task: () => done, release };
+}
+
+/**
+ * Let queued promise callbacks run
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('ConcurrencyLimiter', () => {
+  it('runs no more than the maximum number of tasks at once', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    const tasks = [deferredTask(), deferredTask(), deferredTask()];
+
+    const results = tasks.map(({ task }, index) => limiter.run(() => task().then(() => index)));
+    await flush();
+
+    assert.equal(limiter.active, 2);
+    assert.equal(limiter.pending, 3);
+
+    tasks.forEach(({ release }) => release());
+    assert.deepEqual(await Promise.all(results), [0, 1, 2]);
+    assert.equal(limiter.pending, 0);
+  });
+
+  it('starts tasks in submission order', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const started = [];
+
+    await Promise.all([1, 2, 3].map(n => limiter.run(async () => {
+      started.push(n);
+      await flush();
+    })));
+
+    assert.deepEqual(started, [1, 2, 3]);
+  });
+
+  it('rejects with the task error and frees its slot', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+
+    await assert.rejects(limiter.run(async () => {
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.equal(await limiter.run(async () => 'next'), 'next');
+    await flush();
+    assert.equal(limiter.active, 0);
+  });
+
+  it('starts waiting tasks when the maximum is raised', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const first = deferredTask();
+    const second = deferredTask();
+
+    limiter.run(first.task);
+    limiter.run(second.task);
+    await flush();
+    assert.equal(limiter.active, 1);
+
+    limiter.setMax(2);
+    await flush();
+    assert.equal(limiter.active, 2);
+
+    first.release();
+    second.release();
+  });
+});
@@ -0,0 +1,77 @@
+const { highestPlaceholder } = require('../helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileEventQuery, compileFilter } = require('../../src/utils/eventFilter');
+
+describe('eventFilter', () => {
+  describe('compileEventQuery', () => {
+    it('binds values and property paths instead of splicing them into the SQL', () => {
+      const { where, bind } = compileEventQuery({
+        filter: { property: 'properties.plan.tier', operator: 'equals', value: "pro'; DROP TABLE events; --" }
+      });
+
+      assert.equal(where, 'COALESCE((properties #> $1::text[]) = $2::jsonb, false)');
+      assert.deepEqual(bind, [['plan', 'tier'], JSON.stringify("pro'; DROP TABLE events; --")]);
+    });
+
+    it('combines and/or/not with the time range', () => {
+      const { where, bind } = compileEventQuery({
+        filter: {
+          and: [
+            { property: 'eventName', operator: 'in', value: ['order.created', 'order.paid'] },
+            { not: { property: 'properties.test', operator: 'exists' } }
+          ]
+        },
+        from: '2024-01-01T00:00:00Z'
+      });
+
+      assert.equal(where, '(COALESCE("eventName"::text = ANY($1::text[]), false) AND (NOT COALESCE((properties #> $2::text[]) IS NOT NULL, false))) AND "timestamp" >= $3::timestamptz');
+      assert.deepEqual(bind, [['order.created', 'order.paid'], ['test'], '2024-01-01T00:00:00.000Z']);
+    });
+
+    it('keeps the where-clause binds apart from those of a property sort order', () => {
+      const { where, orderBy, bind, whereBind } = compileEventQuery({
+        filter: { property: 'eventName', value: 'order.created' },
+        orderBy: [{ property: 'properties.total', direction: 'asc' }]
+      });
+
+      assert.equal(orderBy, '(properties #> $2::text[]) ASC NULLS LAST, "id" DESC');
+      assert.deepEqual(bind, ['order.created', ['total']]);
+      assert.deepEqual(whereBind, ['order.created']);
+      assert.equal(highestPlaceholder(where), whereBind.length);
+    });
+
+    it('defaults to newest first with the ID as tie-breaker', () => {
+      assert.equal(compileEventQuery().orderBy, '"timestamp" DESC, "id" DESC');
+    });
+
+    it('names the offending part of an invalid query', () => {
+      assert.throws(() => compileEventQuery({ filter: { and: [{ property: 'password', value: 1 }] } }), /^Error: filter\.and\[0\]\.property: "password" is not a filterable property/);
+      assert.throws(() => compileEventQuery({ filter: { property: 'eventName', operator: 'matches', value: 'x' } }), /filter\.operator: must be one of/);
+      assert.throws(() => compileEventQuery({ filter: { property: 'timestamp', operator: 'contains', value: '2024' } }), /cannot be used on a date/);
+      assert.throws(() => compileEventQuery({ to: 'tomorrow' }), /to: must be a valid date/);
+      assert.throws(() => compileEventQuery({ orderBy: [{ property: 'eventName', direction: 'up' }] }), /orderBy\[0\]\.direction/);
+    });
+
+    it('bounds the nesting depth of a filter', () => {
+      let filter = { property: 'eventName', value: 'x' };
+      for (let i = 0; i < 10; i++) {
+        filter = { not: filter };
+      }
+
+      assert.throws(() => compileEventQuery({ filter }), /nested at most 10 levels/);
+    });
+  });
+
+  describe('compileFilter', () => {
+    it('appends its parameters to the bind values of an existing query', () => {
+      const bind = ['existing'];
+
+      const sql = compileFilter({ property: 'properties.amount', operator: 'greaterThan', value: 10 }, bind, 'steps[0].filter');
+
+      assert.match(sql, /\$2::text\[\]/);
+      assert.match(sql, /\$3::numeric/);
+      assert.deepEqual(bind, ['existing', ['amount'], 10]);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+require('../helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const LineSplitter = require('../../src/utils/lineSplitter');
+
+/**
+ * Feed chunks through a splitter and collect its output
+ * @param {Array<Buffer|string>} chunks - Input chunks
+ * @param {Object} [options] - Splitter options
+ * @returns {Promise<Array<Object>>} - Emitted lines
+ */
+async function split(chunks, options) {
+  const lines = [];
+  for await (const line of Readable.from(chunks, { objectMode: false }).pipe(new LineSplitter(options))) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+describe('LineSplitter', () => {
+  it('emits numbered lines, joining lines split across chunks', async () => {
+    const lines = await split(['{"a":', '1}\n{"b":2}\r\n', '{"c":3}']);
+
+    assert.deepEqual(lines, [
+      { lineNumber: 1, text: '{"a":1}' },
+      { lineNumber: 2, text: '{"b":2}' },
+      { lineNumber: 3, text: '{"c":3}' }
+    ]);
+  });
+
+  it('decodes multi-byte characters split across chunks', async () => {
+    const bytes = Buffer.from('{"city":"Zürich"}\n');
+    const cut = bytes.indexOf(0xc3) + 1;
+
+    const lines = await split([bytes.subarray(0, cut), bytes.subarray(cut)]);
+
+    assert.deepEqual(lines, [{ lineNumber: 1, text: '{"city":"Zürich"}' }]);
+  });
+
+  it('reports oversized lines without keeping their text and carries on', async () => {
+    const lines = await split(['x'.repeat(6), 'x'.repeat(6), '\nok\n', 'y'.repeat(20)], { maxLineLength: 10 });
+
+    assert.deepEqual(lines, [
+      { lineNumber: 1, error: 'Line exceeds maximum length of 10 characters' },
+      { lineNumber: 2, text: 'ok' },
+      { lineNumber: 3, error: 'Line exceeds maximum length of 10 characters' }
+    ]);
+  });
+});
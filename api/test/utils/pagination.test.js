@@ -0,0 +1,122 @@
+require('../helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { parsePagination, paginate } = require('../../src/utils/pagination');
+
+/**
+ * Compare rows by timestamp, then id (ascending)
+ * @param {Object} a - Row
+ * @param {Object} b - Row
+ * @returns {number} - Sort order
+ */
+function compareRows(a, b) {
+  return (a.timestamp - b.timestamp) || a.id.localeCompare(b.id);
+}
+
+/**
+ * Build an in-memory model that applies paginate()'s keyset condition, order, limit and offset
+ * Rows share timestamps in pairs so the id tie-breaker matters
+ * @param {number} size - Number of rows
+ * @returns {Object} - Model with findAll and count
+ */
+function buildModel(size) {
+  const rows = Array.from({ length: size }, (_, i) => ({
+    id: `id-${i}`,
+    timestamp: new Date(Date.UTC(2024, 0, 1 + Math.floor(i / 2)))
+  }));
+
+  return {
+    rows,
+    async findAll({ where, limit, offset, order }) {
+      let matched = [...rows];
+      const keyset = where[Op.and] && where[Op.and][1];
+
+      if (keyset) {
+        const [byValue, byId] = keyset[Op.or];
+        const op = Object.getOwnPropertySymbols(byValue.timestamp)[0];
+        const cursor = { timestamp: byValue.timestamp[op], id: byId.id[op] };
+        matched = matched.filter(row => (op === Op.lt ? compareRows(row, cursor) < 0 : compareRows(row, cursor) > 0));
+      }
+
+      matched.sort(compareRows);
+      if (order[0][1] === 'DESC') {
+        matched.reverse();
+      }
+
+      return matched.slice(offset || 0, (offset || 0) + limit);
+    },
+    async count() {
+      return rows.length;
+    }
+  };
+}
+
+const ids = page => page.data.map(row => row.id);
+
+describe('pagination', () => {
+  describe('parsePagination', () => {
+    it('defaults to page mode', () => {
+      assert.deepEqual(parsePagination({ page: '3', limit: '10' }), { mode: 'page', page: 3, limit: 10, offset: 20, withCount: true });
+    });
+
+    it('switches to cursor mode and can skip the count', () => {
+      assert.deepEqual(parsePagination({ pagination: 'cursor', count: 'false' }, { defaultLimit: 50 }), {
+        mode: 'cursor',
+        limit: 50,
+        cursor: null,
+        withCount: false
+      });
+    });
+
+    it('rejects malformed cursors', () => {
+      assert.throws(() => parsePagination({ cursor: 'garbage' }), /Invalid cursor/);
+      const wrongDirection = Buffer.from(JSON.stringify({ v: '2024-01-01', id: 'id-1', d: 'sideways' })).toString('base64url');
+      assert.throws(() => parsePagination({ cursor: wrongDirection }), /Invalid cursor/);
+    });
+  });
+
+  describe('paginate', () => {
+    const options = (Model, query) => ({ orderColumn: 'timestamp', pagination: parsePagination(query) });
+
+    it('walks forward through rows with equal timestamps without skipping or repeating', async () => {
+      const Model = buildModel(7);
+
+      const first = await paginate(Model, options(Model, { pagination: 'cursor', limit: '3' }));
+      const second = await paginate(Model, options(Model, { cursor: first.nextCursor, limit: '3' }));
+      const third = await paginate(Model, options(Model, { cursor: second.nextCursor, limit: '3' }));
+
+      assert.deepEqual([ids(first), ids(second), ids(third)], [
+        ['id-6', 'id-5', 'id-4'],
+        ['id-3', 'id-2', 'id-1'],
+        ['id-0']
+      ]);
+      assert.equal(first.prevCursor, null);
+      assert.equal(third.nextCursor, null);
+      assert.equal(first.count, 7);
+    });
+
+    it('walks back to the first page in newest-first order', async () => {
+      const Model = buildModel(7);
+
+      const first = await paginate(Model, options(Model, { pagination: 'cursor', limit: '3' }));
+      const second = await paginate(Model, options(Model, { cursor: first.nextCursor, limit: '3' }));
+      const third = await paginate(Model, options(Model, { cursor: second.nextCursor, limit: '3' }));
+      const back = await paginate(Model, options(Model, { cursor: third.prevCursor, limit: '3' }));
+      const start = await paginate(Model, options(Model, { cursor: back.prevCursor, limit: '3' }));
+
+      assert.deepEqual(ids(back), ids(second));
+      assert.deepEqual(ids(start), ids(first));
+      assert.equal(start.prevCursor, null);
+      assert.ok(start.nextCursor);
+    });
+
+    it('keeps page mode responses as they were', async () => {
+      const Model = buildModel(7);
+
+      const page = await paginate(Model, options(Model, { page: '3', limit: '3' }));
+
+      assert.deepEqual({ ...page, data: ids(page) }, { count: 7, totalPages: 3, currentPage: 3, hasMore: false, data: ['id-0'] });
+    });
+  });
+});